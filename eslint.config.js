@@ -5,7 +5,8 @@ import reactHooks from 'eslint-plugin-react-hooks'
 import reactRefresh from 'eslint-plugin-react-refresh'
 
 export default [
-  { ignores: ['dist'] },
+  // public/wasm and public/models hold copied runtimes and model files
+  { ignores: ['dist', 'public/wasm', 'public/models'] },
   {
     files: ['**/*.{js,jsx}'],
     languageOptions: {
@@ -29,10 +30,26 @@ export default [
       ...react.configs['jsx-runtime'].rules,
       ...reactHooks.configs.recommended.rules,
       'react/jsx-no-target-blank': 'off',
+      // React 19 no longer checks propTypes, so declaring them would only
+      // be documentation; components describe their props in a comment
+      'react/prop-types': 'off',
       'react-refresh/only-export-components': [
         'warn',
         { allowConstantExport: true },
       ],
     },
   },
+  {
+    // react-three-fiber elements take three.js object properties, not DOM ones
+    files: ['src/components/PoseSkeleton3D.jsx', 'src/components/SkeletonViewer3D.jsx'],
+    rules: {
+      'react/no-unknown-property': 'off',
+    },
+  },
+  {
+    files: ['scripts/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
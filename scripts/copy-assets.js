@@ -0,0 +1,46 @@
+// Copies the wasm runtimes the app needs from node_modules into public/, so
+// that every asset is served by the app itself. Run automatically before
+// `npm run dev` and `npm run build`, and needs no network: the models,
+// including the MediaPipe pose landmarker, are committed under
+// public/models/. A missing pose model is reported, since the app cannot
+// detect poses without it, but does not stop the build.
+import { copyFileSync, existsSync, mkdirSync, readdirSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const WASM_DIRECTORIES = [
+    { from: 'node_modules/@mediapipe/tasks-vision/wasm', to: 'public/wasm/mediapipe' },
+    { from: 'node_modules/@tensorflow/tfjs-tflite/wasm', to: 'public/wasm/tflite' }
+];
+
+// Committed with the app; this is where it was taken from
+const POSE_MODEL = {
+    path: 'public/models/pose_landmarker_lite.task',
+    source: 'https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task'
+};
+
+function copyDirectory(from, to) {
+    const source = join(root, from);
+    const target = join(root, to);
+
+    if (!existsSync(source)) {
+        throw new Error(`${from} not found - run npm install first`);
+    }
+
+    mkdirSync(target, { recursive: true });
+    const files = readdirSync(source);
+    files.forEach(file => copyFileSync(join(source, file), join(target, file)));
+    console.log(`Copied ${files.length} files from ${from} to ${to}`);
+}
+
+function checkPoseModel() {
+    if (existsSync(join(root, POSE_MODEL.path))) return;
+
+    console.warn(`${POSE_MODEL.path} is missing, so poses cannot be detected.`);
+    console.warn(`Restore it from git, or download it from ${POSE_MODEL.source}.`);
+}
+
+WASM_DIRECTORIES.forEach(({ from, to }) => copyDirectory(from, to));
+checkPoseModel();
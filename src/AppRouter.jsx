@@ -0,0 +1,26 @@
+import { useEffect, useState } from 'react';
+import Test2 from './Test2.jsx';
+import ProgressDashboard from './ProgressDashboard.jsx';
+import SettingsPage from './SettingsPage.jsx';
+
+// Pages by URL hash, so links like #progress work without a server-side router
+const PAGES = {
+    '#progress': ProgressDashboard,
+    '#settings': SettingsPage
+};
+
+const pageForHash = () => PAGES[window.location.hash] || Test2;
+
+const AppRouter = () => {
+    const [Page, setPage] = useState(() => pageForHash());
+
+    useEffect(() => {
+        const handleHashChange = () => setPage(() => pageForHash());
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, []);
+
+    return <Page />;
+};
+
+export default AppRouter;
@@ -0,0 +1,139 @@
+import { useEffect, useState } from 'react';
+import BarChart from './components/charts/BarChart';
+import LineChart from './components/charts/LineChart';
+import { listSessions } from './history/workoutHistory';
+import {
+    dailyReps,
+    daysBetween,
+    DAY_MS,
+    formWarningRate,
+    longestHolds,
+    startOfDay,
+    weeklyVolume
+} from './history/progressStats';
+import { CLASS_NAMES, EXERCISE_COLORS, REP_EXERCISES } from './utils/exercises';
+
+// Days shown when no start date is picked
+const DEFAULT_RANGE_DAYS = 30;
+
+// <input type="date"> value of a time, in local time
+const toDateInput = (time) => {
+    const date = new Date(time);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Local midnight of an <input type="date"> value
+const fromDateInput = (value) => {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day).getTime();
+};
+
+const formatDay = (time) => new Date(time).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+// Progress charts over the stored workout history: reps per exercise per
+// day, weekly volume, longest TreePose hold and form-warning rate, for one
+// or all exercises over a date range.
+const ProgressDashboard = () => {
+    const [exercise, setExercise] = useState('');
+    const [fromDate, setFromDate] = useState(() => toDateInput(Date.now() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS));
+    const [toDate, setToDate] = useState(() => toDateInput(Date.now()));
+    const [sessions, setSessions] = useState([]);
+    const [error, setError] = useState(null);
+
+    const from = fromDate ? fromDateInput(fromDate) : startOfDay(Date.now() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+    const to = toDate ? fromDateInput(toDate) : startOfDay(Date.now());
+
+    useEffect(() => {
+        let cancelled = false;
+        // Include the whole of the last day
+        listSessions({ exercise: exercise || null, from, to: to + DAY_MS - 1 })
+            .then(result => {
+                if (cancelled) return;
+                setSessions(result);
+                setError(null);
+            })
+            .catch(loadError => {
+                console.error("Error loading workout history:", loadError);
+                if (!cancelled) setError(loadError.message);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [exercise, from, to]);
+
+    const days = from <= to ? daysBetween(from, to) : [];
+    const repSeries = REP_EXERCISES
+        .filter(name => !exercise || name === exercise)
+        .map(name => ({ key: name, label: name, color: EXERCISE_COLORS[name] }));
+    const showReps = repSeries.length > 0;
+    const showHolds = !exercise || exercise === 'TreePose';
+
+    return (
+        <div className="progress-dashboard">
+            <h1>Progress</h1>
+            <a href="#">← Back to workout</a>
+
+            <div style={{ display: 'flex', justifyContent: 'center', gap: '12px', margin: '12px 0' }}>
+                <label>
+                    Exercise{' '}
+                    <select value={exercise} onChange={(event) => setExercise(event.target.value)}>
+                        <option value="">All</option>
+                        {CLASS_NAMES.map(name => (
+                            <option key={name} value={name}>{name}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    From{' '}
+                    <input type="date" value={fromDate} onChange={(event) => setFromDate(event.target.value)} />
+                </label>
+                <label>
+                    To{' '}
+                    <input type="date" value={toDate} onChange={(event) => setToDate(event.target.value)} />
+                </label>
+            </div>
+
+            {error && <div style={{ color: '#ff6060' }}>Could not load the history: {error}</div>}
+            {from > to && <div>The start date is after the end date.</div>}
+            {!error && days.length > 0 && sessions.length === 0 && <div>No workouts in this period.</div>}
+
+            {days.length > 0 && sessions.length > 0 && (
+                <>
+                    {showReps && (
+                        <>
+                            <BarChart
+                                title="Reps per day"
+                                data={dailyReps(sessions, days, exercise || null)}
+                                series={repSeries}
+                                formatLabel={formatDay}
+                            />
+                            <BarChart
+                                title="Weekly volume (reps, weeks starting)"
+                                data={weeklyVolume(sessions, days, exercise || null)}
+                                series={repSeries}
+                                formatLabel={formatDay}
+                            />
+                            <LineChart
+                                title="Form warnings per 10 reps"
+                                data={formWarningRate(sessions, days, exercise || null)}
+                                series={[{ key: 'rate', label: 'Warnings per 10 reps', color: '#FF3030' }]}
+                                formatLabel={formatDay}
+                            />
+                        </>
+                    )}
+                    {showHolds && (
+                        <LineChart
+                            title="Longest TreePose hold (seconds)"
+                            data={longestHolds(sessions, days)}
+                            series={[{ key: 'longest', label: 'Longest hold', color: EXERCISE_COLORS.TreePose }]}
+                            formatLabel={formatDay}
+                        />
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ProgressDashboard;
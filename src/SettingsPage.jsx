@@ -0,0 +1,13 @@
+import SettingsPanel from './components/SettingsPanel';
+
+// All detection thresholds on a page of their own. Changes are saved
+// straight away and reach a workout running in another tab live.
+const SettingsPage = () => (
+    <div className="settings-page">
+        <h1>Settings</h1>
+        <a href="#">← Back to workout</a>
+        <SettingsPanel />
+    </div>
+);
+
+export default SettingsPage;
@@ -1,402 +1,700 @@
-import React, { useEffect, useRef, useState } from 'react';
+import { lazy, Suspense, useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import Detection from './components/Detection';
+import PersonStats from './components/PersonStats';
+import FormCueOverlay from './components/FormCueOverlay';
+import FramingGuidanceOverlay from './components/FramingGuidanceOverlay';
+import InputSourcePicker from './components/InputSourcePicker';
+import CameraSettingsPanel from './components/CameraSettingsPanel';
+import SessionRecorderControls from './components/SessionRecorderControls';
+import SessionReplayControls from './components/SessionReplayControls';
+import ClassifierPicker from './components/ClassifierPicker';
+import ClassifierComparison from './components/ClassifierComparison';
+import WorkoutHistory from './components/WorkoutHistory';
+import RoutinePanel from './components/RoutinePanel';
+import CalibrationWizard from './components/CalibrationWizard';
+import AudioCoachControls from './components/AudioCoachControls';
+import LandmarkFilterControls from './components/LandmarkFilterControls';
+import SettingsPanel from './components/SettingsPanel';
+import {
+    CLASSIFIER_MODELS,
+    createClassifier,
+    createClassifierComparison
+} from './classifiers';
+import { createRepCounter } from './utils/repCounter';
+import { createHoldTimer } from './utils/holdTimer';
+import { createKeypointImputer } from './utils/keypointImputer';
+import { createFormChecker } from './utils/formRules';
+import { createFramingMonitor } from './utils/framingGuidance';
+import { createSessionRecorder } from './utils/sessionRecorder';
+import { createPredictionSmoother } from './utils/predictionSmoother';
+import { buildModelInput, landmarksToKeypoints, SEQUENCE_LENGTH } from './utils/features';
+import { ANGLE_SOURCES, angleFrame, computeKinematics } from './utils/kinematics';
+import { trackColor } from './utils/poseTracker';
+import { cameraConstraints } from './utils/cameraSettings';
+import { createWorkoutLog, WORKOUT_LOG_SETTINGS } from './history/workoutLog';
+import { saveSession } from './history/workoutHistory';
+import { loadRoutines, saveRoutines, STEP_KINDS } from './routines/routines';
+import { createRoutineRunner } from './routines/routineRunner';
+import { CALIBRATION_STEPS, createCalibrator, detectViewpoint } from './calibration/calibrator';
+import { createAudioCoach } from './audio/audioCoach';
+import { createSpeechOutput } from './audio/speechOutput';
+import { loadCalibrationProfile, saveCalibrationProfile, tuneSettings } from './calibration/calibrationProfile';
+import { settingsStore, useSettings } from './settings/settingsStore';
+
+// three.js is only downloaded once the 3D view is opened
+const SkeletonViewer3D = lazy(() => import('./components/SkeletonViewer3D'));
+
+// Frames per classifier window (see utils/features.js)
+const MAX_SEQUENCE_LENGTH = SEQUENCE_LENGTH;
+
+// Shoulders and hips, needed to tell a front from a side view
+const VIEWPOINT_LANDMARKS = [11, 12, 23, 24];
+
+// Display state of one tracked person before anything is known about them
+const createPersonView = (trackId) => ({
+    trackId,
+    present: true,
+    exerciseClass: null,
+    exerciseConfidence: 0,
+    repCounts: {},
+    repPhase: null,
+    holdState: null,
+    formViolations: [],
+    formWarningCount: 0,
+    // Framing issues (see assessFraming) and whether classification waits for them
+    framingIssues: [],
+    classificationPaused: false
+});
+
+const modelLabel = (modelId) => {
+    const entry = CLASSIFIER_MODELS.find(model => model.id === modelId);
+    return entry ? entry.label : modelId;
+};
 
 const Test2 = () => {
-    const keypointsSequenceRef = useRef([]);
     const outputRef = useRef(null);
-    const [exerciseClass, setExerciseClass] = useState(null);
-    const [exerciseConfidence, setExerciseConfidence] = useState(0);
-    const [landmarksDetected, setLandmarksDetected] = useState(false);
-    
-    // Initialize queue with a fixed capacity of 50
-    // This replaces keypointsSequenceRef = useRef([])
-    const MAX_SEQUENCE_LENGTH = 50;
-    const keypointsQueue = useRef([]);
+    // Per-person display state, keyed by track ID (see createPersonView)
+    const [people, setPeople] = useState({});
+    // Detection thresholds (see settings/settingsStore.js). The pipeline
+    // reads them from the ref, and hands them to everyone's rep counter,
+    // hold timer and so on once `changed` is set.
+    const settings = useSettings();
+    const settingsRef = useRef({ settings, changed: false });
+    // Camera, model(s) to run and audio coaching, also kept in the settings store
+    const { camera: cameraSettings, classifier: classifierSettings, audio: audioSettings } = settings;
+    const [showSettings, setShowSettings] = useState(false);
+    const [inputSource, setInputSource] = useState({ type: 'camera' });
+    const [replaying, setReplaying] = useState(false);
+    const [classifierStatus, setClassifierStatus] = useState('loading');
+    const [comparison, setComparison] = useState(null);
+    const [inferenceTiming, setInferenceTiming] = useState(null);
+    const [showHistory, setShowHistory] = useState(false);
+    // Bumped whenever a workout is saved, so the history view reloads
+    const [historyVersion, setHistoryVersion] = useState(0);
+    const [routines, setRoutines] = useState(loadRoutines);
+    // Runner state of the routine in progress, or null
+    const [routineState, setRoutineState] = useState(null);
+    // Runner of the routine in progress, and a key of the last state shown
+    const routineRef = useRef({ runner: null, shownKey: null });
+    const [show3D, setShow3D] = useState(false);
+    const [calibrationProfile, setCalibrationProfile] = useState(loadCalibrationProfile);
+    // Calibrator state while calibration runs, or null
+    const [calibrationState, setCalibrationState] = useState(null);
+    // Running calibrator, the profile people are tuned with, whether people
+    // must be re-created with a new profile, and a key of the last state shown
+    const calibrationRef = useRef({ calibrator: null, profile: calibrationProfile, retune: false, shownKey: null });
+    // World landmarks of the latest frame for the 3D view: { poses, trackIds }
+    const worldPoseRef = useRef(null);
+
+    // Loaded classifiers, swapped by the effect below when the settings
+    // change: { primary, compare, comparison } with compare null unless
+    // two models are being compared
+    const classifiersRef = useRef({ primary: null, compare: null, comparison: null });
+
+    // Joints and bones highlighted on each person's skeleton by Detection,
+    // keyed by track ID
+    const overlayRef = useRef(null);
+
+    // Speaks rep counts, form warnings and routine progress
+    const coachRef = useRef(null);
+    if (coachRef.current === null) {
+        coachRef.current = createAudioCoach(createSpeechOutput(), audioSettings);
+    }
+
+    // Records every frame Detection emits while recording is switched on
+    const recorderRef = useRef(null);
+    if (recorderRef.current === null) {
+        recorderRef.current = createSessionRecorder();
+    }
 
     useEffect(() => {
-        let tf, tflite, model;
-        
-        // Function to load scripts dynamically
-        const loadScript = (src) => {
-            return new Promise((resolve, reject) => {
-                const script = document.createElement('script');
-                script.src = src;
-                script.async = true;
-                script.onload = resolve;
-                script.onerror = reject;
-                document.head.appendChild(script);
-            });
+        // Pipeline state of every tracked person, keyed by track ID
+        const persons = new Map();
+        // Running workout session, saved to the history
+        const workoutLog = createWorkoutLog();
+
+        // Merge a change into one person's display state
+        const updatePerson = (trackId, changes) => {
+            setPeople(previous => ({
+                ...previous,
+                [trackId]: { ...(previous[trackId] || createPersonView(trackId)), ...changes }
+            }));
         };
 
-        async function loadLibrariesAndModel() {
-            try {
-                // Load TensorFlow.js from CDN
-                await loadScript('https://cdn.jsdelivr.net/npm/@tensorflow/tfjs/dist/tf.min.js');
-                // Load TensorFlow.js TFLite from CDN
-                await loadScript('https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-tflite/dist/tf-tflite.min.js');
-                
-                // Now we can access the global tf and tflite objects
-                tf = window.tf;
-                tflite = window.tflite;
-                
-                // Set WebGL flags before tf.ready()
-                await tf.setBackend('webgl');
-                tf.env().set('WEBGL_VERSION', 2);  // Try to use WebGL 2.0
-                tf.env().set('WEBGL_FORCE_F16_TEXTURES', false);
-                tf.env().set('WEBGL_PACK', true);
-                
-                await tf.ready();
-                console.log("TensorFlow.js ready, backend:", tf.getBackend());
-                
-                // Check if WebGL is properly initialized
-                const backend = tf.getBackend();
-                if (backend !== 'webgl') {
-                    console.warn('WebGL backend not initialized, falling back to CPU');
-                    await tf.setBackend('cpu');
-                }
-                
-                tflite.setWasmPath(
-                    "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-tflite@latest/dist/"
-                );
-                console.log("TFLite WASM path set");
+        // Rep and hold settings tuned by the calibration profile, if there is one
+        function tunedSettings() {
+            const { settings } = settingsRef.current;
+            return tuneSettings(calibrationRef.current.profile, settings.kinematics.angleSource, {
+                repSettings: settings.reps,
+                holdSettings: settings.holds
+            });
+        }
 
-                // Load the actual TFLite model
-                console.log("Loading TFLite model from:", "http://localhost:5173/models/stgcn_exercise_fine_tunned.tflite");
-                model = await tflite.loadTFLiteModel(
-                    // "http://localhost:5173/models/stgcn_exercise_fine_tunned.tflite"
-                    "https://exercise-detection.vercel.app/models/stgcn_exercise_fine_tunned.tflite"
-                );
-                
-                // Verify it's a real TFLite model
-                console.log("✅ TFLite model loaded! Model type:", typeof model);
-                console.log("Model has predict method:", typeof model.predict === 'function');
+        function createPerson(trackId) {
+            const { settings } = settingsRef.current;
+            const tuning = tunedSettings();
+            return {
+                trackId,
+                // Sliding window of the last 50 keypoint frames
+                keypointsQueue: [],
+                // Fill joints that briefly drop out; revise queued frames in place
+                keypointImputer: createKeypointImputer(settings.imputation),
+                worldImputer: createKeypointImputer(settings.imputation),
+                repCounter: createRepCounter(tuning.repSettings),
+                lastRepPhase: null,
+                holdTimer: createHoldTimer(tuning.holdSettings),
+                lastHoldUpdate: 0,
+                formChecker: createFormChecker(),
+                // Front or side view the camera currently has of the person
+                // (see detectViewpoint); null until it could be judged
+                viewpoint: null,
+                lastViolationIds: '',
+                // Pauses classification while the person is badly framed
+                framingMonitor: createFramingMonitor(settings.framing),
+                framing: { issues: [], paused: false },
+                lastFramingKey: '',
+                // Form checker log entries already passed to the workout log
+                loggedFormWarnings: 0,
+                // Sliding window: predict every `stride` frames once the window is full
+                predictionSmoother: createPredictionSmoother(settings.classification),
+                framesSincePrediction: 0,
+                predictionInFlight: false,
+                lastPredictionTime: undefined,
+                // Latest classifier probabilities, stored with each recorded frame
+                latestProbabilities: null,
+                // Exercise currently reported by the classifier for this person
+                exercise: null,
+                present: true,
+                lastSeen: 0
+            };
+        }
 
-                // Test the model with zeros to verify it works
-                const inputTensor = tf.zeros([1, 50, 33, 8]); // Shape needed by the model
-                // console.log("Created test input tensor, shape:", inputTensor.shape);
-                
-                const output = model.predict(inputTensor);
-                console.log("Model prediction successful, output type:", typeof output);
-                
-                const outputData = await output.data();
-                console.log("🔍 Model output data:", outputData);
-                console.log("Output length:", outputData.length); // Should match your number of classes
+        // Hand changed settings to someone's pipeline without losing their counts
+        function applySettings(person) {
+            const { settings } = settingsRef.current;
+            const tuning = tunedSettings();
+            person.keypointImputer.setSettings(settings.imputation);
+            person.worldImputer.setSettings(settings.imputation);
+            person.repCounter.setSettings(tuning.repSettings);
+            person.holdTimer.setSettings(tuning.holdSettings);
+            person.framingMonitor.setSettings(settings.framing);
+            person.predictionSmoother.setSettings(settings.classification);
+        }
 
-                inputTensor.dispose();
-                output.dispose();
-            } catch (error) {
-                console.error("Error loading libraries or model:", error);
+        function getPerson(trackId, timestampMs) {
+            let person = persons.get(trackId);
+            if (!person) {
+                person = createPerson(trackId);
+                persons.set(trackId, person);
+                updatePerson(trackId, {});
+            } else if (!person.present) {
+                person.present = true;
+                updatePerson(trackId, { present: true });
             }
+            person.lastSeen = timestampMs;
+            return person;
+        }
+
+        // Audio cues follow one person: the one in frame with the lowest track ID
+        function isCoached(person) {
+            return Array.from(persons.values())
+                .every(other => !other.present || other.trackId >= person.trackId);
+        }
+
+        // Grey out people who have left for longer than the tracker keeps
+        // their ID. Their counts stay on screen.
+        function markMissingPeople(timestampMs) {
+            persons.forEach(person => {
+                if (person.present && timestampMs - person.lastSeen > settingsRef.current.settings.tracking.maxMissingTime) {
+                    person.present = false;
+                    updatePerson(person.trackId, { present: false, formViolations: [], framingIssues: [] });
+                    person.lastFramingKey = '';
+                    if (overlayRef.current) delete overlayRef.current[person.trackId];
+                }
+            });
         }
 
-        // Called by Detection component when pose landmarks are detected
+        // Called by Detection component (or a session replay) when pose
+        // landmarks are detected. Returns a promise of the first person's
+        // class probabilities when this frame triggered a prediction for
+        // them, otherwise null.
         function onPoseLandmarksReceived(result) {
-            if (result && result.landmarks && result.landmarks.length > 0) {
-                // Convert landmarks to the format our model needs
-                const keypoints = convertLandmarksToVector4(result.landmarks[0]);
-                
-                // Add the keypoints to our sequence queue
-                updateSequence(keypoints);
-                
-                // Only process when we have exactly 50 frames
-                if (keypointsQueue.current.length === MAX_SEQUENCE_LENGTH) {
-                    console.log("Full sequence of 50 frames collected. Processing input...");
-                    prepareInputAndInvoke(result);
-                } else {
-                    // console.log(`Building sequence: ${keypointsQueue.current.length}/${MAX_SEQUENCE_LENGTH} frames`);
+            if (!result || !result.landmarks || result.landmarks.length === 0) {
+                worldPoseRef.current = null;
+                if (calibrationRef.current.calibrator) updateCalibration(null, null, null, performance.now());
+                return null;
+            }
+
+            // Frame timestamps are media time for recorded sources
+            const timestampMs = result.timestampMs !== undefined ? result.timestampMs : performance.now();
+            // Replayed sessions hold one person and carry no track IDs
+            const trackIds = result.trackIds || result.landmarks.map((_, index) => index + 1);
+            worldPoseRef.current = { poses: result.worldLandmarks || [], trackIds };
+
+            // Record the frame along with the classifier output in effect
+            const firstPerson = persons.get(trackIds[0]);
+            recorderRef.current.addFrame(result, firstPerson ? firstPerson.latestProbabilities : null);
+
+            // Start afresh with people tuned by a new (or cleared) profile
+            if (calibrationRef.current.retune) {
+                calibrationRef.current.retune = false;
+                resetPipeline();
+            }
+            if (settingsRef.current.changed) {
+                settingsRef.current.changed = false;
+                persons.forEach(applySettings);
+            }
+
+            // Nothing is counted or classified while calibrating. The person
+            // with the lowest track ID is calibrated.
+            if (calibrationRef.current.calibrator) {
+                const index = trackIds.indexOf(Math.min(...trackIds));
+                updateCalibration(
+                    trackIds[index],
+                    result.landmarks[index],
+                    result.worldLandmarks ? result.worldLandmarks[index] : null,
+                    timestampMs
+                );
+                return null;
+            }
+
+            // Replayed sessions are already in the history (or never were)
+            const logWorkout = result.sourceKind !== 'replay';
+
+            let firstPrediction = null;
+            result.landmarks.forEach((landmarks, index) => {
+                const person = getPerson(trackIds[index], timestampMs);
+                if (logWorkout) {
+                    workoutLog.recordFrame(person.trackId, result.sourceKind || 'camera', Date.now());
                 }
+                const worldLandmarks = result.worldLandmarks && result.worldLandmarks[index];
+                // Framing is judged on landmark positions before zero-filling
+                updateFraming(person, result.rawLandmarks ? result.rawLandmarks[index] : landmarks, worldLandmarks, timestampMs);
+                const prediction = processPerson(person, landmarks, worldLandmarks, timestampMs);
+                if (index === 0) firstPrediction = prediction;
+            });
+
+            markMissingPeople(timestampMs);
+            updateRoutine(trackIds);
+            return firstPrediction;
+        }
+
+        // Advance the calibration. Missing landmarks are highlighted on the
+        // skeleton; once done, the profile is saved and everyone is
+        // re-created with thresholds tuned by it.
+        function updateCalibration(trackId, landmarks, worldLandmarks, timestampMs) {
+            const calibration = calibrationRef.current;
+            const state = calibration.calibrator.update(landmarks, worldLandmarks, timestampMs);
+
+            overlayRef.current = trackId === null ? null : { [trackId]: { joints: state.missing, bones: [] } };
+
+            if (state.step === CALIBRATION_STEPS.DONE) {
+                saveCalibrationProfile(state.profile);
+                calibrationRef.current = { calibrator: null, profile: state.profile, retune: false, shownKey: null };
+                resetPipeline();
+                setCalibrationProfile(state.profile);
+                setCalibrationState(null);
+                return;
             }
+
+            // Only re-render when the step, the missing parts or the progress (in 5% steps) change
+            const key = [state.step, state.missingParts.join(','), state.missing.length, Math.floor(state.progress * 20), state.viewpoint].join('|');
+            if (key === calibration.shownKey) return;
+            calibration.shownKey = key;
+            setCalibrationState(state);
         }
 
-        function convertLandmarksToVector4(landmarks) {
-            const keypoints = new Array(33);
-            
-            // Using landmark mapping to ensure correct indexing
-            const POSE_LANDMARKS = {
-                0: 'nose', 1: 'left_eye_inner', 2: 'left_eye', 3: 'left_eye_outer',
-                4: 'right_eye_inner', 5: 'right_eye', 6: 'right_eye_outer',
-                7: 'left_ear', 8: 'right_ear', 9: 'mouth_left', 10: 'mouth_right',
-                11: 'left_shoulder', 12: 'right_shoulder', 13: 'left_elbow', 14: 'right_elbow',
-                15: 'left_wrist', 16: 'right_wrist', 17: 'left_pinky', 18: 'right_pinky',
-                19: 'left_index', 20: 'right_index', 21: 'left_thumb', 22: 'right_thumb',
-                23: 'left_hip', 24: 'right_hip', 25: 'left_knee', 26: 'right_knee',
-                27: 'left_ankle', 28: 'right_ankle', 29: 'left_heel', 30: 'right_heel',
-                31: 'left_foot_index', 32: 'right_foot_index'
-            };
-            
-            // Initialize all keypoints to zeros first
-            for (let i = 0; i < 33; i++) {
-                keypoints[i] = [0, 0, 0, 0]; // Default all to zero
+        // Show the routine state, skipping frames where nothing visible changed
+        function publishRoutineState(state) {
+            // Every state goes to the coach, which counts down rests by the second
+            coachRef.current.routineUpdate(state);
+
+            const key = [
+                state.status,
+                state.stepIndex,
+                Math.floor(state.progress / (state.step && state.step.kind === STEP_KINDS.HOLD ? 100 : 1)),
+                Math.ceil(state.restRemainingMs / 1000),
+                state.mismatch ? state.mismatch.detected : ''
+            ].join('|');
+            if (key === routineRef.current.shownKey) return;
+            routineRef.current.shownKey = key;
+            setRoutineState(state);
+        }
+
+        // Advance the routine in progress. It follows the person with the
+        // lowest track ID in frame.
+        function updateRoutine(trackIds) {
+            const { runner } = routineRef.current;
+            if (!runner) return;
+
+            const person = persons.get(Math.min(...trackIds));
+            publishRoutineState(runner.update({
+                exercise: person.exercise,
+                repCounts: person.repCounter.getCounts(),
+                holdState: person.holdTimer.getState()
+            }, Date.now()));
+        }
+
+        function processPerson(person, landmarks, worldLandmarks, timestampMs) {
+            const { classification, kinematics } = settingsRef.current.settings;
+
+            // Convert landmarks to the format our model needs, filling in
+            // joints that are briefly hidden
+            const keypoints = person.keypointImputer.update(
+                landmarksToKeypoints(landmarks, classification.keypointMinVisibility),
+                timestampMs,
+                person.exercise
+            );
+            const worldKeypoints = worldLandmarks ?
+                person.worldImputer.update(
+                    landmarksToKeypoints(worldLandmarks, classification.keypointMinVisibility),
+                    timestampMs,
+                    person.exercise
+                ) :
+                null;
+
+            // Add the keypoints to this person's sequence queue
+            updateSequence(person, keypoints);
+
+            // Advance the rep counter or hold timer for the current exercise,
+            // with angles measured in metres where world landmarks are available
+            const angles = computeKinematics(angleFrame(keypoints, worldKeypoints, kinematics.angleSource));
+            updateRepCount(person, angles, timestampMs);
+            updateHoldTimer(person, keypoints, timestampMs);
+            updateViewpoint(person, landmarks, worldLandmarks);
+            updateFormFeedback(person, keypoints, angles);
+
+            // Once the window holds 50 frames, predict every `stride` frames.
+            // The window slides rather than being emptied, so predictions keep
+            // arriving at a steady rate.
+            person.framesSincePrediction++;
+            if (person.keypointsQueue.length === MAX_SEQUENCE_LENGTH &&
+                person.framesSincePrediction >= classification.stride &&
+                !person.predictionInFlight &&
+                !person.framing.paused) {
+                return prepareInputAndInvoke(person, timestampMs);
             }
-            
-            // Populate with actual values if they exist and have good visibility
-            for (let i = 0; i < 33; i++) {
-                if (landmarks[i]) {
-                    const lm = landmarks[i];
-                    const visibility = lm.visibility || 0;
-                    
-                    // Only use landmarks with reasonable visibility
-                    if (visibility > 0.3) {
-                        keypoints[i] = [
-                            lm.x || 0,
-                            lm.y || 0, 
-                            lm.z || 0, 
-                            visibility
-                        ];
-                    }
-                    // If visibility is low, the keypoint remains [0,0,0,0]
+            return null;
+        }
+
+        // Work out how the person should move to be framed properly, and
+        // pause their classification while they are cut off or too far away
+        function updateFraming(person, landmarks, worldLandmarks, timestampMs) {
+            person.framing = person.framingMonitor.update(landmarks, worldLandmarks, person.exercise, timestampMs);
+
+            const key = [person.framing.paused, ...person.framing.issues.map(issue => issue.id)].join(',');
+            if (key !== person.lastFramingKey) {
+                person.lastFramingKey = key;
+                updatePerson(person.trackId, {
+                    framingIssues: person.framing.issues,
+                    classificationPaused: person.framing.paused
+                });
+            }
+        }
+
+        function updateRepCount(person, angles, timestampMs) {
+            if (!person.exercise) return;
+
+            const repState = person.repCounter.update(person.exercise, angles, timestampMs);
+
+            // Only touch React state when something visible changed
+            const changes = {};
+            if (repState.repCompleted) {
+                changes.repCounts = person.repCounter.getCounts();
+                workoutLog.recordRep(person.trackId, Date.now());
+                if (isCoached(person)) coachRef.current.repCompleted(person.exercise, repState.count);
+            }
+            if (repState.phase !== person.lastRepPhase) {
+                person.lastRepPhase = repState.phase;
+                changes.repPhase = repState.phase;
+            }
+            if (Object.keys(changes).length > 0) {
+                updatePerson(person.trackId, changes);
+            }
+        }
+
+        function updateHoldTimer(person, keypoints, now) {
+            const { holding: wasHolding, paused: wasPaused } = person.holdTimer.getState();
+            const state = person.holdTimer.update(person.exercise, keypoints, now);
+            if (state.completedHold) {
+                workoutLog.recordHold(person.trackId, state.completedHold, Date.now());
+            }
+
+            // Refresh the display ten times a second, or straight away when
+            // a hold starts, pauses or ends
+            if (state.holding !== wasHolding || state.paused !== wasPaused ||
+                (state.holding && now - person.lastHoldUpdate > 100)) {
+                person.lastHoldUpdate = now;
+                updatePerson(person.trackId, { holdState: state });
+            }
+        }
+
+        // Judge the camera view of the person on this frame, for the form
+        // rules that need a front or side view. Without both shoulders and
+        // hips in view the previous viewpoint is kept.
+        function updateViewpoint(person, landmarks, worldLandmarks) {
+            const { calibration } = settingsRef.current.settings;
+            const seen = VIEWPOINT_LANDMARKS.every(index =>
+                landmarks[index] && (landmarks[index].visibility || 0) >= calibration.minVisibility);
+            if (seen) person.viewpoint = detectViewpoint(landmarks, worldLandmarks || null, calibration);
+        }
+
+        function updateFormFeedback(person, keypoints, angles) {
+            const violations = person.formChecker.evaluate(
+                person.exercise, keypoints, angles, Date.now(), person.viewpoint
+            );
+
+            const formLog = person.formChecker.getLog();
+            formLog.slice(person.loggedFormWarnings).forEach(entry => {
+                workoutLog.recordFormWarning(person.trackId, entry.ruleId);
+                if (isCoached(person)) coachRef.current.formWarning(entry.ruleId, entry.message);
+            });
+            person.loggedFormWarnings = formLog.length;
+
+            // Highlights are read by Detection on its next draw
+            overlayRef.current = {
+                ...overlayRef.current,
+                [person.trackId]: {
+                    joints: violations.flatMap(violation => violation.joints),
+                    bones: violations.flatMap(violation => violation.bones)
                 }
+            };
+
+            const violationIds = violations.map(violation => violation.id).join(',');
+            if (violationIds !== person.lastViolationIds) {
+                person.lastViolationIds = violationIds;
+                updatePerson(person.trackId, {
+                    formViolations: violations,
+                    formWarningCount: person.formChecker.getLog().length
+                });
             }
-            
-            return keypoints;
         }
 
-        function updateSequence(keypoints) {
+        function updateSequence(person, keypoints) {
             // Add new frame to the queue
-            keypointsQueue.current.push(keypoints);
+            person.keypointsQueue.push(keypoints);
             
             // If we exceed capacity, remove the oldest frame
-            if (keypointsQueue.current.length > MAX_SEQUENCE_LENGTH) {
-                keypointsQueue.current.shift();
-            }
-            
-            // Debug check - log a sample of keypoints periodically
-            if (keypointsQueue.current.length % 10 === 0) {
-                // console.log(`Queue size: ${keypointsQueue.current.length}/${MAX_SEQUENCE_LENGTH}`);
-                // Log sample of non-zero keypoints to verify data
-                const nonZeroCount = keypointsQueue.current[keypointsQueue.current.length-1]
-                    .filter(kp => kp[0] !== 0 || kp[1] !== 0 || kp[2] !== 0)
-                    .length;
-                // console.log(`Latest frame has ${nonZeroCount}/33 non-zero keypoints`);
-            }
-            
-            // Only log when we have exactly 50 frames
-            if (keypointsQueue.current.length === MAX_SEQUENCE_LENGTH) {
-                console.log("Full sequence of 50 frames collected. Processing input...");
+            if (person.keypointsQueue.length > MAX_SEQUENCE_LENGTH) {
+                person.keypointsQueue.shift();
             }
         }
 
-        async function prepareInputAndInvoke(result) {
+        async function prepareInputAndInvoke(person, now) {
             try {
-                if (!model || !tf) {
-                    console.error("Model or TensorFlow not loaded");
-                    if(!model) {
-                        console.error("Model is not loaded yet");
-                    }
-                    if(!tf) {
-                        console.error("TensorFlow is not loaded yet");
-                    }
+                const { primary, compare, comparison: modelComparison } = classifiersRef.current;
+                if (!primary) {
+                    console.error("Model is not loaded yet");
                     return;
                 }
                 
-                // Throttle predictions to reduce CPU/GPU load
-                const now = Date.now();
-                if (window.lastPredictionTime && now - window.lastPredictionTime < 200) {
-                    return; // Limit to max 5 predictions per second
+                // Throttle predictions to reduce CPU/GPU load. Uses the frame
+                // timestamp so recorded clips are throttled the same way every run.
+                const { classification } = settingsRef.current.settings;
+                if (person.lastPredictionTime !== undefined &&
+                    now - person.lastPredictionTime < classification.minPredictionInterval) {
+                    return; // By default at most 5 predictions per second
                 }
-                window.lastPredictionTime = now;
+                person.lastPredictionTime = now;
                 
                 // Double-check we have exactly 50 frames
-                if (keypointsQueue.current.length !== MAX_SEQUENCE_LENGTH) {
-                    // console.log(`Waiting for complete sequence, current length: ${keypointsQueue.current.length}/${MAX_SEQUENCE_LENGTH}`);
+                if (person.keypointsQueue.length !== MAX_SEQUENCE_LENGTH) {
                     return;
                 }
                 
-                // Use tf.tidy to automatically clean up intermediate tensors
-                tf.tidy(() => {
-                    // Create array to hold the augmented data
-                    const augmentedData = [];
-                    
-                    // Process each frame from our sequence of 50
-                    for (let frameIdx = 0; frameIdx < MAX_SEQUENCE_LENGTH; frameIdx++) {
-                        const frame = keypointsQueue.current[frameIdx];
-                        
-                        // Calculate joint angles
-                        const angles = computeJointAngles(frame);
-                        
-                        // Create augmented frame
-                        const augmentedFrame = [];
-                        
-                        // Add features for each of the 33 keypoints
-                        for (let jointIdx = 0; jointIdx < 33; jointIdx++) {
-                            const joint = frame[jointIdx];
-                            
-                            // Combine keypoint data with angles
-                            augmentedFrame.push([
-                                joint[0], joint[1], joint[2], joint[3],  // x, y, z, visibility from original landmarks
-                                angles[0]/180, angles[1]/180, angles[2]/180, angles[3]/180  // normalized angles
-                            ]);
-                        }
-                        
-                        augmentedData.push(augmentedFrame);
-                    }
-                    
-                    // Create tensor with shape [1, 50, 33, 8]
-                    const inputTensor = tf.tensor(augmentedData).expandDims(0);
-                    // console.log("Input tensor shape:", inputTensor.shape);
-                    
-                    // Make prediction with the TFLite model
-                    const output = model.predict(inputTensor);
-                    
-                    // Get output data as array
-                    output.data().then(outputData => {
-                        // Find the index of the highest confidence class
-                        const predClass = argMax(outputData);
-                        const confidence = outputData[predClass];
-                        
-                        // Map numeric class to exercise name
-                        const exerciseNames = ['TreePose', 'Lunges', 'Push-Up', 'Squat'];
-                        
-                        // Log all prediction values
-                        console.log("Prediction values for all exercises:");
-                        exerciseNames.forEach((name, index) => {
-                            // console.log(`${name}: ${(outputData[index] * 100).toFixed(2)}%`);
-                        });
-                        
-                        // Only update UI for confident predictions
-                        if (confidence > 0.4) {
-                            const exerciseName = exerciseNames[predClass] || `Exercise ${predClass}`;
-                            
-                            // console.log(`TFLite prediction: ${exerciseName} (class ${predClass}), Confidence: ${(confidence * 100).toFixed(1)}%`);
-                            
-                            // Update UI with results
-                            handleExerciseSession(exerciseName, confidence);
-                        }
-                        
-                        // IMPORTANT: Clear the queue after prediction to reduce memory pressure
-                        keypointsQueue.current = [];
-                        // console.log("Cleared frame buffer after prediction. Building new sequence...");
-                    });
-                });
+                person.framesSincePrediction = 0;
+                person.predictionInFlight = true;
+
+                // Build the [1, 50, 33, 8] input from our sequence of 50 frames.
+                // In comparison mode both models see exactly the same window;
+                // each gets its own buffer since workers take ownership of it.
+                // Its angles are measured on the image keypoints as in
+                // training, whatever the angle source for reps and form rules.
+                const input = buildModelInput(person.keypointsQueue);
+                const compareInput = compare ? { ...input, data: input.data.slice() } : null;
+
+                // Awaited (rather than left running) so replayed sessions see
+                // every prediction in the same order
+                const [prediction, comparePrediction] = await Promise.all([
+                    primary.predict(input),
+                    compare ? compare.predict(compareInput) : null
+                ]);
+
+                person.latestProbabilities = prediction.probabilities;
+                setInferenceTiming(prediction.timing);
+                if (compare && modelComparison) {
+                    setComparison(modelComparison.update(prediction.probabilities, comparePrediction.probabilities));
+                }
+
+                // Smooth across windows; the shown exercise only changes once
+                // another class has led confidently for several windows
+                const smoothedPrediction = person.predictionSmoother.update(person.latestProbabilities);
+                if (smoothedPrediction.exercise) {
+                    // Update UI with results
+                    handleExerciseSession(person, smoothedPrediction.exercise, smoothedPrediction.confidence);
+                }
+
+                return person.latestProbabilities;
             } catch (error) {
                 console.error("Error in prepareInputAndInvoke:", error);
-                // Clear queue even on error to avoid getting stuck
-                keypointsQueue.current = [];
+            } finally {
+                person.predictionInFlight = false;
             }
+            return null;
         }
 
-        function argMax(array) {
-            return array.indexOf(Math.max(...array));
-        }
+        function handleExerciseSession(person, exercise, confidence) {
+            if (exercise !== person.exercise && isCoached(person)) {
+                coachRef.current.exerciseChanged(exercise);
+            }
 
-        function handleExerciseSession(exercise, confidence) {
             // Update state with prediction results
-            setExerciseClass(exercise);
-            setExerciseConfidence(confidence);
+            person.exercise = exercise;
+            workoutLog.recordExercise(person.trackId, exercise, Date.now());
+            updatePerson(person.trackId, { exerciseClass: exercise, exerciseConfidence: confidence });
             
             if (outputRef.current) {
-                outputRef.current.innerText = `Exercise: ${exercise}, Confidence: ${(confidence * 100).toFixed(2)}%`;
+                const who = persons.size > 1 ? `Person #${person.trackId} - ` : '';
+                outputRef.current.innerText = `${who}Exercise: ${exercise}, Confidence: ${(confidence * 100).toFixed(2)}%`;
             }
         }
 
-        // Add this function to compute joint angles with better error handling
-        function computeJointAngles(frame) {
-            try {
-                if (!frame || frame.length < 33) {
-                    return [0, 0, 0, 0]; // Default angles if frame is invalid
-                }
-                
-                // Extract joint positions
-                const leftShoulder = frame[11]; // left_shoulder
-                const leftElbow = frame[13];    // left_elbow
-                const leftWrist = frame[15];    // left_wrist
-                
-                const rightShoulder = frame[12]; // right_shoulder
-                const rightElbow = frame[14];    // right_elbow
-                const rightWrist = frame[16];    // right_wrist
-                
-                const leftHip = frame[23];      // left_hip
-                const leftKnee = frame[25];     // left_knee
-                const leftAnkle = frame[27];    // left_ankle
-                
-                const rightHip = frame[24];     // right_hip
-                const rightKnee = frame[26];    // right_knee
-                const rightAnkle = frame[28];   // right_ankle
-                
-                // Calculate angle between three points with better error handling
-                const calculateAngle = (a, b, c) => {
-                    // Skip calculation if any point is missing or has low visibility (fourth value)
-                    if (!a || !b || !c || 
-                        a[0] === 0 || b[0] === 0 || c[0] === 0 || 
-                        a[3] < 0.5 || b[3] < 0.5 || c[3] < 0.5) {
-                        return 0; // Return default angle
-                    }
-                    
-                    try {
-                        // Create vectors
-                        const vector1 = [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
-                        const vector2 = [c[0] - b[0], c[1] - b[1], c[2] - b[2]];
-                        
-                        // Calculate magnitudes with safety checks
-                        const magnitude1 = Math.sqrt(vector1[0]**2 + vector1[1]**2 + vector1[2]**2);
-                        const magnitude2 = Math.sqrt(vector2[0]**2 + vector2[1]**2 + vector2[2]**2);
-                        
-                        // Prevent division by zero
-                        if (magnitude1 < 0.0001 || magnitude2 < 0.0001) {
-                            return 0;
-                        }
-                        
-                        // Calculate dot product
-                        const dotProduct = vector1[0] * vector2[0] + vector1[1] * vector2[1] + vector1[2] * vector2[2];
-                        
-                        // Ensure the value is in valid range for acos
-                        const cosine = Math.max(-1, Math.min(1, dotProduct / (magnitude1 * magnitude2)));
-                        
-                        // Calculate and return angle in degrees
-                        return Math.round(Math.acos(cosine) * (180 / Math.PI));
-                    } catch (e) {
-                        console.warn("Error calculating angle:", e);
-                        return 0;
-                    }
-                };
-                
-                // Calculate angles with safety checks
-                let leftElbowAngle = 0, rightElbowAngle = 0, leftKneeAngle = 0, rightKneeAngle = 0;
-                
-                try {
-                    leftElbowAngle = calculateAngle(leftShoulder, leftElbow, leftWrist);
-                } catch (e) { console.warn("Left elbow angle calculation failed"); }
-                
-                try {
-                    rightElbowAngle = calculateAngle(rightShoulder, rightElbow, rightWrist);
-                } catch (e) { console.warn("Right elbow angle calculation failed"); }
-                
-                try {
-                    leftKneeAngle = calculateAngle(leftHip, leftKnee, leftAnkle);
-                } catch (e) { console.warn("Left knee angle calculation failed"); }
-                
-                try {
-                    rightKneeAngle = calculateAngle(rightHip, rightKnee, rightAnkle);
-                } catch (e) { console.warn("Right knee angle calculation failed"); }
-                
-                return [leftElbowAngle, rightElbowAngle, leftKneeAngle, rightKneeAngle];
-            } catch (error) {
-                console.error("Error computing joint angles:", error);
-                return [0, 0, 0, 0];
+        // Clear all per-frame state, e.g. when a new clip starts or the
+        // current one is seeked backwards
+        function resetPipeline() {
+            finishWorkout();
+            persons.clear();
+            overlayRef.current = null;
+            worldPoseRef.current = null;
+            coachRef.current.reset();
+            if (classifiersRef.current.comparison) {
+                classifiersRef.current.comparison.reset();
             }
+            setComparison(null);
+            setPeople({});
+        }
+
+        function saveWorkout(record) {
+            if (!record) return;
+            saveSession(record)
+                .then(() => setHistoryVersion(version => version + 1))
+                .catch(error => console.error("Error saving workout:", error));
         }
 
-        loadLibrariesAndModel();
+        // End the running workout session and save it. Holds still running
+        // are ended as of when their person was last seen.
+        function finishWorkout() {
+            if (!workoutLog.isActive()) return;
+            persons.forEach(person => {
+                const { completedHold } = person.holdTimer.update(null, null, person.lastSeen);
+                if (completedHold) {
+                    workoutLog.recordHold(person.trackId, completedHold, Date.now());
+                }
+            });
+            saveWorkout(workoutLog.end());
+        }
+
+        // Save the running session now and then so a refresh loses little,
+        // and end it once nobody has been seen for a while
+        const autosaveTimer = setInterval(() => {
+            if (workoutLog.isIdle(Date.now())) {
+                finishWorkout();
+            } else if (workoutLog.isActive()) {
+                saveWorkout(workoutLog.getRecord());
+            }
+        }, WORKOUT_LOG_SETTINGS.autosaveInterval);
+
+        // Rests run down even when nobody is in frame
+        const routineTimer = setInterval(() => {
+            const { runner } = routineRef.current;
+            if (runner) publishRoutineState(runner.tick(Date.now()));
+        }, 250);
 
-        // Expose the function to window for Detection component to call
+        const handlePageHide = () => saveWorkout(workoutLog.getRecord());
+        window.addEventListener('pagehide', handlePageHide);
+
+        // Expose the functions to window for Detection component to call
         window.onPoseLandmarksReceived = onPoseLandmarksReceived;
+        window.onPoseTimelineReset = resetPipeline;
 
         // Cleanup function
         return () => {
-            if (model) {
-                model.dispose();
-            }
-            
-            // Remove the global function
+            clearInterval(autosaveTimer);
+            clearInterval(routineTimer);
+            window.removeEventListener('pagehide', handlePageHide);
+            finishWorkout();
+            // Remove the global functions
             delete window.onPoseLandmarksReceived;
+            delete window.onPoseTimelineReset;
         };
     }, []);
 
-    // Handler for Detection component
-    const handlePoseLandmarksReceived = (results) => {
+    // Load the classifier(s) picked in the settings. Frames keep flowing
+    // while a new model loads; predictions resume once it is ready.
+    useEffect(() => {
+        let cancelled = false;
+        const primary = createClassifier(classifierSettings.model, classifierSettings);
+        const compare = classifierSettings.compareModel ?
+            createClassifier(classifierSettings.compareModel, classifierSettings) :
+            null;
+
+        setClassifierStatus('loading');
+        setComparison(null);
+        setInferenceTiming(null);
+
+        const modelReady = Promise.all([primary.load(), compare && compare.load()])
+            .then(() => {
+                if (cancelled) return;
+                classifiersRef.current = {
+                    primary,
+                    compare,
+                    comparison: compare ? createClassifierComparison() : null
+                };
+                setClassifierStatus('ready');
+            })
+            .catch(error => {
+                console.error("Error loading classifier model:", error);
+                if (!cancelled) setClassifierStatus(`Could not load model: ${error.message}`);
+            });
+
+        // Session replay waits for the models before feeding frames
+        window.exerciseModelReady = modelReady;
+
+        return () => {
+            cancelled = true;
+            if (classifiersRef.current.primary === primary) {
+                classifiersRef.current = { primary: null, compare: null, comparison: null };
+            }
+            primary.dispose();
+            if (compare) compare.dispose();
+            delete window.exerciseModelReady;
+        };
+    }, [classifierSettings]);
+
+    // Handler for Detection component. Memoised so Detection does not
+    // reinitialise the pose landmarker every time this component re-renders.
+    const handlePoseLandmarksReceived = useCallback((results) => {
         if (results.landmarks && results.landmarks.length > 0) {
-            setLandmarksDetected(true);
-            
             // Log landmarks received from Detection component
             // console.log("Landmarks received in handlePoseLandmarksReceived:", results.landmarks);
 
@@ -407,34 +705,273 @@ const Test2 = () => {
                 console.warn("window.onPoseLandmarksReceived is not defined");
             }
         }
-    };
+    }, []);
+
+    // A recorded source jumped back in time: start counting from scratch
+    const handleTimelineReset = useCallback(() => {
+        if (window.onPoseTimelineReset) {
+            window.onPoseTimelineReset();
+        }
+    }, []);
+
+    const handleInputSourceChange = useCallback((descriptor) => {
+        handleTimelineReset();
+        setInputSource(descriptor);
+    }, [handleTimelineReset]);
+
+    // People are re-created with thresholds tuned by a new or cleared profile
+    useEffect(() => {
+        if (calibrationRef.current.profile === calibrationProfile) return;
+        calibrationRef.current = { ...calibrationRef.current, profile: calibrationProfile, retune: true };
+    }, [calibrationProfile]);
+
+    const handleCalibrationStart = useCallback(() => {
+        const calibrator = createCalibrator(settingsRef.current.settings.calibration);
+        calibrationRef.current = { ...calibrationRef.current, calibrator, shownKey: null };
+        setCalibrationState(calibrator.update(null, null, 0));
+    }, []);
+
+    const handleCalibrationCancel = useCallback(() => {
+        calibrationRef.current = { ...calibrationRef.current, calibrator: null, shownKey: null };
+        overlayRef.current = null;
+        setCalibrationState(null);
+    }, []);
+
+    const handleCalibrationClear = useCallback(() => {
+        saveCalibrationProfile(null);
+        setCalibrationProfile(null);
+    }, []);
+
+    // The pipeline reads the settings on every frame
+    useEffect(() => {
+        if (settingsRef.current.settings === settings) return;
+        settingsRef.current = { settings, changed: true };
+    }, [settings]);
+
+    // Source handed to Detection. A new camera, resolution or frame rate
+    // restarts the camera stream only; mirroring is applied by Detection
+    // without a restart.
+    const { deviceId, resolution, frameRate } = cameraSettings;
+    const detectionSource = useMemo(() => (
+        inputSource.type === 'camera' ?
+            { ...inputSource, constraints: cameraConstraints({ deviceId, resolution, frameRate }) } :
+            inputSource
+    ), [inputSource, deviceId, resolution, frameRate]);
+
+    useEffect(() => {
+        saveRoutines(routines);
+    }, [routines]);
+
+    const handleRoutineStart = useCallback((routine) => {
+        const runner = createRoutineRunner(routine);
+        routineRef.current = { runner, shownKey: null };
+        const state = runner.start(Date.now());
+        coachRef.current.routineStarted(state);
+        setRoutineState(state);
+    }, []);
+
+    useEffect(() => {
+        coachRef.current.setSettings(audioSettings);
+    }, [audioSettings]);
+
+    // Try the cues out; also lets the browser start audio after a click
+    const handleAudioTest = useCallback(() => {
+        coachRef.current.repCompleted('Squat', 1);
+    }, []);
+
+    const handleRoutineStop = useCallback(() => {
+        routineRef.current = { runner: null, shownKey: null };
+        setRoutineState(null);
+    }, []);
+
+    // Session replay feeds recorded frames into the same pipeline as the
+    // camera. Detection is unmounted meanwhile so only replayed frames arrive.
+    const handleReplayStart = useCallback(async () => {
+        setReplaying(true);
+        await window.exerciseModelReady;
+        handleTimelineReset();
+    }, [handleTimelineReset]);
+
+    const handleReplayFrame = useCallback((result) => {
+        return window.onPoseLandmarksReceived ? window.onPoseLandmarksReceived(result) : null;
+    }, []);
+
+    const handleReplayEnd = useCallback(() => {
+        setReplaying(false);
+    }, []);
+
+    // People are shown once the classifier has named their exercise
+    const trackedPeople = Object.values(people).sort((a, b) => a.trackId - b.trackId);
+    const classifiedPeople = trackedPeople.filter(person => person.exerciseClass !== null);
+    const multiplePeople = trackedPeople.length > 1;
+
+    // Form cues of everyone in frame, labelled with whose they are
+    const formCues = trackedPeople
+        .filter(person => person.present)
+        .flatMap(person => person.formViolations.map(violation => multiplePeople ? {
+            ...violation,
+            id: `${person.trackId}-${violation.id}`,
+            message: `#${person.trackId}: ${violation.message}`
+        } : violation));
+
+    // Framing guidance of everyone in frame, labelled the same way
+    const framingIssues = trackedPeople
+        .filter(person => person.present)
+        .flatMap(person => person.framingIssues.map(issue => multiplePeople ? {
+            ...issue,
+            id: `${person.trackId}-${issue.id}`,
+            message: `#${person.trackId}: ${issue.message}`
+        } : issue));
 
     return (
         <div className="exercise-detection-container">
             <h1>Exercise Detection</h1>
+            <a href="#progress">📈 Progress</a>{' '}
+            <a href="#settings">⚙️ Settings</a>
             <div id="exercise-output" ref={outputRef} className="exercise-output">
                 Loading model...
             </div>
             
-            {/* Prediction display */}
-            {exerciseClass !== null && (
-                <div className="prediction-display">
-                    <h2>Current Exercise:</h2>
-                    <div className="exercise-class">{exerciseClass}</div>
-                    <div className="confidence-meter">
-                        <div className="confidence-label">Confidence: {(exerciseConfidence * 100).toFixed(2)}%</div>
-                        <div className="confidence-bar-container">
-                            <div 
-                                className="confidence-bar-fill" 
-                                style={{ width: `${exerciseConfidence * 100}%` }}
-                            ></div>
-                        </div>
-                    </div>
-                </div>
-            )}
+            {/* Prediction display, one card per tracked person */}
+            {classifiedPeople.map(person => (
+                <PersonStats
+                    key={person.trackId}
+                    person={person}
+                    title={multiplePeople ? `Person #${person.trackId}` : null}
+                    color={multiplePeople ? trackColor(person.trackId) : null}
+                />
+            ))}
             
-            {/* MediaPipe Detection Component */}
-            <Detection onPoseLandmarksReceived={handlePoseLandmarksReceived} />
+            {/* Calibration of the user's body and camera view before a session */}
+            <CalibrationWizard
+                state={calibrationState}
+                profile={calibrationProfile}
+                onStart={handleCalibrationStart}
+                onCancel={handleCalibrationCancel}
+                onClear={handleCalibrationClear}
+                disabled={replaying}
+            />
+
+            {/* Guided workout routines */}
+            <RoutinePanel
+                routines={routines}
+                onRoutinesChange={setRoutines}
+                routineState={routineState}
+                onStart={handleRoutineStart}
+                onStop={handleRoutineStop}
+                disabled={replaying}
+            />
+
+            {/* Camera, video file or image sequence */}
+            <InputSourcePicker inputSource={inputSource} onChange={handleInputSourceChange} />
+            {inputSource.type === 'camera' && (
+                <CameraSettingsPanel
+                    settings={cameraSettings}
+                    onChange={(camera) => settingsStore.update('camera', camera)}
+                    disabled={replaying}
+                />
+            )}
+            <div className="people-picker" style={{ display: 'flex', justifyContent: 'center', margin: '8px 0' }}>
+                <label>
+                    👥 People{' '}
+                    <select
+                        value={settings.tracking.maxPoses}
+                        onChange={(event) => settingsStore.update('tracking', { maxPoses: Number(event.target.value) })}
+                    >
+                        {[1, 2, 3, 4, 5, 6].map(count => (
+                            <option key={count} value={count}>{count}</option>
+                        ))}
+                    </select>
+                </label>
+                <label style={{ marginLeft: '12px' }} title="Measure joint angles in metres (world landmarks) or on the 2D image">
+                    📐 Angles{' '}
+                    <select
+                        value={settings.kinematics.angleSource}
+                        onChange={(event) => settingsStore.update('kinematics', { angleSource: event.target.value })}
+                    >
+                        <option value={ANGLE_SOURCES.WORLD}>World (metres)</option>
+                        <option value={ANGLE_SOURCES.IMAGE}>Image (2D)</option>
+                    </select>
+                </label>
+            </div>
+            <LandmarkFilterControls
+                settings={settings.landmarkFilter}
+                onChange={(landmarkFilter) => settingsStore.update('landmarkFilter', landmarkFilter)}
+            />
+            <AudioCoachControls
+                settings={audioSettings}
+                onChange={(audio) => settingsStore.update('audio', audio)}
+                onTest={handleAudioTest}
+            />
+            <ClassifierPicker
+                settings={classifierSettings}
+                onChange={(classifier) => settingsStore.update('classifier', classifier)}
+                status={classifierStatus}
+                timing={inferenceTiming}
+                disabled={replaying}
+            />
+            {classifierSettings.compareModel && (
+                <ClassifierComparison
+                    comparison={comparison}
+                    primaryLabel={modelLabel(classifierSettings.model)}
+                    compareLabel={modelLabel(classifierSettings.compareModel)}
+                />
+            )}
+            <SessionRecorderControls recorder={recorderRef.current} sourceKind={inputSource.type} />
+            <SessionReplayControls
+                onStart={handleReplayStart}
+                onFrame={handleReplayFrame}
+                onEnd={handleReplayEnd}
+                detectionSettings={settings.detection}
+            />
+            <div className="history-toggle" style={{ display: 'flex', justifyContent: 'center', margin: '8px 0' }}>
+                <button onClick={() => setShowHistory(shown => !shown)}>
+                    📜 {showHistory ? 'Hide history' : 'Workout history'}
+                </button>
+                <button onClick={() => setShow3D(shown => !shown)} style={{ marginLeft: '8px' }}>
+                    🧊 {show3D ? 'Hide 3D view' : '3D view'}
+                </button>
+                <button onClick={() => setShowSettings(shown => !shown)} style={{ marginLeft: '8px' }}>
+                    ⚙️ {showSettings ? 'Hide settings' : 'All settings'}
+                </button>
+            </div>
+            {showHistory && <WorkoutHistory refreshKey={historyVersion} />}
+            {/* Changes apply to the running pipeline from the next frame */}
+            {showSettings && <SettingsPanel />}
+
+            <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'flex-start', gap: '12px' }}>
+                {/* MediaPipe Detection Component, paused while a session is replayed */}
+                {replaying ? (
+                    <div className="replay-placeholder" style={{ width: '640px', height: '480px', margin: '0 auto', border: '2px solid #333', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+                        ⏯ Replaying recorded session - camera paused
+                    </div>
+                ) : (
+                    <Detection
+                        onPoseLandmarksReceived={handlePoseLandmarksReceived}
+                        onTimelineReset={handleTimelineReset}
+                        overlayRef={overlayRef}
+                        inputSource={detectionSource}
+                        numPoses={settings.tracking.maxPoses}
+                        landmarkFilter={settings.landmarkFilter}
+                        mirror={cameraSettings.mirror}
+                        detectionSettings={settings.detection}
+                        trackingSettings={settings.tracking}
+                    >
+                        <FormCueOverlay violations={formCues} />
+                        <FramingGuidanceOverlay
+                            issues={framingIssues}
+                            mirrored={inputSource.type === 'camera' && cameraSettings.mirror}
+                        />
+                    </Detection>
+                )}
+
+                {/* World-space skeleton, next to the video */}
+                {show3D && (
+                    <Suspense fallback={<div style={{ width: '480px' }}>Loading 3D view...</div>}>
+                        <SkeletonViewer3D poseRef={worldPoseRef} />
+                    </Suspense>
+                )}
+            </div>
         </div>
     );
 };
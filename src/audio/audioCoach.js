@@ -0,0 +1,189 @@
+// Spoken coaching cues: rep counts, exercise changes, form warnings and the
+// progress of a routine (sets, rest countdown). Cues are queued and played
+// one at a time through an output (see speechOutput.js), so they never talk
+// over each other:
+//   - a newer cue replaces a waiting one of the same kind (only the latest
+//     rep count is said)
+//   - more important cues (set done, rest ending) jump the queue
+//   - cues that waited too long are dropped as out of date
+//   - the same form warning is repeated at most every formWarningCooldown
+// Verbosity decides which cues are spoken, and which are only a tone.
+
+import { STEP_KINDS } from '../routines/routines';
+
+export const VERBOSITY = {
+    // Tones only, plus routine milestones
+    MINIMAL: 'minimal',
+    NORMAL: 'normal',
+    // Also says which exercise reps are for and what comes next
+    DETAILED: 'detailed'
+};
+
+export const AUDIO_SETTINGS = {
+    muted: false,
+    // 0 to 1
+    volume: 0.8,
+    verbosity: VERBOSITY.NORMAL,
+    speechRate: 1.1,
+    // Pause after each cue (ms)
+    minGap: 300,
+    // Cues still waiting after this long are dropped (ms)
+    maxQueueAge: 3000,
+    // The same form warning is repeated at most this often (ms)
+    formWarningCooldown: 8000
+};
+
+const PRIORITY = {
+    NORMAL: 1,
+    HIGH: 2
+};
+
+// Seconds left of a rest at which the countdown speaks or ticks
+const REST_ANNOUNCEMENT = 10;
+const REST_TICKS = [3, 2, 1];
+
+const DEFAULT_CLOCK = {
+    now: () => Date.now(),
+    wait: (ms) => new Promise(resolve => setTimeout(resolve, ms))
+};
+
+const describeTarget = (step) => (step.kind === STEP_KINDS.HOLD ? `${step.target} seconds` : `${step.target} reps`);
+
+// Create a coach playing cues through `output`. `clock` provides now() and
+// wait(ms), and can be replaced to run without real time passing.
+export function createAudioCoach(output, settings = AUDIO_SETTINGS, clock = DEFAULT_CLOCK) {
+    let current = settings;
+    // Waiting cues, most important first: { key, text, tone, priority, queuedAt }
+    let queue = [];
+    let playing = false;
+    // Last time each form rule was announced
+    let lastWarnings = {};
+    // Whole seconds left of the rest at the previous routine update
+    let lastRestSecond = null;
+
+    const isVerbose = () => current.verbosity !== VERBOSITY.MINIMAL;
+    const isDetailed = () => current.verbosity === VERBOSITY.DETAILED;
+
+    const play = async () => {
+        if (playing) return;
+        playing = true;
+        try {
+            while (queue.length > 0) {
+                const cue = queue.shift();
+                if (clock.now() - cue.queuedAt > current.maxQueueAge) continue;
+
+                if (cue.tone) await output.playTone(cue.tone, current.volume);
+                if (cue.text) await output.speak(cue.text, { volume: current.volume, rate: current.speechRate });
+                await clock.wait(current.minGap);
+            }
+        } catch (error) {
+            console.warn("Audio cue failed:", error);
+            queue = [];
+        } finally {
+            playing = false;
+        }
+    };
+
+    // Queue a cue, replacing a waiting one with the same key or one of the
+    // keys listed in cue.replaces
+    const enqueue = (cue) => {
+        if (current.muted || (!cue.text && !cue.tone)) return;
+
+        const replaced = [cue.key, ...(cue.replaces || [])];
+        queue = queue.filter(waiting => !replaced.includes(waiting.key));
+        const entry = { priority: PRIORITY.NORMAL, ...cue, queuedAt: clock.now() };
+        const index = queue.findIndex(waiting => waiting.priority < entry.priority);
+        if (index === -1) queue.push(entry);
+        else queue.splice(index, 0, entry);
+        play();
+    };
+
+    const reset = () => {
+        queue = [];
+        lastWarnings = {};
+        lastRestSecond = null;
+        output.cancel();
+    };
+
+    const setSettings = (newSettings) => {
+        current = newSettings;
+        if (current.muted) {
+            queue = [];
+            output.cancel();
+        }
+    };
+
+    const repCompleted = (exercise, count) => {
+        enqueue(isVerbose() ?
+            { key: 'rep', text: isDetailed() ? `${exercise} ${count}` : String(count) } :
+            { key: 'rep', tone: 'rep' });
+    };
+
+    const exerciseChanged = (exercise) => {
+        if (!exercise || !isVerbose()) return;
+        enqueue({ key: 'exercise', text: exercise, priority: PRIORITY.HIGH });
+    };
+
+    const formWarning = (ruleId, message) => {
+        const now = clock.now();
+        if (lastWarnings[ruleId] !== undefined && now - lastWarnings[ruleId] < current.formWarningCooldown) return;
+        lastWarnings[ruleId] = now;
+        enqueue({ key: `form-${ruleId}`, tone: 'warning', text: isVerbose() ? message : null });
+    };
+
+    const routineStarted = (state) => {
+        if (!state.step) return;
+        const first = state.step.kind === STEP_KINDS.REST ? '' : ` ${state.step.exercise}, ${describeTarget(state.step)}.`;
+        enqueue({ key: 'routine', tone: 'go', text: `Starting ${state.routineName}.${first}`, priority: PRIORITY.HIGH });
+    };
+
+    // Feed every routine runner state; announces its events and counts down rests
+    const routineUpdate = (state) => {
+        if (state.event === 'set-completed') {
+            let text = 'Set complete.';
+            if (state.status === 'rest') {
+                text += ` Rest ${Math.round(state.restRemainingMs / 1000)} seconds.`;
+                if (isDetailed() && state.nextStep) {
+                    text += ` Next, ${state.nextStep.exercise}, ${describeTarget(state.nextStep)}.`;
+                }
+            } else if (state.step && isDetailed()) {
+                text += ` Next, ${state.step.exercise}, ${describeTarget(state.step)}.`;
+            }
+            // The set's last rep count would only come after this
+            enqueue({ key: 'routine', tone: 'set', text, priority: PRIORITY.HIGH, replaces: ['rep'] });
+        } else if (state.event === 'rest-completed' && state.step) {
+            enqueue({
+                key: 'routine',
+                tone: 'go',
+                text: `Go! ${state.step.exercise}, ${describeTarget(state.step)}.`,
+                priority: PRIORITY.HIGH
+            });
+        } else if (state.event === 'routine-completed') {
+            enqueue({ key: 'routine', tone: 'set', text: `${state.routineName} complete. Well done!`, priority: PRIORITY.HIGH });
+        }
+
+        if (state.status !== 'rest') {
+            lastRestSecond = null;
+            return;
+        }
+        const seconds = Math.ceil(state.restRemainingMs / 1000);
+        if (seconds === lastRestSecond) return;
+        lastRestSecond = seconds;
+
+        if (seconds === REST_ANNOUNCEMENT && isVerbose()) {
+            enqueue({ key: 'rest', text: `${seconds} seconds`, priority: PRIORITY.HIGH });
+        } else if (REST_TICKS.includes(seconds)) {
+            enqueue({ key: 'rest', tone: 'countdown', priority: PRIORITY.HIGH });
+        }
+    };
+
+    return {
+        repCompleted,
+        exerciseChanged,
+        formWarning,
+        routineStarted,
+        routineUpdate,
+        setSettings,
+        reset
+    };
+}
@@ -0,0 +1,161 @@
+import { describe, expect, it, vi } from 'vitest';
+import { AUDIO_SETTINGS, createAudioCoach, VERBOSITY } from './audioCoach';
+
+// Output that logs what is played. Tones end straight away; each spoken cue
+// lasts until finishSpeech() is called, so cues can be queued behind it.
+function createFakeOutput() {
+    const output = {
+        played: [],
+        finishSpeech: null,
+        speak: vi.fn((text) => {
+            output.played.push(text);
+            return new Promise(resolve => {
+                output.finishSpeech = resolve;
+            });
+        }),
+        playTone: vi.fn((tone) => {
+            output.played.push(`tone:${tone}`);
+            return Promise.resolve();
+        }),
+        cancel: vi.fn()
+    };
+    return output;
+}
+
+// Clock whose time only moves when told to (or by the gap after each cue)
+function createFakeClock() {
+    const clock = {
+        time: 0,
+        now: () => clock.time,
+        wait: (ms) => {
+            clock.time += ms;
+            return Promise.resolve();
+        }
+    };
+    return clock;
+}
+
+// Let the coach's play loop run until it waits on the output again
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// End the cue being spoken and let the next one start
+async function finishSpeech(output) {
+    output.finishSpeech();
+    await settle();
+}
+
+function createCoach(settings = {}) {
+    const output = createFakeOutput();
+    const clock = createFakeClock();
+    const coach = createAudioCoach(output, { ...AUDIO_SETTINGS, ...settings }, clock);
+    return { coach, output, clock };
+}
+
+describe('createAudioCoach rate limiting', () => {
+    it('only says the latest of the rep counts waiting', async () => {
+        const { coach, output } = createCoach();
+
+        coach.repCompleted('Squat', 1);
+        coach.repCompleted('Squat', 2);
+        coach.repCompleted('Squat', 3);
+        await finishSpeech(output);
+        await finishSpeech(output);
+
+        expect(output.played).toEqual(['1', '3']);
+    });
+
+    it('drops cues that waited longer than maxQueueAge', async () => {
+        const { coach, output, clock } = createCoach({ maxQueueAge: 3000 });
+
+        coach.repCompleted('Squat', 1);
+        coach.exerciseChanged('Lunges');
+        clock.time += 3500;
+        await finishSpeech(output);
+
+        expect(output.played).toEqual(['1']);
+    });
+
+    it('leaves a gap of minGap after each cue', async () => {
+        const { coach, output, clock } = createCoach({ minGap: 300 });
+
+        coach.repCompleted('Squat', 1);
+        await finishSpeech(output);
+
+        expect(clock.time).toBe(300);
+    });
+
+    it('repeats the same form warning only after the cooldown', async () => {
+        const { coach, output, clock } = createCoach({ formWarningCooldown: 8000, verbosity: VERBOSITY.MINIMAL });
+
+        coach.formWarning('squat_knee_valgus', 'Push your knees out');
+        await settle();
+        clock.time += 5000;
+        coach.formWarning('squat_knee_valgus', 'Push your knees out');
+        await settle();
+        coach.formWarning('squat_depth', 'Go lower');
+        await settle();
+        clock.time += 5000;
+        coach.formWarning('squat_knee_valgus', 'Push your knees out');
+        await settle();
+
+        expect(output.played).toEqual(['tone:warning', 'tone:warning', 'tone:warning']);
+        expect(output.speak).not.toHaveBeenCalled();
+    });
+});
+
+describe('createAudioCoach priority', () => {
+    it('plays important cues ahead of waiting ones', async () => {
+        const { coach, output } = createCoach();
+
+        coach.repCompleted('Squat', 1);
+        coach.formWarning('squat_depth', 'Go lower');
+        coach.exerciseChanged('Lunges');
+        await finishSpeech(output);
+        await finishSpeech(output);
+        await finishSpeech(output);
+
+        expect(output.played).toEqual(['1', 'Lunges', 'tone:warning', 'Go lower']);
+    });
+
+    it('drops a waiting rep count once the set is complete', async () => {
+        const { coach, output } = createCoach();
+
+        coach.repCompleted('Squat', 9);
+        coach.repCompleted('Squat', 10);
+        coach.routineUpdate({ event: 'set-completed', status: 'rest', restRemainingMs: 30000, nextStep: null });
+        await finishSpeech(output);
+        await finishSpeech(output);
+
+        expect(output.played).toEqual(['9', 'tone:set', 'Set complete. Rest 30 seconds.']);
+    });
+});
+
+describe('createAudioCoach muting', () => {
+    it('plays nothing while muted', async () => {
+        const { coach, output } = createCoach({ muted: true });
+
+        coach.repCompleted('Squat', 1);
+        coach.formWarning('squat_depth', 'Go lower');
+        coach.routineUpdate({ event: 'routine-completed', status: 'done', routineName: 'Legs' });
+        await settle();
+
+        expect(output.played).toEqual([]);
+    });
+
+    it('cuts off the current cue and forgets waiting ones when muted', async () => {
+        const { coach, output } = createCoach();
+
+        coach.repCompleted('Squat', 1);
+        coach.exerciseChanged('Lunges');
+        coach.setSettings({ ...AUDIO_SETTINGS, muted: true });
+        await finishSpeech(output);
+
+        expect(output.cancel).toHaveBeenCalled();
+        expect(output.played).toEqual(['1']);
+
+        coach.setSettings({ ...AUDIO_SETTINGS, muted: false });
+        coach.repCompleted('Squat', 2);
+        await settle();
+        expect(output.played).toEqual(['1', '2']);
+    });
+});
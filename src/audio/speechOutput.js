@@ -0,0 +1,93 @@
+// Audio output used by the audio coach (see audioCoach.js): spoken phrases
+// through the Web Speech API and short tones through the Web Audio API.
+//
+// The coach only needs an object with
+//   speak(text, { volume, rate })  - resolves once the phrase has been said
+//   playTone(kind, volume)         - resolves once the tone has played
+//   cancel()                       - stops whatever is playing
+// so anything with those methods can stand in for it, such as a silent
+// output or a fake that records the calls.
+
+// Notes of each tone, as [frequency (Hz), duration (s)]
+export const TONES = {
+    rep: [[880, 0.08]],
+    set: [[660, 0.12], [880, 0.18]],
+    warning: [[220, 0.25]],
+    countdown: [[660, 0.1]],
+    go: [[990, 0.3]]
+};
+
+// Longest a phrase may take before it counts as finished, for browsers that
+// sometimes never fire the utterance's end event
+const maxSpeechTime = (text) => 2000 + text.length * 120;
+
+// Output that plays nothing, for browsers without speech or audio support
+export function createSilentOutput() {
+    return {
+        speak: () => Promise.resolve(),
+        playTone: () => Promise.resolve(),
+        cancel: () => {}
+    };
+}
+
+// Output through the browser's speech synthesis and Web Audio. Either half
+// falls back to silence where the browser does not support it.
+export function createSpeechOutput() {
+    const synth = typeof window !== 'undefined' && window.speechSynthesis ? window.speechSynthesis : null;
+    const AudioContextClass = typeof window !== 'undefined' ?
+        window.AudioContext || window.webkitAudioContext : null;
+    // Created on first use; browsers only let it start after a user gesture
+    let audioContext = null;
+
+    const speak = (text, { volume, rate }) => new Promise(resolve => {
+        if (!synth || typeof SpeechSynthesisUtterance === 'undefined') {
+            resolve();
+            return;
+        }
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.volume = volume;
+        utterance.rate = rate;
+
+        const timeout = setTimeout(resolve, maxSpeechTime(text));
+        const finish = () => {
+            clearTimeout(timeout);
+            resolve();
+        };
+        utterance.onend = finish;
+        utterance.onerror = finish;
+        synth.speak(utterance);
+    });
+
+    const playTone = async (kind, volume) => {
+        const notes = TONES[kind];
+        if (!AudioContextClass || !notes) return;
+
+        if (!audioContext) audioContext = new AudioContextClass();
+        if (audioContext.state === 'suspended') await audioContext.resume();
+
+        let start = audioContext.currentTime;
+        notes.forEach(([frequency, duration]) => {
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            oscillator.frequency.value = frequency;
+            // Short fade in and out to avoid clicks
+            gain.gain.setValueAtTime(0, start);
+            gain.gain.linearRampToValueAtTime(volume * 0.5, start + 0.01);
+            gain.gain.linearRampToValueAtTime(0, start + duration);
+            oscillator.connect(gain).connect(audioContext.destination);
+            oscillator.start(start);
+            oscillator.stop(start + duration);
+            start += duration;
+        });
+
+        const totalDuration = notes.reduce((sum, [, duration]) => sum + duration, 0);
+        await new Promise(resolve => setTimeout(resolve, totalDuration * 1000));
+    };
+
+    const cancel = () => {
+        if (synth) synth.cancel();
+    };
+
+    return { speak, playTone, cancel };
+}
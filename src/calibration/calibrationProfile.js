@@ -0,0 +1,114 @@
+// The user's calibration profile (see calibrator.js), remembered in
+// localStorage between visits, and the thresholds it tunes.
+//
+// Profile (version 1):
+//   {
+//     version: 1,
+//     createdAt,                 // ms since the epoch
+//     viewpoint,                 // VIEWPOINTS value the camera saw the user from
+//     imageShinLength,           // average shin length, fraction of the image height
+//     hipHeight,                 // hips above the ankles in metres, or null
+//     limbLengths,               // { torso, shoulderWidth, upperArm, forearm,
+//                                //   thigh, shin } in metres, or null
+//     neutralAngles: {           // standing angles from computeKinematics
+//       image: { leftKnee, ... },
+//       world: { leftKnee, ... } // or null without world landmarks
+//     }
+//   }
+//
+// Metric values are null when the calibration ran without world landmarks.
+
+import { HOLD_SETTINGS } from '../utils/holdTimer';
+import { ANGLE_SOURCES } from '../utils/kinematics';
+import { REP_SETTINGS } from '../utils/repCounter';
+
+export const CALIBRATION_PROFILE_VERSION = 1;
+
+export const VIEWPOINTS = {
+    FRONT: 'front',
+    SIDE: 'side'
+};
+
+export const TUNING_SETTINGS = {
+    // A rep's top is reached this many degrees short of the user's standing angle
+    topAngleMargin: 8,
+    // The raised-foot threshold of holds (from the settings) is scaled by the
+    // user's shin length in the image over this one (fraction of the image
+    // height), with the scale kept within the limits below
+    referenceShinLength: 0.17,
+    minRaisedFootScale: 0.4,
+    maxRaisedFootScale: 2
+};
+
+const STORAGE_KEY = 'exerciseDetection.calibrationProfile';
+
+// The saved profile, or null if there is none or it is from an older version
+export function loadCalibrationProfile() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return saved && saved.version === CALIBRATION_PROFILE_VERSION ? saved : null;
+    } catch (error) {
+        console.warn("Could not read the calibration profile:", error);
+        return null;
+    }
+}
+
+// Save a profile, or forget the saved one when profile is null
+export function saveCalibrationProfile(profile) {
+    try {
+        if (profile) {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+        } else {
+            localStorage.removeItem(STORAGE_KEY);
+        }
+    } catch (error) {
+        console.warn("Could not save the calibration profile:", error);
+    }
+}
+
+// Lower each rep exercise's top angle to just under the user's standing
+// angle, for people whose knees or elbows do not straighten as far as the
+// defaults expect. The top stays far enough above the bottom for the hysteresis.
+function tuneRepSettings(repSettings, neutralAngles, settings) {
+    return Object.fromEntries(Object.entries(repSettings).map(([exercise, exerciseSettings]) => {
+        const standing = exerciseSettings.angles.map(name => neutralAngles[name]).filter(angle => angle > 0);
+        if (standing.length === 0) return [exercise, exerciseSettings];
+
+        const topAngle = Math.min(exerciseSettings.topAngle, Math.round(Math.min(...standing) - settings.topAngleMargin));
+        if (topAngle - exerciseSettings.bottomAngle < 2 * exerciseSettings.hysteresis) {
+            return [exercise, exerciseSettings];
+        }
+        return [exercise, { ...exerciseSettings, topAngle }];
+    }));
+}
+
+// Settings for a person's rep counter and hold timer: { repSettings,
+// holdSettings }, starting from `base` (the user's settings, see
+// settings/settingsStore.js). Unchanged without a profile. Form rules are
+// not tuned: they follow the viewpoint of each frame instead of the one
+// seen while calibrating.
+export function tuneSettings(
+    profile,
+    angleSource,
+    base = { repSettings: REP_SETTINGS, holdSettings: HOLD_SETTINGS },
+    settings = TUNING_SETTINGS
+) {
+    if (!profile) {
+        return { repSettings: base.repSettings, holdSettings: base.holdSettings };
+    }
+
+    const neutralAngles = angleSource === ANGLE_SOURCES.WORLD && profile.neutralAngles.world ?
+        profile.neutralAngles.world :
+        profile.neutralAngles.image;
+
+    const raisedFootScale = Math.min(settings.maxRaisedFootScale, Math.max(
+        settings.minRaisedFootScale,
+        profile.imageShinLength / settings.referenceShinLength
+    ));
+    const raisedFootThreshold = base.holdSettings.raisedFootThreshold * raisedFootScale;
+
+    return {
+        repSettings: tuneRepSettings(base.repSettings, neutralAngles, settings),
+        holdSettings: { ...base.holdSettings, raisedFootThreshold }
+    };
+}
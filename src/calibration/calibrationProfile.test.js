@@ -0,0 +1,125 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+    CALIBRATION_PROFILE_VERSION,
+    loadCalibrationProfile,
+    saveCalibrationProfile,
+    TUNING_SETTINGS,
+    tuneSettings,
+    VIEWPOINTS
+} from './calibrationProfile';
+import { HOLD_SETTINGS } from '../utils/holdTimer';
+import { ANGLE_SOURCES } from '../utils/kinematics';
+import { REP_SETTINGS } from '../utils/repCounter';
+
+// A profile with the given standing angles, the same in the image and in
+// world space unless `world` is given
+const profile = (angles, { imageShinLength = TUNING_SETTINGS.referenceShinLength, world = angles } = {}) => ({
+    version: CALIBRATION_PROFILE_VERSION,
+    createdAt: 0,
+    viewpoint: VIEWPOINTS.FRONT,
+    imageShinLength,
+    hipHeight: null,
+    limbLengths: null,
+    neutralAngles: { image: angles, world }
+});
+
+const STRAIGHT = { leftKnee: 180, rightKnee: 180, leftElbow: 180, rightElbow: 180 };
+
+describe('tuneSettings', () => {
+    it('keeps the base settings without a profile', () => {
+        const base = { repSettings: REP_SETTINGS, holdSettings: { ...HOLD_SETTINGS, raisedFootThreshold: 0.1 } };
+
+        expect(tuneSettings(null, ANGLE_SOURCES.IMAGE, base)).toEqual(base);
+        expect(tuneSettings(null, ANGLE_SOURCES.IMAGE)).toEqual({ repSettings: REP_SETTINGS, holdSettings: HOLD_SETTINGS });
+    });
+
+    it('keeps the defaults for someone who straightens fully', () => {
+        const { repSettings } = tuneSettings(profile(STRAIGHT), ANGLE_SOURCES.IMAGE);
+
+        expect(repSettings).toEqual(REP_SETTINGS);
+    });
+
+    it('lowers the top angle to just under the lowest standing angle', () => {
+        const { repSettings } = tuneSettings(profile({ ...STRAIGHT, leftKnee: 158, rightKnee: 163 }), ANGLE_SOURCES.IMAGE);
+
+        expect(repSettings.Squat.topAngle).toBe(158 - TUNING_SETTINGS.topAngleMargin);
+        expect(repSettings.Lunges.topAngle).toBe(150);
+        expect(repSettings['Push-Up']).toEqual(REP_SETTINGS['Push-Up']);
+    });
+
+    it('does not lower the top angle into the hysteresis above the bottom', () => {
+        // 125 - 8 = 117 would leave Squat only 17 degrees above its bottom of 100
+        const { repSettings } = tuneSettings(profile({ ...STRAIGHT, leftKnee: 125, rightKnee: 125 }), ANGLE_SOURCES.IMAGE);
+
+        expect(repSettings.Squat).toBe(REP_SETTINGS.Squat);
+    });
+
+    it('ignores missing standing angles', () => {
+        const { repSettings } = tuneSettings(profile({ ...STRAIGHT, leftKnee: 0, rightKnee: 150 }), ANGLE_SOURCES.IMAGE);
+
+        expect(repSettings.Squat.topAngle).toBe(142);
+    });
+
+    it('uses the world angles for world angle sources, when the profile has them', () => {
+        const tuned = profile(STRAIGHT, { world: { ...STRAIGHT, leftKnee: 150 } });
+
+        expect(tuneSettings(tuned, ANGLE_SOURCES.WORLD).repSettings.Squat.topAngle).toBe(142);
+        expect(tuneSettings(tuned, ANGLE_SOURCES.IMAGE).repSettings.Squat.topAngle).toBe(160);
+        expect(tuneSettings(profile(STRAIGHT, { world: null }), ANGLE_SOURCES.WORLD).repSettings.Squat.topAngle)
+            .toBe(160);
+    });
+
+    it('scales the raised-foot threshold of the base settings by the shin length', () => {
+        const base = { repSettings: REP_SETTINGS, holdSettings: { ...HOLD_SETTINGS, raisedFootThreshold: 0.1 } };
+        const threshold = (imageShinLength) =>
+            tuneSettings(profile(STRAIGHT, { imageShinLength }), ANGLE_SOURCES.IMAGE, base).holdSettings.raisedFootThreshold;
+
+        expect(threshold(0.17)).toBeCloseTo(0.1, 10);
+        expect(threshold(0.255)).toBeCloseTo(0.15, 10);
+        // Kept within minRaisedFootScale and maxRaisedFootScale
+        expect(threshold(0.01)).toBeCloseTo(0.04, 10);
+        expect(threshold(1)).toBeCloseTo(0.2, 10);
+    });
+});
+
+describe('saved profile', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = new Map();
+        vi.stubGlobal('localStorage', {
+            getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: (key) => storage.delete(key)
+        });
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('is null until a profile is saved, and after it is forgotten', () => {
+        expect(loadCalibrationProfile()).toBeNull();
+
+        saveCalibrationProfile(profile(STRAIGHT));
+        expect(loadCalibrationProfile()).toEqual(profile(STRAIGHT));
+
+        saveCalibrationProfile(null);
+        expect(loadCalibrationProfile()).toBeNull();
+    });
+
+    it('is null when saved by another profile version', () => {
+        saveCalibrationProfile({ ...profile(STRAIGHT), version: CALIBRATION_PROFILE_VERSION + 1 });
+
+        expect(loadCalibrationProfile()).toBeNull();
+    });
+
+    it('is null, with a warning, when the saved value is not JSON', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.spyOn(localStorage, 'getItem').mockReturnValue('{');
+
+        expect(loadCalibrationProfile()).toBeNull();
+        expect(warn).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,219 @@
+// Guided calibration run before a session. The user steps into view until
+// every landmark is seen with enough confidence, then stands still with
+// their arms by their sides while their standing baseline is sampled:
+// hip height, limb lengths and neutral joint angles, and whether the camera
+// sees them from the front or the side. The result is a profile (see
+// calibrationProfile.js) used to tune thresholds for the rest of the session.
+//
+// Landmarks are MediaPipe landmark objects ({ x, y, z, visibility }): the
+// image landmarks of one person and, when available, their world landmarks.
+
+import { landmarksToKeypoints } from '../utils/features';
+import { computeKinematics } from '../utils/kinematics';
+import { NUM_LANDMARKS } from '../utils/landmarks';
+import { CALIBRATION_PROFILE_VERSION, VIEWPOINTS } from './calibrationProfile';
+
+export const CALIBRATION_SETTINGS = {
+    // Every landmark needs at least this visibility
+    minVisibility: 0.5,
+    // How long to stand still while the baseline is sampled (ms)
+    holdTime: 2000,
+    // How far the shoulder and hip midpoints may drift while standing still
+    // (fraction of the image)
+    maxDrift: 0.03,
+    // The view counts as side-on when the shoulder line points this many
+    // times more towards the camera than across it
+    sideViewRatio: 1
+};
+
+export const CALIBRATION_STEPS = {
+    // Waiting for every landmark to be visible
+    FRAMING: 'framing',
+    // Sampling the standing baseline
+    HOLD: 'hold',
+    DONE: 'done'
+};
+
+// Landmarks by body part, to tell the user what is out of view
+export const BODY_PARTS = {
+    Face: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+    'Left arm': [11, 13, 15, 17, 19, 21],
+    'Right arm': [12, 14, 16, 18, 20, 22],
+    'Left leg': [23, 25, 27, 29, 31],
+    'Right leg': [24, 26, 28, 30, 32]
+};
+
+// Segments measured for the limb lengths, as [left, right] landmark pairs
+const LIMBS = {
+    upperArm: [[11, 13], [12, 14]],
+    forearm: [[13, 15], [14, 16]],
+    thigh: [[23, 25], [24, 26]],
+    shin: [[25, 27], [26, 28]]
+};
+
+const ALL_LANDMARKS = Array.from({ length: NUM_LANDMARKS }, (_, index) => index);
+
+// Indices of the landmarks below minVisibility (all of them if there is no pose)
+export function missingLandmarks(landmarks, minVisibility = CALIBRATION_SETTINGS.minVisibility) {
+    if (!landmarks) return ALL_LANDMARKS;
+    return ALL_LANDMARKS.filter(index => !landmarks[index] || (landmarks[index].visibility || 0) < minVisibility);
+}
+
+// Names of the body parts with a missing landmark
+export const missingBodyParts = (missing) => Object.keys(BODY_PARTS)
+    .filter(part => BODY_PARTS[part].some(index => missing.includes(index)));
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, z: (a.z + b.z) / 2 });
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Front or side view of one frame. In world space the shoulder line runs
+// across the picture when facing the camera and towards it when side-on.
+// Without world landmarks, a narrow shoulder width compared with the torso
+// length in the image means side-on.
+export function detectViewpoint(landmarks, worldLandmarks, settings = CALIBRATION_SETTINGS) {
+    if (worldLandmarks) {
+        const across = Math.abs(worldLandmarks[11].x - worldLandmarks[12].x);
+        const towards = Math.abs(worldLandmarks[11].z - worldLandmarks[12].z);
+        return towards > across * settings.sideViewRatio ? VIEWPOINTS.SIDE : VIEWPOINTS.FRONT;
+    }
+
+    const shoulderWidth = Math.abs(landmarks[11].x - landmarks[12].x);
+    const torsoLength = Math.abs(midpoint(landmarks[11], landmarks[12]).y - midpoint(landmarks[23], landmarks[24]).y);
+    return torsoLength > 0 && shoulderWidth / torsoLength < 0.4 ? VIEWPOINTS.SIDE : VIEWPOINTS.FRONT;
+}
+
+// Measurements of one standing frame
+function sampleFrame(landmarks, worldLandmarks, settings) {
+    const world = worldLandmarks || null;
+    const sample = {
+        viewpoint: detectViewpoint(landmarks, world, settings),
+        imageAngles: computeKinematics(landmarksToKeypoints(landmarks)),
+        worldAngles: world ? computeKinematics(landmarksToKeypoints(world)) : null,
+        // Average image length of the shins, as a fraction of the image height
+        imageShinLength: average(LIMBS.shin.map(([a, b]) => Math.abs(landmarks[b].y - landmarks[a].y)))
+    };
+
+    if (world) {
+        // World y points down, so the hips are above the ankles by ankle y - hip y
+        sample.hipHeight = midpoint(world[27], world[28]).y - midpoint(world[23], world[24]).y;
+        sample.limbLengths = {
+            torso: distance(midpoint(world[11], world[12]), midpoint(world[23], world[24])),
+            shoulderWidth: distance(world[11], world[12])
+        };
+        Object.entries(LIMBS).forEach(([limb, pairs]) => {
+            sample.limbLengths[limb] = average(pairs.map(([a, b]) => distance(world[a], world[b])));
+        });
+    }
+    return sample;
+}
+
+// Average the named angles of several samples, skipping missing (0) values
+const averageAngles = (angleSets) => {
+    const result = {};
+    Object.keys(angleSets[0]).forEach(name => {
+        const values = angleSets.map(angles => angles[name]).filter(angle => angle > 0);
+        result[name] = values.length > 0 ? Math.round(average(values)) : 0;
+    });
+    return result;
+};
+
+const round = (value, decimals = 3) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Combine the samples of the standing hold into a profile
+function buildProfile(samples, now) {
+    const frontCount = samples.filter(sample => sample.viewpoint === VIEWPOINTS.FRONT).length;
+    const worldSamples = samples.filter(sample => sample.worldAngles);
+
+    const profile = {
+        version: CALIBRATION_PROFILE_VERSION,
+        createdAt: now,
+        viewpoint: frontCount * 2 >= samples.length ? VIEWPOINTS.FRONT : VIEWPOINTS.SIDE,
+        imageShinLength: round(average(samples.map(sample => sample.imageShinLength))),
+        hipHeight: null,
+        limbLengths: null,
+        neutralAngles: {
+            image: averageAngles(samples.map(sample => sample.imageAngles)),
+            world: null
+        }
+    };
+
+    if (worldSamples.length > 0) {
+        profile.hipHeight = round(average(worldSamples.map(sample => sample.hipHeight)));
+        profile.limbLengths = {};
+        Object.keys(worldSamples[0].limbLengths).forEach(limb => {
+            profile.limbLengths[limb] = round(average(worldSamples.map(sample => sample.limbLengths[limb])));
+        });
+        profile.neutralAngles.world = averageAngles(worldSamples.map(sample => sample.worldAngles));
+    }
+    return profile;
+}
+
+// Create a calibrator for one person. update(landmarks, worldLandmarks, now)
+// is called with each frame (landmarks null when nobody is in view) and
+// returns { step, missing, missingParts, progress, viewpoint, profile },
+// with progress in [0, 1] through the standing hold and profile set once
+// the step is DONE.
+export function createCalibrator(settings = CALIBRATION_SETTINGS) {
+    let step = CALIBRATION_STEPS.FRAMING;
+    let holdStart = null;
+    let anchor = null;
+    let samples = [];
+    let profile = null;
+
+    const reset = () => {
+        step = CALIBRATION_STEPS.FRAMING;
+        holdStart = null;
+        anchor = null;
+        samples = [];
+        profile = null;
+    };
+
+    const stateFor = (missing, now, viewpoint) => ({
+        step,
+        missing,
+        missingParts: missingBodyParts(missing),
+        progress: step === CALIBRATION_STEPS.DONE ? 1 :
+            holdStart === null ? 0 : Math.min(1, (now - holdStart) / settings.holdTime),
+        viewpoint,
+        profile
+    });
+
+    const update = (landmarks, worldLandmarks, now) => {
+        if (step === CALIBRATION_STEPS.DONE) return stateFor([], now, profile.viewpoint);
+
+        const missing = missingLandmarks(landmarks, settings.minVisibility);
+        if (missing.length > 0) {
+            step = CALIBRATION_STEPS.FRAMING;
+            holdStart = null;
+            samples = [];
+            return stateFor(missing, now, null);
+        }
+
+        // Restart the hold whenever the user moves away from where it began
+        const shoulders = midpoint(landmarks[11], landmarks[12]);
+        const hips = midpoint(landmarks[23], landmarks[24]);
+        const drifted = anchor && Math.max(
+            Math.hypot(shoulders.x - anchor.shoulders.x, shoulders.y - anchor.shoulders.y),
+            Math.hypot(hips.x - anchor.hips.x, hips.y - anchor.hips.y)
+        ) > settings.maxDrift;
+
+        if (step === CALIBRATION_STEPS.FRAMING || drifted) {
+            step = CALIBRATION_STEPS.HOLD;
+            holdStart = now;
+            anchor = { shoulders, hips };
+            samples = [];
+        }
+
+        const sample = sampleFrame(landmarks, worldLandmarks, settings);
+        samples.push(sample);
+
+        if (now - holdStart >= settings.holdTime) {
+            profile = buildProfile(samples, Date.now());
+            step = CALIBRATION_STEPS.DONE;
+        }
+        return stateFor([], now, sample.viewpoint);
+    };
+
+    return { update, reset };
+}
@@ -0,0 +1,175 @@
+import { describe, expect, it } from 'vitest';
+import {
+    CALIBRATION_SETTINGS,
+    CALIBRATION_STEPS,
+    createCalibrator,
+    detectViewpoint,
+    missingBodyParts,
+    missingLandmarks
+} from './calibrator';
+import { CALIBRATION_PROFILE_VERSION, VIEWPOINTS } from './calibrationProfile';
+
+const point = (x, y, z = 0) => ({ x, y, z, visibility: 1 });
+
+// Image landmarks of someone standing straight facing the camera, arms by
+// their sides, shifted sideways by `shift`. The shins are 0.17 of the image.
+function standingImage(shift = 0) {
+    const landmarks = Array.from({ length: 33 }, () => point(0.5 + shift, 0.15));
+    const sides = [
+        [0.6, 0.55, 11, 13, 15, 17, 19, 21, 23, 25, 27, 29, 31],
+        [0.4, 0.45, 12, 14, 16, 18, 20, 22, 24, 26, 28, 30, 32]
+    ];
+    sides.forEach(([armX, legX, shoulder, elbow, wrist, pinky, index, thumb, hip, knee, ankle, heel, foot]) => {
+        landmarks[shoulder] = point(armX + shift, 0.3);
+        landmarks[elbow] = point(armX + shift, 0.42);
+        landmarks[wrist] = point(armX + shift, 0.54);
+        [pinky, index, thumb].forEach(hand => {
+            landmarks[hand] = point(armX + shift, 0.56);
+        });
+        landmarks[hip] = point(legX + shift, 0.55);
+        landmarks[knee] = point(legX + shift, 0.72);
+        landmarks[ankle] = point(legX + shift, 0.89);
+        landmarks[heel] = point(legX + shift, 0.9);
+        landmarks[foot] = point(legX + shift, 0.9, -0.05);
+    });
+    return landmarks;
+}
+
+// World landmarks (metres, y down) of the same pose: hips 0.9 above the
+// ankles, shoulders 0.4 apart and every limb segment 0.25 or 0.45 long
+function standingWorld() {
+    const landmarks = Array.from({ length: 33 }, () => point(0, -0.65));
+    const sides = [[0.2, 0.1, 11, 13, 15, 23, 25, 27], [-0.2, -0.1, 12, 14, 16, 24, 26, 28]];
+    sides.forEach(([armX, legX, shoulder, elbow, wrist, hip, knee, ankle]) => {
+        landmarks[shoulder] = point(armX, -0.5);
+        landmarks[elbow] = point(armX, -0.25);
+        landmarks[wrist] = point(armX, 0);
+        landmarks[hip] = point(legX, 0);
+        landmarks[knee] = point(legX, 0.45);
+        landmarks[ankle] = point(legX, 0.9);
+    });
+    return landmarks;
+}
+
+// Feed the same frame from `from` to `to` ms, every 100 ms
+function feed(calibrator, landmarks, worldLandmarks, from, to) {
+    let state = null;
+    for (let time = from; time <= to; time += 100) {
+        state = calibrator.update(landmarks, worldLandmarks, time);
+    }
+    return state;
+}
+
+describe('missing landmarks', () => {
+    it('lists the landmarks below minVisibility, or all of them without a pose', () => {
+        const landmarks = standingImage();
+        landmarks[13] = { ...landmarks[13], visibility: 0.3 };
+        landmarks[30] = undefined;
+
+        expect(missingLandmarks(landmarks)).toEqual([13, 30]);
+        expect(missingLandmarks(null)).toHaveLength(33);
+    });
+
+    it('names the body parts with a missing landmark', () => {
+        expect(missingBodyParts([13, 30])).toEqual(['Left arm', 'Right leg']);
+        expect(missingBodyParts([])).toEqual([]);
+    });
+});
+
+describe('detectViewpoint', () => {
+    it('tells front from side by the direction of the shoulder line in world space', () => {
+        const world = standingWorld();
+        expect(detectViewpoint(standingImage(), world)).toBe(VIEWPOINTS.FRONT);
+
+        world[11] = point(0.02, -0.5, 0.2);
+        world[12] = point(-0.02, -0.5, -0.2);
+        expect(detectViewpoint(standingImage(), world)).toBe(VIEWPOINTS.SIDE);
+    });
+
+    it('falls back on the shoulder width against the torso length in the image', () => {
+        const image = standingImage();
+        expect(detectViewpoint(image, null)).toBe(VIEWPOINTS.FRONT);
+
+        // Shoulders 0.04 apart over a 0.25 long torso
+        image[11] = point(0.52, 0.3);
+        image[12] = point(0.48, 0.3);
+        expect(detectViewpoint(image, null)).toBe(VIEWPOINTS.SIDE);
+    });
+});
+
+describe('createCalibrator', () => {
+    it('waits in framing until every landmark is visible', () => {
+        const calibrator = createCalibrator();
+        const landmarks = standingImage();
+        landmarks[27] = { ...landmarks[27], visibility: 0.1 };
+
+        expect(calibrator.update(null, null, 0)).toMatchObject({ step: CALIBRATION_STEPS.FRAMING, progress: 0 });
+        expect(calibrator.update(landmarks, null, 100)).toMatchObject({
+            step: CALIBRATION_STEPS.FRAMING,
+            missing: [27],
+            missingParts: ['Left leg'],
+            profile: null
+        });
+    });
+
+    it('samples the standing hold and reports the progress through it', () => {
+        const calibrator = createCalibrator();
+
+        const state = feed(calibrator, standingImage(), null, 0, 1000);
+
+        expect(state).toMatchObject({ step: CALIBRATION_STEPS.HOLD, progress: 0.5, viewpoint: VIEWPOINTS.FRONT });
+    });
+
+    it('restarts the hold when the user moves further than maxDrift', () => {
+        const calibrator = createCalibrator();
+        feed(calibrator, standingImage(), null, 0, 1500);
+
+        // A small sway keeps the hold going, a step to the side does not
+        expect(calibrator.update(standingImage(0.02), null, 1600).progress).toBe(0.8);
+        expect(calibrator.update(standingImage(0.1), null, 1700).progress).toBe(0);
+    });
+
+    it('goes back to framing when a landmark is lost during the hold', () => {
+        const calibrator = createCalibrator();
+        feed(calibrator, standingImage(), null, 0, 1000);
+
+        expect(calibrator.update(null, null, 1100)).toMatchObject({ step: CALIBRATION_STEPS.FRAMING, progress: 0 });
+        expect(calibrator.update(standingImage(), null, 1200).progress).toBe(0);
+    });
+
+    it('builds the profile from image and world landmarks after holdTime', () => {
+        const calibrator = createCalibrator();
+
+        const state = feed(calibrator, standingImage(), standingWorld(), 0, CALIBRATION_SETTINGS.holdTime);
+
+        expect(state).toMatchObject({ step: CALIBRATION_STEPS.DONE, progress: 1 });
+        expect(state.profile).toMatchObject({
+            version: CALIBRATION_PROFILE_VERSION,
+            viewpoint: VIEWPOINTS.FRONT,
+            imageShinLength: 0.17,
+            hipHeight: 0.9,
+            limbLengths: { shoulderWidth: 0.4, upperArm: 0.25, forearm: 0.25, thigh: 0.45, shin: 0.45 }
+        });
+        expect(state.profile.neutralAngles.image).toMatchObject({ leftKnee: 180, rightKnee: 180, leftElbow: 180 });
+        expect(state.profile.neutralAngles.world).toMatchObject({ leftKnee: 180, rightKnee: 180, trunkLean: 0 });
+    });
+
+    it('leaves the metric values out without world landmarks', () => {
+        const calibrator = createCalibrator();
+
+        const { profile } = feed(calibrator, standingImage(), null, 0, CALIBRATION_SETTINGS.holdTime);
+
+        expect(profile).toMatchObject({ hipHeight: null, limbLengths: null });
+        expect(profile.neutralAngles.world).toBeNull();
+    });
+
+    it('keeps the profile once done, until reset', () => {
+        const calibrator = createCalibrator();
+        const { profile } = feed(calibrator, standingImage(), null, 0, CALIBRATION_SETTINGS.holdTime);
+
+        expect(calibrator.update(null, null, 5000)).toMatchObject({ step: CALIBRATION_STEPS.DONE, profile });
+
+        calibrator.reset();
+        expect(calibrator.update(null, null, 6000)).toMatchObject({ step: CALIBRATION_STEPS.FRAMING, profile: null });
+    });
+});
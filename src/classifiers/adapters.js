@@ -0,0 +1,16 @@
+// Classifiers that run on the calling thread. Used directly when workers are
+// switched off, and inside the classifier worker otherwise.
+
+import { CLASSIFIER_TYPES } from './models';
+import { createTFLiteClassifier } from './tfliteClassifier';
+import { createLayersClassifier } from './layersClassifier';
+
+const ADAPTERS = {
+    [CLASSIFIER_TYPES.TFLITE]: createTFLiteClassifier,
+    [CLASSIFIER_TYPES.LAYERS]: createLayersClassifier
+};
+
+// Create (but do not load) the classifier for a CLASSIFIER_MODELS entry
+export function createLocalClassifier(entry) {
+    return ADAPTERS[entry.type](entry);
+}
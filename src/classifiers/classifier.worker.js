@@ -0,0 +1,50 @@
+// Runs one exercise classifier off the main thread (see workerClassifier.js
+// for the other end). Messages:
+//
+//   in:  { type: 'load', modelId }
+//        { type: 'predict', requestId, data, shape }   data is transferred
+//   out: { type: 'loaded' }
+//        { type: 'prediction', requestId, probabilities, timing }
+//                                                       probabilities is a
+//                                                       transferred Float32Array
+//        { type: 'error', requestId, message }          requestId is null
+//                                                       for load errors
+//
+// The production build bundles this file as a classic worker, since
+// tfjs-tflite loads its wasm glue with importScripts whenever there is no
+// window. In dev, Vite serves it as a module worker, where importScripts is
+// not available (see createClassifier in index.js).
+
+import { findClassifierModel } from './models';
+import { createLocalClassifier } from './adapters';
+
+let classifier = null;
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    if (message.type === 'load') {
+        try {
+            classifier = createLocalClassifier(findClassifierModel(message.modelId));
+            await classifier.load();
+            self.postMessage({ type: 'loaded' });
+        } catch (error) {
+            console.error("Error loading classifier in worker:", error);
+            self.postMessage({ type: 'error', requestId: null, message: error.message });
+        }
+    } else if (message.type === 'predict') {
+        try {
+            const { probabilities, timing } = await classifier.predict({
+                data: message.data,
+                shape: message.shape
+            });
+            const output = Float32Array.from(probabilities);
+            self.postMessage(
+                { type: 'prediction', requestId: message.requestId, probabilities: output, timing },
+                [output.buffer]
+            );
+        } catch (error) {
+            self.postMessage({ type: 'error', requestId: message.requestId, message: error.message });
+        }
+    }
+};
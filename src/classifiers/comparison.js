@@ -0,0 +1,43 @@
+// Tracks how often two classifiers agree when run on the same windows
+
+import { CLASS_NAMES } from '../utils/exercises';
+
+const argMax = (values) => values.indexOf(Math.max(...values));
+
+// Create a comparison. update(primary, compare) takes both models'
+// probabilities for one window and returns
+//   { primary, compare, primaryClass, compareClass, agree, windows, agreementRate }
+// where agreementRate is the share of windows whose top classes matched.
+export function createClassifierComparison() {
+    let windows = 0;
+    let agreements = 0;
+
+    const update = (primary, compare) => {
+        const primaryClass = CLASS_NAMES[argMax(primary)];
+        const compareClass = CLASS_NAMES[argMax(compare)];
+        const agree = primaryClass === compareClass;
+
+        windows++;
+        if (agree) agreements++;
+
+        return {
+            primary,
+            compare,
+            primaryClass,
+            compareClass,
+            agree,
+            windows,
+            agreementRate: agreements / windows
+        };
+    };
+
+    const reset = () => {
+        windows = 0;
+        agreements = 0;
+    };
+
+    return {
+        update,
+        reset
+    };
+}
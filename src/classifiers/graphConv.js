@@ -0,0 +1,121 @@
+import * as tf from '@tensorflow/tfjs';
+import { PoseLandmarker } from '@mediapipe/tasks-vision';
+import { NUM_LANDMARKS } from '../utils/landmarks';
+
+// Custom GraphConv layer used by the STGCN tfjs Layers model (model.json).
+// tfjs has to know the class before the model can be deserialised, so
+// importing this module registers it.
+//
+// The Keras layer (config: { out_channels }) computes, for input
+// [batch, frames, joints, channels]:
+//
+//   aggregated[.., w, c] = sum_v x[.., v, c] * (A * edge_importance)[v, w]
+//   output               = Conv2D 1x1 (out_channels, with bias) of aggregated
+//
+// A is the binary skeleton adjacency with self-loops and is not degree
+// normalised; edge_importance is a learned [33, 33] weight (initialised to
+// ones) so the model learns its own per-edge scaling. This was checked
+// against the exported TFLite models, where A * edge_importance appears as a
+// folded constant that equals edge_importance on exactly these entries.
+
+// The training graph is MediaPipe's POSE_CONNECTIONS minus the edges that
+// close the hand and foot triangles (pinky-index and heel-foot index were
+// already linked through the wrist and ankle), leaving a tree.
+const EXCLUDED_CONNECTIONS = [[17, 19], [18, 20], [27, 31], [28, 32]];
+
+const isExcluded = ({ start, end }) => EXCLUDED_CONNECTIONS.some(
+    ([a, b]) => (a === start && b === end) || (a === end && b === start)
+);
+
+// Row-major [NUM_LANDMARKS, NUM_LANDMARKS] adjacency with self-loops
+export const SKELETON_ADJACENCY = (() => {
+    const adjacency = new Float32Array(NUM_LANDMARKS * NUM_LANDMARKS);
+
+    for (let joint = 0; joint < NUM_LANDMARKS; joint++) {
+        adjacency[joint * NUM_LANDMARKS + joint] = 1;
+    }
+    PoseLandmarker.POSE_CONNECTIONS.filter(connection => !isExcluded(connection)).forEach(({ start, end }) => {
+        adjacency[start * NUM_LANDMARKS + end] = 1;
+        adjacency[end * NUM_LANDMARKS + start] = 1;
+    });
+
+    return adjacency;
+})();
+
+export class GraphConv extends tf.layers.Layer {
+    constructor(config) {
+        super(config);
+        // tfjs converts the Keras config keys to camelCase (out_channels)
+        this.outChannels = config.outChannels;
+    }
+
+    build(inputShape) {
+        const inChannels = inputShape[inputShape.length - 1];
+
+        // Weight names match the Keras export: graph_conv/edge_importance,
+        // and graph_conv/<inner conv>/kernel and /bias, which tfjs maps to
+        // graph_conv/kernel and graph_conv/bias
+        this.edgeImportance = this.addWeight(
+            'edge_importance',
+            [NUM_LANDMARKS, NUM_LANDMARKS],
+            'float32',
+            tf.initializers.ones()
+        );
+        this.kernel = this.addWeight(
+            'kernel',
+            [1, 1, inChannels, this.outChannels],
+            'float32',
+            tf.initializers.glorotUniform()
+        );
+        this.bias = this.addWeight(
+            'bias',
+            [this.outChannels],
+            'float32',
+            tf.initializers.zeros()
+        );
+
+        this.built = true;
+    }
+
+    call(inputs) {
+        return tf.tidy(() => {
+            const x = Array.isArray(inputs) ? inputs[0] : inputs;
+            const [batch, frames, joints, channels] = x.shape;
+
+            const adjacency = tf.mul(
+                tf.tensor2d(SKELETON_ADJACENCY, [NUM_LANDMARKS, NUM_LANDMARKS]),
+                this.edgeImportance.read()
+            );
+
+            // Sum each joint's neighbours: move joints last, multiply by the
+            // adjacency and move them back
+            const jointsLast = tf.transpose(x, [0, 1, 3, 2]).reshape([-1, joints]);
+            const aggregated = tf.matMul(jointsLast, adjacency)
+                .reshape([batch, frames, channels, joints])
+                .transpose([0, 1, 3, 2]);
+
+            // 1x1 convolution mixes the channels of every joint
+            const output = tf.conv2d(aggregated, this.kernel.read(), 1, 'same');
+            return tf.add(output, this.bias.read());
+        });
+    }
+
+    computeOutputShape(inputShape) {
+        return [...inputShape.slice(0, -1), this.outChannels];
+    }
+
+    getConfig() {
+        const config = super.getConfig();
+        Object.assign(config, {
+            outChannels: this.outChannels
+        });
+        return config;
+    }
+
+    static get className() {
+        return 'GraphConv';
+    }
+}
+
+// Register the custom layer
+tf.serialization.registerClass(GraphConv);
@@ -0,0 +1,38 @@
+// Exercise classifiers. Every backend implements the same interface:
+//
+//   id, label          - registry entry the classifier was created from
+//   load()             - fetch and initialise the model (returns a promise)
+//   predict(input)     - input is { data, shape } from buildModelInput;
+//                        resolves with { probabilities, timing } where
+//                        probabilities are in CLASS_NAMES order and timing
+//                        holds inferenceMs (plus roundTripMs in a worker)
+//   dispose()          - free the model
+//
+// so the page does not need to know which kind of model it is running, or
+// whether it runs on the main thread or in a worker.
+
+import { CLASSIFIER_TYPES, findClassifierModel } from './models';
+import { createLocalClassifier } from './adapters';
+import { createWorkerClassifier } from './workerClassifier';
+
+export const CLASSIFIER_SETTINGS = {
+    // Model whose predictions drive the page
+    model: 'stgcn-fine-tuned',
+    // Optional second model run on the same windows for comparison (or null)
+    compareModel: null,
+    // Run each model in its own Web Worker instead of the main thread
+    useWorker: typeof Worker !== 'undefined'
+};
+
+// TFLite models can only run in the classic worker of the production build;
+// the dev server's module worker has no importScripts for tfjs-tflite
+const canRunInWorker = (entry) => entry.type !== CLASSIFIER_TYPES.TFLITE || !import.meta.env.DEV;
+
+// Create (but do not load) the classifier for a CLASSIFIER_MODELS id
+export function createClassifier(modelId, { useWorker = CLASSIFIER_SETTINGS.useWorker } = {}) {
+    const entry = findClassifierModel(modelId);
+    return useWorker && canRunInWorker(entry) ? createWorkerClassifier(entry) : createLocalClassifier(entry);
+}
+
+export { CLASSIFIER_MODELS, CLASSIFIER_TYPES } from './models';
+export { createClassifierComparison } from './comparison';
@@ -0,0 +1,103 @@
+// model.json was exported from Keras 3, whose layer configs tfjs (which
+// follows the Keras 2 format) cannot deserialise. This rewrites the parts
+// that differ, and renames the few weights whose names changed.
+//
+//   Keras 3                                     Keras 2 / tfjs
+//   InputLayer batch_shape                      batch_input_shape
+//   dtype: { class_name: 'DTypePolicy', ... }   dtype: 'float32'
+//   inbound_nodes: [{ args: [keras tensors] }]  inbound_nodes: [[[layer, node, tensor, {}]]]
+//   custom layer config without a name          config.name from the layer
+//   DepthwiseConv2D weight <layer>/kernel       <layer>/depthwise_kernel
+//
+// Regularizers and the training config only matter for training, which the
+// app never does, so they are dropped rather than translated.
+
+const isKerasTensor = (value) => value && value.class_name === '__keras_tensor__';
+
+// Collect the keras tensors in a node's args, which may be nested in lists
+// (e.g. Add takes a list of tensors)
+function collectKerasTensors(args, tensors = []) {
+    args.forEach(arg => {
+        if (isKerasTensor(arg)) {
+            tensors.push(arg);
+        } else if (Array.isArray(arg)) {
+            collectKerasTensors(arg, tensors);
+        }
+    });
+    return tensors;
+}
+
+function convertInboundNode(node) {
+    // Already in Keras 2 form
+    if (Array.isArray(node)) return node;
+
+    return collectKerasTensors(node.args || []).map(tensor => {
+        const [layerName, nodeIndex, tensorIndex] = tensor.config.keras_history;
+        return [layerName, nodeIndex, tensorIndex, {}];
+    });
+}
+
+function convertLayerConfig(layer) {
+    const className = layer.class_name;
+    const config = { ...layer.config };
+
+    // Custom layers such as GraphConv only carry their name on the layer,
+    // and tfjs would otherwise invent one that no weight matches
+    if (!config.name) {
+        config.name = layer.name;
+    }
+
+    if (config.dtype && typeof config.dtype === 'object') {
+        config.dtype = config.dtype.config ? config.dtype.config.name : 'float32';
+    }
+    if (className === 'InputLayer' && config.batch_shape && !config.batch_input_shape) {
+        config.batch_input_shape = config.batch_shape;
+        delete config.batch_shape;
+    }
+    Object.keys(config)
+        .filter(key => key.endsWith('_regularizer'))
+        .forEach(key => {
+            config[key] = null;
+        });
+
+    return config;
+}
+
+// Convert a Keras 3 functional model topology (model.json modelTopology)
+// to the form tf.loadLayersModel expects. Keras 2 topologies pass through.
+export function convertKerasTopology(topology) {
+    const modelConfig = topology.model_config || topology;
+    const layers = modelConfig.config.layers.map(layer => ({
+        ...layer,
+        config: convertLayerConfig(layer),
+        inbound_nodes: (layer.inbound_nodes || []).map(convertInboundNode)
+    }));
+
+    const convertedModelConfig = {
+        ...modelConfig,
+        config: { ...modelConfig.config, layers }
+    };
+
+    if (!topology.model_config) return convertedModelConfig;
+
+    const converted = { ...topology, model_config: convertedModelConfig };
+    delete converted.training_config;
+    return converted;
+}
+
+// Keras 3 renamed some weights. Map the names in the weights manifest
+// (flattened weightSpecs) back to the ones tfjs layers create.
+export function convertKerasWeightSpecs(topology, weightSpecs) {
+    const modelConfig = topology.model_config || topology;
+    const depthwiseLayers = new Set(modelConfig.config.layers
+        .filter(layer => layer.class_name === 'DepthwiseConv2D')
+        .map(layer => layer.config.name));
+
+    return weightSpecs.map(spec => {
+        const [layerName, ...path] = spec.name.split('/');
+        if (depthwiseLayers.has(layerName) && path.join('/') === 'kernel') {
+            return { ...spec, name: `${layerName}/depthwise_kernel` };
+        }
+        return spec;
+    });
+}
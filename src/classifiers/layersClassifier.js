@@ -0,0 +1,50 @@
+import * as tf from '@tensorflow/tfjs';
+import { MODEL_INPUT_SHAPE } from '../utils/features';
+import { predictWithModel, prepareTensorflow, warmUpModel } from './tensorflow';
+import { convertKerasTopology, convertKerasWeightSpecs } from './kerasTopology';
+// Registers the custom layer the model.json topology refers to
+import './graphConv';
+
+// Classifier adapter for tfjs Layers models (model.json plus weight shards)
+export function createLayersClassifier({ id, label, path }) {
+    let model = null;
+
+    const load = async () => {
+        await prepareTensorflow();
+
+        console.log("Loading tfjs Layers model from:", path);
+        // Fetch model.json and its weights, then translate the Keras 3
+        // topology before tfjs deserialises it
+        const artifacts = await tf.io.http(path).load();
+        model = await tf.loadLayersModel(tf.io.fromMemory({
+            ...artifacts,
+            modelTopology: convertKerasTopology(artifacts.modelTopology),
+            weightSpecs: convertKerasWeightSpecs(artifacts.modelTopology, artifacts.weightSpecs)
+        }));
+        console.log("✅ tfjs Layers model loaded:", label);
+
+        await warmUpModel(model, MODEL_INPUT_SHAPE);
+    };
+
+    const predict = (input) => {
+        if (!model) {
+            return Promise.reject(new Error(`${label} is not loaded`));
+        }
+        return predictWithModel(model, input);
+    };
+
+    const dispose = () => {
+        if (model) {
+            model.dispose();
+            model = null;
+        }
+    };
+
+    return {
+        id,
+        label,
+        load,
+        predict,
+        dispose
+    };
+}
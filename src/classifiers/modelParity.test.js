@@ -0,0 +1,156 @@
+// Parity of the two STGCN classifiers the picker offers: the tfjs Layers
+// model (public/models/model.json, with the GraphConv layer of graphConv.js
+// and the topology conversion of kerasTopology.js) must give the same
+// probabilities as the fine-tuned TFLite model it was exported alongside.
+// Both run on the same fixed windows: the recorded squat session of
+// features.test.js and seeded random poses.
+//
+// tfjs-tflite only loads its wasm runtime in a browser, so the TFLite model
+// is run through the runtime's emscripten module directly, the way
+// tfjs-tflite drives it.
+
+import { readFileSync } from 'node:fs';
+import * as tf from '@tensorflow/tfjs';
+import { beforeAll, describe, expect, it } from 'vitest';
+import { buildModelInput, landmarksToKeypoints, SEQUENCE_LENGTH } from '../utils/features';
+import { NUM_LANDMARKS } from '../utils/landmarks';
+import { frameToResult, parseSessionFile } from '../utils/sessionReplay';
+import { convertKerasTopology, convertKerasWeightSpecs } from './kerasTopology';
+// Registers the custom layer the model.json topology refers to
+import './graphConv';
+
+const ROOT = new URL('../../', import.meta.url);
+const TFLITE_WASM_DIRECTORY = 'node_modules/@tensorflow/tfjs-tflite/wasm/';
+
+// Largest difference allowed between the two models' probabilities
+const TOLERANCE = 1e-5;
+
+const readFile = (path) => readFileSync(new URL(path, ROOT));
+
+// The tfjs Layers model, loaded from disk the way layersClassifier.js loads it
+async function loadLayersModel() {
+    const modelJson = JSON.parse(readFile('public/models/model.json').toString('utf8'));
+    const weightSpecs = modelJson.weightsManifest.flatMap(group => group.weights);
+    const weights = readFile(`public/models/${modelJson.weightsManifest[0].paths[0]}`);
+
+    return tf.loadLayersModel(tf.io.fromMemory({
+        modelTopology: convertKerasTopology(modelJson.modelTopology),
+        weightSpecs: convertKerasWeightSpecs(modelJson.modelTopology, weightSpecs),
+        weightData: weights.buffer.slice(weights.byteOffset, weights.byteOffset + weights.byteLength)
+    }));
+}
+
+// Items of an emscripten vector, which is deleted afterwards
+function vectorToArray(vector) {
+    const items = [];
+    for (let i = 0; i < vector.size(); i++) items.push(vector.get(i));
+    vector.delete();
+    return items;
+}
+
+// A TFLite model run by the single-threaded TFLite web runtime. The loader
+// script ends in a CommonJS export, which this ES module package cannot
+// require, so it is evaluated with a module object of its own.
+async function loadTFLiteModel(path) {
+    const loader = { exports: {} };
+    new Function('module', 'exports', readFile(`${TFLITE_WASM_DIRECTORY}tflite_web_api_cc.js`).toString('utf8'))(
+        loader,
+        loader.exports
+    );
+    const runtime = await loader.exports({ wasmBinary: readFile(`${TFLITE_WASM_DIRECTORY}tflite_web_api_cc.wasm`) });
+
+    const modelBytes = new Uint8Array(readFile(path));
+    const offset = runtime._malloc(modelBytes.length);
+    runtime.HEAPU8.set(modelBytes, offset);
+    const created = runtime.TFLiteWebModelRunner.CreateFromBufferAndOptions(offset, modelBytes.length, {
+        numThreads: -1,
+        enableProfiling: false,
+        maxProfilingBufferEntries: 1024
+    });
+    if (!created.ok()) {
+        throw new Error(`Could not load ${path}: ${created.errorMessage()}`);
+    }
+    const runner = created.value();
+
+    return {
+        predict: ({ data }) => {
+            vectorToArray(runner.GetInputs())[0].data().set(data);
+            if (!runner.Infer()) throw new Error(`Inference failed for ${path}`);
+            return Array.from(vectorToArray(runner.GetOutputs())[0].data());
+        }
+    };
+}
+
+// Deterministic pseudo-random numbers in [0, 1) (mulberry32)
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// `count` keypoint frames of a pose wandering around the picture, with
+// some landmarks below the visibility cutoff
+function randomKeypointFrames(seed, count) {
+    const random = createRandom(seed);
+    const pose = Array.from({ length: NUM_LANDMARKS }, () => ({
+        x: 0.3 + 0.4 * random(),
+        y: 0.1 + 0.8 * random(),
+        z: random() - 0.5
+    }));
+
+    return Array.from({ length: count }, () => landmarksToKeypoints(pose.map(landmark => {
+        landmark.x += 0.02 * (random() - 0.5);
+        landmark.y += 0.02 * (random() - 0.5);
+        return { ...landmark, visibility: random() };
+    })));
+}
+
+async function fixtureWindows() {
+    const text = readFile('src/utils/fixtures/squat-session.ndjson').toString('utf8');
+    const { frames } = await parseSessionFile(new Blob([text]));
+    const keypointFrames = frames.map(frame => landmarksToKeypoints(frameToResult(frame).landmarks[0]));
+
+    return {
+        'recorded squat, latest window': buildModelInput(keypointFrames),
+        'recorded squat, first window': buildModelInput(keypointFrames.slice(0, SEQUENCE_LENGTH)),
+        'recorded squat, padded': buildModelInput(keypointFrames.slice(0, 20)),
+        'random pose, seed 1': buildModelInput(randomKeypointFrames(1, SEQUENCE_LENGTH)),
+        'random pose, seed 2': buildModelInput(randomKeypointFrames(2, SEQUENCE_LENGTH)),
+        'all padding': buildModelInput([])
+    };
+}
+
+describe('STGCN classifier parity', () => {
+    let layersModel;
+    let tfliteModel;
+    let windows;
+
+    beforeAll(async () => {
+        await tf.setBackend('cpu');
+        [layersModel, tfliteModel, windows] = await Promise.all([
+            loadLayersModel(),
+            loadTFLiteModel('public/models/stgcn_exercise_fine_tunned.tflite'),
+            fixtureWindows()
+        ]);
+    }, 60000);
+
+    it('gives the same probabilities from the tfjs Layers and TFLite models', async () => {
+        const problems = [];
+        for (const [name, input] of Object.entries(windows)) {
+            const output = tf.tidy(() => layersModel.predict(tf.tensor(input.data, input.shape)));
+            const layersProbabilities = Array.from(await output.data());
+            output.dispose();
+            const tfliteProbabilities = tfliteModel.predict(input);
+
+            const difference = Math.max(...layersProbabilities.map((p, index) => Math.abs(p - tfliteProbabilities[index])));
+            if (layersProbabilities.length !== tfliteProbabilities.length || difference > TOLERANCE) {
+                problems.push(`${name}: tfjs Layers [${layersProbabilities}], TFLite [${tfliteProbabilities}]`);
+            }
+        }
+        expect(problems).toEqual([]);
+    }, 60000);
+});
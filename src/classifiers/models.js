@@ -0,0 +1,35 @@
+// Registry of the exercise classifier models the app can run
+
+import { EXERCISE_LAYERS_MODEL_PATH, EXERCISE_MODEL_PATH } from '../config/assets';
+
+export const CLASSIFIER_TYPES = {
+    TFLITE: 'tflite',
+    LAYERS: 'layers'
+};
+
+// The models in public/models that can be picked. The original STGCN TFLite
+// model (stgcn_exercise.tflite) is left out: it has five outputs rather than
+// the four in CLASS_NAMES, and which class each output stands for is unknown.
+export const CLASSIFIER_MODELS = [
+    {
+        id: 'stgcn-fine-tuned',
+        label: 'STGCN fine-tuned (TFLite)',
+        type: CLASSIFIER_TYPES.TFLITE,
+        path: EXERCISE_MODEL_PATH
+    },
+    {
+        id: 'stgcn-layers',
+        label: 'STGCN (tfjs Layers)',
+        type: CLASSIFIER_TYPES.LAYERS,
+        path: EXERCISE_LAYERS_MODEL_PATH
+    }
+];
+
+// Look up a CLASSIFIER_MODELS entry by id
+export function findClassifierModel(modelId) {
+    const entry = CLASSIFIER_MODELS.find(model => model.id === modelId);
+    if (!entry) {
+        throw new Error(`Unknown classifier model "${modelId}"`);
+    }
+    return entry;
+}
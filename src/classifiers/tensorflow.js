@@ -0,0 +1,64 @@
+// TensorFlow.js setup and tensor plumbing shared by the classifier adapters
+
+import * as tf from '@tensorflow/tfjs';
+import { CLASS_NAMES } from '../utils/exercises';
+
+let backendReady = null;
+
+// Pick and initialise the tfjs backend. Runs once however many classifiers
+// are loaded; later calls return the same promise.
+export function prepareTensorflow() {
+    if (!backendReady) {
+        backendReady = (async () => {
+            // Set WebGL flags before tf.ready()
+            await tf.setBackend('webgl');
+            tf.env().set('WEBGL_VERSION', 2);  // Try to use WebGL 2.0
+            tf.env().set('WEBGL_FORCE_F16_TEXTURES', false);
+            tf.env().set('WEBGL_PACK', true);
+
+            await tf.ready();
+            console.log("TensorFlow.js ready, backend:", tf.getBackend());
+
+            // Check if WebGL is properly initialized
+            if (tf.getBackend() !== 'webgl') {
+                console.warn('WebGL backend not initialized, falling back to CPU');
+                await tf.setBackend('cpu');
+            }
+        })();
+    }
+    return backendReady;
+}
+
+// Run a model that maps an input tensor to an output tensor on
+// { data, shape } from buildModelInput. Resolves with
+//   { probabilities, timing: { inferenceMs } }
+// where probabilities is a plain array of the output values.
+export async function predictWithModel(model, { data, shape }) {
+    const startTime = performance.now();
+
+    // Use tf.tidy to automatically clean up intermediate tensors
+    const output = tf.tidy(() => model.predict(tf.tensor(data, shape)));
+
+    try {
+        const probabilities = Array.from(await output.data());
+        return {
+            probabilities,
+            timing: { inferenceMs: performance.now() - startTime }
+        };
+    } finally {
+        output.dispose();
+    }
+}
+
+// Run the model once on an all-zero window. Catches a model that loads but
+// cannot run, or whose classes do not line up with CLASS_NAMES, and makes
+// the first real prediction faster.
+export async function warmUpModel(model, shape) {
+    const size = shape.reduce((total, dimension) => total * dimension, 1);
+    const { probabilities } = await predictWithModel(model, { data: new Float32Array(size), shape });
+
+    if (probabilities.length !== CLASS_NAMES.length) {
+        throw new Error(`Model outputs ${probabilities.length} classes, expected ${CLASS_NAMES.length} (${CLASS_NAMES.join(', ')})`);
+    }
+    return probabilities;
+}
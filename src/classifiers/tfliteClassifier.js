@@ -0,0 +1,44 @@
+import * as tflite from '@tensorflow/tfjs-tflite';
+import { TFLITE_WASM_PATH } from '../config/assets';
+import { MODEL_INPUT_SHAPE } from '../utils/features';
+import { predictWithModel, prepareTensorflow, warmUpModel } from './tensorflow';
+
+// Classifier adapter for .tflite models, run through tfjs-tflite
+export function createTFLiteClassifier({ id, label, path }) {
+    let model = null;
+
+    const load = async () => {
+        await prepareTensorflow();
+
+        // The TFLite wasm runtime is served from public/ (see scripts/copy-assets.js)
+        tflite.setWasmPath(TFLITE_WASM_PATH);
+
+        console.log("Loading TFLite model from:", path);
+        model = await tflite.loadTFLiteModel(path);
+        console.log("✅ TFLite model loaded:", label);
+
+        await warmUpModel(model, MODEL_INPUT_SHAPE);
+    };
+
+    const predict = (input) => {
+        if (!model) {
+            return Promise.reject(new Error(`${label} is not loaded`));
+        }
+        return predictWithModel(model, input);
+    };
+
+    const dispose = () => {
+        if (model) {
+            model.dispose();
+            model = null;
+        }
+    };
+
+    return {
+        id,
+        label,
+        load,
+        predict,
+        dispose
+    };
+}
@@ -0,0 +1,100 @@
+// Classifier that runs its model in a dedicated Web Worker
+// (classifier.worker.js), so inference does not hold up pose detection
+// and drawing on the main thread. Same interface as the other classifiers,
+// with one difference: predict() transfers input.data to the worker, so the
+// caller must not use that buffer afterwards.
+
+// Bundled by Vite: a classic worker in the build, a module worker in dev
+import ClassifierWorker from './classifier.worker.js?worker';
+
+export function createWorkerClassifier({ id, label }) {
+    let worker = null;
+    let nextRequestId = 1;
+    // requestId -> { resolve, reject, sentAt }
+    const pending = new Map();
+    let loading = null;
+
+    const rejectAll = (error) => {
+        pending.forEach(request => request.reject(error));
+        pending.clear();
+        if (loading) loading.reject(error);
+        loading = null;
+    };
+
+    const handleMessage = (event) => {
+        const message = event.data;
+
+        if (message.type === 'loaded') {
+            if (loading) loading.resolve();
+            loading = null;
+            return;
+        }
+
+        if (message.type === 'error' && message.requestId === null) {
+            if (loading) loading.reject(new Error(message.message));
+            loading = null;
+            return;
+        }
+
+        const request = pending.get(message.requestId);
+        if (!request) return;
+        pending.delete(message.requestId);
+
+        if (message.type === 'prediction') {
+            request.resolve({
+                probabilities: Array.from(message.probabilities),
+                timing: {
+                    ...message.timing,
+                    // Time from posting the window to receiving the result,
+                    // including any wait while the worker was busy
+                    roundTripMs: performance.now() - request.sentAt
+                }
+            });
+        } else {
+            request.reject(new Error(message.message));
+        }
+    };
+
+    const load = () => {
+        worker = new ClassifierWorker();
+        worker.onmessage = handleMessage;
+        worker.onerror = (event) => {
+            console.error("Classifier worker error:", event.message);
+            rejectAll(new Error(event.message || `${label} worker failed`));
+        };
+
+        return new Promise((resolve, reject) => {
+            loading = { resolve, reject };
+            worker.postMessage({ type: 'load', modelId: id });
+        });
+    };
+
+    const predict = ({ data, shape }) => {
+        if (!worker) {
+            return Promise.reject(new Error(`${label} is not loaded`));
+        }
+
+        const requestId = nextRequestId++;
+        return new Promise((resolve, reject) => {
+            pending.set(requestId, { resolve, reject, sentAt: performance.now() });
+            // Transfer rather than copy the window
+            worker.postMessage({ type: 'predict', requestId, data, shape }, [data.buffer]);
+        });
+    };
+
+    const dispose = () => {
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+        rejectAll(new Error(`${label} was disposed`));
+    };
+
+    return {
+        id,
+        label,
+        load,
+        predict,
+        dispose
+    };
+}
@@ -0,0 +1,48 @@
+import { VERBOSITY } from '../audio/audioCoach';
+
+const VERBOSITY_LABELS = {
+    [VERBOSITY.MINIMAL]: 'Tones only',
+    [VERBOSITY.NORMAL]: 'Normal',
+    [VERBOSITY.DETAILED]: 'Detailed'
+};
+
+// Mute toggle, volume and verbosity of the spoken coaching cues (see
+// audio/audioCoach.js). Calls onChange with the new settings, and onTest
+// to play a sample cue.
+const AudioCoachControls = ({ settings, onChange, onTest }) => (
+    <div
+        className="audio-coach-controls"
+        style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '12px', margin: '8px 0' }}
+    >
+        <button onClick={() => onChange({ ...settings, muted: !settings.muted })}>
+            {settings.muted ? '🔇 Coaching muted' : '🔊 Coaching on'}
+        </button>
+        <label>
+            Volume{' '}
+            <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.1"
+                value={settings.volume}
+                onChange={(event) => onChange({ ...settings, volume: Number(event.target.value) })}
+                disabled={settings.muted}
+            />
+        </label>
+        <label>
+            Cues{' '}
+            <select
+                value={settings.verbosity}
+                onChange={(event) => onChange({ ...settings, verbosity: event.target.value })}
+                disabled={settings.muted}
+            >
+                {Object.values(VERBOSITY).map(verbosity => (
+                    <option key={verbosity} value={verbosity}>{VERBOSITY_LABELS[verbosity]}</option>
+                ))}
+            </select>
+        </label>
+        <button onClick={onTest} disabled={settings.muted}>Test</button>
+    </div>
+);
+
+export default AudioCoachControls;
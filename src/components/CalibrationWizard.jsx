@@ -0,0 +1,75 @@
+import { CALIBRATION_STEPS } from '../calibration/calibrator';
+import { VIEWPOINTS } from '../calibration/calibrationProfile';
+import { NUM_LANDMARKS } from '../utils/landmarks';
+
+const VIEW_LABELS = {
+    [VIEWPOINTS.FRONT]: 'from the front',
+    [VIEWPOINTS.SIDE]: 'from the side'
+};
+
+const formatMetres = (value) => (value === null || value === undefined ? '-' : `${Math.round(value * 100)} cm`);
+
+// What the stored profile says about the user
+const ProfileSummary = ({ profile }) => {
+    const angles = profile.neutralAngles.world || profile.neutralAngles.image;
+    return (
+        <div className="calibration-summary" style={{ opacity: 0.8 }}>
+            Calibrated {new Date(profile.createdAt).toLocaleDateString()}, seen {VIEW_LABELS[profile.viewpoint]}.
+            {' '}Hip height {formatMetres(profile.hipHeight)}, thigh {formatMetres(profile.limbLengths && profile.limbLengths.thigh)},
+            {' '}shin {formatMetres(profile.limbLengths && profile.limbLengths.shin)}.
+            {' '}Standing knees {angles.leftKnee}° / {angles.rightKnee}°, elbows {angles.leftElbow}° / {angles.rightElbow}°.
+        </div>
+    );
+};
+
+// Guides the user through calibration before a session (see
+// calibration/calibrator.js). `state` is the calibrator state while it
+// runs (or null) and `profile` the stored profile (or null); onStart,
+// onCancel and onClear control them.
+const CalibrationWizard = ({ state, profile, onStart, onCancel, onClear, disabled }) => {
+    if (!state) {
+        return (
+            <div className="calibration-wizard" style={{ margin: '8px 0' }}>
+                {profile ? (
+                    <ProfileSummary profile={profile} />
+                ) : (
+                    <div>Calibrate before you start so reps and form checks fit your body and camera.</div>
+                )}
+                <div style={{ display: 'flex', justifyContent: 'center', gap: '8px', marginTop: '4px' }}>
+                    <button onClick={onStart} disabled={disabled}>
+                        🎯 {profile ? 'Recalibrate' : 'Calibrate'}
+                    </button>
+                    {profile && <button onClick={onClear} disabled={disabled}>Clear calibration</button>}
+                </div>
+            </div>
+        );
+    }
+
+    const allMissing = state.missing.length === NUM_LANDMARKS;
+
+    return (
+        <div className="calibration-wizard" style={{ margin: '8px 0' }}>
+            <h2>🎯 Calibration</h2>
+            {state.step === CALIBRATION_STEPS.FRAMING && (
+                <div>
+                    <strong>Step 1 of 2:</strong>{' '}
+                    {allMissing ?
+                        'Step into view so your whole body is in the picture.' :
+                        `Move so the camera can see your ${state.missingParts.join(', ').toLowerCase()} (marked on the skeleton).`}
+                </div>
+            )}
+            {state.step === CALIBRATION_STEPS.HOLD && (
+                <div>
+                    <strong>Step 2 of 2:</strong> Stand still and upright with your arms by your sides.
+                    <div style={{ width: '240px', height: '8px', background: '#333', margin: '6px auto', borderRadius: '4px' }}>
+                        <div style={{ width: `${Math.round(state.progress * 100)}%`, height: '100%', background: '#30c060', borderRadius: '4px' }} />
+                    </div>
+                    {state.viewpoint && <div style={{ opacity: 0.8 }}>Camera sees you {VIEW_LABELS[state.viewpoint]}</div>}
+                </div>
+            )}
+            <button onClick={onCancel} style={{ marginTop: '4px' }}>Cancel</button>
+        </div>
+    );
+};
+
+export default CalibrationWizard;
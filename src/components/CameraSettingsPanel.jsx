@@ -0,0 +1,99 @@
+import { useCallback, useEffect, useState } from 'react';
+import { CAMERA_FRAME_RATES, CAMERA_RESOLUTIONS, listCameras } from '../utils/cameraSettings';
+
+// Picks one of the cameras the browser can see by deviceId, or null for
+// the default camera. Also used by the settings page.
+export const CameraSelect = ({ value, onChange, disabled }) => {
+    const [cameras, setCameras] = useState([]);
+
+    const refreshCameras = useCallback(() => {
+        listCameras()
+            .then(setCameras)
+            .catch(error => console.warn("Could not list cameras:", error));
+    }, []);
+
+    // Keep the list current as cameras are plugged in or removed. Names only
+    // appear once camera access is granted, so the list is also refreshed
+    // whenever it is opened.
+    useEffect(() => {
+        refreshCameras();
+        if (!navigator.mediaDevices || !navigator.mediaDevices.addEventListener) return undefined;
+
+        navigator.mediaDevices.addEventListener('devicechange', refreshCameras);
+        return () => navigator.mediaDevices.removeEventListener('devicechange', refreshCameras);
+    }, [refreshCameras]);
+
+    const selectedMissing = value && !cameras.some(camera => camera.deviceId === value);
+
+    return (
+        <select
+            value={value || ''}
+            onFocus={refreshCameras}
+            onChange={(event) => onChange(event.target.value || null)}
+            disabled={disabled}
+        >
+            <option value="">Default</option>
+            {cameras.map((camera, index) => (
+                <option key={camera.deviceId || index} value={camera.deviceId}>
+                    {camera.label || `Camera ${index + 1}`}
+                </option>
+            ))}
+            {selectedMissing && (
+                <option value={value}>Unavailable camera</option>
+            )}
+        </select>
+    );
+};
+
+// Chooses the camera, resolution, frame rate and mirroring of the live
+// camera. Calls onChange with the new camera settings (settings.camera of
+// the settings store, see utils/cameraSettings.js).
+const CameraSettingsPanel = ({ settings, onChange, disabled }) => (
+    <div
+        className="camera-settings-panel"
+        style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '12px', margin: '8px 0' }}
+    >
+        <label>
+            🎥 Camera{' '}
+            <CameraSelect
+                value={settings.deviceId}
+                onChange={(deviceId) => onChange({ ...settings, deviceId })}
+                disabled={disabled}
+            />
+        </label>
+        <label>
+            Resolution{' '}
+            <select
+                value={settings.resolution}
+                onChange={(event) => onChange({ ...settings, resolution: event.target.value })}
+                disabled={disabled}
+            >
+                {CAMERA_RESOLUTIONS.map(option => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+            </select>
+        </label>
+        <label>
+            FPS{' '}
+            <select
+                value={settings.frameRate}
+                onChange={(event) => onChange({ ...settings, frameRate: Number(event.target.value) })}
+                disabled={disabled}
+            >
+                {CAMERA_FRAME_RATES.map(frameRate => (
+                    <option key={frameRate} value={frameRate}>{frameRate}</option>
+                ))}
+            </select>
+        </label>
+        <label>
+            <input
+                type="checkbox"
+                checked={settings.mirror}
+                onChange={(event) => onChange({ ...settings, mirror: event.target.checked })}
+            />
+            {' '}Mirror
+        </label>
+    </div>
+);
+
+export default CameraSettingsPanel;
@@ -0,0 +1,58 @@
+import { CLASS_NAMES } from '../utils/exercises';
+
+const ProbabilityColumn = ({ title, probabilities, topClass }) => (
+    <div className="classifier-comparison-column">
+        <h3>{title}</h3>
+        {CLASS_NAMES.map((className, index) => (
+            <div
+                key={className}
+                className="classifier-comparison-row"
+                style={{ fontWeight: className === topClass ? 'bold' : 'normal' }}
+            >
+                <span>{className}: {(probabilities[index] * 100).toFixed(1)}%</span>
+                <div className="confidence-bar-container">
+                    <div
+                        className="confidence-bar-fill"
+                        style={{ width: `${probabilities[index] * 100}%` }}
+                    ></div>
+                </div>
+            </div>
+        ))}
+    </div>
+);
+
+// Side-by-side per-class probabilities of two classifiers for the latest
+// window, with how often their top classes have agreed so far.
+//   comparison - latest result of createClassifierComparison().update()
+const ClassifierComparison = ({ comparison, primaryLabel, compareLabel }) => {
+    if (!comparison) {
+        return (
+            <div className="classifier-comparison">
+                Comparing models: waiting for the first window...
+            </div>
+        );
+    }
+
+    return (
+        <div className="classifier-comparison">
+            <div style={{ display: 'flex', justifyContent: 'center', gap: '2rem' }}>
+                <ProbabilityColumn
+                    title={primaryLabel}
+                    probabilities={comparison.primary}
+                    topClass={comparison.primaryClass}
+                />
+                <ProbabilityColumn
+                    title={compareLabel}
+                    probabilities={comparison.compare}
+                    topClass={comparison.compareClass}
+                />
+            </div>
+            <div className="classifier-agreement">
+                {comparison.agree ? '✅ Agree' : '⚠️ Disagree'} - agreement{' '}
+                {(comparison.agreementRate * 100).toFixed(1)}% over {comparison.windows} windows
+            </div>
+        </div>
+    );
+};
+
+export default ClassifierComparison;
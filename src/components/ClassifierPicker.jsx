@@ -0,0 +1,65 @@
+import { CLASSIFIER_MODELS } from '../classifiers';
+
+// Chooses the classifier model, and optionally a second model to compare
+// it against, and whether models run in a Web Worker. Calls onChange with
+// the new classifier settings.
+//   status - 'loading', 'ready' or an error message
+//   timing - timing of the latest prediction ({ inferenceMs, roundTripMs })
+const ClassifierPicker = ({ settings, onChange, status, timing, disabled }) => {
+    const handleModel = (event) => {
+        const model = event.target.value;
+        // Comparing a model with itself is pointless
+        const compareModel = settings.compareModel === model ? null : settings.compareModel;
+        onChange({ ...settings, model, compareModel });
+    };
+
+    const handleCompareModel = (event) => {
+        onChange({ ...settings, compareModel: event.target.value || null });
+    };
+
+    return (
+        <div
+            className="classifier-picker"
+            style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '12px', margin: '8px 0' }}
+        >
+            <label>
+                🧠 Model{' '}
+                <select value={settings.model} onChange={handleModel} disabled={disabled}>
+                    {CLASSIFIER_MODELS.map(model => (
+                        <option key={model.id} value={model.id}>{model.label}</option>
+                    ))}
+                </select>
+            </label>
+            <label>
+                Compare with{' '}
+                <select value={settings.compareModel || ''} onChange={handleCompareModel} disabled={disabled}>
+                    <option value="">None</option>
+                    {CLASSIFIER_MODELS.filter(model => model.id !== settings.model).map(model => (
+                        <option key={model.id} value={model.id}>{model.label}</option>
+                    ))}
+                </select>
+            </label>
+            <label>
+                <input
+                    type="checkbox"
+                    checked={settings.useWorker}
+                    onChange={(event) => onChange({ ...settings, useWorker: event.target.checked })}
+                    disabled={disabled || typeof Worker === 'undefined'}
+                />
+                {' '}Run in worker
+            </label>
+            {status === 'loading' && <span>Loading model...</span>}
+            {status === 'ready' && timing && (
+                <span>
+                    ⏱ {timing.inferenceMs.toFixed(1)} ms inference
+                    {timing.roundTripMs !== undefined && `, ${timing.roundTripMs.toFixed(1)} ms round trip`}
+                </span>
+            )}
+            {status !== 'loading' && status !== 'ready' && (
+                <span style={{ color: '#ff6060' }}>{status}</span>
+            )}
+        </div>
+    );
+};
+
+export default ClassifierPicker;
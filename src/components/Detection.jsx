@@ -1,53 +1,186 @@
-import React, { useEffect, useRef, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { PoseLandmarker, FilesetResolver, DrawingUtils } from "@mediapipe/tasks-vision";
+import MediaControls from './MediaControls';
+import { createInputSource } from '../utils/inputSources';
+import { DETECTION_SETTINGS, fillMissingLandmarks } from '../utils/landmarks';
+import { createPoseTracker, trackColor, TRACKING_SETTINGS } from '../utils/poseTracker';
+import { createLandmarkFilter, LANDMARK_FILTER_SETTINGS } from '../utils/landmarkFilter';
+import { MEDIAPIPE_WASM_PATH, POSE_LANDMARKER_MODEL_PATH } from '../config/assets';
 
-const Detection = ({ onPoseLandmarksReceived }) => {
+// inputSource (optional): descriptor of what to run detection on, see
+// createInputSource. Defaults to the webcam.
+// overlayRef (optional): ref whose `current` maps track IDs to the
+// { joints, bones } to highlight on that person's skeleton, e.g. form rule
+// violations.
+// onTimelineReset (optional): called when a recorded source jumps back in
+// time (seek or restart), so per-frame state can be cleared.
+// numPoses (optional): most people detected at once. Every person gets a
+// stable track ID, passed to onPoseLandmarksReceived as `trackIds` (one per
+// entry of `landmarks`), and a skeleton in their own colour.
+// landmarkFilter (optional): smoothing settings, see landmarkFilter.js. The
+// smoothed landmarks are drawn and passed on; the detector's own landmarks
+// are passed as `unfilteredLandmarks`. Changes apply from the next frame.
+// mirror (optional): show the live camera mirrored (default true). Changes
+// apply straight away without restarting the camera.
+// detectionSettings (optional): PoseLandmarker confidences and landmark
+// visibility cutoff, see DETECTION_SETTINGS in landmarks.js.
+// trackingSettings (optional): pose tracker settings, see poseTracker.js.
+// Both apply from the next frame without restarting anything.
+// children are rendered on top of the video, e.g. text cues.
+const Detection = ({
+    onPoseLandmarksReceived,
+    overlayRef,
+    inputSource,
+    onTimelineReset,
+    numPoses = TRACKING_SETTINGS.maxPoses,
+    landmarkFilter = LANDMARK_FILTER_SETTINGS,
+    mirror = true,
+    detectionSettings = DETECTION_SETTINGS,
+    trackingSettings = TRACKING_SETTINGS,
+    children
+}) => {
     const videoRef = useRef(null);
+    const imageRef = useRef(null);
     const canvasRef = useRef(null);
-    const [landmarksDetected, setLandmarksDetected] = useState(false);
-    const webcamRunningRef = useRef(false);
+    const [peopleDetected, setPeopleDetected] = useState(0);
+    const [activeSource, setActiveSource] = useState(null);
+    const poseLandmarkerRef = useRef(null);
+    const sourceRef = useRef(null);
+    const sourceRunningRef = useRef(false);
     const frameCountRef = useRef(0);
     const errorCountRef = useRef(0);
     const lastValidResultsRef = useRef(null);
+    // Last media timestamp passed to detectForVideo and the offset that keeps
+    // MediaPipe's timestamps increasing when a recorded source jumps back
+    const lastMediaTimestampRef = useRef(-1);
+    const lastDetectTimestampRef = useRef(0);
+    const timestampOffsetRef = useRef(0);
+    // Matches the poses of each frame to the people seen before
+    const trackerRef = useRef(null);
+    if (trackerRef.current === null) {
+        trackerRef.current = createPoseTracker(trackingSettings);
+    }
+    const numPosesRef = useRef(numPoses);
+    const detectionSettingsRef = useRef(detectionSettings);
+    // Smooths each person's landmarks over time
+    const landmarkFilterRef = useRef(null);
+    if (landmarkFilterRef.current === null) {
+        landmarkFilterRef.current = createLandmarkFilter(landmarkFilter);
+    }
+    const landmarkFilterSettingsRef = useRef(landmarkFilter);
+    const mirrorRef = useRef(mirror);
+    // Lays the canvas and media element out for the running source
+    const layoutRef = useRef(null);
 
+    // Keep the latest callbacks without restarting the detection loop
+    const callbacksRef = useRef({});
     useEffect(() => {
-        if (!videoRef.current || !canvasRef.current) return;
+        callbacksRef.current = { onPoseLandmarksReceived, onTimelineReset };
+    }, [onPoseLandmarksReceived, onTimelineReset]);
+
+    // Pose landmarker and detection loop, created once
+    useEffect(() => {
+        if (!canvasRef.current) return;
 
         const canvasCtx = canvasRef.current.getContext('2d');
         const drawingUtils = new DrawingUtils(canvasCtx);
+        let animationFrameId = null;
+        let active = true;
 
-        let poseLandmarker;
+        // Highlight the joints and bones overlayRef lists for this person
+        const drawHighlights = (landmarks, trackId) => {
+            const overlay = overlayRef && overlayRef.current && overlayRef.current[trackId];
+            if (!overlay || !landmarks) return;
+
+            try {
+                if (overlay.bones && overlay.bones.length > 0) {
+                    drawingUtils.drawConnectors(landmarks, overlay.bones, {
+                        color: '#FF3030',
+                        lineWidth: 6
+                    });
+                }
+                if (overlay.joints && overlay.joints.length > 0) {
+                    drawingUtils.drawLandmarks(
+                        overlay.joints.map(index => landmarks[index]).filter(Boolean),
+                        { color: '#FF3030', fillColor: '#FFD000', radius: 6 }
+                    );
+                }
+            } catch (error) {
+                console.warn("Highlight drawing error:", error.message);
+            }
+        };
+
+        // Person's track ID next to their head. The canvas may be mirrored
+        // for the live camera, so the text is flipped back around its anchor.
+        const drawTrackLabel = (landmarks, trackId, color) => {
+            const nose = landmarks[0];
+            if (!nose || !canvasRef.current) return;
+
+            const x = nose.x * canvasRef.current.width;
+            const y = nose.y * canvasRef.current.height - 30;
+            const mirrored = sourceRef.current && sourceRef.current.isLive && mirrorRef.current;
+
+            canvasCtx.save();
+            if (mirrored) {
+                canvasCtx.translate(x, y);
+                canvasCtx.scale(-1, 1);
+                canvasCtx.translate(-x, -y);
+            }
+            canvasCtx.font = 'bold 24px sans-serif';
+            canvasCtx.textAlign = 'center';
+            canvasCtx.fillStyle = color;
+            canvasCtx.fillText(`#${trackId}`, x, y);
+            canvasCtx.restore();
+        };
 
         const drawResults = (results) => {
             if (!canvasRef.current) return;
-            
+
             // Always clear the canvas first, regardless of landmarks
             canvasCtx.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
-            
+
             // If we have valid landmarks, update our reference and draw them
             if (results && results.landmarks && results.landmarks.length > 0) {
                 // Store as last valid results
                 lastValidResultsRef.current = results;
-                
+
                 try {
-                    for (const landmarks of results.landmarks) {
+                    results.landmarks.forEach((landmarks, index) => {
+                        // Each tracked person is drawn in their own colour
+                        const trackId = results.trackIds ? results.trackIds[index] : index + 1;
+                        const color = trackColor(trackId);
                         try {
+                            // Unsmoothed skeleton underneath, to compare against
+                            const unfiltered = results.unfilteredLandmarks && results.unfilteredLandmarks[index];
+                            if (landmarkFilterSettingsRef.current.showRaw && unfiltered && unfiltered !== landmarks) {
+                                drawingUtils.drawConnectors(
+                                    unfiltered,
+                                    PoseLandmarker.POSE_CONNECTIONS,
+                                    { color: 'rgba(255, 255, 255, 0.6)', lineWidth: 1 }
+                                );
+                            }
+
                             drawingUtils.drawConnectors(
                                 landmarks,
-                                PoseLandmarker.POSE_CONNECTIONS
+                                PoseLandmarker.POSE_CONNECTIONS,
+                                { color }
                             );
-                            
+
                             drawingUtils.drawLandmarks(
-                                landmarks
+                                landmarks,
+                                { color: 'white', fillColor: color }
                             );
+
+                            drawHighlights(landmarks, trackId);
+                            drawTrackLabel(landmarks, trackId, color);
                         } catch (error) {
                             console.warn("Drawing error:", error.message);
                         }
-                    }
+                    });
                 } catch (error) {
                     console.warn("Error in draw results:", error.message);
                 }
-            } 
+            }
             // If no landmarks but we have previous valid results, use those instead
             // This creates a "freezing" effect instead of disappearing
             else if (lastValidResultsRef.current && lastValidResultsRef.current.landmarks) {
@@ -60,7 +193,7 @@ const Detection = ({ onPoseLandmarksReceived }) => {
                                 PoseLandmarker.POSE_CONNECTIONS,
                                 {color: 'rgba(255, 255, 255, 0.5)'} // More transparent to indicate old data
                             );
-                            
+
                             drawingUtils.drawLandmarks(
                                 landmarks,
                                 {color: 'rgba(0, 255, 0, 0.5)'} // More transparent landmarks
@@ -75,173 +208,101 @@ const Detection = ({ onPoseLandmarksReceived }) => {
             }
         };
 
+        const createPoseLandmarker = async (delegate) => {
+            // Wasm and model are served from public/ (see src/config/assets.js)
+            const vision = await FilesetResolver.forVisionTasks(MEDIAPIPE_WASM_PATH);
+            const { minPoseDetectionConfidence, minPosePresenceConfidence, minTrackingConfidence } =
+                detectionSettingsRef.current;
+
+            return PoseLandmarker.createFromOptions(vision, {
+                baseOptions: {
+                    modelAssetPath: POSE_LANDMARKER_MODEL_PATH,
+                    delegate
+                },
+                runningMode: "VIDEO",
+                numPoses: numPosesRef.current,
+                minPoseDetectionConfidence,
+                minPosePresenceConfidence,
+                minTrackingConfidence
+            });
+        };
+
         const initializePoseLandmarker = async () => {
             try {
-                const vision = await FilesetResolver.forVisionTasks(
-                    "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm"
-                );
-
-                poseLandmarker = await PoseLandmarker.createFromOptions(vision, {
-                    baseOptions: {
-                        modelAssetPath: "https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task",
-                        delegate: "GPU"
-                    },
-                    
-                    runningMode: "VIDEO",
-                    numPoses: 1,
-                    minPoseDetectionConfidence: 0.2,
-                    minPosePresenceConfidence: 0.2,
-                    minTrackingConfidence: 0.2
-                });
-
-                enableCam();
+                poseLandmarkerRef.current = await createPoseLandmarker("GPU");
             } catch (error) {
                 console.error("Error initializing pose landmarker:", error);
                 // Try again with CPU delegate if GPU fails
                 try {
-                    const vision = await FilesetResolver.forVisionTasks(
-                        "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm"
-                    );
-    
-                    poseLandmarker = await PoseLandmarker.createFromOptions(vision, {
-                        baseOptions: {
-                            modelAssetPath: "https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task",
-                            delegate: "GPU" // Fallback to CPU
-                        },
-                        runningMode: "VIDEO",
-                        numPoses: 1,
-                        minPoseDetectionConfidence: 0.2,
-                        minPosePresenceConfidence: 0.2,
-                        minTrackingConfidence: 0.2
-                    });
-    
-                    enableCam();
+                    poseLandmarkerRef.current = await createPoseLandmarker("CPU");
                 } catch (fallbackError) {
                     console.error("Error initializing pose landmarker (fallback):", fallbackError);
                 }
             }
         };
 
-        const enableCam = () => {
-            if (!webcamRunningRef.current) {
-                navigator.mediaDevices.getUserMedia({
-                    video: {
-                        width: { ideal: 480 },
-                        height: { ideal: 480 },
-                        frameRate: { ideal: 30 }
-                    }
-                })
-                    .then((stream) => {
-                        if (videoRef.current) {
-                            videoRef.current.srcObject = stream;
-                            
-                            // Add event listeners for video errors
-                            videoRef.current.onerror = (e) => {
-                                console.error("Video error:", e);
-                            };
-                            
-                            videoRef.current.onended = () => {
-                                console.warn("Video stream ended");
-                                // Try to restart stream if it ends
-                                setTimeout(enableCam, 1000);
-                            };
-                            
-                            videoRef.current.onloadedmetadata = () => {
-                                try {
-                                    videoRef.current.play()
-                                        .then(() => {
-                                            const videoWidth = videoRef.current.videoWidth;
-                                            const videoHeight = videoRef.current.videoHeight;
-                                            
-                                            console.log(`Video dimensions: ${videoWidth}x${videoHeight}`);
-                                            
-                                            if (videoWidth > 0 && videoHeight > 0 && canvasRef.current) {
-                                                // Set exact dimensions to match video
-                                                canvasRef.current.width = videoWidth;
-                                                canvasRef.current.height = videoHeight;
-                                                
-                                                // Calculate the correct positioning
-                                                const containerWidth = 640; // Your container width
-                                                const containerHeight = 480; // Your container height
-                                                
-                                                // Calculate scaling and positioning
-                                                const scaleX = containerWidth / videoWidth;
-                                                const scaleY = containerHeight / videoHeight;
-                                                const scale = Math.min(scaleX, scaleY);
-                                                
-                                                // Set the canvas style with exact positioning
-                                                canvasRef.current.style.width = `${videoWidth}px`;
-                                                canvasRef.current.style.height = `${videoHeight}px`;
-                                                canvasRef.current.style.position = 'absolute';
-                                                canvasRef.current.style.left = '50%';
-                                                canvasRef.current.style.top = '50%';
-                                                canvasRef.current.style.transform = `translate(-50%, -50%) scaleX(-1) scale(${scale})`;
-                                                
-                                                // Match video positioning
-                                                videoRef.current.style.position = 'absolute';
-                                                videoRef.current.style.left = '50%';
-                                                videoRef.current.style.top = '50%';
-                                                videoRef.current.style.transform = `translate(-50%, -50%) scaleX(-1) scale(${scale})`;
-                                                
-                                                webcamRunningRef.current = true;
-                                                
-                                                setTimeout(() => {
-                                                    predictWebcam();
-                                                }, 200);
-                                            } else {
-                                                console.error("Invalid video or canvas dimensions");
-                                                setTimeout(enableCam, 1000); // Try again
-                                            }
-                                        })
-                                        .catch(playError => {
-                                            console.error("Error playing video:", playError);
-                                            setTimeout(enableCam, 1000); // Try again
-                                        });
-                                } catch (e) {
-                                    console.error("Error in video setup:", e);
-                                    setTimeout(enableCam, 1000); // Try again
-                                }
-                            };
-                        }
-                    })
-                    .catch((err) => {
-                        console.error("Error accessing webcam:", err);
-                        // Try again with different constraints if initial attempt fails
-                        setTimeout(() => {
-                            navigator.mediaDevices.getUserMedia({
-                                video: true // Simplify constraints
-                            }).then(stream => {
-                                if (videoRef.current) {
-                                    videoRef.current.srcObject = stream;
-                                    videoRef.current.onloadedmetadata = () => videoRef.current.play();
-                                }
-                            }).catch(fallbackErr => {
-                                console.error("Fallback webcam access failed:", fallbackErr);
-                            });
-                        }, 1000);
-                    });
+        // Restart MediaPipe's tracking and shift timestamps so they keep
+        // increasing while the media time starts again from `mediaTimestamp`.
+        // Resolves once MediaPipe has applied the reset, so no frame is
+        // detected against the old tracking state.
+        const resetTracking = async (mediaTimestamp) => {
+            try {
+                await poseLandmarkerRef.current.setOptions({ runningMode: "VIDEO" });
+            } catch (error) {
+                // Detection still works; only the old tracking carries over
+                console.warn("Could not reset pose tracking:", error);
             }
+            timestampOffsetRef.current = lastDetectTimestampRef.current + 1 - mediaTimestamp;
+            lastValidResultsRef.current = null;
+            trackerRef.current.reset();
+            landmarkFilterRef.current.reset();
         };
 
-        const predictWebcam = async () => {
-            if (!videoRef.current || !poseLandmarker || !webcamRunningRef.current) {
-                requestAnimationFrame(predictWebcam);
-                return;
+        // Pick the timestamp for detectForVideo. Live sources use the wall
+        // clock; recorded sources use media time so results line up with the
+        // clip, and a jump back in time restarts MediaPipe's tracking so the
+        // same frames give the same landmarks as the first time round.
+        const getDetectionTimestamp = async (source) => {
+            if (source.isLive) {
+                const now = performance.now();
+                return { mediaTimestamp: now, detectTimestamp: Math.max(now, lastDetectTimestampRef.current + 1) };
+            }
+
+            const mediaTimestamp = source.getTimestamp();
+            if (mediaTimestamp === lastMediaTimestampRef.current) {
+                return null; // Frame already processed (paused or not advanced yet)
             }
 
-            if (videoRef.current.readyState !== 4 ||
-                videoRef.current.videoWidth === 0 ||
-                videoRef.current.videoHeight === 0) {
-                requestAnimationFrame(predictWebcam);
+            if (lastMediaTimestampRef.current < 0) {
+                // First frame of a newly started source
+                await resetTracking(mediaTimestamp);
+            } else if (mediaTimestamp < lastMediaTimestampRef.current) {
+                // Seeked backwards or restarted
+                await resetTracking(mediaTimestamp);
+                if (callbacksRef.current.onTimelineReset) {
+                    callbacksRef.current.onTimelineReset();
+                }
+            }
+
+            lastMediaTimestampRef.current = mediaTimestamp;
+            return { mediaTimestamp, detectTimestamp: mediaTimestamp + timestampOffsetRef.current };
+        };
+
+        const predictFrame = async () => {
+            if (!active) return;
+
+            const source = sourceRef.current;
+            const poseLandmarker = poseLandmarkerRef.current;
+
+            if (!source || !poseLandmarker || !sourceRunningRef.current || !source.isReady()) {
+                animationFrameId = requestAnimationFrame(predictFrame);
                 return;
             }
 
-            const startTimeMs = performance.now();
-            
-            // Ensure video is still playing
-            if (videoRef.current.paused || videoRef.current.ended) {
+            // Ensure the live video is still playing
+            if (source.isLive && (source.element.paused || source.element.ended)) {
                 try {
-                    await videoRef.current.play();
+                    await source.element.play();
                 } catch (e) {
                     console.warn("Could not restart video:", e);
                 }
@@ -249,68 +310,73 @@ const Detection = ({ onPoseLandmarksReceived }) => {
 
             try {
                 // Add basic throttling back but much lighter (3 out of 4 frames)
-                // This helps reduce processing load without causing noticeable stutters
+                // This helps reduce processing load without causing noticeable stutters.
+                // Recorded sources process every new frame so runs are repeatable.
                 frameCountRef.current = (frameCountRef.current + 1) % 4;
-                
+
                 // Always redraw existing pose to maintain continuity
                 // This ensures something is always drawn
                 if (lastValidResultsRef.current) {
                     drawResults(lastValidResultsRef.current);
                 }
-                
-                // Only do detection on 3 out of 4 frames
-                if (frameCountRef.current < 3) {
+
+                const timestamps = (!source.isLive || frameCountRef.current < 3) ?
+                    await getDetectionTimestamp(source) : null;
+
+                if (timestamps && active) {
                     try {
+                        const { width, height } = source.getDimensions();
                         // Create a detection options object with image dimensions
                         const detectionOptions = {
-                            imageWidth: videoRef.current.videoWidth,
-                            imageHeight: videoRef.current.videoHeight
+                            imageWidth: width,
+                            imageHeight: height
                         };
-                        
+
                         // Pass the options to detectForVideo
-                        const results = poseLandmarker.detectForVideo(videoRef.current, startTimeMs, detectionOptions);
-                        
+                        const results = poseLandmarker.detectForVideo(
+                            source.element,
+                            timestamps.detectTimestamp,
+                            detectionOptions
+                        );
+                        lastDetectTimestampRef.current = timestamps.detectTimestamp;
+
                         // Draw results only if we have landmarks
                         if (results && results.landmarks && results.landmarks.length > 0) {
-                            drawResults(results);
-                            setLandmarksDetected(true);
-                            
+                            // Stable ID for every person, in the order of results.landmarks,
+                            // then smoothing per person
+                            const trackedResults = landmarkFilterRef.current.apply({
+                                ...results,
+                                trackIds: trackerRef.current.update(results.landmarks, timestamps.mediaTimestamp)
+                            }, timestamps.mediaTimestamp);
+                            drawResults(trackedResults);
+                            setPeopleDetected(results.landmarks.length);
+
                             // Process landmarks before sending them
                             const processedResults = {
-                                ...results,
-                                landmarks: results.landmarks.map(landmarks => {
-                                    // Create a fixed-size array for all 33 landmarks, initialized to zeros
-                                    const completeSet = Array(33).fill().map(() => ({ x: 0, y: 0, z: 0, visibility: 0 }));
-                                    
-                                    // Fill in actual landmarks with good visibility
-                                    for (let i = 0; i < landmarks.length && i < 33; i++) {
-                                        const landmark = landmarks[i];
-                                        if (landmark && landmark.visibility > 0.5) {
-                                            completeSet[i] = {
-                                                x: landmark.x || 0,
-                                                y: landmark.y || 0,
-                                                z: landmark.z || 0,
-                                                visibility: landmark.visibility
-                                            };
-                                        }
-                                    }
-                                    
-                                    return completeSet;
-                                })
+                                ...trackedResults,
+                                // Frame time: media time for recorded sources
+                                timestampMs: timestamps.mediaTimestamp,
+                                sourceKind: source.kind,
+                                // Smoothed landmarks before zero-filling, e.g. for session recording
+                                rawLandmarks: trackedResults.landmarks,
+                                landmarks: trackedResults.landmarks.map(landmarks => fillMissingLandmarks(
+                                    landmarks,
+                                    detectionSettingsRef.current.minLandmarkVisibility
+                                ))
                             };
-                            
+
                             // Send results to parent component
-                            if (onPoseLandmarksReceived) {
+                            if (callbacksRef.current.onPoseLandmarksReceived) {
                                 try {
-                                    onPoseLandmarksReceived(processedResults);
+                                    callbacksRef.current.onPoseLandmarksReceived(processedResults);
                                 } catch (callbackError) {
                                     console.error("Error in landmarks callback:", callbackError);
                                 }
                             }
                         } else {
-                            setLandmarksDetected(false);
+                            setPeopleDetected(0);
                         }
-                        
+
                         // Reset error counter on success
                         errorCountRef.current = 0;
                     } catch (detectionError) {
@@ -321,130 +387,268 @@ const Detection = ({ onPoseLandmarksReceived }) => {
             } catch (error) {
                 console.error("Error in main detection loop:", error);
                 errorCountRef.current++;
-                
-                // Recovery logic for persistent errors
-                if (errorCountRef.current > 5) {
-                    console.warn("Multiple errors detected, attempting recovery...");
-                    try {
-                        setTimeout(() => {
-                            initializePoseLandmarker();
-                        }, 1000);
-                        errorCountRef.current = 0;
-                    } catch (e) {
-                        console.error("Recovery failed:", e);
-                    }
-                }
+            }
+
+            // Recovery logic for persistent errors
+            if (errorCountRef.current > 5) {
+                console.warn("Multiple errors detected, attempting recovery...");
+                errorCountRef.current = 0;
+                setTimeout(() => {
+                    initializePoseLandmarker();
+                }, 1000);
             }
 
             // Always schedule next frame to keep video running smoothly
-            requestAnimationFrame(predictWebcam);
+            animationFrameId = requestAnimationFrame(predictFrame);
         };
 
         // Initialize
         initializePoseLandmarker();
+        animationFrameId = requestAnimationFrame(predictFrame);
 
         // Cleanup
         return () => {
-            if (videoRef.current && videoRef.current.srcObject) {
-                videoRef.current.srcObject.getTracks().forEach(track => track.stop());
+            active = false;
+            cancelAnimationFrame(animationFrameId);
+        };
+    }, [overlayRef]);
+
+    // Change how many people are detected without recreating the landmarker
+    useEffect(() => {
+        numPosesRef.current = numPoses;
+        if (poseLandmarkerRef.current) {
+            poseLandmarkerRef.current.setOptions({ numPoses });
+        }
+    }, [numPoses]);
+
+    // New confidence thresholds take effect without recreating the landmarker
+    useEffect(() => {
+        detectionSettingsRef.current = detectionSettings;
+        if (poseLandmarkerRef.current) {
+            const { minPoseDetectionConfidence, minPosePresenceConfidence, minTrackingConfidence } = detectionSettings;
+            poseLandmarkerRef.current.setOptions({
+                minPoseDetectionConfidence,
+                minPosePresenceConfidence,
+                minTrackingConfidence
+            });
+        }
+    }, [detectionSettings]);
+
+    useEffect(() => {
+        trackerRef.current.setSettings(trackingSettings);
+    }, [trackingSettings]);
+
+    // Retune or switch the smoothing without losing the detection loop
+    useEffect(() => {
+        landmarkFilterSettingsRef.current = landmarkFilter;
+        landmarkFilterRef.current.setSettings(landmarkFilter);
+    }, [landmarkFilter]);
+
+    // Flip the picture without restarting the camera
+    useEffect(() => {
+        mirrorRef.current = mirror;
+        if (layoutRef.current) {
+            layoutRef.current();
+        }
+    }, [mirror]);
+
+    // Start the selected input source, stopping the previous one
+    useEffect(() => {
+        if (!videoRef.current || !imageRef.current) return;
+
+        const source = createInputSource(inputSource || { type: 'camera' }, {
+            videoElement: videoRef.current,
+            imageElement: imageRef.current
+        });
+        let cancelled = false;
+
+        // Size the canvas to the frame and position it over the visible element
+        const layoutToSource = () => {
+            const { width, height } = source.getDimensions();
+
+            if (!(width > 0 && height > 0) || !canvasRef.current) {
+                console.error("Invalid video or canvas dimensions");
+                return false;
             }
-            webcamRunningRef.current = false;
+
+            // Set exact dimensions to match video
+            canvasRef.current.width = width;
+            canvasRef.current.height = height;
+
+            // Calculate the correct positioning
+            const containerWidth = 640; // Your container width
+            const containerHeight = 480; // Your container height
+
+            // Calculate scaling and positioning
+            const scaleX = containerWidth / width;
+            const scaleY = containerHeight / height;
+            const scale = Math.min(scaleX, scaleY);
+
+            // Mirror the live camera only; recorded media is shown as filmed
+            const mirrored = source.isLive && mirrorRef.current ? ' scaleX(-1)' : '';
+            const transform = `translate(-50%, -50%)${mirrored} scale(${scale})`;
+
+            // Set the canvas style with exact positioning, and match the source element
+            canvasRef.current.style.width = `${width}px`;
+            canvasRef.current.style.height = `${height}px`;
+            [canvasRef.current, source.element].forEach(element => {
+                element.style.position = 'absolute';
+                element.style.left = '50%';
+                element.style.top = '50%';
+                element.style.maxWidth = 'none';
+                element.style.maxHeight = 'none';
+                element.style.transform = transform;
+            });
+            return true;
         };
-    }, [onPoseLandmarksReceived]);
+
+        sourceRunningRef.current = false;
+        lastValidResultsRef.current = null;
+        lastMediaTimestampRef.current = -1;
+        trackerRef.current.reset();
+        landmarkFilterRef.current.reset();
+
+        source.start()
+            .then(() => {
+                if (cancelled) return;
+                if (!layoutToSource()) return;
+
+                sourceRef.current = source;
+                sourceRunningRef.current = true;
+                layoutRef.current = layoutToSource;
+                setActiveSource(source);
+            })
+            .catch(error => {
+                console.error("Error starting input source:", error);
+            });
+
+        return () => {
+            cancelled = true;
+            sourceRunningRef.current = false;
+            sourceRef.current = null;
+            layoutRef.current = null;
+            source.stop();
+            setActiveSource(null);
+        };
+    }, [inputSource]);
 
     // Add a useEffect to check video stream health
     useEffect(() => {
         // Check video stream health periodically
         const videoHealthCheck = setInterval(() => {
-            if (videoRef.current && webcamRunningRef.current) {
-                if (videoRef.current.readyState < 2 || videoRef.current.paused) {
-                    console.warn("Video stream appears to be inactive, restarting...");
-                    
-                    // Try to restart the stream
-                    if (videoRef.current.srcObject) {
-                        const tracks = videoRef.current.srcObject.getTracks();
-                        if (tracks.length === 0 || tracks[0].readyState !== "live") {
-                            console.log("Restarting camera due to inactive stream");
-                            webcamRunningRef.current = false;
-                            setTimeout(() => {
-                                enableCam();
-                            }, 500);
-                        } else {
-                            // Stream exists but video is paused, try to play
-                            videoRef.current.play().catch(e => {
-                                console.warn("Could not restart playback:", e);
-                            });
-                        }
-                    }
+            const source = sourceRef.current;
+            if (!source || !source.isLive || !sourceRunningRef.current) return;
+
+            if (source.element.readyState < 2 || source.element.paused) {
+                console.warn("Video stream appears to be inactive, restarting...");
+
+                if (!source.isStreamLive()) {
+                    console.log("Restarting camera due to inactive stream");
+                    sourceRunningRef.current = false;
+                    source.stop();
+                    source.start()
+                        .then(() => {
+                            if (sourceRef.current === source) sourceRunningRef.current = true;
+                        })
+                        .catch(e => console.error("Could not restart camera:", e));
+                } else {
+                    // Stream exists but video is paused, try to play
+                    source.element.play().catch(e => {
+                        console.warn("Could not restart playback:", e);
+                    });
                 }
             }
         }, 3000); // Check every 3 seconds
-        
+
         return () => {
             clearInterval(videoHealthCheck);
         };
     }, []);
 
-    return (
-        <div 
-            className="detection-container"
-            style={{
-                position: 'relative',
-                width: '640px',
-                height: '480px',
-                overflow: 'hidden',
-                border: '2px solid #333',
-                margin: '0 auto',
-                backgroundColor: '#000', // Add background color to container
-            }}
-        >
-            <video
-                ref={videoRef}
-                style={{
-                    position: 'absolute',
-                    top: '50%',
-                    left: '50%',
-                    transform: 'translate(-50%, -50%) scaleX(-1)',
-                    maxWidth: '100%',
-                    maxHeight: '100%',
-                    backgroundColor: 'transparent',
-                }}
-                muted
-                playsInline
-            />
-
-            <canvas
-                ref={canvasRef}
-                style={{
-                    position: 'absolute',
-                    top: '50%',
-                    left: '50%',
-                    transform: 'translate(-50%, -50%) scaleX(-1)',
-                    maxWidth: '100%',
-                    maxHeight: '100%',
-                    zIndex: 999,
-                    backgroundColor: 'transparent',
-                }}
-            />
+    const sourceKind = activeSource ? activeSource.kind : (inputSource && inputSource.type) || 'camera';
 
-            {/* Status indicator */}
+    return (
+        <div className="detection-wrapper">
             <div
+                className="detection-container"
                 style={{
-                    position: 'absolute',
-                    bottom: 10,
-                    left: 10,
-                    background: 'rgba(0,0,0,0.7)',
-                    padding: '5px 10px',
-                    borderRadius: '5px',
-                    color: 'white',
-                    fontSize: '12px',
-                    zIndex: 1000
+                    position: 'relative',
+                    width: '640px',
+                    height: '480px',
+                    overflow: 'hidden',
+                    border: '2px solid #333',
+                    margin: '0 auto',
+                    backgroundColor: '#000', // Add background color to container
                 }}
             >
-                {landmarksDetected ?
-                    "✅ Pose Detected" :
-                    "⏳ Waiting for pose..."}
+                <video
+                    ref={videoRef}
+                    style={{
+                        position: 'absolute',
+                        top: '50%',
+                        left: '50%',
+                        transform: 'translate(-50%, -50%) scaleX(-1)',
+                        maxWidth: '100%',
+                        maxHeight: '100%',
+                        backgroundColor: 'transparent',
+                        display: sourceKind === 'images' ? 'none' : 'block',
+                    }}
+                    muted
+                    playsInline
+                />
+
+                <img
+                    ref={imageRef}
+                    alt=""
+                    style={{
+                        position: 'absolute',
+                        top: '50%',
+                        left: '50%',
+                        transform: 'translate(-50%, -50%)',
+                        display: sourceKind === 'images' ? 'block' : 'none',
+                    }}
+                />
+
+                <canvas
+                    ref={canvasRef}
+                    style={{
+                        position: 'absolute',
+                        top: '50%',
+                        left: '50%',
+                        transform: 'translate(-50%, -50%) scaleX(-1)',
+                        maxWidth: '100%',
+                        maxHeight: '100%',
+                        zIndex: 999,
+                        backgroundColor: 'transparent',
+                    }}
+                />
+
+                {/* Status indicator */}
+                <div
+                    style={{
+                        position: 'absolute',
+                        bottom: 10,
+                        left: 10,
+                        background: 'rgba(0,0,0,0.7)',
+                        padding: '5px 10px',
+                        borderRadius: '5px',
+                        color: 'white',
+                        fontSize: '12px',
+                        zIndex: 1000
+                    }}
+                >
+                    {peopleDetected > 0 ?
+                        `✅ ${peopleDetected === 1 ? 'Pose' : `${peopleDetected} poses`} detected` :
+                        "⏳ Waiting for pose..."}
+                </div>
+
+                {children}
             </div>
+
+            {/* Transport controls for recorded media */}
+            {activeSource && !activeSource.isLive && (
+                <MediaControls source={activeSource} />
+            )}
         </div>
     );
 };
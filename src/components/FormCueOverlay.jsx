@@ -0,0 +1,38 @@
+// Short form-correction cues shown on top of the video feed
+const FormCueOverlay = ({ violations }) => {
+    if (!violations || violations.length === 0) return null;
+
+    return (
+        <div
+            className="form-cue-overlay"
+            style={{
+                position: 'absolute',
+                top: 10,
+                left: '50%',
+                transform: 'translateX(-50%)',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '4px',
+                zIndex: 1000
+            }}
+        >
+            {violations.map(violation => (
+                <div
+                    key={violation.id}
+                    style={{
+                        background: 'rgba(200, 30, 30, 0.85)',
+                        padding: '4px 10px',
+                        borderRadius: '5px',
+                        color: 'white',
+                        fontSize: '14px',
+                        fontWeight: 'bold'
+                    }}
+                >
+                    ⚠️ {violation.message}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default FormCueOverlay;
@@ -0,0 +1,91 @@
+import { FRAMING_DIRECTIONS } from '../utils/framingGuidance';
+
+const arrowStyle = {
+    position: 'absolute',
+    fontSize: '48px',
+    color: '#ffc030',
+    textShadow: '0 0 6px rgba(0, 0, 0, 0.8)',
+    zIndex: 1000
+};
+
+const ARROW_POSITIONS = {
+    top: { top: 8, left: '50%', transform: 'translateX(-50%)' },
+    bottom: { bottom: 36, left: '50%', transform: 'translateX(-50%)' },
+    left: { left: 8, top: '50%', transform: 'translateY(-50%)' },
+    right: { right: 8, top: '50%', transform: 'translateY(-50%)' },
+    centre: { top: '30%', left: '50%', transform: 'translateX(-50%)' }
+};
+
+// Arrows for one direction, as [{ position, glyph }]. The user's left is
+// on the right of an unmirrored picture, so sideways arrows swap sides
+// when the picture is mirrored. Stepping back is shown as arrows closing
+// in from the top and bottom, stepping closer as arrows spreading out.
+const arrowsFor = (direction, mirrored) => {
+    switch (direction) {
+        case FRAMING_DIRECTIONS.BACK:
+            return [{ position: 'top', glyph: '⬇' }, { position: 'bottom', glyph: '⬆' }];
+        case FRAMING_DIRECTIONS.CLOSER:
+            return [{ position: 'top', glyph: '⬆' }, { position: 'bottom', glyph: '⬇' }];
+        case FRAMING_DIRECTIONS.USER_LEFT:
+            return [mirrored ? { position: 'left', glyph: '⬅' } : { position: 'right', glyph: '➡' }];
+        case FRAMING_DIRECTIONS.USER_RIGHT:
+            return [mirrored ? { position: 'right', glyph: '➡' } : { position: 'left', glyph: '⬅' }];
+        case FRAMING_DIRECTIONS.TURN:
+            return [{ position: 'centre', glyph: '🔄' }];
+        default:
+            return [];
+    }
+};
+
+// Framing guidance shown on top of the video feed: directional arrows at
+// the edges and the matching messages. `issues` come from assessFraming;
+// `mirrored` is whether the picture is shown mirrored.
+const FramingGuidanceOverlay = ({ issues, mirrored }) => {
+    if (!issues || issues.length === 0) return null;
+
+    const arrows = new Map();
+    issues.forEach(entry => {
+        arrowsFor(entry.direction, mirrored).forEach(arrow => arrows.set(arrow.position, arrow.glyph));
+    });
+
+    return (
+        <>
+            {Array.from(arrows, ([position, glyph]) => (
+                <div key={position} className="framing-arrow" style={{ ...arrowStyle, ...ARROW_POSITIONS[position] }}>
+                    {glyph}
+                </div>
+            ))}
+            <div
+                className="framing-guidance"
+                style={{
+                    position: 'absolute',
+                    top: '50%',
+                    left: '50%',
+                    transform: 'translate(-50%, -50%)',
+                    display: 'flex',
+                    flexDirection: 'column',
+                    gap: '4px',
+                    zIndex: 1000
+                }}
+            >
+                {issues.map(entry => (
+                    <div
+                        key={entry.id}
+                        style={{
+                            background: entry.blocking ? 'rgba(200, 120, 0, 0.85)' : 'rgba(40, 40, 40, 0.8)',
+                            padding: '4px 10px',
+                            borderRadius: '5px',
+                            color: 'white',
+                            fontSize: '16px',
+                            fontWeight: 'bold'
+                        }}
+                    >
+                        {entry.message}
+                    </div>
+                ))}
+            </div>
+        </>
+    );
+};
+
+export default FramingGuidanceOverlay;
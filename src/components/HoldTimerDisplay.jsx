@@ -0,0 +1,31 @@
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+// Shows the running TreePose hold, its balance score and the longest
+// hold recorded for each raised foot.
+const HoldTimerDisplay = ({ holdState }) => {
+    if (!holdState) return null;
+
+    const { holding, paused, side, duration, balanceScore, best } = holdState;
+
+    return (
+        <div className="hold-timer-display">
+            <h2>Hold:</h2>
+            <div className="hold-current" style={{ fontWeight: 'bold' }}>
+                {!holding && "⏸ Paused - raise one foot"}
+                {holding && !paused && `${formatSeconds(duration)} (${side} foot raised)`}
+                {holding && paused && `⏸ ${formatSeconds(duration)} - raise your ${side} foot to carry on`}
+            </div>
+            {holding && balanceScore !== null && (
+                <div className="hold-balance">Balance: {balanceScore}/100</div>
+            )}
+            {['left', 'right'].map(footSide => (
+                <div key={footSide} className="hold-best" style={{ opacity: 0.8 }}>
+                    Best {footSide}: {formatSeconds(best[footSide].duration)}
+                    {best[footSide].balanceScore !== null && ` (balance ${best[footSide].balanceScore})`}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default HoldTimerDisplay;
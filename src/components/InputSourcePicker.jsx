@@ -0,0 +1,67 @@
+import { useState } from 'react';
+import { DEFAULT_FRAME_RATE } from '../utils/inputSources';
+
+// Lets the user choose between the live camera, a recorded video file and
+// a folder of still frames. Calls onChange with an input source descriptor.
+const InputSourcePicker = ({ inputSource, onChange }) => {
+    const [frameRate, setFrameRate] = useState(DEFAULT_FRAME_RATE);
+    const currentType = inputSource ? inputSource.type : 'camera';
+
+    const handleVideoFile = (event) => {
+        const file = event.target.files && event.target.files[0];
+        if (file) {
+            onChange({ type: 'video', file, fps: frameRate });
+        }
+        event.target.value = '';
+    };
+
+    const handleImageFiles = (event) => {
+        const files = Array.from(event.target.files || []);
+        if (files.length > 0) {
+            onChange({ type: 'images', files, fps: frameRate });
+        }
+        event.target.value = '';
+    };
+
+    return (
+        <div
+            className="input-source-picker"
+            style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '12px', margin: '8px 0' }}
+        >
+            <button
+                onClick={() => onChange({ type: 'camera' })}
+                disabled={currentType === 'camera'}
+            >
+                📷 Camera
+            </button>
+            <label>
+                🎞️ Video file{' '}
+                <input type="file" accept="video/mp4,video/webm" onChange={handleVideoFile} />
+            </label>
+            <label>
+                🖼️ Frames folder{' '}
+                <input
+                    type="file"
+                    accept="image/*"
+                    multiple
+                    // webkitdirectory is not a known React prop, so set it directly
+                    ref={element => element && element.setAttribute('webkitdirectory', '')}
+                    onChange={handleImageFiles}
+                />
+            </label>
+            <label>
+                FPS{' '}
+                <input
+                    type="number"
+                    min={1}
+                    max={120}
+                    value={frameRate}
+                    onChange={(event) => setFrameRate(Number(event.target.value) || DEFAULT_FRAME_RATE)}
+                    style={{ width: '4em' }}
+                />
+            </label>
+        </div>
+    );
+};
+
+export default InputSourcePicker;
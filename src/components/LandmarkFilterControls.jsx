@@ -0,0 +1,62 @@
+// Switches landmark smoothing on and off and tunes its One Euro filter
+// parameters (see utils/landmarkFilter.js). Calls onChange with the new
+// filter settings.
+const LandmarkFilterControls = ({ settings, onChange }) => {
+    const handleNumber = (key) => (event) => {
+        const value = Number(event.target.value);
+        if (Number.isFinite(value) && value >= 0) {
+            onChange({ ...settings, [key]: value });
+        }
+    };
+
+    return (
+        <div
+            className="landmark-filter-controls"
+            style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '12px', margin: '8px 0' }}
+        >
+            <label>
+                <input
+                    type="checkbox"
+                    checked={settings.enabled}
+                    onChange={(event) => onChange({ ...settings, enabled: event.target.checked })}
+                />
+                {' '}〰️ Smooth landmarks
+            </label>
+            <label title="Cutoff frequency when still (Hz). Lower removes more jitter but lags more.">
+                Min cutoff{' '}
+                <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={settings.minCutoff}
+                    onChange={handleNumber('minCutoff')}
+                    disabled={!settings.enabled}
+                    style={{ width: '60px' }}
+                />
+            </label>
+            <label title="How quickly the cutoff rises with speed. Higher follows fast movement more closely.">
+                Beta{' '}
+                <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={settings.beta}
+                    onChange={handleNumber('beta')}
+                    disabled={!settings.enabled}
+                    style={{ width: '60px' }}
+                />
+            </label>
+            <label>
+                <input
+                    type="checkbox"
+                    checked={settings.showRaw}
+                    onChange={(event) => onChange({ ...settings, showRaw: event.target.checked })}
+                    disabled={!settings.enabled}
+                />
+                {' '}Show raw
+            </label>
+        </div>
+    );
+};
+
+export default LandmarkFilterControls;
@@ -0,0 +1,63 @@
+import { useEffect, useState } from 'react';
+
+const formatTime = (ms) => {
+    const totalSeconds = Math.max(0, ms) / 1000;
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = (totalSeconds % 60).toFixed(2).padStart(5, '0');
+    return `${minutes}:${seconds}`;
+};
+
+// Play, pause, seek and frame-step controls for a recorded input source
+const MediaControls = ({ source }) => {
+    const [position, setPosition] = useState({ currentTime: 0, duration: 0, paused: true });
+
+    // Poll the source so the controls follow playback
+    useEffect(() => {
+        const update = () => setPosition({
+            currentTime: source.getCurrentTime(),
+            duration: source.getDuration(),
+            paused: source.isPaused()
+        });
+
+        update();
+        const interval = setInterval(update, 100);
+        return () => clearInterval(interval);
+    }, [source]);
+
+    const togglePlay = () => {
+        if (source.isPaused()) {
+            Promise.resolve(source.play()).catch(error => {
+                console.warn("Could not start playback:", error);
+            });
+        } else {
+            source.pause();
+        }
+    };
+
+    return (
+        <div
+            className="media-controls"
+            style={{ display: 'flex', alignItems: 'center', gap: '8px', width: '640px', margin: '8px auto' }}
+        >
+            <button onClick={() => source.step(-1)} title="Previous frame">⏮</button>
+            <button onClick={togglePlay} title={position.paused ? 'Play' : 'Pause'}>
+                {position.paused ? '▶' : '⏸'}
+            </button>
+            <button onClick={() => source.step(1)} title="Next frame">⏭</button>
+            <input
+                type="range"
+                min={0}
+                max={position.duration || 0}
+                step={1}
+                value={Math.min(position.currentTime, position.duration || 0)}
+                onChange={(event) => source.seek(Number(event.target.value))}
+                style={{ flex: 1 }}
+            />
+            <span style={{ fontFamily: 'monospace', fontSize: '12px' }}>
+                {formatTime(position.currentTime)} / {formatTime(position.duration)}
+            </span>
+        </div>
+    );
+};
+
+export default MediaControls;
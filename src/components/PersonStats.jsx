@@ -0,0 +1,64 @@
+import RepCounterDisplay from './RepCounterDisplay';
+import HoldTimerDisplay from './HoldTimerDisplay';
+import { HOLD_EXERCISES } from '../utils/exercises';
+
+// Current exercise, reps or hold and form warning count of one tracked
+// person. `person` is Test2's display state for that person; `title` and
+// `color` label the card when several people are tracked.
+const PersonStats = ({ person, title, color }) => {
+    const { exerciseClass, exerciseConfidence, repCounts, repPhase, holdState, formWarningCount } = person;
+
+    return (
+        <div
+            className="exercise-stats"
+            style={{
+                display: 'flex',
+                justifyContent: 'center',
+                gap: '2rem',
+                opacity: person.present ? 1 : 0.5,
+                borderLeft: color ? `6px solid ${color}` : 'none',
+                paddingLeft: color ? '1rem' : 0
+            }}
+        >
+            {title && (
+                <div className="person-title" style={{ color }}>
+                    <h2>{title}</h2>
+                    {!person.present && <div>Out of frame</div>}
+                </div>
+            )}
+            <div className="prediction-display">
+                <h2>Current Exercise:</h2>
+                <div className="exercise-class">{exerciseClass}</div>
+                {person.classificationPaused && (
+                    <div className="classification-paused" style={{ color: '#ffc030' }}>
+                        ⏸ Paused until you are fully in frame
+                    </div>
+                )}
+                <div className="confidence-meter">
+                    <div className="confidence-label">Confidence: {(exerciseConfidence * 100).toFixed(2)}%</div>
+                    <div className="confidence-bar-container">
+                        <div 
+                            className="confidence-bar-fill" 
+                            style={{ width: `${exerciseConfidence * 100}%` }}
+                        ></div>
+                    </div>
+                </div>
+            </div>
+            {HOLD_EXERCISES.includes(exerciseClass) ? (
+                <HoldTimerDisplay holdState={holdState} />
+            ) : (
+                <RepCounterDisplay
+                    counts={repCounts}
+                    activeExercise={exerciseClass}
+                    phase={repPhase}
+                />
+            )}
+            <div className="form-warning-count">
+                <h2>Form warnings:</h2>
+                <div>{formWarningCount}</div>
+            </div>
+        </div>
+    );
+};
+
+export default PersonStats;
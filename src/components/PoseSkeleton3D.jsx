@@ -0,0 +1,103 @@
+import { useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Line } from '@react-three/drei';
+import { Object3D } from 'three';
+import { PoseLandmarker } from '@mediapipe/tasks-vision';
+import { NUM_LANDMARKS } from '../utils/landmarks';
+import { trackColor } from '../utils/poseTracker';
+
+// Most skeletons drawn at once (the People picker goes up to six)
+const MAX_SKELETONS = 6;
+
+const CONNECTIONS = PoseLandmarker.POSE_CONNECTIONS;
+const JOINT_RADIUS = 0.02;
+const MIN_VISIBILITY = 0.5;
+
+const placeholder = new Object3D();
+
+// MediaPipe world landmarks are in metres around the hips with y pointing
+// down and z away from the camera; three.js has y up and z towards the viewer
+const toScene = (landmark, target, offset) => {
+    target[offset] = landmark.x;
+    target[offset + 1] = -landmark.y;
+    target[offset + 2] = -landmark.z;
+};
+
+const isShown = (landmark) => Boolean(landmark) &&
+    (landmark.visibility === undefined || landmark.visibility >= MIN_VISIBILITY);
+
+// One skeleton, updated every rendered frame from getPoses()[slot] without
+// re-rendering React. Joints below MIN_VISIBILITY are hidden, with their bones.
+const SkeletonSlot = ({ slot, getPoses }) => {
+    const groupRef = useRef(null);
+    const jointsRef = useRef(null);
+    const bonesRef = useRef(null);
+    const bonePositions = useMemo(() => new Float32Array(CONNECTIONS.length * 2 * 3), []);
+    const initialPoints = useMemo(() => CONNECTIONS.flatMap(() => [[0, 0, 0], [0, 0, 0]]), []);
+    const jointPosition = useMemo(() => new Float32Array(3), []);
+
+    useFrame(() => {
+        const pose = getPoses()[slot];
+        const group = groupRef.current;
+        if (!group || !jointsRef.current || !bonesRef.current) return;
+
+        group.visible = Boolean(pose && pose.landmarks);
+        if (!group.visible) return;
+
+        const { landmarks, trackId } = pose;
+        const color = trackColor(trackId);
+
+        for (let index = 0; index < NUM_LANDMARKS; index++) {
+            const landmark = landmarks[index];
+            if (isShown(landmark)) {
+                toScene(landmark, jointPosition, 0);
+                placeholder.position.set(jointPosition[0], jointPosition[1], jointPosition[2]);
+                placeholder.scale.setScalar(1);
+            } else {
+                placeholder.scale.setScalar(0);
+            }
+            placeholder.updateMatrix();
+            jointsRef.current.setMatrixAt(index, placeholder.matrix);
+        }
+        jointsRef.current.instanceMatrix.needsUpdate = true;
+        jointsRef.current.material.color.set(color);
+
+        // Hidden bones collapse onto their start joint
+        CONNECTIONS.forEach(({ start, end }, index) => {
+            const offset = index * 6;
+            const from = landmarks[start];
+            const to = landmarks[end];
+            if (isShown(from) && isShown(to)) {
+                toScene(from, bonePositions, offset);
+                toScene(to, bonePositions, offset + 3);
+            } else {
+                bonePositions.fill(0, offset, offset + 6);
+            }
+        });
+        bonesRef.current.geometry.setPositions(bonePositions);
+        bonesRef.current.material.color.set(color);
+    });
+
+    return (
+        <group ref={groupRef} visible={false}>
+            <instancedMesh ref={jointsRef} args={[undefined, undefined, NUM_LANDMARKS]} frustumCulled={false}>
+                <sphereGeometry args={[JOINT_RADIUS, 12, 12]} />
+                <meshStandardMaterial />
+            </instancedMesh>
+            <Line ref={bonesRef} points={initialPoints} segments lineWidth={3} frustumCulled={false} />
+        </group>
+    );
+};
+
+// World-space skeletons of everyone in view. getPoses() is called on every
+// rendered frame and returns [{ landmarks, trackId }], landmarks being one
+// person's 33 world landmarks.
+const PoseSkeleton3D = ({ getPoses }) => (
+    <>
+        {Array.from({ length: MAX_SKELETONS }, (_, slot) => (
+            <SkeletonSlot key={slot} slot={slot} getPoses={getPoses} />
+        ))}
+    </>
+);
+
+export default PoseSkeleton3D;
@@ -0,0 +1,29 @@
+import { REP_EXERCISES } from '../utils/exercises';
+
+// Shows the rep count for every rep-based exercise, highlighting the one
+// the classifier currently reports along with its phase.
+const RepCounterDisplay = ({ counts, activeExercise, phase }) => {
+    return (
+        <div className="rep-counter-display">
+            <h2>Reps:</h2>
+            {REP_EXERCISES.map(exercise => {
+                const isActive = exercise === activeExercise;
+                return (
+                    <div
+                        key={exercise}
+                        className={isActive ? 'rep-count active' : 'rep-count'}
+                        style={{ fontWeight: isActive ? 'bold' : 'normal', opacity: isActive ? 1 : 0.6 }}
+                    >
+                        <span className="rep-count-name">{exercise}: </span>
+                        <span className="rep-count-value">{counts[exercise] || 0}</span>
+                        {isActive && phase && (
+                            <span className="rep-count-phase"> ({phase})</span>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default RepCounterDisplay;
@@ -0,0 +1,88 @@
+import { useState } from 'react';
+import { CLASS_NAMES } from '../utils/exercises';
+import { isHoldExercise, validateRoutine } from '../routines/routines';
+
+const NEW_BLOCK = { exercise: 'Squat', sets: 3, target: 10, rest: 60 };
+
+// Edits one routine: its name and its exercises (sets, reps or hold time,
+// rest). Calls onSave with the edited routine, or onCancel.
+const RoutineBuilder = ({ routine, onSave, onCancel }) => {
+    const [draft, setDraft] = useState(routine);
+    const errors = validateRoutine(draft);
+
+    const updateBlock = (index, changes) => {
+        setDraft({
+            ...draft,
+            blocks: draft.blocks.map((block, blockIndex) => (blockIndex === index ? { ...block, ...changes } : block))
+        });
+    };
+
+    const moveBlock = (index, offset) => {
+        const blocks = [...draft.blocks];
+        const [block] = blocks.splice(index, 1);
+        blocks.splice(index + offset, 0, block);
+        setDraft({ ...draft, blocks });
+    };
+
+    const numberInput = (index, key, value) => (
+        <input
+            type="number"
+            min={key === 'rest' ? 0 : 1}
+            value={value}
+            onChange={(event) => updateBlock(index, { [key]: Number(event.target.value) })}
+            style={{ width: '4em' }}
+        />
+    );
+
+    return (
+        <div className="routine-builder" style={{ border: '1px solid #555', padding: '8px', margin: '8px auto', maxWidth: '700px' }}>
+            <label>
+                Name{' '}
+                <input
+                    type="text"
+                    value={draft.name}
+                    onChange={(event) => setDraft({ ...draft, name: event.target.value })}
+                />
+            </label>
+
+            {draft.blocks.map((block, index) => (
+                <div key={index} style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '8px', margin: '6px 0' }}>
+                    <select
+                        value={block.exercise}
+                        onChange={(event) => updateBlock(index, { exercise: event.target.value })}
+                    >
+                        {CLASS_NAMES.map(name => (
+                            <option key={name} value={name}>{name}</option>
+                        ))}
+                    </select>
+                    <label>{numberInput(index, 'sets', block.sets)} sets of</label>
+                    <label>
+                        {numberInput(index, 'target', block.target)}
+                        {isHoldExercise(block.exercise) ? ' s hold' : ' reps'},
+                    </label>
+                    <label>{numberInput(index, 'rest', block.rest)} s rest</label>
+                    <button onClick={() => moveBlock(index, -1)} disabled={index === 0}>↑</button>
+                    <button onClick={() => moveBlock(index, 1)} disabled={index === draft.blocks.length - 1}>↓</button>
+                    <button onClick={() => setDraft({ ...draft, blocks: draft.blocks.filter((_, i) => i !== index) })}>
+                        ✕
+                    </button>
+                </div>
+            ))}
+
+            <button onClick={() => setDraft({ ...draft, blocks: [...draft.blocks, { ...NEW_BLOCK }] })}>
+                ➕ Add exercise
+            </button>
+
+            {errors.map(error => (
+                <div key={error} style={{ color: '#ff6060' }}>{error}</div>
+            ))}
+
+            <div style={{ display: 'flex', justifyContent: 'center', gap: '8px', marginTop: '8px' }}>
+                <button onClick={() => onSave(draft)} disabled={errors.length > 0}>💾 Save routine</button>
+                <button onClick={onCancel}>Cancel</button>
+            </div>
+        </div>
+    );
+};
+
+export default RoutineBuilder;
@@ -0,0 +1,127 @@
+import { useState } from 'react';
+import RoutineBuilder from './RoutineBuilder';
+import { describeBlock, STEP_KINDS } from '../routines/routines';
+
+const formatSeconds = (ms) => {
+    const seconds = Math.ceil(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const describeStep = (step) => {
+    if (!step) return '';
+    if (step.kind === STEP_KINDS.REST) return `Rest ${step.seconds}s`;
+    const amount = step.kind === STEP_KINDS.HOLD ? `${step.target}s` : `${step.target} reps`;
+    return `${step.exercise} ${amount} (set ${step.set}/${step.sets})`;
+};
+
+// Where the running routine is up to: the current set and its progress, or
+// the rest countdown, plus a warning when the detected exercise is not the
+// planned one
+const RoutineProgress = ({ state }) => {
+    const { status, step, nextStep, progress, restRemainingMs, mismatch } = state;
+
+    if (status === 'done') {
+        return <div className="routine-progress"><h2>🎉 {state.routineName} complete!</h2></div>;
+    }
+    if (!step) return null;
+
+    return (
+        <div className="routine-progress">
+            <div style={{ opacity: 0.8 }}>
+                {state.routineName} - step {state.stepIndex + 1} of {state.stepCount}
+            </div>
+            {status === 'rest' ? (
+                <h2>⏳ Rest {formatSeconds(restRemainingMs)}</h2>
+            ) : (
+                <h2>
+                    {step.exercise} - set {step.set}/{step.sets}:{' '}
+                    {step.kind === STEP_KINDS.HOLD ?
+                        `${(progress / 1000).toFixed(1)}s / ${step.target}s` :
+                        `${progress} / ${step.target} reps`}
+                </h2>
+            )}
+            {nextStep && <div>Next: {describeStep(nextStep)}</div>}
+            {status === 'exercise' && mismatch && (
+                <div className="routine-mismatch" style={{ color: '#ff6060', fontWeight: 'bold' }}>
+                    ⚠️ Planned {mismatch.expected}, but {mismatch.detected} is detected
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Picks, edits and runs workout routines. `routineState` is the runner
+// state of the routine in progress (or null); onStart(routine) and onStop
+// control it, and onRoutinesChange saves the edited list of routines.
+const RoutinePanel = ({ routines, onRoutinesChange, routineState, onStart, onStop, disabled }) => {
+    const [selectedId, setSelectedId] = useState(routines.length > 0 ? routines[0].id : '');
+    // Routine being edited, or null
+    const [editing, setEditing] = useState(null);
+
+    const selected = routines.find(routine => routine.id === selectedId) || routines[0] || null;
+    const running = routineState !== null;
+
+    const handleSave = (routine) => {
+        const exists = routines.some(existing => existing.id === routine.id);
+        onRoutinesChange(exists ?
+            routines.map(existing => (existing.id === routine.id ? routine : existing)) :
+            [...routines, routine]);
+        setSelectedId(routine.id);
+        setEditing(null);
+    };
+
+    const handleDelete = () => {
+        if (!selected || !window.confirm(`Delete the routine "${selected.name}"?`)) return;
+        onRoutinesChange(routines.filter(routine => routine.id !== selected.id));
+        setSelectedId('');
+    };
+
+    return (
+        <div className="routine-panel" style={{ margin: '8px 0' }}>
+            <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '8px' }}>
+                <label>
+                    🏋️ Routine{' '}
+                    <select
+                        value={selected ? selected.id : ''}
+                        onChange={(event) => setSelectedId(event.target.value)}
+                        disabled={running}
+                    >
+                        {routines.map(routine => (
+                            <option key={routine.id} value={routine.id}>{routine.name}</option>
+                        ))}
+                    </select>
+                </label>
+                {running ? (
+                    <button onClick={onStop}>{routineState.status === 'done' ? '✔ Close' : '⏹ Stop routine'}</button>
+                ) : (
+                    <button onClick={() => onStart(selected)} disabled={!selected || disabled}>▶ Start routine</button>
+                )}
+                <button onClick={() => setEditing(selected)} disabled={!selected || running}>✏️ Edit</button>
+                <button
+                    onClick={() => setEditing({ id: `routine-${Date.now()}`, name: 'New routine', blocks: [] })}
+                    disabled={running}
+                >
+                    ➕ New
+                </button>
+                <button onClick={handleDelete} disabled={!selected || running}>🗑 Delete</button>
+            </div>
+
+            {!running && !editing && selected && (
+                <div style={{ opacity: 0.8 }}>{selected.blocks.map(describeBlock).join(' → ')}</div>
+            )}
+
+            {editing && (
+                <RoutineBuilder
+                    key={editing.id}
+                    routine={editing}
+                    onSave={handleSave}
+                    onCancel={() => setEditing(null)}
+                />
+            )}
+
+            {running && <RoutineProgress state={routineState} />}
+        </div>
+    );
+};
+
+export default RoutinePanel;
@@ -0,0 +1,55 @@
+import { useEffect, useState } from 'react';
+import { downloadBlob } from '../utils/sessionRecorder';
+
+// Start/stop buttons for the landmark session recorder. Stopping downloads
+// the recorded session file.
+const SessionRecorderControls = ({ recorder, sourceKind }) => {
+    const [recording, setRecording] = useState(recorder.isRecording());
+    const [frameCount, setFrameCount] = useState(0);
+    const [saving, setSaving] = useState(false);
+
+    // Refresh the frame counter while recording
+    useEffect(() => {
+        if (!recording) return;
+
+        const interval = setInterval(() => setFrameCount(recorder.getFrameCount()), 500);
+        return () => clearInterval(interval);
+    }, [recorder, recording]);
+
+    const startRecording = () => {
+        recorder.start({ source: sourceKind });
+        setFrameCount(0);
+        setRecording(true);
+    };
+
+    const stopRecording = async () => {
+        const startedAt = recorder.getStartedAt();
+        setRecording(false);
+        setSaving(true);
+        try {
+            const { blob, extension } = await recorder.stop();
+            downloadBlob(blob, `session-${startedAt.toISOString()}.${extension}`);
+        } catch (error) {
+            console.error("Error saving session recording:", error);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div
+            className="session-recorder-controls"
+            style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '12px', margin: '8px 0' }}
+        >
+            {recording ? (
+                <button onClick={stopRecording}>⏹ Stop & download</button>
+            ) : (
+                <button onClick={startRecording} disabled={saving}>⏺ Record session</button>
+            )}
+            {recording && <span>🔴 Recording: {frameCount} frames</span>}
+            {saving && <span>Saving...</span>}
+        </div>
+    );
+};
+
+export default SessionRecorderControls;
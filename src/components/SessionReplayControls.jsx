@@ -0,0 +1,129 @@
+import { useEffect, useRef, useState } from 'react';
+import { DETECTION_SETTINGS } from '../utils/landmarks';
+import { createSessionReplayer, parseSessionFile, REPLAY_SPEEDS } from '../utils/sessionReplay';
+import { downloadBlob } from '../utils/sessionRecorder';
+
+// Loads a recorded session and replays it through the classification
+// pipeline, in real time or as fast as possible.
+//   onStart()       - prepare the pipeline (returns a promise), e.g. reset state
+//   onFrame(result) - pipeline entry point for each replayed frame
+//   onEnd()         - replay finished or was stopped
+//   detectionSettings - landmark visibility cutoff and so on, applied to the
+//                     recorded landmarks as Detection does to live ones
+const SessionReplayControls = ({ onStart, onFrame, onEnd, detectionSettings = DETECTION_SETTINGS }) => {
+    const [session, setSession] = useState(null);
+    const [fileName, setFileName] = useState('');
+    const [speed, setSpeed] = useState(REPLAY_SPEEDS.REALTIME);
+    const [progress, setProgress] = useState(0);
+    const [replaying, setReplaying] = useState(false);
+    const [predictions, setPredictions] = useState(null);
+    const [error, setError] = useState(null);
+    const replayerRef = useRef(null);
+    // Latest detection settings, read by the replayer on every frame
+    const detectionSettingsRef = useRef(detectionSettings);
+    useEffect(() => {
+        detectionSettingsRef.current = detectionSettings;
+    }, [detectionSettings]);
+
+    // Stop a running replay when unmounting
+    useEffect(() => () => {
+        if (replayerRef.current) replayerRef.current.stop();
+    }, []);
+
+    const handleFile = async (event) => {
+        const file = event.target.files && event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            setError(null);
+            setSession(await parseSessionFile(file));
+            setFileName(file.name);
+            setProgress(0);
+            setPredictions(null);
+        } catch (parseError) {
+            console.error("Error reading session file:", parseError);
+            setError(parseError.message);
+            setSession(null);
+        }
+    };
+
+    const startReplay = async () => {
+        if (!session) return;
+
+        setReplaying(true);
+        setProgress(0);
+        setPredictions(null);
+
+        try {
+            await onStart();
+
+            const replayer = createSessionReplayer(session.frames, {
+                onFrame,
+                onProgress: setProgress,
+                getDetectionSettings: () => detectionSettingsRef.current,
+                speed
+            });
+            replayerRef.current = replayer;
+            setPredictions(await replayer.run());
+        } catch (replayError) {
+            console.error("Error replaying session:", replayError);
+            setError(replayError.message);
+        } finally {
+            replayerRef.current = null;
+            setReplaying(false);
+            onEnd();
+        }
+    };
+
+    const stopReplay = () => {
+        if (replayerRef.current) replayerRef.current.stop();
+    };
+
+    const downloadPredictions = () => {
+        const data = {
+            session: fileName,
+            classNames: session.header.classNames,
+            predictions
+        };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, `${fileName.replace(/\.ndjson(\.gz)?$/, '')}-predictions.json`);
+    };
+
+    return (
+        <div
+            className="session-replay-controls"
+            style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '12px', margin: '8px 0' }}
+        >
+            <label>
+                ⏯ Replay session{' '}
+                <input
+                    type="file"
+                    accept=".ndjson,.gz,application/x-ndjson,application/gzip"
+                    onChange={handleFile}
+                    disabled={replaying}
+                />
+            </label>
+            <select value={speed} onChange={(event) => setSpeed(event.target.value)} disabled={replaying}>
+                <option value={REPLAY_SPEEDS.REALTIME}>Real time</option>
+                <option value={REPLAY_SPEEDS.FAST}>As fast as possible</option>
+            </select>
+            {replaying ? (
+                <button onClick={stopReplay}>⏹ Stop replay</button>
+            ) : (
+                <button onClick={startReplay} disabled={!session}>▶ Replay</button>
+            )}
+            {session && (
+                <span>{progress}/{session.frames.length} frames</span>
+            )}
+            {predictions && !replaying && (
+                <button onClick={downloadPredictions}>
+                    Download {predictions.length} predictions
+                </button>
+            )}
+            {error && <span style={{ color: '#ff6060' }}>{error}</span>}
+        </div>
+    );
+};
+
+export default SessionReplayControls;
@@ -0,0 +1,197 @@
+import { useState } from 'react';
+import { CLASS_NAMES } from '../utils/exercises';
+import { CameraSelect } from './CameraSettingsPanel';
+import { downloadBlob } from '../utils/sessionRecorder';
+import {
+    exportSettings,
+    importSettings,
+    SETTING_TYPES,
+    SETTINGS_SCHEMA,
+    settingsStore,
+    useSettings
+} from '../settings/settingsStore';
+
+const sectionStyle = {
+    border: '1px solid #444',
+    borderRadius: '6px',
+    padding: '8px 12px',
+    margin: '8px 0',
+    textAlign: 'left'
+};
+
+const fieldsStyle = {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fill, minmax(260px, 1fr))',
+    gap: '6px 16px'
+};
+
+// Number input that only passes on valid values. What is being typed is kept
+// while it is invalid (e.g. half-way through a number) and marked in red;
+// leaving the input shows the stored value again.
+const NumberSetting = ({ field, value, onChange }) => {
+    const [draft, setDraft] = useState(null);
+    const [problem, setProblem] = useState(null);
+
+    const handleChange = (event) => {
+        const text = event.target.value;
+        setDraft(text);
+        const errors = text === '' ? ['Enter a value'] : onChange(Number(text));
+        setProblem(errors.length > 0 ? errors.join('; ') : null);
+    };
+
+    return (
+        <input
+            type="number"
+            min={field.min}
+            max={field.max}
+            step={field.step}
+            value={draft === null ? value : draft}
+            onChange={handleChange}
+            onBlur={() => {
+                setDraft(null);
+                setProblem(null);
+            }}
+            title={problem || `${field.min} to ${field.max}`}
+            style={{ width: '80px', outline: problem ? '2px solid #ff6060' : 'none' }}
+        />
+    );
+};
+
+// Input for one setting of the schema. onChange returns the problems found
+// with the new value (empty if it was applied).
+const SettingInput = ({ field, value, onChange }) => {
+    switch (field.type) {
+        case SETTING_TYPES.NUMBER:
+        case SETTING_TYPES.INTEGER:
+            return <NumberSetting field={field} value={value} onChange={onChange} />;
+        case SETTING_TYPES.BOOLEAN:
+            return <input type="checkbox" checked={value} onChange={(event) => onChange(event.target.checked)} />;
+        case SETTING_TYPES.CHOICE:
+            // Options are picked by position, as values may be null
+            return (
+                <select
+                    value={field.options.findIndex(option => option.value === value)}
+                    onChange={(event) => onChange(field.options[Number(event.target.value)].value)}
+                >
+                    {field.options.map((option, index) => (
+                        <option key={index} value={index}>{option.label}</option>
+                    ))}
+                </select>
+            );
+        case SETTING_TYPES.EXERCISES:
+            return (
+                <span>
+                    {CLASS_NAMES.map(exercise => (
+                        <label key={exercise} style={{ marginRight: '8px' }}>
+                            <input
+                                type="checkbox"
+                                checked={value.includes(exercise)}
+                                onChange={(event) => onChange(event.target.checked ?
+                                    [...value, exercise] :
+                                    value.filter(entry => entry !== exercise))}
+                            />
+                            {exercise}
+                        </label>
+                    ))}
+                </span>
+            );
+        case SETTING_TYPES.CAMERA:
+            return <CameraSelect value={value} onChange={onChange} />;
+        default:
+            return null;
+    }
+};
+
+// The fields of one section, or of one group of a grouped section.
+// onChange(key, value) returns the problems found.
+const SettingFields = ({ fields, values, onChange }) => (
+    <div style={fieldsStyle}>
+        {Object.entries(fields).map(([key, field]) => (
+            <label key={key} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+                <span>{field.label}{field.unit ? ` (${field.unit})` : ''}</span>
+                <SettingInput field={field} value={values[key]} onChange={(value) => onChange(key, value)} />
+            </label>
+        ))}
+    </div>
+);
+
+// Every setting of the settings store (see settings/settingsStore.js),
+// section by section, with import/export as JSON and resetting to the
+// defaults. Changes are saved and take effect straight away.
+const SettingsPanel = () => {
+    const settings = useSettings();
+    // Result of the last import: { error } or { warnings }
+    const [importResult, setImportResult] = useState(null);
+
+    const handleExport = () => {
+        const blob = new Blob([exportSettings(settings)], { type: 'application/json' });
+        downloadBlob(blob, 'exercise-detection-settings.json');
+    };
+
+    const handleImport = async (event) => {
+        const file = event.target.files && event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            const { settings: imported, errors } = importSettings(await file.text());
+            settingsStore.replace(imported);
+            setImportResult({ warnings: errors });
+        } catch (importError) {
+            console.error("Error importing settings:", importError);
+            setImportResult({ error: importError.message });
+        }
+    };
+
+    return (
+        <div className="settings-panel" style={{ maxWidth: '900px', margin: '8px auto' }}>
+            <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '12px' }}>
+                <button onClick={handleExport}>⬇ Export</button>
+                <label>
+                    ⬆ Import{' '}
+                    <input type="file" accept=".json,application/json" onChange={handleImport} />
+                </label>
+                <button onClick={() => settingsStore.reset()}>Reset all</button>
+            </div>
+            {importResult && importResult.error && <div style={{ color: '#ff6060' }}>{importResult.error}</div>}
+            {importResult && importResult.warnings && (
+                <div>
+                    {importResult.warnings.length === 0 ?
+                        'Settings imported' :
+                        `Settings imported; kept the defaults where values were invalid: ${importResult.warnings.join('; ')}`}
+                </div>
+            )}
+
+            {SETTINGS_SCHEMA.map(section => (
+                <fieldset key={section.id} className={`settings-${section.id}`} style={sectionStyle}>
+                    <legend>
+                        {section.label}{' '}
+                        <button onClick={() => settingsStore.reset(section.id)} style={{ fontSize: '12px' }}>
+                            Reset
+                        </button>
+                    </legend>
+                    {section.groups ? section.groups.map(group => (
+                        <div key={group} style={{ marginBottom: '6px' }}>
+                            <strong>{group}</strong>
+                            <SettingFields
+                                fields={section.fields}
+                                values={settings[section.id][group]}
+                                onChange={(key, value) => settingsStore.update(section.id, {
+                                    [group]: { ...settings[section.id][group], [key]: value }
+                                })}
+                            />
+                        </div>
+                    )) : (
+                        <SettingFields
+                            fields={section.fields}
+                            values={settings[section.id]}
+                            onChange={(key, value) => settingsStore.update(section.id, { [key]: value })}
+                        />
+                    )}
+                </fieldset>
+            ))}
+        </div>
+    );
+};
+
+export default SettingsPanel;
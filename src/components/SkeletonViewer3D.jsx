@@ -0,0 +1,189 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Canvas } from '@react-three/fiber';
+import { Grid, OrbitControls } from '@react-three/drei';
+import PoseSkeleton3D from './PoseSkeleton3D';
+import { parseSessionFile } from '../utils/sessionReplay';
+import { unflattenLandmarks } from '../utils/sessionRecorder';
+
+// Camera positions (metres from the hips) for the view buttons
+const VIEW_PRESETS = {
+    Front: [0, 0, 2.5],
+    Side: [2.5, 0, 0],
+    Top: [0, 2.5, 0.01]
+};
+
+// World landmarks have their origin between the hips, so the floor sits
+// about a leg length below it
+const FLOOR_HEIGHT = -0.9;
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)} s`;
+
+// Index of the last frame at or before time t (frames are in time order)
+const frameAtTime = (frames, t) => {
+    let low = 0;
+    let high = frames.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (frames[middle].t <= t) low = middle;
+        else high = middle - 1;
+    }
+    return low;
+};
+
+// Rotatable 3D view of the world-space skeletons. In live mode it shows
+// whatever the pipeline last produced, read from poseRef.current
+// ({ poses: worldLandmarks[], trackIds }); in recording mode it plays back
+// the world landmarks of a recorded session file.
+const SkeletonViewer3D = ({ poseRef, width = 480, height = 480 }) => {
+    const [mode, setMode] = useState('live');
+    const [recording, setRecording] = useState(null);
+    const [frameIndex, setFrameIndex] = useState(0);
+    const [playing, setPlaying] = useState(false);
+    const [error, setError] = useState(null);
+    const controlsRef = useRef(null);
+    // Frame playback starts from, set when play is pressed
+    const startFrameRef = useRef(0);
+
+    const frames = useMemo(() => (recording ? recording.frames : []), [recording]);
+    const duration = frames.length > 0 ? frames[frames.length - 1].t : 0;
+
+    // Recordings only hold the first person, shown with track 1's colour
+    const recordedPoses = useMemo(() => {
+        const frame = frames[frameIndex];
+        const landmarks = frame ? unflattenLandmarks(frame.wlm) : null;
+        return landmarks ? [{ landmarks, trackId: 1 }] : [];
+    }, [frames, frameIndex]);
+
+    const getPoses = useCallback(() => {
+        if (mode === 'recording') return recordedPoses;
+
+        const current = poseRef.current;
+        if (!current || !current.poses) return [];
+        return current.poses.map((landmarks, index) => ({
+            landmarks,
+            trackId: current.trackIds ? current.trackIds[index] : index + 1
+        }));
+    }, [mode, recordedPoses, poseRef]);
+
+    // Advance through the recording at its own pace, from wherever the
+    // slider was when play was pressed
+    useEffect(() => {
+        if (!playing || frames.length === 0) return;
+
+        const startedAt = performance.now();
+        const startTime = frames[startFrameRef.current].t;
+        let animationFrame = null;
+
+        const step = () => {
+            const t = startTime + performance.now() - startedAt;
+            setFrameIndex(frameAtTime(frames, t));
+            if (t >= duration) {
+                setPlaying(false);
+                return;
+            }
+            animationFrame = requestAnimationFrame(step);
+        };
+        animationFrame = requestAnimationFrame(step);
+
+        return () => cancelAnimationFrame(animationFrame);
+    }, [playing, frames, duration]);
+
+    const handleFileChange = async (event) => {
+        const file = event.target.files && event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        setPlaying(false);
+        try {
+            const { frames: parsed } = await parseSessionFile(file);
+            if (!parsed.some(frame => frame.wlm)) {
+                throw new Error("This recording has no world landmarks");
+            }
+            setRecording({ name: file.name, frames: parsed });
+            setFrameIndex(0);
+            setError(null);
+        } catch (loadError) {
+            console.error("Error loading session for the 3D view:", loadError);
+            setError(loadError.message);
+        }
+    };
+
+    const handlePlayToggle = () => {
+        if (!playing) {
+            // Start over once the end was reached
+            const startFrame = frameIndex >= frames.length - 1 ? 0 : frameIndex;
+            startFrameRef.current = startFrame;
+            setFrameIndex(startFrame);
+        }
+        setPlaying(!playing);
+    };
+
+    const showView = (position) => {
+        const controls = controlsRef.current;
+        if (!controls) return;
+        controls.object.position.set(...position);
+        controls.target.set(0, 0, 0);
+        controls.update();
+    };
+
+    return (
+        <div style={{ width: `${width}px` }}>
+            <div style={{ width: `${width}px`, height: `${height}px`, background: '#111', borderRadius: '4px' }}>
+                <Canvas camera={{ position: VIEW_PRESETS.Front, fov: 50, near: 0.01, far: 50 }}>
+                    <ambientLight intensity={0.6} />
+                    <directionalLight position={[2, 3, 2]} intensity={1} />
+                    <Grid
+                        position={[0, FLOOR_HEIGHT, 0]}
+                        args={[4, 4]}
+                        cellSize={0.25}
+                        sectionSize={1}
+                        cellColor="#444"
+                        sectionColor="#777"
+                        fadeDistance={12}
+                    />
+                    <PoseSkeleton3D getPoses={getPoses} />
+                    <OrbitControls ref={controlsRef} makeDefault target={[0, 0, 0]} />
+                </Canvas>
+            </div>
+
+            <div style={{ display: 'flex', justifyContent: 'center', gap: '6px', marginTop: '6px' }}>
+                {Object.entries(VIEW_PRESETS).map(([name, position]) => (
+                    <button key={name} onClick={() => showView(position)}>{name}</button>
+                ))}
+                <select value={mode} onChange={(event) => {
+                    setPlaying(false);
+                    setMode(event.target.value);
+                }}>
+                    <option value="live">Live</option>
+                    <option value="recording">Recording</option>
+                </select>
+            </div>
+
+            {mode === 'recording' && (
+                <div style={{ marginTop: '6px' }}>
+                    <input type="file" accept=".ndjson,.gz,.json" onChange={handleFileChange} />
+                    {error && <div style={{ color: '#ff6060' }}>{error}</div>}
+                    {recording && (
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '6px' }}>
+                            <button onClick={handlePlayToggle}>{playing ? 'Pause' : 'Play'}</button>
+                            <input
+                                type="range"
+                                min={0}
+                                max={frames.length - 1}
+                                value={frameIndex}
+                                onChange={(event) => {
+                                    setPlaying(false);
+                                    setFrameIndex(Number(event.target.value));
+                                }}
+                                style={{ flex: 1 }}
+                            />
+                            <span>{formatSeconds(frames[frameIndex].t)} / {formatSeconds(duration)}</span>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SkeletonViewer3D;
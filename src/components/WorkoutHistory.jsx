@@ -0,0 +1,149 @@
+import { useCallback, useEffect, useState } from 'react';
+import { deleteSession, listSessions } from '../history/workoutHistory';
+import { CLASS_NAMES } from '../utils/exercises';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDuration = (ms) => {
+    const seconds = Math.round(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+};
+
+// Reps per exercise summed over everyone in the session, e.g. "12 Squat"
+const formatReps = (session) => {
+    const counts = {};
+    session.people.forEach(person => {
+        Object.entries(person.repCounts).forEach(([exercise, count]) => {
+            counts[exercise] = (counts[exercise] || 0) + count;
+        });
+    });
+    const entries = Object.entries(counts);
+    return entries.length > 0 ? entries.map(([exercise, count]) => `${count} ${exercise}`).join(', ') : '-';
+};
+
+// Local midnight of an <input type="date"> value, in ms
+const parseDate = (value) => {
+    if (!value) return null;
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day).getTime();
+};
+
+// Past workout sessions stored in IndexedDB, filterable by exercise and
+// date, with a delete button per session. Reloads whenever refreshKey
+// changes, e.g. after a session is saved.
+const WorkoutHistory = ({ refreshKey }) => {
+    const [sessions, setSessions] = useState([]);
+    const [error, setError] = useState(null);
+    const [exercise, setExercise] = useState('');
+    const [fromDate, setFromDate] = useState('');
+    const [toDate, setToDate] = useState('');
+
+    const loadSessions = useCallback(() => {
+        const to = parseDate(toDate);
+        return listSessions({
+            exercise: exercise || null,
+            from: parseDate(fromDate),
+            // Include the whole of the last day
+            to: to === null ? null : to + DAY_MS - 1
+        })
+            .then(result => {
+                setSessions(result);
+                setError(null);
+            })
+            .catch(loadError => {
+                console.error("Error loading workout history:", loadError);
+                setError(loadError.message);
+            });
+    }, [exercise, fromDate, toDate]);
+
+    useEffect(() => {
+        loadSessions();
+    }, [loadSessions, refreshKey]);
+
+    const handleDelete = async (session) => {
+        const when = new Date(session.startTime).toLocaleString();
+        if (!window.confirm(`Delete the workout from ${when}?`)) return;
+
+        try {
+            await deleteSession(session.id);
+        } catch (deleteError) {
+            console.error("Error deleting workout:", deleteError);
+            setError(deleteError.message);
+        }
+        loadSessions();
+    };
+
+    return (
+        <div className="workout-history" style={{ margin: '16px auto', maxWidth: '900px' }}>
+            <h2>Workout history</h2>
+            <div style={{ display: 'flex', justifyContent: 'center', gap: '12px', marginBottom: '8px' }}>
+                <label>
+                    Exercise{' '}
+                    <select value={exercise} onChange={(event) => setExercise(event.target.value)}>
+                        <option value="">All</option>
+                        {CLASS_NAMES.map(name => (
+                            <option key={name} value={name}>{name}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    From{' '}
+                    <input type="date" value={fromDate} onChange={(event) => setFromDate(event.target.value)} />
+                </label>
+                <label>
+                    To{' '}
+                    <input type="date" value={toDate} onChange={(event) => setToDate(event.target.value)} />
+                </label>
+            </div>
+
+            {error && <div style={{ color: '#ff6060' }}>Could not load the history: {error}</div>}
+            {!error && sessions.length === 0 && <div>No workouts saved yet.</div>}
+
+            {sessions.length > 0 && (
+                <table style={{ width: '100%', borderCollapse: 'collapse', textAlign: 'left' }}>
+                    <thead>
+                        <tr>
+                            <th>Started</th>
+                            <th>Length</th>
+                            <th>Exercises</th>
+                            <th>Reps</th>
+                            <th>Holds</th>
+                            <th>Form warnings</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {sessions.map(session => (
+                            <tr key={session.id}>
+                                <td>{new Date(session.startTime).toLocaleString()}</td>
+                                <td>{formatDuration(session.endTime - session.startTime)}</td>
+                                <td>
+                                    <details>
+                                        <summary>{session.exercises.join(', ')}</summary>
+                                        {session.segments.map((segment, index) => (
+                                            <div key={index} style={{ fontSize: '0.85em' }}>
+                                                {session.people.length > 1 && `#${segment.trackId} `}
+                                                {segment.exercise}: {formatDuration(segment.endTime - segment.startTime)}
+                                                {segment.reps > 0 && `, ${segment.reps} reps`}
+                                                {segment.holdMs > 0 && `, held ${formatDuration(segment.holdMs)}`}
+                                            </div>
+                                        ))}
+                                    </details>
+                                </td>
+                                <td>{formatReps(session)}</td>
+                                <td>{session.totals.holdMs > 0 ? formatDuration(session.totals.holdMs) : '-'}</td>
+                                <td>{session.totals.formWarnings}</td>
+                                <td>
+                                    <button onClick={() => handleDelete(session)}>🗑 Delete</button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+export default WorkoutHistory;
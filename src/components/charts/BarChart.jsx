@@ -0,0 +1,54 @@
+import ChartFrame from './ChartFrame';
+import { CHART_MARGIN, niceScale } from './chartScale';
+
+// Stacked bar chart. data is [{ time, values: { [seriesKey]: number } }],
+// series is [{ key, label, color }] in stacking order (bottom first) and
+// formatLabel turns a data point's time into its x-axis label.
+const BarChart = ({ title, data, series, formatLabel, width = 640, height = 220 }) => {
+    const totals = data.map(point => series.reduce((sum, entry) => sum + (point.values[entry.key] || 0), 0));
+    const scale = niceScale(Math.max(0, ...totals));
+
+    const plotWidth = width - CHART_MARGIN.left - CHART_MARGIN.right;
+    const plotHeight = height - CHART_MARGIN.top - CHART_MARGIN.bottom;
+    const slot = plotWidth / Math.max(1, data.length);
+    const barWidth = Math.max(1, slot * 0.7);
+    const xPositions = data.map((_, index) => CHART_MARGIN.left + slot * (index + 0.5));
+    const heightFor = (value) => plotHeight * (value / scale.max);
+
+    return (
+        <ChartFrame
+            title={title}
+            width={width}
+            height={height}
+            scale={scale}
+            labels={data.map(point => formatLabel(point.time))}
+            xPositions={xPositions}
+            series={series}
+        >
+            {data.map((point, index) => {
+                let stacked = 0;
+                return series.map(entry => {
+                    const value = point.values[entry.key] || 0;
+                    if (value <= 0) return null;
+                    const barHeight = heightFor(value);
+                    const y = CHART_MARGIN.top + plotHeight - heightFor(stacked) - barHeight;
+                    stacked += value;
+                    return (
+                        <rect
+                            key={`${index}-${entry.key}`}
+                            x={xPositions[index] - barWidth / 2}
+                            y={y}
+                            width={barWidth}
+                            height={barHeight}
+                            fill={entry.color}
+                        >
+                            <title>{`${formatLabel(point.time)} - ${entry.label}: ${Math.round(value * 10) / 10}`}</title>
+                        </rect>
+                    );
+                });
+            })}
+        </ChartFrame>
+    );
+};
+
+export default BarChart;
@@ -0,0 +1,57 @@
+import { CHART_MARGIN, labelEvery } from './chartScale';
+
+// SVG with a title, y-axis gridlines and x-axis labels, drawn around the
+// chart's own plot (children). xPositions are the centres of the data
+// points; scale is the { max, ticks } of niceScale.
+const ChartFrame = ({ title, width, height, scale, labels, xPositions, series, children }) => {
+    const plotHeight = height - CHART_MARGIN.top - CHART_MARGIN.bottom;
+    const yFor = (value) => CHART_MARGIN.top + plotHeight * (1 - value / scale.max);
+    const every = labelEvery(labels.length);
+
+    return (
+        <figure className="chart" style={{ margin: '12px auto', width }}>
+            <figcaption style={{ fontWeight: 'bold' }}>{title}</figcaption>
+            <svg width={width} height={height} role="img" aria-label={title}>
+                {scale.ticks.map(tick => (
+                    <g key={tick}>
+                        <line
+                            x1={CHART_MARGIN.left}
+                            x2={width - CHART_MARGIN.right}
+                            y1={yFor(tick)}
+                            y2={yFor(tick)}
+                            stroke="#444"
+                        />
+                        <text x={CHART_MARGIN.left - 6} y={yFor(tick) + 4} textAnchor="end" fontSize="11" fill="#aaa">
+                            {tick}
+                        </text>
+                    </g>
+                ))}
+                {labels.map((label, index) => (index % every === 0 ? (
+                    <text
+                        key={index}
+                        x={xPositions[index]}
+                        y={height - CHART_MARGIN.bottom + 16}
+                        textAnchor="middle"
+                        fontSize="11"
+                        fill="#aaa"
+                    >
+                        {label}
+                    </text>
+                ) : null))}
+                {children}
+            </svg>
+            {series.length > 1 && (
+                <div className="chart-legend" style={{ display: 'flex', justifyContent: 'center', gap: '12px', fontSize: '12px' }}>
+                    {series.map(entry => (
+                        <span key={entry.key}>
+                            <span style={{ display: 'inline-block', width: 10, height: 10, background: entry.color, marginRight: 4 }} />
+                            {entry.label}
+                        </span>
+                    ))}
+                </div>
+            )}
+        </figure>
+    );
+};
+
+export default ChartFrame;
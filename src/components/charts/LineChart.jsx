@@ -0,0 +1,63 @@
+import ChartFrame from './ChartFrame';
+import { CHART_MARGIN, niceScale } from './chartScale';
+
+// Line chart with a dot per value. Same data, series and formatLabel as
+// BarChart; null values leave a gap in the line.
+const LineChart = ({ title, data, series, formatLabel, width = 640, height = 220 }) => {
+    const values = data.flatMap(point => series.map(entry => point.values[entry.key]))
+        .filter(value => value !== null && value !== undefined);
+    const scale = niceScale(Math.max(0, ...values));
+
+    const plotWidth = width - CHART_MARGIN.left - CHART_MARGIN.right;
+    const plotHeight = height - CHART_MARGIN.top - CHART_MARGIN.bottom;
+    const slot = plotWidth / Math.max(1, data.length);
+    const xPositions = data.map((_, index) => CHART_MARGIN.left + slot * (index + 0.5));
+    const yFor = (value) => CHART_MARGIN.top + plotHeight * (1 - value / scale.max);
+
+    // Split a series into runs of consecutive values, one polyline each
+    const runsOf = (key) => {
+        const runs = [];
+        let run = [];
+        data.forEach((point, index) => {
+            const value = point.values[key];
+            if (value === null || value === undefined) {
+                if (run.length > 0) runs.push(run);
+                run = [];
+            } else {
+                run.push({ x: xPositions[index], y: yFor(value), value, time: point.time });
+            }
+        });
+        if (run.length > 0) runs.push(run);
+        return runs;
+    };
+
+    return (
+        <ChartFrame
+            title={title}
+            width={width}
+            height={height}
+            scale={scale}
+            labels={data.map(point => formatLabel(point.time))}
+            xPositions={xPositions}
+            series={series}
+        >
+            {series.map(entry => runsOf(entry.key).map((run, runIndex) => (
+                <g key={`${entry.key}-${runIndex}`}>
+                    <polyline
+                        points={run.map(point => `${point.x},${point.y}`).join(' ')}
+                        fill="none"
+                        stroke={entry.color}
+                        strokeWidth="2"
+                    />
+                    {run.map(point => (
+                        <circle key={point.time} cx={point.x} cy={point.y} r="3" fill={entry.color}>
+                            <title>{`${formatLabel(point.time)} - ${entry.label}: ${Math.round(point.value * 10) / 10}`}</title>
+                        </circle>
+                    ))}
+                </g>
+            )))}
+        </ChartFrame>
+    );
+};
+
+export default LineChart;
@@ -0,0 +1,24 @@
+// Shared layout for the dashboard charts: plot margins and y-axis ticks
+
+export const CHART_MARGIN = { top: 10, right: 10, bottom: 30, left: 45 };
+
+// Round the largest value up to a tidy axis maximum and return
+// { max, ticks } with ticks evenly spaced from 0 to max
+export function niceScale(largest, tickCount = 4) {
+    if (!(largest > 0)) {
+        return { max: 1, ticks: [0, 1] };
+    }
+    const roughStep = largest / tickCount;
+    const magnitude = 10 ** Math.floor(Math.log10(roughStep));
+    const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= roughStep);
+    const max = Math.ceil(largest / step) * step;
+
+    const ticks = [];
+    for (let tick = 0; tick <= max + step / 2; tick += step) {
+        ticks.push(Number(tick.toPrecision(6)));
+    }
+    return { max, ticks };
+}
+
+// Show at most about `maxLabels` x-axis labels
+export const labelEvery = (count, maxLabels = 10) => Math.max(1, Math.ceil(count / maxLabels));
@@ -0,0 +1,28 @@
+// Locations of every runtime asset (wasm binaries and models). All of them
+// are served by the app itself from public/, so nothing is fetched from a
+// CDN and the app works with the network disabled.
+//
+// Set VITE_ASSET_BASE_URL to serve the assets from somewhere else, e.g. a
+// local asset server shared by several devices. Defaults to the app's base URL.
+export const ASSET_BASE_URL = import.meta.env.VITE_ASSET_BASE_URL || import.meta.env.BASE_URL || '/';
+
+// Resolve a path relative to the asset base URL
+export function assetUrl(path) {
+    const base = ASSET_BASE_URL.endsWith('/') ? ASSET_BASE_URL : `${ASSET_BASE_URL}/`;
+    return `${base}${path.replace(/^\/+/, '')}`;
+}
+
+// MediaPipe tasks-vision wasm files, copied from node_modules by scripts/copy-assets.js
+export const MEDIAPIPE_WASM_PATH = assetUrl('wasm/mediapipe');
+
+// tfjs-tflite wasm files, copied from node_modules by scripts/copy-assets.js.
+// setWasmPath expects a trailing slash.
+export const TFLITE_WASM_PATH = assetUrl('wasm/tflite/');
+
+// MediaPipe pose landmarker model, downloaded once by scripts/copy-assets.js
+export const POSE_LANDMARKER_MODEL_PATH = assetUrl('models/pose_landmarker_lite.task');
+
+// STGCN exercise classifiers (see classifiers/index.js). The fine-tuned
+// TFLite model is the default.
+export const EXERCISE_MODEL_PATH = assetUrl('models/stgcn_exercise_fine_tunned.tflite');
+export const EXERCISE_LAYERS_MODEL_PATH = assetUrl('models/model.json');
@@ -0,0 +1,73 @@
+// IndexedDB database holding the workout history. The schema is versioned:
+// each entry of MIGRATIONS upgrades the database from the version before it,
+// so a browser that skipped some releases runs every missing step in order.
+// Append new migrations; never change one that has shipped.
+
+export const DB_NAME = 'exercise-detection';
+
+export const STORES = {
+    SESSIONS: 'sessions'
+};
+
+const MIGRATIONS = [
+    // 1: workout sessions, listed by start time and filtered by exercise
+    (db) => {
+        const sessions = db.createObjectStore(STORES.SESSIONS, { keyPath: 'id' });
+        sessions.createIndex('startTime', 'startTime');
+        sessions.createIndex('exercises', 'exercises', { multiEntry: true });
+    }
+];
+
+export const DB_VERSION = MIGRATIONS.length;
+
+// Resolve with the result of an IDBRequest
+export const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Resolve once a transaction has committed
+export const transactionDone = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+let databasePromise = null;
+
+// Open (and if needed create or upgrade) the database. The connection is
+// shared by every caller.
+export function openDatabase() {
+    if (databasePromise) return databasePromise;
+
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB is not available in this browser'));
+    }
+
+    databasePromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            for (let version = event.oldVersion; version < DB_VERSION; version++) {
+                MIGRATIONS[version](db, request.transaction);
+            }
+        };
+        request.onsuccess = () => {
+            const db = request.result;
+            // Another tab is upgrading the schema: let it, and reopen next time
+            db.onversionchange = () => {
+                db.close();
+                databasePromise = null;
+            };
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => console.warn("Workout history upgrade is waiting for other tabs to close");
+    }).catch(error => {
+        databasePromise = null;
+        throw error;
+    });
+
+    return databasePromise;
+}
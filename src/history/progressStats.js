@@ -0,0 +1,112 @@
+// Trends across stored workout sessions (see workoutHistory.js) for the
+// progress dashboard. Sessions count towards the local day (or week) they
+// started on. Every function takes the sessions to summarise and an
+// optional exercise to restrict the figures to.
+
+import { FORM_RULES } from '../utils/formRules';
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local midnight of the day containing `time`
+export const startOfDay = (time) => {
+    const date = new Date(time);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+};
+
+// Local midnight of the Monday starting the week containing `time`
+export const startOfWeek = (time) => {
+    const date = new Date(startOfDay(time));
+    const daysSinceMonday = (date.getDay() + 6) % 7;
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - daysSinceMonday).getTime();
+};
+
+// Every day (as local midnight) from the first to the last, inclusive.
+// Stepped by calendar date so daylight saving changes do not skip days.
+export function daysBetween(from, to) {
+    const days = [];
+    const date = new Date(startOfDay(from));
+    const last = startOfDay(to);
+    while (date.getTime() <= last) {
+        days.push(date.getTime());
+        date.setDate(date.getDate() + 1);
+    }
+    return days;
+}
+
+const RULE_EXERCISE = Object.fromEntries(FORM_RULES.map(rule => [rule.id, rule.exercise]));
+
+const sessionReps = (session, exercise) => session.segments
+    .filter(segment => !exercise || segment.exercise === exercise)
+    .reduce((sum, segment) => sum + segment.reps, 0);
+
+const sessionFormWarnings = (session, exercise) => session.people.reduce((sum, person) =>
+    sum + Object.entries(person.formWarnings)
+        .filter(([ruleId]) => !exercise || RULE_EXERCISE[ruleId] === exercise)
+        .reduce((total, [, count]) => total + count, 0), 0);
+
+// Add a session's reps to `values`, keyed by exercise
+const addSegmentReps = (values, session, exercise) => {
+    session.segments
+        .filter(segment => segment.reps > 0 && (!exercise || segment.exercise === exercise))
+        .forEach(segment => {
+            values[segment.exercise] = (values[segment.exercise] || 0) + segment.reps;
+        });
+};
+
+// Reps per exercise for each day in `days`: [{ time, values: { [exercise]: reps } }]
+export function dailyReps(sessions, days, exercise = null) {
+    const byDay = new Map(days.map(day => [day, {}]));
+    sessions.forEach(session => {
+        const values = byDay.get(startOfDay(session.startTime));
+        if (!values) return;
+        addSegmentReps(values, session, exercise);
+    });
+    return days.map(day => ({ time: day, values: byDay.get(day) }));
+}
+
+// Reps per exercise for each week (Monday first) covering `days`:
+// [{ time, values: { [exercise]: reps } }]
+export function weeklyVolume(sessions, days, exercise = null) {
+    const weeks = Array.from(new Set(days.map(startOfWeek)));
+    const byWeek = new Map(weeks.map(week => [week, {}]));
+    sessions.forEach(session => {
+        const values = byWeek.get(startOfWeek(session.startTime));
+        if (!values) return;
+        addSegmentReps(values, session, exercise);
+    });
+    return weeks.map(week => ({ time: week, values: byWeek.get(week) }));
+}
+
+// Longest TreePose hold of each day, in seconds (null on days without one):
+// [{ time, values: { longest } }]
+export function longestHolds(sessions, days) {
+    const byDay = new Map(days.map(day => [day, null]));
+    sessions.forEach(session => {
+        const day = startOfDay(session.startTime);
+        if (!byDay.has(day)) return;
+        session.people.forEach(person => {
+            person.holds
+                .filter(hold => hold.exercise === 'TreePose')
+                .forEach(hold => {
+                    byDay.set(day, Math.max(byDay.get(day) || 0, hold.duration / 1000));
+                });
+        });
+    });
+    return days.map(day => ({ time: day, values: { longest: byDay.get(day) } }));
+}
+
+// Form warnings per 10 reps for each day (null on days without reps):
+// [{ time, values: { rate } }]
+export function formWarningRate(sessions, days, exercise = null) {
+    const byDay = new Map(days.map(day => [day, { reps: 0, warnings: 0 }]));
+    sessions.forEach(session => {
+        const totals = byDay.get(startOfDay(session.startTime));
+        if (!totals) return;
+        totals.reps += sessionReps(session, exercise);
+        totals.warnings += sessionFormWarnings(session, exercise);
+    });
+    return days.map(day => {
+        const { reps, warnings } = byDay.get(day);
+        return { time: day, values: { rate: reps > 0 ? (warnings / reps) * 10 : null } };
+    });
+}
@@ -0,0 +1,108 @@
+import { describe, expect, it } from 'vitest';
+import {
+    dailyReps,
+    daysBetween,
+    formWarningRate,
+    longestHolds,
+    startOfDay,
+    startOfWeek,
+    weeklyVolume
+} from './progressStats';
+
+// Local time on a day of March 2025 (the 3rd is a Monday)
+const march = (day, hour = 10) => new Date(2025, 2, day, hour).getTime();
+
+// A stored session (see workoutHistory.js) starting at `startTime`
+const session = (startTime, { segments = [], holds = [], formWarnings = {} } = {}) => ({
+    startTime,
+    segments,
+    people: [{ trackId: 1, repCounts: {}, holds, formWarnings }]
+});
+
+const segment = (exercise, reps) => ({ trackId: 1, exercise, reps, holdMs: 0 });
+
+describe('progressStats dates', () => {
+    it('finds local midnight and the Monday of the week', () => {
+        expect(startOfDay(march(5, 23))).toBe(new Date(2025, 2, 5).getTime());
+        expect(startOfWeek(march(5))).toBe(new Date(2025, 2, 3).getTime());
+        expect(startOfWeek(march(9))).toBe(new Date(2025, 2, 3).getTime());
+        expect(startOfWeek(march(10))).toBe(new Date(2025, 2, 10).getTime());
+    });
+
+    it('lists every day in a range, across month ends and clock changes', () => {
+        const days = daysBetween(march(1, 12), new Date(2025, 3, 30, 8).getTime());
+
+        expect(days).toHaveLength(61);
+        expect(days[0]).toBe(new Date(2025, 2, 1).getTime());
+        expect(days[60]).toBe(new Date(2025, 3, 30).getTime());
+        expect(new Set(days.map(day => new Date(day).getHours()))).toEqual(new Set([0]));
+    });
+});
+
+describe('dailyReps and weeklyVolume', () => {
+    const sessions = [
+        session(march(3), { segments: [segment('Squat', 10), segment('Push-Up', 5)] }),
+        session(march(3, 18), { segments: [segment('Squat', 4)] }),
+        session(march(11), { segments: [segment('Squat', 8), segment('TreePose', 0)] }),
+        // Outside the range
+        session(march(20), { segments: [segment('Squat', 100)] })
+    ];
+    const days = daysBetween(march(3), march(12));
+
+    it('adds up reps per exercise per day, with empty days kept', () => {
+        const daily = dailyReps(sessions, days);
+
+        expect(daily).toHaveLength(10);
+        expect(daily[0]).toEqual({ time: startOfDay(march(3)), values: { Squat: 14, 'Push-Up': 5 } });
+        expect(daily[1].values).toEqual({});
+        expect(daily[8].values).toEqual({ Squat: 8 });
+    });
+
+    it('restricts the reps to one exercise', () => {
+        expect(dailyReps(sessions, days, 'Push-Up')[0].values).toEqual({ 'Push-Up': 5 });
+    });
+
+    it('adds up reps per week, starting on Monday', () => {
+        expect(weeklyVolume(sessions, days)).toEqual([
+            { time: startOfWeek(march(3)), values: { Squat: 14, 'Push-Up': 5 } },
+            { time: startOfWeek(march(10)), values: { Squat: 8 } }
+        ]);
+    });
+});
+
+describe('longestHolds', () => {
+    it('gives the longest TreePose hold of each day in seconds', () => {
+        const sessions = [
+            session(march(3), { holds: [{ exercise: 'TreePose', side: 'left', duration: 12000 }] }),
+            session(march(3, 15), { holds: [{ exercise: 'TreePose', side: 'right', duration: 20500 }] })
+        ];
+
+        expect(longestHolds(sessions, daysBetween(march(3), march(4)))).toEqual([
+            { time: startOfDay(march(3)), values: { longest: 20.5 } },
+            { time: startOfDay(march(4)), values: { longest: null } }
+        ]);
+    });
+});
+
+describe('formWarningRate', () => {
+    const sessions = [
+        session(march(3), {
+            segments: [segment('Squat', 20), segment('Push-Up', 10)],
+            formWarnings: { squat_depth: 3, squat_knee_valgus: 1, pushup_hip_sag: 6 }
+        }),
+        session(march(4), { formWarnings: { squat_depth: 2 } })
+    ];
+    const days = daysBetween(march(3), march(4));
+
+    it('gives warnings per 10 reps, or null on days without reps', () => {
+        const rates = formWarningRate(sessions, days);
+
+        expect(rates[0].values.rate).toBeCloseTo(10 / 30 * 10, 10);
+        expect(rates[1].values.rate).toBeNull();
+    });
+
+    it('counts only the rules and reps of the chosen exercise', () => {
+        expect(formWarningRate(sessions, days, 'Squat')[0].values.rate).toBeCloseTo(4 / 20 * 10, 10);
+        expect(formWarningRate(sessions, days, 'Push-Up')[0].values.rate).toBeCloseTo(6, 10);
+    });
+});
@@ -0,0 +1,54 @@
+// Stored workout sessions. A session record looks like:
+//
+//   {
+//     id, version,             - record id and SESSION_RECORD_VERSION
+//     startTime, endTime,      - wall-clock ms
+//     sourceKind,              - 'camera' | 'video' | 'images'
+//     exercises,               - exercises that appear in `segments`
+//     segments: [{ trackId, exercise, startTime, endTime, reps, holdMs }],
+//     people: [{ trackId, repCounts, holds: [{ exercise, side, duration }],
+//                formWarnings: { [ruleId]: count } }],
+//     totals: { reps, holdMs, formWarnings }
+//   }
+//
+// Records are built by workoutLog.js.
+
+import { openDatabase, requestToPromise, STORES, transactionDone } from './database';
+
+export const SESSION_RECORD_VERSION = 1;
+
+// Insert or replace a session
+export async function saveSession(session) {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORES.SESSIONS, 'readwrite');
+    transaction.objectStore(STORES.SESSIONS).put(session);
+    await transactionDone(transaction);
+}
+
+// Sessions matching the filter, newest first:
+//   exercise - only sessions that include this exercise
+//   from, to - only sessions starting in this range (wall-clock ms)
+export async function listSessions({ exercise = null, from = null, to = null } = {}) {
+    const db = await openDatabase();
+    const store = db.transaction(STORES.SESSIONS, 'readonly').objectStore(STORES.SESSIONS);
+
+    let range = null;
+    if (from !== null && to !== null) range = IDBKeyRange.bound(from, to);
+    else if (from !== null) range = IDBKeyRange.lowerBound(from);
+    else if (to !== null) range = IDBKeyRange.upperBound(to);
+
+    const sessions = exercise ?
+        await requestToPromise(store.index('exercises').getAll(exercise)) :
+        await requestToPromise(store.index('startTime').getAll(range));
+
+    return sessions
+        .filter(session => (from === null || session.startTime >= from) && (to === null || session.startTime <= to))
+        .sort((a, b) => b.startTime - a.startTime);
+}
+
+export async function deleteSession(id) {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORES.SESSIONS, 'readwrite');
+    transaction.objectStore(STORES.SESSIONS).delete(id);
+    await transactionDone(transaction);
+}
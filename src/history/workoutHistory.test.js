@@ -0,0 +1,103 @@
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Each test gets an empty in-memory IndexedDB, and fresh modules so the
+// shared connection of database.js is opened against it
+let database;
+let history;
+
+beforeEach(async () => {
+    vi.resetModules();
+    vi.stubGlobal('indexedDB', new IDBFactory());
+    vi.stubGlobal('IDBKeyRange', IDBKeyRange);
+    database = await import('./database');
+    history = await import('./workoutHistory');
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const session = (id, startTime, exercises = ['Squat']) => ({
+    id,
+    version: 1,
+    startTime,
+    endTime: startTime + 60000,
+    exercises
+});
+
+describe('database migrations', () => {
+    it('creates the sessions store and its indexes in a new database', async () => {
+        const db = await database.openDatabase();
+
+        expect(db.version).toBe(database.DB_VERSION);
+        const store = db.transaction(database.STORES.SESSIONS).objectStore(database.STORES.SESSIONS);
+        expect(store.keyPath).toBe('id');
+        expect(Array.from(store.indexNames).sort()).toEqual(['exercises', 'startTime']);
+        expect(store.index('exercises').multiEntry).toBe(true);
+    });
+
+    it('opens a database already at the current version without migrating it again', async () => {
+        await history.saveSession(session('a', 1000));
+        (await database.openDatabase()).close();
+
+        vi.resetModules();
+        database = await import('./database');
+        history = await import('./workoutHistory');
+
+        expect((await history.listSessions()).map(entry => entry.id)).toEqual(['a']);
+    });
+
+    it('shares one connection between callers', async () => {
+        expect(await database.openDatabase()).toBe(await database.openDatabase());
+    });
+
+    it('rejects when IndexedDB is not available', async () => {
+        vi.stubGlobal('indexedDB', undefined);
+
+        await expect(database.openDatabase()).rejects.toThrow('IndexedDB is not available');
+    });
+});
+
+describe('workoutHistory', () => {
+    it('lists sessions newest first', async () => {
+        await history.saveSession(session('a', 1 * DAY));
+        await history.saveSession(session('b', 3 * DAY));
+        await history.saveSession(session('c', 2 * DAY));
+
+        expect((await history.listSessions()).map(entry => entry.id)).toEqual(['b', 'c', 'a']);
+    });
+
+    it('replaces a session saved again under the same id', async () => {
+        await history.saveSession(session('a', DAY));
+        await history.saveSession({ ...session('a', DAY), endTime: DAY + 5000 });
+
+        const sessions = await history.listSessions();
+        expect(sessions).toHaveLength(1);
+        expect(sessions[0].endTime).toBe(DAY + 5000);
+    });
+
+    it('filters by exercise and by start time', async () => {
+        await history.saveSession(session('a', 1 * DAY, ['Squat']));
+        await history.saveSession(session('b', 2 * DAY, ['Squat', 'Lunges']));
+        await history.saveSession(session('c', 3 * DAY, ['Lunges']));
+
+        const ids = async (filter) => (await history.listSessions(filter)).map(entry => entry.id);
+        expect(await ids({ exercise: 'Lunges' })).toEqual(['c', 'b']);
+        expect(await ids({ from: 2 * DAY })).toEqual(['c', 'b']);
+        expect(await ids({ to: 2 * DAY })).toEqual(['b', 'a']);
+        expect(await ids({ from: 2 * DAY, to: 2 * DAY })).toEqual(['b']);
+        expect(await ids({ exercise: 'Squat', from: 2 * DAY })).toEqual(['b']);
+    });
+
+    it('deletes sessions', async () => {
+        await history.saveSession(session('a', DAY));
+        await history.saveSession(session('b', 2 * DAY));
+
+        await history.deleteSession('a');
+
+        expect((await history.listSessions()).map(entry => entry.id)).toEqual(['b']);
+    });
+});
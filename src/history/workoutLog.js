@@ -0,0 +1,145 @@
+// Builds the record of the running workout session (see workoutHistory.js)
+// from pipeline events. Times are wall-clock ms. A session starts with the
+// first recorded frame; every record* call before that is ignored.
+
+import { SESSION_RECORD_VERSION } from './workoutHistory';
+
+export const WORKOUT_LOG_SETTINGS = {
+    // A session ends after this long without anyone in frame
+    idleTimeout: 5 * 60 * 1000,
+    // How often a running session is saved
+    autosaveInterval: 15000
+};
+
+const createPersonLog = (trackId) => ({
+    trackId,
+    // Segment of the exercise currently being done, or null
+    segment: null,
+    holds: [],
+    formWarnings: {}
+});
+
+export function createWorkoutLog(settings = WORKOUT_LOG_SETTINGS) {
+    // { id, startTime, lastActivity, sourceKind, segments, people: Map }
+    let session = null;
+
+    const person = (trackId) => {
+        if (!session) return null;
+        if (!session.people.has(trackId)) {
+            session.people.set(trackId, createPersonLog(trackId));
+        }
+        return session.people.get(trackId);
+    };
+
+    // A frame showed this person
+    const recordFrame = (trackId, sourceKind, now) => {
+        if (!session) {
+            session = {
+                id: `session-${now}`,
+                startTime: now,
+                lastActivity: now,
+                sourceKind,
+                segments: [],
+                people: new Map()
+            };
+        }
+        session.lastActivity = now;
+
+        const log = person(trackId);
+        if (log.segment) log.segment.endTime = now;
+    };
+
+    // The classifier settled on an exercise for this person
+    const recordExercise = (trackId, exercise, now) => {
+        const log = person(trackId);
+        if (!log || (log.segment && log.segment.exercise === exercise)) return;
+
+        if (log.segment) log.segment.endTime = now;
+        log.segment = { trackId, exercise, startTime: now, endTime: now, reps: 0, holdMs: 0 };
+        session.segments.push(log.segment);
+    };
+
+    const recordRep = (trackId, now) => {
+        const log = person(trackId);
+        if (!log || !log.segment) return;
+        log.segment.reps++;
+        log.segment.endTime = now;
+    };
+
+    // hold is { side, duration } as reported by the hold timer
+    const recordHold = (trackId, hold, now) => {
+        const log = person(trackId);
+        if (!log || !log.segment) return;
+        log.segment.holdMs += hold.duration;
+        log.segment.endTime = now;
+        log.holds.push({ exercise: log.segment.exercise, side: hold.side, duration: hold.duration });
+    };
+
+    const recordFormWarning = (trackId, ruleId) => {
+        const log = person(trackId);
+        if (!log) return;
+        log.formWarnings[ruleId] = (log.formWarnings[ruleId] || 0) + 1;
+    };
+
+    const isActive = () => session !== null;
+
+    // Nobody has been seen for idleTimeout
+    const isIdle = (now) => session !== null && now - session.lastActivity > settings.idleTimeout;
+
+    // Record of the session so far, or null when nothing was classified yet
+    const getRecord = () => {
+        if (!session || session.segments.length === 0) return null;
+
+        const segments = session.segments.map(segment => ({ ...segment }));
+        const people = Array.from(session.people.values()).map(log => {
+            const repCounts = {};
+            segments
+                .filter(segment => segment.trackId === log.trackId && segment.reps > 0)
+                .forEach(segment => {
+                    repCounts[segment.exercise] = (repCounts[segment.exercise] || 0) + segment.reps;
+                });
+            return {
+                trackId: log.trackId,
+                repCounts,
+                holds: log.holds.map(hold => ({ ...hold })),
+                formWarnings: { ...log.formWarnings }
+            };
+        });
+
+        return {
+            id: session.id,
+            version: SESSION_RECORD_VERSION,
+            startTime: session.startTime,
+            endTime: session.lastActivity,
+            sourceKind: session.sourceKind,
+            exercises: Array.from(new Set(segments.map(segment => segment.exercise))),
+            segments,
+            people,
+            totals: {
+                reps: segments.reduce((sum, segment) => sum + segment.reps, 0),
+                holdMs: segments.reduce((sum, segment) => sum + segment.holdMs, 0),
+                formWarnings: people.reduce((sum, entry) =>
+                    sum + Object.values(entry.formWarnings).reduce((total, count) => total + count, 0), 0)
+            }
+        };
+    };
+
+    // Close the session. Returns its final record (or null, see getRecord).
+    const end = () => {
+        const record = getRecord();
+        session = null;
+        return record;
+    };
+
+    return {
+        recordFrame,
+        recordExercise,
+        recordRep,
+        recordHold,
+        recordFormWarning,
+        isActive,
+        isIdle,
+        getRecord,
+        end
+    };
+}
@@ -0,0 +1,123 @@
+import { describe, expect, it } from 'vitest';
+import { createWorkoutLog, WORKOUT_LOG_SETTINGS } from './workoutLog';
+import { SESSION_RECORD_VERSION } from './workoutHistory';
+
+describe('createWorkoutLog', () => {
+    it('ignores events before the first frame', () => {
+        const log = createWorkoutLog();
+
+        log.recordExercise(1, 'Squat', 0);
+        log.recordRep(1, 100);
+        log.recordFormWarning(1, 'squat_depth');
+
+        expect(log.isActive()).toBe(false);
+        expect(log.getRecord()).toBeNull();
+    });
+
+    it('has no record until an exercise has been classified', () => {
+        const log = createWorkoutLog();
+
+        log.recordFrame(1, 'camera', 1000);
+
+        expect(log.isActive()).toBe(true);
+        expect(log.getRecord()).toBeNull();
+    });
+
+    it('splits a person\'s workout into a segment per exercise', () => {
+        const log = createWorkoutLog();
+
+        log.recordFrame(1, 'camera', 1000);
+        log.recordExercise(1, 'Squat', 1000);
+        log.recordRep(1, 2000);
+        log.recordRep(1, 3000);
+        // Reported again: still the same segment
+        log.recordExercise(1, 'Squat', 3500);
+        log.recordExercise(1, 'Push-Up', 4000);
+        log.recordRep(1, 5000);
+        log.recordFrame(1, 'camera', 6000);
+
+        const record = log.getRecord();
+        expect(record.segments).toEqual([
+            { trackId: 1, exercise: 'Squat', startTime: 1000, endTime: 4000, reps: 2, holdMs: 0 },
+            { trackId: 1, exercise: 'Push-Up', startTime: 4000, endTime: 6000, reps: 1, holdMs: 0 }
+        ]);
+        expect(record.exercises).toEqual(['Squat', 'Push-Up']);
+    });
+
+    it('adds up reps, holds and form warnings per person and in total', () => {
+        const log = createWorkoutLog();
+
+        log.recordFrame(1, 'video', 0);
+        log.recordFrame(2, 'video', 0);
+        log.recordExercise(1, 'Squat', 0);
+        log.recordExercise(2, 'TreePose', 0);
+        log.recordRep(1, 1000);
+        log.recordExercise(1, 'Lunges', 2000);
+        log.recordExercise(1, 'Squat', 3000);
+        log.recordRep(1, 4000);
+        log.recordHold(2, { side: 'left', duration: 2500 }, 3000);
+        log.recordFormWarning(1, 'squat_depth');
+        log.recordFormWarning(1, 'squat_depth');
+        log.recordFormWarning(2, 'squat_knee_valgus');
+
+        const record = log.getRecord();
+        expect(record.people).toEqual([
+            { trackId: 1, repCounts: { Squat: 2 }, holds: [], formWarnings: { squat_depth: 2 } },
+            {
+                trackId: 2,
+                repCounts: {},
+                holds: [{ exercise: 'TreePose', side: 'left', duration: 2500 }],
+                formWarnings: { squat_knee_valgus: 1 }
+            }
+        ]);
+        expect(record.totals).toEqual({ reps: 2, holdMs: 2500, formWarnings: 3 });
+        expect(record.sourceKind).toBe('video');
+        expect(record.version).toBe(SESSION_RECORD_VERSION);
+    });
+
+    it('ends the session at the last frame anyone was seen', () => {
+        const log = createWorkoutLog();
+
+        log.recordFrame(1, 'camera', 1000);
+        log.recordExercise(1, 'Squat', 1000);
+        log.recordFrame(1, 'camera', 9000);
+
+        expect(log.getRecord()).toMatchObject({ id: 'session-1000', startTime: 1000, endTime: 9000 });
+    });
+
+    it('is idle once nobody has been seen for idleTimeout', () => {
+        const log = createWorkoutLog();
+        log.recordFrame(1, 'camera', 0);
+
+        expect(log.isIdle(WORKOUT_LOG_SETTINGS.idleTimeout)).toBe(false);
+        expect(log.isIdle(WORKOUT_LOG_SETTINGS.idleTimeout + 1)).toBe(true);
+    });
+
+    it('returns the final record on end and starts afresh afterwards', () => {
+        const log = createWorkoutLog();
+        log.recordFrame(1, 'camera', 0);
+        log.recordExercise(1, 'Squat', 0);
+        log.recordRep(1, 1000);
+
+        const record = log.end();
+
+        expect(record.totals.reps).toBe(1);
+        expect(log.isActive()).toBe(false);
+        expect(log.getRecord()).toBeNull();
+
+        log.recordFrame(1, 'camera', 5000);
+        log.recordExercise(1, 'Squat', 5000);
+        expect(log.getRecord()).toMatchObject({ id: 'session-5000', totals: { reps: 0 } });
+    });
+
+    it('returns copies that later events do not change', () => {
+        const log = createWorkoutLog();
+        log.recordFrame(1, 'camera', 0);
+        log.recordExercise(1, 'Squat', 0);
+
+        const record = log.getRecord();
+        log.recordRep(1, 1000);
+
+        expect(record.segments[0].reps).toBe(0);
+    });
+});
@@ -1,10 +1,9 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
-import App from './App.jsx'
-import Test2 from './Test2.jsx'
+import AppRouter from './AppRouter.jsx'
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <Test2 />
+    <AppRouter />
   </StrictMode>,
 )
@@ -0,0 +1,141 @@
+// Guides one person through a routine (see routines.js) using the live
+// classifier output instead of buttons. A set is done once the rep counter
+// has counted the target reps of the planned exercise since the set began,
+// or a hold of the planned pose has lasted the target time. Rests start and
+// end by themselves.
+//
+// update() is fed once per frame and tick() regularly (rests run down even
+// when nobody is in frame). Both return the runner state:
+//
+//   status          - 'idle' | 'exercise' | 'rest' | 'done'
+//   stepIndex, stepCount, step, nextStep   - see expandRoutine
+//   progress        - reps done in this set, or the longest hold in ms
+//   restRemainingMs - time left of the current rest
+//   mismatch        - { expected, detected } while a different exercise
+//                     than planned is detected, else null
+//   event           - what happened on this call, if anything:
+//                     'set-completed' | 'rest-completed' | 'routine-completed'
+
+import { expandRoutine, STEP_KINDS } from './routines';
+
+export const ROUTINE_SETTINGS = {
+    // How long another exercise must be detected before warning (ms)
+    mismatchGraceTime: 2000
+};
+
+export function createRoutineRunner(routine, settings = ROUTINE_SETTINGS) {
+    const steps = expandRoutine(routine);
+    let stepIndex = -1;
+    let stepStart = 0;
+    // Rep count of the planned exercise when the set began, moved down when
+    // the counter is reset mid-set
+    let baseline = null;
+    let progress = 0;
+    let mismatchSince = null;
+    let mismatch = null;
+    let finished = false;
+
+    const enterStep = (index, now) => {
+        stepIndex = index;
+        stepStart = now;
+        baseline = null;
+        progress = 0;
+        mismatchSince = null;
+        mismatch = null;
+    };
+
+    const getState = (now, event = null) => {
+        const step = steps[stepIndex] || null;
+        let status = 'idle';
+        if (finished) status = 'done';
+        else if (step) status = step.kind === STEP_KINDS.REST ? 'rest' : 'exercise';
+
+        return {
+            routineName: routine.name,
+            status,
+            stepIndex,
+            stepCount: steps.length,
+            step,
+            nextStep: steps[stepIndex + 1] || null,
+            progress,
+            restRemainingMs: step && step.kind === STEP_KINDS.REST ?
+                Math.max(0, step.seconds * 1000 - (now - stepStart)) : 0,
+            mismatch,
+            event
+        };
+    };
+
+    // Move on from the current step; returns the event for the step just finished
+    const completeStep = (now) => {
+        const finishedStep = steps[stepIndex];
+        if (stepIndex + 1 >= steps.length) {
+            finished = true;
+            mismatch = null;
+            return 'routine-completed';
+        }
+        enterStep(stepIndex + 1, now);
+        return finishedStep.kind === STEP_KINDS.REST ? 'rest-completed' : 'set-completed';
+    };
+
+    const start = (now) => {
+        finished = false;
+        enterStep(0, now);
+        return getState(now);
+    };
+
+    const tick = (now) => {
+        const step = steps[stepIndex];
+        if (finished || !step || step.kind !== STEP_KINDS.REST) return getState(now);
+
+        if (now - stepStart >= step.seconds * 1000) {
+            return getState(now, completeStep(now));
+        }
+        return getState(now);
+    };
+
+    // exercise  - exercise the classifier currently reports (or null)
+    // repCounts - the rep counter's counts per exercise
+    // holdState - the hold timer's state
+    const update = ({ exercise, repCounts, holdState }, now) => {
+        const step = steps[stepIndex];
+        if (finished || !step || step.kind === STEP_KINDS.REST) return tick(now);
+
+        if (exercise && exercise !== step.exercise) {
+            if (mismatchSince === null) mismatchSince = now;
+            if (now - mismatchSince >= settings.mismatchGraceTime) {
+                mismatch = { expected: step.exercise, detected: exercise };
+            }
+        } else {
+            mismatchSince = null;
+            mismatch = null;
+        }
+
+        if (step.kind === STEP_KINDS.REPS) {
+            const count = (repCounts && repCounts[step.exercise]) || 0;
+            if (baseline === null) baseline = count;
+            // A count that went down means the rep counter was reset
+            // (e.g. on seeking back in a video); carry on from the reps done
+            if (count < baseline + progress) baseline = count - progress;
+            progress = count - baseline;
+            if (progress >= step.target) {
+                return getState(now, completeStep(now));
+            }
+        } else if (step.kind === STEP_KINDS.HOLD) {
+            if (exercise === step.exercise && holdState && holdState.holding) {
+                progress = Math.max(progress, holdState.duration);
+            }
+            if (progress >= step.target * 1000) {
+                return getState(now, completeStep(now));
+            }
+        }
+
+        return getState(now);
+    };
+
+    return {
+        start,
+        update,
+        tick,
+        getState
+    };
+}
@@ -0,0 +1,134 @@
+import { describe, expect, it } from 'vitest';
+import { createRoutineRunner, ROUTINE_SETTINGS } from './routineRunner';
+
+const ROUTINE = {
+    id: 'test',
+    name: 'Test',
+    blocks: [
+        { exercise: 'Squat', sets: 2, target: 3, rest: 30 },
+        { exercise: 'TreePose', sets: 1, target: 10, rest: 0 }
+    ]
+};
+
+// Frame input with the classifier reporting `exercise` and the rep
+// counter at `squats`
+const squatting = (squats) => ({ exercise: 'Squat', repCounts: { Squat: squats } });
+
+const holding = (duration) => ({
+    exercise: 'TreePose',
+    repCounts: {},
+    holdState: { holding: true, duration }
+});
+
+describe('createRoutineRunner', () => {
+    it('is idle until started, then on the first set', () => {
+        const runner = createRoutineRunner(ROUTINE);
+
+        expect(runner.getState(0).status).toBe('idle');
+        expect(runner.start(0)).toMatchObject({
+            routineName: 'Test',
+            status: 'exercise',
+            stepIndex: 0,
+            stepCount: 5,
+            step: { kind: 'reps', exercise: 'Squat', target: 3, set: 1, sets: 2 },
+            nextStep: { kind: 'rest', seconds: 30 },
+            progress: 0
+        });
+    });
+
+    it('counts reps from the rep count when the set began', () => {
+        const runner = createRoutineRunner(ROUTINE);
+        runner.start(0);
+
+        // Seven squats were counted before the routine started
+        runner.update(squatting(7), 100);
+        const state = runner.update(squatting(9), 200);
+
+        expect(state.progress).toBe(2);
+        expect(state.event).toBeNull();
+    });
+
+    it('completes the set at the target and starts the rest', () => {
+        const runner = createRoutineRunner(ROUTINE);
+        runner.start(0);
+        runner.update(squatting(0), 100);
+
+        const state = runner.update(squatting(3), 200);
+
+        expect(state).toMatchObject({ event: 'set-completed', status: 'rest', restRemainingMs: 30000, progress: 0 });
+    });
+
+    it('carries on from the reps done when the rep counter is reset mid-set', () => {
+        const runner = createRoutineRunner(ROUTINE);
+        runner.start(0);
+        runner.update(squatting(5), 100);
+        runner.update(squatting(7), 200);
+
+        // Seeking back in a video resets the counter to 0
+        expect(runner.update(squatting(0), 300).progress).toBe(2);
+        expect(runner.update(squatting(1), 400)).toMatchObject({ event: 'set-completed' });
+    });
+
+    it('runs the rest down with tick and moves on by itself', () => {
+        const runner = createRoutineRunner(ROUTINE);
+        runner.start(0);
+        runner.update(squatting(0), 0);
+        runner.update(squatting(3), 1000);
+
+        expect(runner.tick(21000).restRemainingMs).toBe(10000);
+        expect(runner.tick(31000)).toMatchObject({
+            event: 'rest-completed',
+            status: 'exercise',
+            step: { exercise: 'Squat', set: 2 }
+        });
+    });
+
+    it('ignores frames during a rest', () => {
+        const runner = createRoutineRunner(ROUTINE);
+        runner.start(0);
+        runner.update(squatting(0), 0);
+        runner.update(squatting(3), 1000);
+
+        const state = runner.update(squatting(10), 2000);
+
+        expect(state).toMatchObject({ status: 'rest', progress: 0, event: null });
+    });
+
+    it('times a hold step by the longest hold and finishes the routine', () => {
+        const runner = createRoutineRunner({ id: 'hold', name: 'Hold', blocks: [ROUTINE.blocks[1]] });
+        runner.start(0);
+
+        runner.update(holding(6000), 100);
+        // A shorter later hold does not lower the progress
+        expect(runner.update(holding(2000), 200).progress).toBe(6000);
+        // Holds of another exercise do not count
+        expect(runner.update({ ...holding(12000), exercise: 'Squat' }, 300).progress).toBe(6000);
+
+        const state = runner.update(holding(10000), 400);
+        expect(state).toMatchObject({ event: 'routine-completed', status: 'done', mismatch: null });
+        expect(runner.update(holding(20000), 500).event).toBeNull();
+    });
+
+    it('warns once another exercise has been detected for mismatchGraceTime', () => {
+        const runner = createRoutineRunner(ROUTINE);
+        runner.start(0);
+        const lunges = { exercise: 'Lunges', repCounts: {} };
+
+        expect(runner.update(lunges, 1000).mismatch).toBeNull();
+        expect(runner.update(lunges, 1000 + ROUTINE_SETTINGS.mismatchGraceTime).mismatch)
+            .toEqual({ expected: 'Squat', detected: 'Lunges' });
+        expect(runner.update(squatting(0), 4000).mismatch).toBeNull();
+    });
+
+    it('restarts the mismatch clock when no exercise is detected', () => {
+        const runner = createRoutineRunner(ROUTINE);
+        runner.start(0);
+        const lunges = { exercise: 'Lunges', repCounts: {} };
+        runner.update(lunges, 0);
+
+        // Nobody classified for a moment
+        runner.update({ exercise: null, repCounts: {} }, 1000);
+
+        expect(runner.update(lunges, 2500).mismatch).toBeNull();
+    });
+});
@@ -0,0 +1,119 @@
+// Workout routines: an ordered list of blocks, each a number of sets of one
+// exercise with a rest after every set, e.g.
+//
+//   {
+//     id, name,
+//     blocks: [
+//       { exercise: 'Squat', sets: 3, target: 12, rest: 60 },
+//       { exercise: 'TreePose', sets: 1, target: 30, rest: 0 }
+//     ]
+//   }
+//
+// `exercise` is a CLASS_NAMES entry; `target` is reps, or seconds for held
+// exercises (HOLD_EXERCISES); `rest` is seconds. Routines are kept in
+// localStorage.
+
+import { CLASS_NAMES, HOLD_EXERCISES } from '../utils/exercises';
+
+export const STEP_KINDS = {
+    REPS: 'reps',
+    HOLD: 'hold',
+    REST: 'rest'
+};
+
+export const EXAMPLE_ROUTINE = {
+    id: 'example',
+    name: 'Full body starter',
+    blocks: [
+        { exercise: 'Squat', sets: 3, target: 12, rest: 60 },
+        { exercise: 'Push-Up', sets: 3, target: 10, rest: 60 },
+        { exercise: 'TreePose', sets: 1, target: 30, rest: 0 }
+    ]
+};
+
+const STORAGE_KEY = 'exerciseDetection.routines';
+
+const MAX_SETS = 20;
+
+export const isHoldExercise = (exercise) => HOLD_EXERCISES.includes(exercise);
+
+// Problems that stop a routine from being used, as messages (empty if none)
+export function validateRoutine(routine) {
+    const errors = [];
+    if (!routine || typeof routine.name !== 'string' || routine.name.trim() === '') {
+        errors.push('Give the routine a name');
+    }
+    if (!routine || !Array.isArray(routine.blocks) || routine.blocks.length === 0) {
+        errors.push('Add at least one exercise');
+        return errors;
+    }
+
+    routine.blocks.forEach((block, index) => {
+        const which = `Exercise ${index + 1}`;
+        if (!CLASS_NAMES.includes(block.exercise)) {
+            errors.push(`${which}: unknown exercise "${block.exercise}"`);
+        }
+        if (!Number.isInteger(block.sets) || block.sets < 1 || block.sets > MAX_SETS) {
+            errors.push(`${which}: sets must be a whole number from 1 to ${MAX_SETS}`);
+        }
+        if (!Number.isInteger(block.target) || block.target < 1) {
+            errors.push(`${which}: ${isHoldExercise(block.exercise) ? 'hold time' : 'reps'} must be at least 1`);
+        }
+        if (!Number.isFinite(block.rest) || block.rest < 0) {
+            errors.push(`${which}: rest cannot be negative`);
+        }
+    });
+    return errors;
+}
+
+// Flatten a routine into the steps the runner walks through:
+//   { kind: 'reps' | 'hold', exercise, target, set, sets } or { kind: 'rest', seconds }
+// No rest follows the very last set.
+export function expandRoutine(routine) {
+    const steps = [];
+    routine.blocks.forEach((block, blockIndex) => {
+        for (let set = 1; set <= block.sets; set++) {
+            steps.push({
+                kind: isHoldExercise(block.exercise) ? STEP_KINDS.HOLD : STEP_KINDS.REPS,
+                exercise: block.exercise,
+                target: block.target,
+                set,
+                sets: block.sets
+            });
+
+            const lastSet = blockIndex === routine.blocks.length - 1 && set === block.sets;
+            if (block.rest > 0 && !lastSet) {
+                steps.push({ kind: STEP_KINDS.REST, seconds: block.rest });
+            }
+        }
+    });
+    return steps;
+}
+
+// Short description of a block, e.g. "3 × 12 Squat, 60s rest"
+export function describeBlock(block) {
+    const amount = isHoldExercise(block.exercise) ? `${block.target}s` : `${block.target}`;
+    const rest = block.rest > 0 ? `, ${block.rest}s rest` : '';
+    return `${block.sets} × ${amount} ${block.exercise}${rest}`;
+}
+
+// Saved routines, or the example routine on first use
+export function loadRoutines() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (Array.isArray(saved)) {
+            return saved.filter(routine => validateRoutine(routine).length === 0);
+        }
+    } catch (error) {
+        console.warn("Could not read saved routines:", error);
+    }
+    return [EXAMPLE_ROUTINE];
+}
+
+export function saveRoutines(routines) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(routines));
+    } catch (error) {
+        console.warn("Could not save routines:", error);
+    }
+}
@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { describeBlock, expandRoutine, STEP_KINDS, validateRoutine } from './routines';
+
+describe('expandRoutine', () => {
+    it('lists every set with a rest after each, except the very last', () => {
+        const steps = expandRoutine({
+            name: 'Test',
+            blocks: [
+                { exercise: 'Squat', sets: 2, target: 5, rest: 30 },
+                { exercise: 'TreePose', sets: 2, target: 20, rest: 10 }
+            ]
+        });
+
+        expect(steps).toEqual([
+            { kind: STEP_KINDS.REPS, exercise: 'Squat', target: 5, set: 1, sets: 2 },
+            { kind: STEP_KINDS.REST, seconds: 30 },
+            { kind: STEP_KINDS.REPS, exercise: 'Squat', target: 5, set: 2, sets: 2 },
+            { kind: STEP_KINDS.REST, seconds: 30 },
+            { kind: STEP_KINDS.HOLD, exercise: 'TreePose', target: 20, set: 1, sets: 2 },
+            { kind: STEP_KINDS.REST, seconds: 10 },
+            { kind: STEP_KINDS.HOLD, exercise: 'TreePose', target: 20, set: 2, sets: 2 }
+        ]);
+    });
+
+    it('leaves out rests of 0 seconds', () => {
+        const steps = expandRoutine({ name: 'Test', blocks: [{ exercise: 'Squat', sets: 2, target: 5, rest: 0 }] });
+
+        expect(steps.map(step => step.kind)).toEqual([STEP_KINDS.REPS, STEP_KINDS.REPS]);
+    });
+});
+
+describe('validateRoutine', () => {
+    it('accepts a complete routine', () => {
+        expect(validateRoutine({ name: 'Legs', blocks: [{ exercise: 'Squat', sets: 3, target: 12, rest: 60 }] }))
+            .toEqual([]);
+    });
+
+    it('reports each problem', () => {
+        expect(validateRoutine({ name: ' ', blocks: [] })).toEqual(['Give the routine a name', 'Add at least one exercise']);
+        expect(validateRoutine({
+            name: 'Bad',
+            blocks: [{ exercise: 'Jumping', sets: 0, target: 0, rest: -1 }]
+        })).toEqual([
+            'Exercise 1: unknown exercise "Jumping"',
+            'Exercise 1: sets must be a whole number from 1 to 20',
+            'Exercise 1: reps must be at least 1',
+            'Exercise 1: rest cannot be negative'
+        ]);
+    });
+});
+
+describe('describeBlock', () => {
+    it('gives reps for rep exercises and seconds for holds', () => {
+        expect(describeBlock({ exercise: 'Squat', sets: 3, target: 12, rest: 60 })).toBe('3 × 12 Squat, 60s rest');
+        expect(describeBlock({ exercise: 'TreePose', sets: 1, target: 30, rest: 0 })).toBe('1 × 30s TreePose');
+    });
+});
@@ -0,0 +1,466 @@
+// Every detection threshold, plus the camera, classifier model and audio
+// coaching choices, in one store: a schema saying what each setting is (type, range,
+// label), defaults taken from the module that uses it, validation,
+// persistence in localStorage and import/export as JSON.
+//
+// Settings are grouped in sections matching those modules, so a section can
+// be handed straight to the module it tunes:
+//   settings.camera          live camera capture (utils/cameraSettings.js)
+//   settings.detection       Detection's PoseLandmarker options (utils/landmarks.js)
+//   settings.tracking        createPoseTracker
+//   settings.landmarkFilter  createLandmarkFilter
+//   settings.imputation      createKeypointImputer
+//   settings.classifier      which model(s) run, see classifiers/index.js
+//   settings.classification  createPredictionSmoother, plus the keypoint
+//                            cutoff and prediction throttle of the pipeline
+//   settings.kinematics      which landmarks rep and form angles are measured on
+//   settings.reps.Squat      createRepCounter, one group per rep exercise
+//   settings.holds           createHoldTimer
+//   settings.framing         createFramingMonitor
+//   settings.calibration     createCalibrator
+//   settings.audio           createAudioCoach
+//
+// Subscribers hear about every change so it can be applied straight away;
+// components read the settings with useSettings().
+
+import { useSyncExternalStore } from 'react';
+import { AUDIO_SETTINGS, VERBOSITY } from '../audio/audioCoach';
+import { CALIBRATION_SETTINGS } from '../calibration/calibrator';
+import { CLASSIFIER_MODELS, CLASSIFIER_SETTINGS } from '../classifiers';
+import { CAMERA_FRAME_RATES, CAMERA_RESOLUTIONS, CAMERA_SETTINGS } from '../utils/cameraSettings';
+import { CLASS_NAMES } from '../utils/exercises';
+import { KEYPOINT_MIN_VISIBILITY } from '../utils/features';
+import { FRAMING_SETTINGS } from '../utils/framingGuidance';
+import { HOLD_SETTINGS } from '../utils/holdTimer';
+import { IMPUTATION_SETTINGS } from '../utils/keypointImputer';
+import { ANGLE_SOURCES, KINEMATICS_SETTINGS } from '../utils/kinematics';
+import { LANDMARK_FILTER_SETTINGS } from '../utils/landmarkFilter';
+import { DETECTION_SETTINGS } from '../utils/landmarks';
+import { TRACKING_SETTINGS } from '../utils/poseTracker';
+import { SMOOTHING_METHODS, SMOOTHING_SETTINGS } from '../utils/predictionSmoother';
+import { REP_SETTINGS } from '../utils/repCounter';
+
+export const SETTINGS_FORMAT = 'exercise-detection-settings';
+export const SETTINGS_FORMAT_VERSION = 1;
+
+export const SETTING_TYPES = {
+    NUMBER: 'number',
+    INTEGER: 'integer',
+    BOOLEAN: 'boolean',
+    // One of `options` ([{ value, label }]); values may be null
+    CHOICE: 'choice',
+    // A list of CLASS_NAMES entries
+    EXERCISES: 'exercises',
+    // A camera's MediaDeviceInfo.deviceId, or null for the default camera
+    CAMERA: 'camera'
+};
+
+const STORAGE_KEY = 'exerciseDetection.settings';
+
+const number = (label, min, max, step, unit = '') => ({ type: SETTING_TYPES.NUMBER, label, min, max, step, unit });
+const integer = (label, min, max, unit = '') => ({ type: SETTING_TYPES.INTEGER, label, min, max, step: 1, unit });
+const boolean = (label) => ({ type: SETTING_TYPES.BOOLEAN, label });
+const choice = (label, options) => ({ type: SETTING_TYPES.CHOICE, label, options });
+const exercises = (label) => ({ type: SETTING_TYPES.EXERCISES, label });
+const camera = (label) => ({ type: SETTING_TYPES.CAMERA, label });
+const fraction = (label) => number(label, 0, 1, 0.05);
+
+// Sections in the order they are shown. Sections with `groups` hold one
+// object per group (e.g. per exercise), each with the same fields, and may
+// have a `check` returning a problem with a group's values as a whole.
+// Keys of a section's defaults that have no field (e.g. which joints a rep
+// counter follows) are kept as they are.
+export const SETTINGS_SCHEMA = [
+    {
+        id: 'camera',
+        label: 'Camera',
+        defaults: CAMERA_SETTINGS,
+        fields: {
+            deviceId: camera('Camera'),
+            resolution: choice('Resolution', CAMERA_RESOLUTIONS.map(option => ({ value: option.id, label: option.label }))),
+            frameRate: choice('Frame rate', CAMERA_FRAME_RATES.map(frameRate => ({ value: frameRate, label: `${frameRate} fps` }))),
+            mirror: boolean('Mirror the picture')
+        }
+    },
+    {
+        id: 'detection',
+        label: 'Pose detection',
+        defaults: DETECTION_SETTINGS,
+        fields: {
+            minPoseDetectionConfidence: fraction('Detection confidence'),
+            minPosePresenceConfidence: fraction('Presence confidence'),
+            minTrackingConfidence: fraction('Tracking confidence'),
+            minLandmarkVisibility: fraction('Landmark visibility cutoff')
+        }
+    },
+    {
+        id: 'tracking',
+        label: 'People tracking',
+        defaults: TRACKING_SETTINGS,
+        fields: {
+            maxPoses: integer('People detected at once', 1, 6),
+            maxMatchCost: number('Largest match cost', 0.1, 5, 0.1),
+            sizeWeight: number('Body size weight', 0, 5, 0.1),
+            maxMissingTime: integer('Keep lost people for', 0, 10000, 'ms'),
+            velocitySmoothing: fraction('Velocity smoothing'),
+            maxPredictionTime: integer('Longest extrapolation', 0, 2000, 'ms'),
+            minVisibility: fraction('Visibility cutoff')
+        }
+    },
+    {
+        id: 'landmarkFilter',
+        label: 'Landmark smoothing',
+        defaults: LANDMARK_FILTER_SETTINGS,
+        fields: {
+            enabled: boolean('Smooth landmarks'),
+            minCutoff: number('Min cutoff', 0.01, 10, 0.1, 'Hz'),
+            beta: number('Beta', 0, 100, 1),
+            derivativeCutoff: number('Speed cutoff', 0.01, 10, 0.1, 'Hz'),
+            showRaw: boolean('Show raw skeleton')
+        }
+    },
+    {
+        id: 'imputation',
+        label: 'Missing keypoints',
+        defaults: IMPUTATION_SETTINGS,
+        fields: {
+            enabled: boolean('Fill missing keypoints'),
+            minVisibility: fraction('Missing below visibility'),
+            maxGapTime: integer('Longest gap filled', 0, 5000, 'ms'),
+            mirror: boolean('Fill from the other side'),
+            mirrorExercises: exercises('Mirrored exercises'),
+            imputedVisibility: fraction('Visibility of filled keypoints')
+        }
+    },
+    {
+        id: 'classifier',
+        label: 'Classifier',
+        defaults: CLASSIFIER_SETTINGS,
+        fields: {
+            model: choice('Model', CLASSIFIER_MODELS.map(model => ({ value: model.id, label: model.label }))),
+            compareModel: choice('Compare with', [
+                { value: null, label: 'None' },
+                ...CLASSIFIER_MODELS.map(model => ({ value: model.id, label: model.label }))
+            ]),
+            useWorker: boolean('Run in worker')
+        }
+    },
+    {
+        id: 'classification',
+        label: 'Classification',
+        defaults: {
+            ...SMOOTHING_SETTINGS,
+            // The model was trained with this cutoff (see utils/features.js)
+            keypointMinVisibility: KEYPOINT_MIN_VISIBILITY,
+            // Shortest time between two predictions for one person (ms)
+            minPredictionInterval: 200
+        },
+        fields: {
+            keypointMinVisibility: fraction('Keypoint visibility cutoff'),
+            minPredictionInterval: integer('Time between predictions', 0, 2000, 'ms'),
+            stride: integer('Frames between predictions', 1, 50),
+            method: choice('Smoothing', [
+                { value: SMOOTHING_METHODS.EXPONENTIAL, label: 'Exponential' },
+                { value: SMOOTHING_METHODS.MOVING_AVERAGE, label: 'Moving average' }
+            ]),
+            alpha: number('Newest window weight', 0.05, 1, 0.05),
+            windowCount: integer('Windows averaged', 1, 20),
+            minConfidence: fraction('Confidence to show an exercise'),
+            switchConfidence: fraction('Confidence to switch exercise'),
+            switchWindows: integer('Windows to switch exercise', 1, 20)
+        }
+    },
+    {
+        id: 'kinematics',
+        label: 'Joint angles (reps and form)',
+        defaults: KINEMATICS_SETTINGS,
+        fields: {
+            angleSource: choice('Measured on', [
+                { value: ANGLE_SOURCES.WORLD, label: 'World landmarks (metres)' },
+                { value: ANGLE_SOURCES.IMAGE, label: 'Image landmarks (2D)' }
+            ])
+        }
+    },
+    {
+        id: 'reps',
+        label: 'Rep counting',
+        defaults: REP_SETTINGS,
+        groups: Object.keys(REP_SETTINGS),
+        fields: {
+            topAngle: integer('Top angle', 0, 180, '°'),
+            bottomAngle: integer('Bottom angle', 0, 180, '°'),
+            hysteresis: integer('Hysteresis', 0, 45, '°'),
+            minRepTime: integer('Shortest rep', 0, 5000, 'ms')
+        },
+        // Leaving the top and leaving the bottom must not overlap
+        check: ({ topAngle, bottomAngle, hysteresis }) => (
+            topAngle - bottomAngle < 2 * hysteresis ?
+                'the top angle must be at least twice the hysteresis above the bottom angle' :
+                null
+        )
+    },
+    {
+        id: 'holds',
+        label: 'Holds',
+        defaults: HOLD_SETTINGS,
+        fields: {
+            minVisibility: fraction('Visibility cutoff'),
+            raisedFootThreshold: number('Raised foot height (scaled by calibration)', 0, 0.3, 0.01),
+            breakGraceTime: integer('Break grace time', 0, 5000, 'ms'),
+            maxPauseTime: integer('Longest pause', 0, 60000, 'ms'),
+            maxSway: number('Sway for zero balance', 0.01, 0.5, 0.01),
+            swayWindow: integer('Balance samples', 10, 300)
+        }
+    },
+    {
+        id: 'framing',
+        label: 'Framing guidance',
+        defaults: FRAMING_SETTINGS,
+        fields: {
+            enabled: boolean('Show framing guidance'),
+            edgeMargin: number('Edge margin', 0, 0.2, 0.005),
+            minBodySize: fraction('Smallest body size'),
+            sideViewExercises: exercises('Best seen from the side'),
+            pauseDelay: integer('Pause after', 0, 5000, 'ms'),
+            resumeDelay: integer('Resume after', 0, 5000, 'ms')
+        }
+    },
+    {
+        id: 'calibration',
+        label: 'Calibration',
+        defaults: CALIBRATION_SETTINGS,
+        fields: {
+            minVisibility: fraction('Visibility needed'),
+            holdTime: integer('Standing still for', 500, 10000, 'ms'),
+            maxDrift: number('Largest drift', 0.005, 0.2, 0.005),
+            sideViewRatio: number('Side view ratio', 0.1, 5, 0.1)
+        }
+    },
+    {
+        id: 'audio',
+        label: 'Audio coaching',
+        defaults: AUDIO_SETTINGS,
+        fields: {
+            muted: boolean('Muted'),
+            volume: fraction('Volume'),
+            verbosity: choice('Cues', [
+                { value: VERBOSITY.MINIMAL, label: 'Tones only' },
+                { value: VERBOSITY.NORMAL, label: 'Normal' },
+                { value: VERBOSITY.DETAILED, label: 'Detailed' }
+            ]),
+            speechRate: number('Speech rate', 0.5, 2, 0.1),
+            minGap: integer('Pause after each cue', 0, 2000, 'ms'),
+            maxQueueAge: integer('Drop cues older than', 500, 10000, 'ms'),
+            formWarningCooldown: integer('Repeat form warnings after', 0, 60000, 'ms')
+        }
+    }
+];
+
+export const DEFAULT_SETTINGS = Object.fromEntries(SETTINGS_SCHEMA.map(section => [section.id, section.defaults]));
+
+// Why `value` is not a valid value of `field`, or null if it is
+function fieldProblem(field, value) {
+    switch (field.type) {
+        case SETTING_TYPES.NUMBER:
+        case SETTING_TYPES.INTEGER: {
+            const whole = field.type === SETTING_TYPES.INTEGER;
+            const valid = (whole ? Number.isInteger(value) : Number.isFinite(value)) &&
+                value >= field.min && value <= field.max;
+            return valid ? null : `must be a ${whole ? 'whole number' : 'number'} from ${field.min} to ${field.max}`;
+        }
+        case SETTING_TYPES.BOOLEAN:
+            return typeof value === 'boolean' ? null : 'must be on or off';
+        case SETTING_TYPES.CHOICE:
+            return field.options.some(option => option.value === value) ?
+                null :
+                `must be one of ${field.options.map(option => option.value).join(', ')}`;
+        case SETTING_TYPES.EXERCISES:
+            return Array.isArray(value) && value.every(exercise => CLASS_NAMES.includes(exercise)) ?
+                null :
+                `must be a list of ${CLASS_NAMES.join(', ')}`;
+        case SETTING_TYPES.CAMERA:
+            return value === null || (typeof value === 'string' && value !== '') ?
+                null :
+                'must be a camera id, or empty for the default camera';
+        default:
+            return 'has an unknown type';
+    }
+}
+
+// Validate the fields of one section (or group), starting from `defaults`.
+// Missing values keep their default; invalid ones keep it and are reported.
+function validateFields(fields, defaults, candidate, where, errors) {
+    const values = { ...defaults };
+    if (candidate === undefined) return values;
+    if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+        errors.push(`${where}: expected an object`);
+        return values;
+    }
+
+    Object.entries(fields).forEach(([key, field]) => {
+        if (candidate[key] === undefined) return;
+        const problem = fieldProblem(field, candidate[key]);
+        if (problem) {
+            errors.push(`${where}: ${field.label} ${problem}`);
+        } else {
+            values[key] = candidate[key];
+        }
+    });
+    return values;
+}
+
+// Complete, valid settings from `candidate`, which may be partial (e.g. an
+// older export): { settings, errors }. Anything missing or invalid keeps its
+// default; `errors` describes what was invalid. Unknown keys are ignored.
+export function validateSettings(candidate) {
+    const errors = [];
+    if (candidate !== undefined && (!candidate || typeof candidate !== 'object')) {
+        return { settings: DEFAULT_SETTINGS, errors: ['Settings must be an object'] };
+    }
+    const source = candidate || {};
+
+    const settings = Object.fromEntries(SETTINGS_SCHEMA.map(section => {
+        if (!section.groups) {
+            return [section.id, validateFields(section.fields, section.defaults, source[section.id], section.label, errors)];
+        }
+
+        const groups = source[section.id] || {};
+        return [section.id, Object.fromEntries(section.groups.map(group => {
+            const where = `${section.label} (${group})`;
+            const values = validateFields(section.fields, section.defaults[group], groups[group], where, errors);
+            const problem = section.check && section.check(values);
+            if (problem) {
+                errors.push(`${where}: ${problem}`);
+                return [group, section.defaults[group]];
+            }
+            return [group, values];
+        }))];
+    }));
+
+    return { settings, errors };
+}
+
+// The saved settings, or the defaults for anything not saved (or no longer valid)
+export function loadSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        const { settings, errors } = validateSettings(saved || undefined);
+        if (errors.length > 0) {
+            console.warn("Some saved settings were invalid and have been reset:", errors);
+        }
+        return settings;
+    } catch (error) {
+        console.warn("Could not read saved settings:", error);
+        return DEFAULT_SETTINGS;
+    }
+}
+
+export function saveSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn("Could not save settings:", error);
+    }
+}
+
+// Settings as the text of a JSON file that importSettings reads back
+export function exportSettings(settings) {
+    return JSON.stringify({ format: SETTINGS_FORMAT, version: SETTINGS_FORMAT_VERSION, settings }, null, 2);
+}
+
+// Read an exported settings file: { settings, errors } as validateSettings.
+// Throws if the text is not a settings file at all.
+export function importSettings(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Settings file is not valid JSON: ${error.message}`);
+    }
+    if (!file || file.format !== SETTINGS_FORMAT) {
+        throw new Error(`Not a settings file (format "${file && file.format}")`);
+    }
+    if (file.version > SETTINGS_FORMAT_VERSION) {
+        throw new Error(`Settings format version ${file.version} is newer than supported version ${SETTINGS_FORMAT_VERSION}`);
+    }
+    return validateSettings(file.settings);
+}
+
+// Create a store. get() returns the current settings (the same object until
+// something changes); update(sectionId, changes) merges changes into a
+// section and returns the problems found, changing nothing if there are
+// any; replace(settings) swaps in complete settings (e.g. imported ones);
+// reset(sectionId) restores a section's defaults, or all of them without
+// an id. subscribe(listener) returns a function that unsubscribes.
+// Changes are saved, and changes saved by another tab are picked up.
+export function createSettingsStore(load = loadSettings, save = saveSettings) {
+    // Loaded on first use
+    let settings = null;
+    const listeners = new Set();
+
+    const get = () => {
+        if (settings === null) settings = load();
+        return settings;
+    };
+
+    const notify = () => listeners.forEach(listener => listener());
+
+    // Sections that did not change keep their objects, so only users of
+    // the changed ones see a change (e.g. the classifier is not reloaded)
+    const keepUnchanged = (nextSettings) => {
+        if (settings === null) return nextSettings;
+        return Object.fromEntries(Object.entries(nextSettings).map(([id, section]) => [
+            id,
+            JSON.stringify(section) === JSON.stringify(settings[id]) ? settings[id] : section
+        ]));
+    };
+
+    const replace = (nextSettings) => {
+        settings = keepUnchanged(nextSettings);
+        save(settings);
+        notify();
+    };
+
+    const update = (sectionId, changes) => {
+        const current = get();
+        const { settings: nextSettings, errors } = validateSettings({
+            ...current,
+            [sectionId]: { ...current[sectionId], ...changes }
+        });
+        if (errors.length === 0) replace(nextSettings);
+        return errors;
+    };
+
+    const reset = (sectionId) => {
+        replace(sectionId ? { ...get(), [sectionId]: DEFAULT_SETTINGS[sectionId] } : DEFAULT_SETTINGS);
+    };
+
+    const handleStorage = (event) => {
+        if (event.key !== STORAGE_KEY) return;
+        settings = keepUnchanged(load());
+        notify();
+    };
+
+    const subscribe = (listener) => {
+        if (listeners.size === 0 && typeof window !== 'undefined') {
+            window.addEventListener('storage', handleStorage);
+        }
+        listeners.add(listener);
+        return () => {
+            listeners.delete(listener);
+            if (listeners.size === 0 && typeof window !== 'undefined') {
+                window.removeEventListener('storage', handleStorage);
+            }
+        };
+    };
+
+    return { get, update, replace, reset, subscribe };
+}
+
+// The app's settings, shared by every page
+export const settingsStore = createSettingsStore();
+
+// Current settings; re-renders the component whenever they change
+export function useSettings() {
+    return useSyncExternalStore(settingsStore.subscribe, settingsStore.get);
+}
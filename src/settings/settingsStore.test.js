@@ -0,0 +1,224 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+    createSettingsStore,
+    DEFAULT_SETTINGS,
+    exportSettings,
+    importSettings,
+    loadSettings,
+    saveSettings,
+    SETTINGS_FORMAT,
+    SETTINGS_FORMAT_VERSION,
+    validateSettings
+} from './settingsStore';
+
+// The classifier section lists the models of classifiers/index.js, which
+// imports tfjs-tflite; its wasm runtime only loads in a browser and is not
+// needed to list them
+vi.mock('@tensorflow/tfjs-tflite', () => ({}));
+
+describe('validateSettings', () => {
+    it('gives the defaults for nothing, and an error for something that is not an object', () => {
+        expect(validateSettings(undefined)).toEqual({ settings: DEFAULT_SETTINGS, errors: [] });
+        expect(validateSettings('loud')).toEqual({ settings: DEFAULT_SETTINGS, errors: ['Settings must be an object'] });
+    });
+
+    it('fills in what is missing and ignores unknown keys', () => {
+        const { settings, errors } = validateSettings({
+            audio: { volume: 0.5, pitch: 3 },
+            theme: 'dark'
+        });
+
+        expect(errors).toEqual([]);
+        expect(settings.audio).toEqual({ ...DEFAULT_SETTINGS.audio, volume: 0.5 });
+        expect(settings.holds).toEqual(DEFAULT_SETTINGS.holds);
+        expect(settings).not.toHaveProperty('theme');
+    });
+
+    it('keeps the default of each invalid value and reports it', () => {
+        const { settings, errors } = validateSettings({
+            audio: { volume: 1.5, muted: 'yes', verbosity: 'chatty', minGap: 100.5 },
+            framing: { sideViewExercises: ['Push-Up', 'Burpee'] },
+            tracking: 'none'
+        });
+
+        expect(settings.audio).toEqual(DEFAULT_SETTINGS.audio);
+        expect(settings.framing).toEqual(DEFAULT_SETTINGS.framing);
+        expect(settings.tracking).toEqual(DEFAULT_SETTINGS.tracking);
+        expect(errors).toEqual([
+            'People tracking: expected an object',
+            expect.stringMatching(/^Framing guidance: Best seen from the side must be a list of /),
+            'Audio coaching: Muted must be on or off',
+            'Audio coaching: Volume must be a number from 0 to 1',
+            expect.stringMatching(/^Audio coaching: Cues must be one of /),
+            'Audio coaching: Pause after each cue must be a whole number from 0 to 2000'
+        ]);
+    });
+
+    it('accepts a camera id or null for the default camera', () => {
+        expect(validateSettings({ camera: { deviceId: 'abc123' } }).settings.camera.deviceId).toBe('abc123');
+        expect(validateSettings({ camera: { deviceId: null } }).errors).toEqual([]);
+
+        const { settings, errors } = validateSettings({ camera: { deviceId: '', resolution: '123x45', frameRate: 60 } });
+        expect(settings.camera).toEqual({ ...DEFAULT_SETTINGS.camera, frameRate: 60 });
+        expect(errors).toHaveLength(2);
+        expect(errors[0]).toBe('Camera: Camera must be a camera id, or empty for the default camera');
+    });
+
+    it('validates each group of a grouped section and keeps keys without a field', () => {
+        const { settings, errors } = validateSettings({ reps: { Squat: { topAngle: 150 }, Lunges: { minRepTime: 600 } } });
+
+        expect(errors).toEqual([]);
+        expect(settings.reps.Squat).toEqual({ ...DEFAULT_SETTINGS.reps.Squat, topAngle: 150 });
+        expect(settings.reps.Squat.angles).toEqual(['leftKnee', 'rightKnee']);
+        expect(settings.reps.Lunges.minRepTime).toBe(600);
+        expect(settings.reps['Push-Up']).toEqual(DEFAULT_SETTINGS.reps['Push-Up']);
+    });
+
+    it('restores a group\'s defaults when its values fail the section check', () => {
+        // Only 10 degrees between top and bottom with a hysteresis of 10
+        const { settings, errors } = validateSettings({ reps: { Squat: { topAngle: 110, bottomAngle: 100 } } });
+
+        expect(settings.reps.Squat).toEqual(DEFAULT_SETTINGS.reps.Squat);
+        expect(errors).toEqual([
+            'Rep counting (Squat): the top angle must be at least twice the hysteresis above the bottom angle'
+        ]);
+    });
+});
+
+describe('importSettings', () => {
+    it('reads back exported settings', () => {
+        const settings = validateSettings({ audio: { volume: 0.3 } }).settings;
+
+        expect(importSettings(exportSettings(settings))).toEqual({ settings, errors: [] });
+    });
+
+    it('validates the settings of the file like validateSettings', () => {
+        const text = JSON.stringify({ format: SETTINGS_FORMAT, version: 1, settings: { holds: { maxSway: 9 } } });
+
+        const { settings, errors } = importSettings(text);
+
+        expect(settings).toEqual(DEFAULT_SETTINGS);
+        expect(errors).toEqual(['Holds: Sway for zero balance must be a number from 0.01 to 0.5']);
+    });
+
+    it('throws on files that are not settings files', () => {
+        expect(() => importSettings('{ not json')).toThrow('Settings file is not valid JSON');
+        expect(() => importSettings('null')).toThrow('Not a settings file');
+        expect(() => importSettings(JSON.stringify({ format: 'workout', settings: {} })))
+            .toThrow('Not a settings file (format "workout")');
+    });
+
+    it('throws on files from a newer format version', () => {
+        const text = JSON.stringify({ format: SETTINGS_FORMAT, version: SETTINGS_FORMAT_VERSION + 1, settings: {} });
+
+        expect(() => importSettings(text)).toThrow('is newer than supported version');
+    });
+});
+
+describe('saved settings', () => {
+    // A localStorage holding `saved` under any key
+    const stubStorage = (saved) => {
+        const storage = { getItem: vi.fn(() => saved), setItem: vi.fn() };
+        vi.stubGlobal('localStorage', storage);
+        return storage;
+    };
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('are the defaults when nothing is saved', () => {
+        stubStorage(null);
+
+        expect(loadSettings()).toEqual(DEFAULT_SETTINGS);
+    });
+
+    it('round-trip through localStorage', () => {
+        const storage = stubStorage(null);
+        const settings = validateSettings({ camera: { mirror: false } }).settings;
+
+        saveSettings(settings);
+        stubStorage(storage.setItem.mock.calls[0][1]);
+
+        expect(loadSettings()).toEqual(settings);
+    });
+
+    it('reset invalid values to their defaults, with a warning', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        stubStorage(JSON.stringify({ audio: { volume: 0.4, speechRate: 10 } }));
+
+        expect(loadSettings().audio).toEqual({ ...DEFAULT_SETTINGS.audio, volume: 0.4 });
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('invalid'), [
+            'Audio coaching: Speech rate must be a number from 0.5 to 2'
+        ]);
+    });
+});
+
+describe('createSettingsStore', () => {
+    // A store loading `initial` and recording what it saves
+    const createStore = (initial = DEFAULT_SETTINGS) => {
+        const load = vi.fn(() => initial);
+        const save = vi.fn();
+        return { store: createSettingsStore(load, save), load, save };
+    };
+
+    it('loads the settings on first use only', () => {
+        const { store, load } = createStore();
+
+        expect(load).not.toHaveBeenCalled();
+        expect(store.get()).toBe(DEFAULT_SETTINGS);
+        expect(store.get()).toBe(DEFAULT_SETTINGS);
+        expect(load).toHaveBeenCalledTimes(1);
+    });
+
+    it('merges valid changes into a section, saves them and tells subscribers', () => {
+        const { store, save } = createStore();
+        const listener = vi.fn();
+        store.subscribe(listener);
+
+        expect(store.update('audio', { volume: 0.2 })).toEqual([]);
+
+        const settings = store.get();
+        expect(settings.audio).toEqual({ ...DEFAULT_SETTINGS.audio, volume: 0.2 });
+        expect(save).toHaveBeenCalledWith(settings);
+        expect(listener).toHaveBeenCalledTimes(1);
+        // Other sections keep their objects
+        expect(settings.holds).toBe(DEFAULT_SETTINGS.holds);
+    });
+
+    it('changes nothing and returns the problems for invalid changes', () => {
+        const { store, save } = createStore();
+        const listener = vi.fn();
+        store.subscribe(listener);
+
+        expect(store.update('audio', { volume: 2 })).toEqual(['Audio coaching: Volume must be a number from 0 to 1']);
+        expect(store.get()).toBe(DEFAULT_SETTINGS);
+        expect(save).not.toHaveBeenCalled();
+        expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('resets one section or all of them', () => {
+        const initial = validateSettings({ audio: { volume: 0.2 }, holds: { maxSway: 0.2 } }).settings;
+        const { store } = createStore(initial);
+
+        store.reset('audio');
+        expect(store.get().audio).toEqual(DEFAULT_SETTINGS.audio);
+        expect(store.get().holds.maxSway).toBe(0.2);
+
+        store.reset();
+        expect(store.get()).toEqual(DEFAULT_SETTINGS);
+    });
+
+    it('stops telling a listener once it unsubscribes', () => {
+        const { store } = createStore();
+        const listener = vi.fn();
+        const unsubscribe = store.subscribe(listener);
+
+        unsubscribe();
+        store.replace(validateSettings({ audio: { muted: true } }).settings);
+
+        expect(listener).not.toHaveBeenCalled();
+        expect(store.get().audio.muted).toBe(true);
+    });
+});
@@ -0,0 +1,48 @@
+// Capture settings of the live camera, kept in the settings store
+// (settings.camera, see settings/settingsStore.js). Resolution and frame
+// rate are requests: the browser picks the closest mode the camera supports.
+
+export const CAMERA_RESOLUTIONS = [
+    { id: '480x480', label: '480 × 480', width: 480, height: 480 },
+    { id: '640x480', label: '640 × 480', width: 640, height: 480 },
+    { id: '1280x720', label: '1280 × 720 (HD)', width: 1280, height: 720 },
+    { id: '1920x1080', label: '1920 × 1080 (Full HD)', width: 1920, height: 1080 }
+];
+
+export const CAMERA_FRAME_RATES = [15, 24, 30, 60];
+
+export const CAMERA_SETTINGS = {
+    // MediaDeviceInfo.deviceId of the chosen camera, or null for the default
+    deviceId: null,
+    // CAMERA_RESOLUTIONS id
+    resolution: '480x480',
+    frameRate: 30,
+    // Show the picture (and skeleton) mirrored, like a mirror in front of you
+    mirror: true
+};
+
+// getUserMedia video constraints for the settings
+export function cameraConstraints(settings) {
+    const resolution = CAMERA_RESOLUTIONS.find(option => option.id === settings.resolution) ||
+        CAMERA_RESOLUTIONS.find(option => option.id === CAMERA_SETTINGS.resolution);
+
+    const constraints = {
+        width: { ideal: resolution.width },
+        height: { ideal: resolution.height },
+        frameRate: { ideal: settings.frameRate }
+    };
+    if (settings.deviceId) {
+        constraints.deviceId = { exact: settings.deviceId };
+    }
+    return constraints;
+}
+
+// Cameras the browser can see. Labels are empty until camera access has
+// been granted.
+export async function listCameras() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+        return [];
+    }
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter(device => device.kind === 'videoinput');
+}
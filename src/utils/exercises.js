@@ -0,0 +1,16 @@
+// Exercise classes predicted by the STGCN model, in model output order
+export const CLASS_NAMES = ['TreePose', 'Lunges', 'Push-Up', 'Squat'];
+
+// Exercises that are counted in repetitions
+export const REP_EXERCISES = ['Squat', 'Lunges', 'Push-Up'];
+
+// Exercises that are held rather than repeated
+export const HOLD_EXERCISES = ['TreePose'];
+
+// Colour of each exercise in charts
+export const EXERCISE_COLORS = {
+    TreePose: '#00E676',
+    Lunges: '#FF9100',
+    'Push-Up': '#2979FF',
+    Squat: '#D500F9'
+};
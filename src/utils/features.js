@@ -0,0 +1,89 @@
+// Feature extraction for the STGCN exercise classifier. Every page builds
+// its model input through this module so live, recorded and replayed
+// frames are all encoded the same way.
+//
+// Contract (matches what the model was trained on):
+//
+//   Input shape    [1, 50, 33, 8]  = [batch, frames, joints, features]
+//   Per joint      [x, y, z, visibility, leftElbow, rightElbow, leftKnee, rightKnee]
+//                  - x, y, z: MediaPipe normalised image coordinates, unscaled
+//                  - visibility: MediaPipe visibility in [0, 1]
+//                  - the four joint angles are the same for every joint of a
+//                    frame, in degrees divided by 180 (so in [0, 1]), always
+//                    measured on the image keypoints as in training (world
+//                    angles are only used for reps and form rules, see
+//                    kinematics.js)
+//   Visibility     a landmark with visibility <= 0.3 (the default cutoff,
+//                  adjustable in the settings) becomes [0, 0, 0, 0];
+//                  an angle is 0 if any of its three landmarks is zeroed or
+//                  has visibility < 0.5 (see calculateAngle in jointAngles.js).
+//                  Joints filled in by keypointImputer.js keep their
+//                  estimated position with a visibility of 0.5.
+//   Frame count    the most recent 50 frames are used; shorter sequences
+//                  are padded at the end with all-zero frames
+//   Frame order    oldest first
+
+import { computeJointAngles } from './jointAngles';
+import { NUM_LANDMARKS } from './landmarks';
+
+export const SEQUENCE_LENGTH = 50;
+export const NUM_FEATURES = 8;
+export const MODEL_INPUT_SHAPE = [1, SEQUENCE_LENGTH, NUM_LANDMARKS, NUM_FEATURES];
+
+// Landmarks at or below this visibility are zeroed in the model input
+export const KEYPOINT_MIN_VISIBILITY = 0.3;
+
+// Angles are divided by this to bring them into [0, 1]
+export const ANGLE_SCALE = 180;
+
+// Convert 33 MediaPipe landmarks ({ x, y, z, visibility }) to keypoints in
+// [x, y, z, visibility] form, zeroing landmarks at or below `minVisibility`
+export function landmarksToKeypoints(landmarks, minVisibility = KEYPOINT_MIN_VISIBILITY) {
+    const keypoints = new Array(NUM_LANDMARKS);
+
+    for (let i = 0; i < NUM_LANDMARKS; i++) {
+        const lm = landmarks && landmarks[i];
+        const visibility = lm ? lm.visibility || 0 : 0;
+
+        keypoints[i] = lm && visibility > minVisibility ?
+            [lm.x || 0, lm.y || 0, lm.z || 0, visibility] :
+            [0, 0, 0, 0];
+    }
+
+    return keypoints;
+}
+
+// Write the features of one frame of keypoints into `target` at `offset`
+function writeFrameFeatures(keypoints, target, offset) {
+    const angles = computeJointAngles(keypoints).map(angle => angle / ANGLE_SCALE);
+
+    for (let joint = 0; joint < NUM_LANDMARKS; joint++) {
+        const keypoint = keypoints[joint] || [0, 0, 0, 0];
+        const base = offset + joint * NUM_FEATURES;
+
+        target[base] = keypoint[0];
+        target[base + 1] = keypoint[1];
+        target[base + 2] = keypoint[2];
+        target[base + 3] = keypoint[3];
+        target[base + 4] = angles[0];
+        target[base + 5] = angles[1];
+        target[base + 6] = angles[2];
+        target[base + 7] = angles[3];
+    }
+}
+
+// Build the model input from a sequence of keypoint frames (oldest first).
+// Returns { data, shape } with data a Float32Array in row-major order,
+// ready for tf.tensor(data, shape).
+export function buildModelInput(frames) {
+    const frameSize = NUM_LANDMARKS * NUM_FEATURES;
+    const data = new Float32Array(SEQUENCE_LENGTH * frameSize);
+    const recent = (frames || []).slice(-SEQUENCE_LENGTH);
+
+    // Frames missing at the end stay zero (padding)
+    recent.forEach((keypoints, index) => {
+        writeFrameFeatures(keypoints, data, index * frameSize);
+    });
+
+    return { data, shape: MODEL_INPUT_SHAPE };
+}
@@ -0,0 +1,163 @@
+// Golden tests of the model-input contract documented in features.js.
+//
+// fixtures/squat-session.ndjson is a 60-frame session in the recording format
+// (see sessionRecorder.js): a synthetic front-view squat with the left hand
+// dropping out every few frames and a low-visibility foot landmark.
+// fixtures/squat-model-input.json holds the [1, 50, 33, 8] input built from
+// it, stored per frame as the 33 keypoints [x, y, z, visibility] and the
+// four angles shared by every joint. It was produced by the original
+// convertLandmarksToVector4 and computeJointAngles of Test2.jsx (the first
+// commit of the repository), fed the same landmarks its Detection emitted,
+// not by features.js. If a change to feature extraction makes these tests
+// fail, the model no longer sees what it was trained on.
+//
+// The contract tests at the end check each rule with hand-computed frames.
+
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import {
+    buildModelInput,
+    KEYPOINT_MIN_VISIBILITY,
+    landmarksToKeypoints,
+    MODEL_INPUT_SHAPE,
+    NUM_FEATURES,
+    SEQUENCE_LENGTH
+} from './features';
+import { NUM_LANDMARKS } from './landmarks';
+import { frameToResult, parseSessionFile } from './sessionReplay';
+
+const readFixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const FRAME_SIZE = NUM_LANDMARKS * NUM_FEATURES;
+const TOLERANCE = 1e-6;
+
+// Keypoint frames of the recorded session, as the live pipeline builds them
+async function loadKeypointFrames() {
+    const { frames } = await parseSessionFile(new Blob([readFixture('squat-session.ndjson')]));
+    return frames.map(frame => landmarksToKeypoints(frameToResult(frame).landmarks[0]));
+}
+
+// Differences between the tensor rows from `firstRow` on and the golden
+// frames, as readable messages (empty if they match)
+function compareWithGolden(data, goldenFrames, firstRow = 0) {
+    const problems = [];
+    goldenFrames.forEach((expected, index) => {
+        const offset = (firstRow + index) * FRAME_SIZE;
+        for (let joint = 0; joint < NUM_LANDMARKS; joint++) {
+            const values = Array.from(data.slice(offset + joint * NUM_FEATURES, offset + (joint + 1) * NUM_FEATURES));
+            const wanted = [...expected.keypoints[joint], ...expected.angles];
+            if (values.some((value, feature) => Math.abs(value - wanted[feature]) > TOLERANCE)) {
+                problems.push(`frame ${firstRow + index}, joint ${joint}: got [${values}], expected [${wanted}]`);
+            }
+        }
+    });
+    return problems;
+}
+
+describe('buildModelInput', () => {
+    const golden = JSON.parse(readFixture('squat-model-input.json'));
+
+    it('encodes the most recent 50 recorded frames as the golden tensor', async () => {
+        const frames = await loadKeypointFrames();
+        expect(frames.length).toBeGreaterThan(SEQUENCE_LENGTH);
+
+        const { data, shape } = buildModelInput(frames);
+
+        expect(shape).toEqual([1, 50, 33, 8]);
+        expect(shape).toEqual(MODEL_INPUT_SHAPE);
+        expect(data).toBeInstanceOf(Float32Array);
+        expect(data.length).toBe(50 * 33 * 8);
+        expect(compareWithGolden(data, golden.frames)).toEqual([]);
+    });
+
+    it('pads shorter sequences at the end with all-zero frames', async () => {
+        const frames = await loadKeypointFrames();
+        // The golden tensor starts at the 11th recorded frame
+        const skipped = frames.length - SEQUENCE_LENGTH;
+        const { data } = buildModelInput(frames.slice(skipped, skipped + 20));
+
+        expect(compareWithGolden(data, golden.frames.slice(0, 20))).toEqual([]);
+        expect(data.slice(20 * FRAME_SIZE).every(value => value === 0)).toBe(true);
+    });
+
+    it('covers zeroed joints in the fixture', () => {
+        const zeroed = golden.frames.flatMap(frame => frame.keypoints)
+            .filter(keypoint => keypoint.every(value => value === 0));
+        expect(zeroed.length).toBeGreaterThan(0);
+    });
+});
+
+describe('landmarksToKeypoints', () => {
+    it('zeroes landmarks at or below the visibility cutoff', () => {
+        const landmarks = Array.from({ length: NUM_LANDMARKS }, () => ({ x: 0.5, y: 0.5, z: -0.1, visibility: 0.9 }));
+        landmarks[3] = { x: 0.4, y: 0.3, z: 0, visibility: KEYPOINT_MIN_VISIBILITY };
+        landmarks[4] = { x: 0.4, y: 0.3, z: 0, visibility: KEYPOINT_MIN_VISIBILITY + 0.01 };
+
+        const keypoints = landmarksToKeypoints(landmarks);
+
+        expect(keypoints).toHaveLength(NUM_LANDMARKS);
+        expect(keypoints[0]).toEqual([0.5, 0.5, -0.1, 0.9]);
+        expect(keypoints[3]).toEqual([0, 0, 0, 0]);
+        expect(keypoints[4]).toEqual([0.4, 0.3, 0, KEYPOINT_MIN_VISIBILITY + 0.01]);
+    });
+
+    it('fills missing landmarks with zeros', () => {
+        expect(landmarksToKeypoints([])).toEqual(Array.from({ length: NUM_LANDMARKS }, () => [0, 0, 0, 0]));
+    });
+});
+
+// 33 keypoints standing in for a frame: every joint at (0.5, 0.5, 0) and
+// fully visible, with the given joints overridden
+function keypointFrame(overrides = {}) {
+    return Array.from({ length: NUM_LANDMARKS }, (_, joint) => overrides[joint] || [0.5, 0.5, 0, 1]);
+}
+
+// The 8 features of one joint in one row of the model input
+const featuresAt = (data, row, joint) =>
+    Array.from(data.slice(row * FRAME_SIZE + joint * NUM_FEATURES, row * FRAME_SIZE + (joint + 1) * NUM_FEATURES));
+
+describe('model input contract', () => {
+    // Left elbow bent at 90 degrees, right elbow straight (180 degrees)
+    const elbows = {
+        11: [0.4, 0.3, 0, 1], 13: [0.4, 0.5, 0, 1], 15: [0.6, 0.5, 0, 1],
+        12: [0.6, 0.3, 0, 1], 14: [0.6, 0.5, 0, 1], 16: [0.6, 0.7, 0, 1]
+    };
+
+    it('gives every joint its keypoint followed by the four angles divided by 180', () => {
+        const { data } = buildModelInput([keypointFrame(elbows)]);
+
+        // Knees: hip, knee and ankle all at the same point, so no angle
+        expect(featuresAt(data, 0, 13)).toEqual([0.4, 0.5, 0, 1, 0.5, 1, 0, 0].map(Math.fround));
+        expect(featuresAt(data, 0, 0)).toEqual([0.5, 0.5, 0, 1, 0.5, 1, 0, 0]);
+        expect(featuresAt(data, 0, 32)).toEqual([0.5, 0.5, 0, 1, 0.5, 1, 0, 0]);
+    });
+
+    it('zeroes keypoints at or below 0.3 visibility and their angles', () => {
+        const landmarks = keypointFrame(elbows).map(([x, y, z, visibility]) => ({ x, y, z, visibility }));
+        landmarks[15] = { x: 0.6, y: 0.5, z: 0, visibility: 0.3 };
+        landmarks[16] = { x: 0.6, y: 0.7, z: 0, visibility: 0.31 };
+
+        const { data } = buildModelInput([landmarksToKeypoints(landmarks)]);
+
+        expect(featuresAt(data, 0, 15)).toEqual([0, 0, 0, 0, 0, 0, 0, 0]);
+        // Kept, but too faint (< 0.5) for the right elbow angle
+        expect(featuresAt(data, 0, 16)).toEqual([0.6, 0.7, 0, 0.31, 0, 0, 0, 0].map(Math.fround));
+    });
+
+    it('uses the most recent 50 frames, oldest first', () => {
+        const frames = Array.from({ length: 55 }, (_, index) => keypointFrame({ 0: [index / 100, 0.5, 0, 1] }));
+
+        const { data } = buildModelInput(frames);
+
+        expect(featuresAt(data, 0, 0)[0]).toBeCloseTo(0.05, 6);
+        expect(featuresAt(data, 49, 0)[0]).toBeCloseTo(0.54, 6);
+    });
+
+    it('pads the end of a short sequence with all-zero frames', () => {
+        const { data } = buildModelInput([keypointFrame(elbows), keypointFrame(elbows), keypointFrame(elbows)]);
+
+        [0, 1, 2].forEach(row => expect(featuresAt(data, row, 0)).toEqual([0.5, 0.5, 0, 1, 0.5, 1, 0, 0]));
+        expect(data.slice(3 * FRAME_SIZE).every(value => value === 0)).toBe(true);
+        expect(data.length).toBe(SEQUENCE_LENGTH * FRAME_SIZE);
+    });
+});
@@ -0,0 +1,244 @@
+import { calculateAngle } from './jointAngles';
+import { isImputed } from './keypointImputer';
+import { KINEMATIC_DEPENDENCIES } from './kinematics';
+
+// Rule-based form checks evaluated on every frame for the current exercise.
+// Frames are arrays of 33 keypoints in [x, y, z, visibility] form with
+// normalised image coordinates (y grows downwards). Angles are the named
+// angles from computeKinematics, measured on world or image keypoints.
+//
+// Each rule has:
+//   id       - stable identifier used in the violation log
+//   exercise - the CLASS_NAMES entry the rule applies to
+//   message  - short cue shown to the user
+//   joints   - landmark indices to highlight on the overlay
+//   bones    - connections ({ start, end }) to highlight on the overlay
+//   views    - optional VIEWPOINTS values (see calibrationProfile.js) the
+//              rule can be judged from; every view if omitted. The checker
+//              skips rules that do not fit the viewpoint of the current frame.
+//   check    - (frame, angles, state) => true when violated, false when
+//              fine, or null when it cannot be evaluated on this frame.
+//              `state` is a per-rule object kept between frames.
+//
+// Imputed keypoints (see keypointImputer.js) count as not visible, and
+// angles that rest on one count as missing (0), so no warning is raised on
+// a guessed joint position.
+
+const MIN_VISIBILITY = 0.5;
+
+const isVisible = (frame, ...indices) => indices.every(index => {
+    const point = frame[index];
+    return point && !isImputed(point) && point[3] >= MIN_VISIBILITY && (point[0] !== 0 || point[1] !== 0);
+});
+
+// Zero the angles that rest on an imputed keypoint
+const observedAngles = (frame, angles) => {
+    const result = { ...angles };
+    Object.entries(KINEMATIC_DEPENDENCIES).forEach(([name, joints]) => {
+        if (joints.some(index => isImputed(frame[index]))) result[name] = 0;
+    });
+    return result;
+};
+
+// Pick the body side (left or right landmark indices) with the best visibility
+const pickSide = (frame, left, right) => {
+    const visibility = (indices) => indices.reduce((sum, index) => sum + (frame[index] ? frame[index][3] : 0), 0);
+    return visibility(left) >= visibility(right) ? left : right;
+};
+
+const LEG_BONES = [
+    { start: 23, end: 25 }, { start: 25, end: 27 },
+    { start: 24, end: 26 }, { start: 26, end: 28 }
+];
+
+const BODY_LINE_BONES = [
+    { start: 11, end: 23 }, { start: 23, end: 27 },
+    { start: 12, end: 24 }, { start: 24, end: 28 }
+];
+
+// Signed distance of the hip below the shoulder-ankle line for push-ups.
+// Positive means the hip sags towards the floor, negative means it piked up.
+const hipOffsetFromBodyLine = (frame) => {
+    const [shoulder, hip, ankle] = pickSide(frame, [11, 23, 27], [12, 24, 28]);
+    if (!isVisible(frame, shoulder, hip, ankle)) return null;
+
+    const s = frame[shoulder];
+    const h = frame[hip];
+    const a = frame[ankle];
+    const bodyAngle = calculateAngle(s, h, a);
+    if (bodyAngle === 0) return null;
+
+    const dx = a[0] - s[0];
+    if (Math.abs(dx) < 0.0001) return null;
+
+    // Height of the shoulder-ankle line at the hip's x position
+    const lineY = s[1] + (a[1] - s[1]) * ((h[0] - s[0]) / dx);
+    return { offset: h[1] - lineY, bodyAngle };
+};
+
+export const FORM_RULES = [
+    {
+        id: 'squat_depth',
+        exercise: 'Squat',
+        message: 'Squat deeper',
+        joints: [23, 24, 25, 26],
+        bones: LEG_BONES,
+        // Violated when the user comes back up before the knees reach 100°
+        check: (frame, angles, state) => {
+            const knees = [angles.leftKnee, angles.rightKnee].filter(a => a > 0);
+            if (knees.length === 0) return null;
+            const knee = knees.reduce((sum, a) => sum + a, 0) / knees.length;
+
+            if (knee >= 160) {
+                // Back at the top: start tracking a new rep
+                state.minKnee = null;
+                state.shallow = false;
+            } else {
+                state.minKnee = state.minKnee === null || state.minKnee === undefined ?
+                    knee : Math.min(state.minKnee, knee);
+                if (state.minKnee > 100 && knee > state.minKnee + 15) {
+                    state.shallow = true;
+                }
+            }
+            return Boolean(state.shallow);
+        }
+    },
+    {
+        id: 'squat_knee_valgus',
+        exercise: 'Squat',
+        message: 'Push your knees out',
+        joints: [25, 26],
+        bones: LEG_BONES,
+        views: ['front'],
+        // Knees closer together than the ankles while bent
+        check: (frame, angles) => {
+            if (!isVisible(frame, 25, 26, 27, 28)) return null;
+            const knee = Math.min(angles.leftKnee || 180, angles.rightKnee || 180);
+            if (knee > 140) return false;
+
+            const kneeWidth = Math.abs(frame[25][0] - frame[26][0]);
+            const ankleWidth = Math.abs(frame[27][0] - frame[28][0]);
+            return ankleWidth > 0.02 && kneeWidth < ankleWidth * 0.8;
+        }
+    },
+    {
+        id: 'pushup_hip_sag',
+        exercise: 'Push-Up',
+        views: ['side'],
+        message: 'Lift your hips',
+        joints: [23, 24],
+        bones: BODY_LINE_BONES,
+        check: (frame) => {
+            const line = hipOffsetFromBodyLine(frame);
+            if (!line) return null;
+            return line.bodyAngle < 160 && line.offset > 0;
+        }
+    },
+    {
+        id: 'pushup_hip_pike',
+        exercise: 'Push-Up',
+        views: ['side'],
+        message: 'Lower your hips',
+        joints: [23, 24],
+        bones: BODY_LINE_BONES,
+        check: (frame) => {
+            const line = hipOffsetFromBodyLine(frame);
+            if (!line) return null;
+            return line.bodyAngle < 160 && line.offset < 0;
+        }
+    },
+    {
+        id: 'lunge_knee_past_toes',
+        exercise: 'Lunges',
+        views: ['side'],
+        message: 'Keep your front knee behind your toes',
+        joints: [25, 26, 31, 32],
+        bones: [{ start: 25, end: 27 }, { start: 27, end: 31 }, { start: 26, end: 28 }, { start: 28, end: 32 }],
+        // The front leg is the one with the more bent knee
+        check: (frame, angles) => {
+            const leftKnee = angles.leftKnee;
+            const rightKnee = angles.rightKnee;
+            if (!leftKnee && !rightKnee) return null;
+
+            const useLeft = rightKnee === 0 || (leftKnee > 0 && leftKnee <= rightKnee);
+            const [knee, heel, toe] = useLeft ? [25, 29, 31] : [26, 30, 32];
+            if (!isVisible(frame, knee, heel, toe)) return null;
+            if ((useLeft ? leftKnee : rightKnee) > 120) return false;
+
+            // Direction the foot points in image x
+            const direction = Math.sign(frame[toe][0] - frame[heel][0]);
+            if (direction === 0) return null;
+            return (frame[knee][0] - frame[toe][0]) * direction > 0.02;
+        }
+    }
+];
+
+// The rules that can be judged from a viewpoint (or all of them for null)
+export const rulesForView = (viewpoint, rules = FORM_RULES) =>
+    rules.filter(rule => !viewpoint || !rule.views || rule.views.includes(viewpoint));
+
+// Create a form checker that evaluates FORM_RULES for the current exercise
+// and logs each new violation with its timestamp.
+export function createFormChecker(rules = FORM_RULES) {
+    let ruleState = {};
+    let active = new Set();
+    let log = [];
+
+    const reset = () => {
+        ruleState = {};
+        active = new Set();
+        log = [];
+    };
+
+    // Evaluate the rules for one frame, leaving out those that cannot be
+    // judged from `viewpoint` (see detectViewpoint in calibrator.js; null
+    // when unknown). Returns the rules currently violated.
+    const evaluate = (exercise, frame, angles, timestampMs, viewpoint = null) => {
+        const violations = [];
+        const nowActive = new Set();
+        const ruleAngles = observedAngles(frame, angles);
+
+        rulesForView(viewpoint, rules).forEach(rule => {
+            if (rule.exercise !== exercise) return;
+
+            if (!ruleState[rule.id]) ruleState[rule.id] = {};
+            let violated = null;
+            try {
+                violated = rule.check(frame, ruleAngles, ruleState[rule.id]);
+            } catch (error) {
+                console.warn(`Form rule ${rule.id} failed:`, error);
+            }
+
+            if (violated) {
+                nowActive.add(rule.id);
+                violations.push(rule);
+
+                // Log only when a violation starts, not on every frame
+                if (!active.has(rule.id)) {
+                    log.push({
+                        ruleId: rule.id,
+                        exercise,
+                        message: rule.message,
+                        timestamp: timestampMs
+                    });
+                }
+            }
+        });
+
+        active = nowActive;
+        return violations;
+    };
+
+    // Number of logged violations per rule id
+    const getCounts = () => log.reduce((counts, entry) => {
+        counts[entry.ruleId] = (counts[entry.ruleId] || 0) + 1;
+        return counts;
+    }, {});
+
+    return {
+        evaluate,
+        reset,
+        getLog: () => [...log],
+        getCounts
+    };
+}
@@ -0,0 +1,190 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createFormChecker, FORM_RULES, rulesForView } from './formRules';
+import { KEYPOINT_IMPUTED } from './keypointImputer';
+
+// 33 visible keypoints at the centre of the picture, with the given joints
+// overridden
+function formFrame(overrides = {}) {
+    return Array.from({ length: 33 }, (_, index) => overrides[index] || [0.5, 0.5, 0, 1]);
+}
+
+const knees = (angle) => ({ leftKnee: angle, rightKnee: angle });
+
+// Front view of a bent squat: knees 0.1 apart over ankles 0.3 apart
+const KNEES_IN = {
+    25: [0.45, 0.7, 0, 1], 26: [0.55, 0.7, 0, 1],
+    27: [0.35, 0.9, 0, 1], 28: [0.65, 0.9, 0, 1]
+};
+
+// Side view of a push-up, left side towards the camera, with the hip at
+// height `hipY` between a shoulder and ankle level at 0.5
+const pushUpFrame = (hipY) => formFrame({
+    11: [0.2, 0.5, 0, 1], 23: [0.5, hipY, 0, 1], 27: [0.8, 0.5, 0, 1],
+    12: [0.2, 0.5, 0, 0.2], 24: [0.5, hipY, 0, 0.2], 28: [0.8, 0.5, 0, 0.2]
+});
+
+const ruleIds = (violations) => violations.map(rule => rule.id);
+
+describe('squat_depth', () => {
+    // Feed a squat's knee angles, one frame every 100 ms
+    const squat = (checker, angles) => angles.map((angle, index) =>
+        ruleIds(checker.evaluate('Squat', formFrame(), knees(angle), index * 100)));
+
+    it('warns when the user comes back up before reaching depth', () => {
+        const checker = createFormChecker();
+
+        const results = squat(checker, [170, 140, 120, 136]);
+
+        expect(results[2]).not.toContain('squat_depth');
+        expect(results[3]).toContain('squat_depth');
+    });
+
+    it('does not warn about a deep squat', () => {
+        const checker = createFormChecker();
+
+        const results = squat(checker, [170, 130, 95, 130, 170]);
+
+        expect(results.every(ids => !ids.includes('squat_depth'))).toBe(true);
+    });
+
+    it('clears the warning once the user is back at the top', () => {
+        const checker = createFormChecker();
+
+        const results = squat(checker, [170, 120, 140, 165]);
+
+        expect(results[2]).toContain('squat_depth');
+        expect(results[3]).not.toContain('squat_depth');
+    });
+});
+
+describe('squat_knee_valgus', () => {
+    it('warns when the bent knees are closer together than the ankles', () => {
+        const checker = createFormChecker();
+
+        expect(ruleIds(checker.evaluate('Squat', formFrame(KNEES_IN), knees(120), 0))).toContain('squat_knee_valgus');
+    });
+
+    it('does not judge nearly straight legs', () => {
+        const checker = createFormChecker();
+
+        expect(ruleIds(checker.evaluate('Squat', formFrame(KNEES_IN), knees(150), 0))).not.toContain('squat_knee_valgus');
+    });
+
+    it('ignores an imputed knee', () => {
+        const checker = createFormChecker();
+        const frame = formFrame({ ...KNEES_IN, 25: [0.45, 0.7, 0, 0.5, KEYPOINT_IMPUTED] });
+
+        expect(ruleIds(checker.evaluate('Squat', frame, knees(120), 0))).not.toContain('squat_knee_valgus');
+    });
+});
+
+describe('push-up hip rules', () => {
+    it('warns about sagging hips below the shoulder-ankle line', () => {
+        const checker = createFormChecker();
+
+        expect(ruleIds(checker.evaluate('Push-Up', pushUpFrame(0.6), {}, 0))).toEqual(['pushup_hip_sag']);
+    });
+
+    it('warns about piked hips above the line', () => {
+        const checker = createFormChecker();
+
+        expect(ruleIds(checker.evaluate('Push-Up', pushUpFrame(0.4), {}, 0))).toEqual(['pushup_hip_pike']);
+    });
+
+    it('accepts a straight body line', () => {
+        const checker = createFormChecker();
+
+        expect(checker.evaluate('Push-Up', pushUpFrame(0.51), {}, 0)).toEqual([]);
+    });
+});
+
+describe('lunge_knee_past_toes', () => {
+    it('warns when the front knee is past the toes', () => {
+        const checker = createFormChecker();
+        // Left foot points right (+x); the knee is ahead of the toe
+        const frame = formFrame({ 25: [0.66, 0.6, 0, 1], 29: [0.5, 0.9, 0, 1], 31: [0.6, 0.9, 0, 1] });
+
+        expect(ruleIds(checker.evaluate('Lunges', frame, { leftKnee: 90, rightKnee: 150 }, 0)))
+            .toEqual(['lunge_knee_past_toes']);
+    });
+
+    it('accepts the knee over the foot', () => {
+        const checker = createFormChecker();
+        const frame = formFrame({ 25: [0.58, 0.6, 0, 1], 29: [0.5, 0.9, 0, 1], 31: [0.6, 0.9, 0, 1] });
+
+        expect(checker.evaluate('Lunges', frame, { leftKnee: 90, rightKnee: 150 }, 0)).toEqual([]);
+    });
+});
+
+describe('rulesForView', () => {
+    it('keeps only the rules that can be judged from the view', () => {
+        const front = rulesForView('front').map(rule => rule.id);
+        const side = rulesForView('side').map(rule => rule.id);
+
+        expect(front).toContain('squat_knee_valgus');
+        expect(front).not.toContain('pushup_hip_sag');
+        expect(side).toContain('pushup_hip_sag');
+        expect(side).not.toContain('squat_knee_valgus');
+        // Rules without views fit every view
+        expect(front).toContain('squat_depth');
+        expect(side).toContain('squat_depth');
+    });
+
+    it('keeps every rule when the view is unknown', () => {
+        expect(rulesForView(null)).toEqual(FORM_RULES);
+    });
+
+    it('skips rules that do not fit the viewpoint of the frame', () => {
+        const checker = createFormChecker();
+
+        expect(ruleIds(checker.evaluate('Squat', formFrame(KNEES_IN), knees(120), 0, 'side')))
+            .not.toContain('squat_knee_valgus');
+    });
+});
+
+describe('createFormChecker log', () => {
+    // A rule that is violated while `bad` is set on the frame
+    const testRule = {
+        id: 'test_rule',
+        exercise: 'Squat',
+        message: 'Test',
+        check: (frame) => Boolean(frame.bad)
+    };
+    const frame = (bad) => Object.assign(formFrame(), { bad });
+
+    it('logs a violation once when it starts, and again after it clears', () => {
+        const checker = createFormChecker([testRule]);
+
+        [true, true, false, true].forEach((bad, index) => checker.evaluate('Squat', frame(bad), {}, index * 100));
+
+        expect(checker.getLog().map(entry => entry.timestamp)).toEqual([0, 300]);
+        expect(checker.getLog()[0]).toEqual({ ruleId: 'test_rule', exercise: 'Squat', message: 'Test', timestamp: 0 });
+        expect(checker.getCounts()).toEqual({ test_rule: 2 });
+    });
+
+    it('only runs the rules of the current exercise', () => {
+        const checker = createFormChecker([testRule]);
+
+        expect(checker.evaluate('Lunges', frame(true), {}, 0)).toEqual([]);
+        expect(checker.getLog()).toEqual([]);
+    });
+
+    it('treats a rule that throws as not violated', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const checker = createFormChecker([{ ...testRule, check: () => { throw new Error('broken'); } }]);
+
+        expect(checker.evaluate('Squat', frame(true), {}, 0)).toEqual([]);
+        expect(warn).toHaveBeenCalled();
+        warn.mockRestore();
+    });
+
+    it('forgets the log on reset', () => {
+        const checker = createFormChecker([testRule]);
+        checker.evaluate('Squat', frame(true), {}, 0);
+
+        checker.reset();
+
+        expect(checker.getLog()).toEqual([]);
+        expect(checker.getCounts()).toEqual({});
+    });
+});
@@ -0,0 +1,138 @@
+// Framing guidance: works out from landmark positions how the user should
+// move so the camera sees them properly ("step back", "move to your left",
+// "turn sideways for push-ups"). Landmarks are MediaPipe image landmarks
+// ({ x, y, z, visibility }) in normalised source coordinates, before
+// missing ones are zero-filled; MediaPipe extrapolates landmarks outside
+// the picture to positions outside [0, 1].
+//
+// Each issue has an id, a message, a direction the user should move in
+// (FRAMING_DIRECTIONS, from the user's point of view) and whether it is
+// blocking. While blocking issues last, classification is paused.
+
+import { detectViewpoint } from '../calibration/calibrator';
+import { VIEWPOINTS } from '../calibration/calibrationProfile';
+import { NUM_LANDMARKS } from './landmarks';
+
+export const FRAMING_SETTINGS = {
+    enabled: true,
+    // Landmarks closer than this to an edge of the picture count as cut off
+    edgeMargin: 0.01,
+    // A body spanning less than this fraction of the picture is too far away
+    minBodySize: 0.3,
+    // Exercises (CLASS_NAMES entries) best judged from the side
+    sideViewExercises: ['Push-Up', 'Lunges'],
+    // How long blocking issues must last before classification pauses, and
+    // how long framing must be fine again before it resumes (ms)
+    pauseDelay: 300,
+    resumeDelay: 500
+};
+
+export const FRAMING_DIRECTIONS = {
+    BACK: 'back',
+    CLOSER: 'closer',
+    USER_LEFT: 'userLeft',
+    USER_RIGHT: 'userRight',
+    TURN: 'turn'
+};
+
+const HEAD_LANDMARKS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+const FOOT_LANDMARKS = [27, 28, 29, 30, 31, 32];
+
+const SIDE_VIEW_LABELS = {
+    'Push-Up': 'push-ups',
+    Lunges: 'lunges'
+};
+
+const issue = (id, message, direction, blocking = true) => ({ id, message, direction, blocking });
+
+// Zero-filled landmarks carry no position
+const hasPosition = (landmark) => Boolean(landmark) && (landmark.x !== 0 || landmark.y !== 0);
+
+// Framing issues of one person, most important first. `exercise` is the
+// current class (or null) and worldLandmarks are used to tell the view.
+export function assessFraming(landmarks, worldLandmarks, exercise, settings = FRAMING_SETTINGS) {
+    if (!landmarks) return [];
+    const points = landmarks.slice(0, NUM_LANDMARKS).filter(hasPosition);
+    if (points.length === 0) return [];
+
+    const { edgeMargin } = settings;
+    const low = edgeMargin;
+    const high = 1 - edgeMargin;
+    const cutOff = (indices, test) => indices.some(index => hasPosition(landmarks[index]) && test(landmarks[index]));
+
+    const headOut = cutOff(HEAD_LANDMARKS, point => point.y < low);
+    const feetOut = cutOff(FOOT_LANDMARKS, point => point.y > high);
+    // The camera shows the user's right side on the left of its (unmirrored) picture
+    const rightSideOut = points.some(point => point.x < low);
+    const leftSideOut = points.some(point => point.x > high);
+
+    const issues = [];
+    if ((headOut && feetOut) || (rightSideOut && leftSideOut)) {
+        issues.push(issue('too_close', 'Too close - step back', FRAMING_DIRECTIONS.BACK));
+    } else {
+        if (feetOut) issues.push(issue('feet_out', 'Step back - feet out of frame', FRAMING_DIRECTIONS.BACK));
+        if (headOut) issues.push(issue('head_out', 'Step back - head out of frame', FRAMING_DIRECTIONS.BACK));
+        if (rightSideOut) issues.push(issue('move_left', 'Move to your left', FRAMING_DIRECTIONS.USER_LEFT));
+        if (leftSideOut) issues.push(issue('move_right', 'Move to your right', FRAMING_DIRECTIONS.USER_RIGHT));
+    }
+
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const bodySize = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+    if (issues.length === 0 && bodySize < settings.minBodySize) {
+        issues.push(issue('too_far', 'Too far - step closer', FRAMING_DIRECTIONS.CLOSER));
+    }
+
+    // Advice only: the exercise is still recognised from the front
+    if (settings.sideViewExercises.includes(exercise) &&
+        [11, 12, 23, 24].every(index => hasPosition(landmarks[index])) &&
+        detectViewpoint(landmarks, worldLandmarks) === VIEWPOINTS.FRONT) {
+        issues.push(issue(
+            'turn_sideways',
+            `Turn sideways for ${SIDE_VIEW_LABELS[exercise] || exercise}`,
+            FRAMING_DIRECTIONS.TURN,
+            false
+        ));
+    }
+
+    return issues;
+}
+
+// Create a framing monitor for one person. update(landmarks, worldLandmarks,
+// exercise, timestampMs) returns { issues, paused }, paused being true
+// while classification should wait for the framing to be fixed.
+export function createFramingMonitor(initialSettings = FRAMING_SETTINGS) {
+    let settings = initialSettings;
+    let badSince = null;
+    let goodSince = null;
+    let paused = false;
+
+    const reset = () => {
+        badSince = null;
+        goodSince = null;
+        paused = false;
+    };
+
+    const update = (landmarks, worldLandmarks, exercise, timestampMs) => {
+        const issues = settings.enabled ? assessFraming(landmarks, worldLandmarks, exercise, settings) : [];
+
+        if (issues.some(entry => entry.blocking)) {
+            goodSince = null;
+            if (badSince === null) badSince = timestampMs;
+            if (timestampMs - badSince >= settings.pauseDelay) paused = true;
+        } else {
+            badSince = null;
+            if (goodSince === null) goodSince = timestampMs;
+            if (timestampMs - goodSince >= settings.resumeDelay) paused = false;
+        }
+
+        return { issues, paused };
+    };
+
+    // Change the settings from the next frame on
+    const setSettings = (nextSettings) => {
+        settings = nextSettings;
+    };
+
+    return { update, reset, setSettings };
+}
@@ -0,0 +1,122 @@
+import { describe, expect, it } from 'vitest';
+import { assessFraming, createFramingMonitor, FRAMING_DIRECTIONS, FRAMING_SETTINGS } from './framingGuidance';
+
+const point = (x, y) => ({ x, y, z: 0, visibility: 1 });
+
+// Image landmarks of someone standing facing the camera, centred on `x`
+// with their head at `top` and feet at `bottom`. `shoulderWidth` narrows
+// the shoulders to look side-on.
+function person({ x = 0.5, top = 0.1, bottom = 0.9, shoulderWidth = 0.2 } = {}) {
+    const height = bottom - top;
+    const landmarks = Array.from({ length: 33 }, () => point(x, top));
+    [11, 13, 15, 17, 19, 21].forEach(index => {
+        landmarks[index] = point(x + shoulderWidth / 2, top + height * 0.2);
+    });
+    [12, 14, 16, 18, 20, 22].forEach(index => {
+        landmarks[index] = point(x - shoulderWidth / 2, top + height * 0.2);
+    });
+    [23, 25].forEach(index => {
+        landmarks[index] = point(x + 0.05, top + height * (index === 23 ? 0.55 : 0.75));
+    });
+    [24, 26].forEach(index => {
+        landmarks[index] = point(x - 0.05, top + height * (index === 24 ? 0.55 : 0.75));
+    });
+    [27, 28, 29, 30, 31, 32].forEach(index => {
+        landmarks[index] = point(x + (index % 2 ? 0.05 : -0.05), bottom);
+    });
+    return landmarks;
+}
+
+const ids = (issues) => issues.map(entry => entry.id);
+
+describe('assessFraming', () => {
+    it('has nothing to say about someone well framed, or nobody', () => {
+        expect(assessFraming(person(), null, 'Squat')).toEqual([]);
+        expect(assessFraming(null, null, 'Squat')).toEqual([]);
+    });
+
+    it('asks to step back when the head or the feet are cut off', () => {
+        expect(assessFraming(person({ bottom: 1.1 }), null, null)).toEqual([
+            { id: 'feet_out', message: 'Step back - feet out of frame', direction: FRAMING_DIRECTIONS.BACK, blocking: true }
+        ]);
+        expect(ids(assessFraming(person({ top: -0.05 }), null, null))).toEqual(['head_out']);
+        expect(ids(assessFraming(person({ top: -0.05, bottom: 1.1 }), null, null))).toEqual(['too_close']);
+    });
+
+    it('asks to move towards the middle from the user\'s point of view', () => {
+        // Cut off on the left of the picture: the user's right side
+        const left = assessFraming(person({ x: 0.05 }), null, null);
+        expect(left).toMatchObject([{ id: 'move_left', direction: FRAMING_DIRECTIONS.USER_LEFT }]);
+
+        const right = assessFraming(person({ x: 0.95 }), null, null);
+        expect(right).toMatchObject([{ id: 'move_right', direction: FRAMING_DIRECTIONS.USER_RIGHT }]);
+
+        expect(ids(assessFraming(person({ shoulderWidth: 1.2 }), null, null))).toEqual(['too_close']);
+    });
+
+    it('asks to step closer when the body spans less than minBodySize', () => {
+        expect(assessFraming(person({ top: 0.4, bottom: 0.65 }), null, null)).toMatchObject([
+            { id: 'too_far', direction: FRAMING_DIRECTIONS.CLOSER, blocking: true }
+        ]);
+    });
+
+    it('ignores zero-filled landmarks', () => {
+        const landmarks = person();
+        landmarks[0] = { x: 0, y: 0, z: 0, visibility: 0 };
+
+        expect(assessFraming(landmarks, null, null)).toEqual([]);
+    });
+
+    it('advises turning sideways for side-view exercises seen from the front', () => {
+        expect(assessFraming(person(), null, 'Push-Up')).toEqual([
+            { id: 'turn_sideways', message: 'Turn sideways for push-ups', direction: FRAMING_DIRECTIONS.TURN, blocking: false }
+        ]);
+        expect(assessFraming(person({ shoulderWidth: 0.02 }), null, 'Lunges')).toEqual([]);
+        expect(assessFraming(person(), null, 'Squat')).toEqual([]);
+    });
+});
+
+describe('createFramingMonitor', () => {
+    const cutOff = person({ bottom: 1.1 });
+
+    it('pauses once blocking issues have lasted pauseDelay', () => {
+        const monitor = createFramingMonitor();
+
+        expect(monitor.update(cutOff, null, null, 0).paused).toBe(false);
+        expect(monitor.update(cutOff, null, null, FRAMING_SETTINGS.pauseDelay - 1).paused).toBe(false);
+        expect(monitor.update(cutOff, null, null, FRAMING_SETTINGS.pauseDelay)).toMatchObject({
+            paused: true,
+            issues: [{ id: 'feet_out' }]
+        });
+    });
+
+    it('resumes once the framing has been fine for resumeDelay', () => {
+        const monitor = createFramingMonitor();
+        monitor.update(cutOff, null, null, 0);
+        monitor.update(cutOff, null, null, 1000);
+
+        expect(monitor.update(person(), null, null, 1100).paused).toBe(true);
+        // Advice alone does not keep classification paused
+        expect(monitor.update(person(), null, 'Push-Up', 1100 + FRAMING_SETTINGS.resumeDelay).paused).toBe(false);
+    });
+
+    it('restarts the delays when the framing flips back', () => {
+        const monitor = createFramingMonitor();
+        monitor.update(cutOff, null, null, 0);
+        monitor.update(person(), null, null, 200);
+
+        expect(monitor.update(cutOff, null, null, 400).paused).toBe(false);
+    });
+
+    it('reports nothing while disabled, and forgets the pause on reset', () => {
+        const monitor = createFramingMonitor();
+        monitor.update(cutOff, null, null, 0);
+        monitor.update(cutOff, null, null, 1000);
+
+        monitor.reset();
+        expect(monitor.update(cutOff, null, null, 1100).paused).toBe(false);
+
+        monitor.setSettings({ ...FRAMING_SETTINGS, enabled: false });
+        expect(monitor.update(cutOff, null, null, 5000)).toEqual({ issues: [], paused: false });
+    });
+});
@@ -0,0 +1,195 @@
+// Isometric hold timer for held poses (TreePose). Frames are arrays of 33
+// keypoints in [x, y, z, visibility] form with normalised image coordinates.
+
+export const HOLD_SETTINGS = {
+    minVisibility: 0.5,
+    // Minimum height difference between the ankles (fraction of the image
+    // height) for a foot to count as raised
+    raisedFootThreshold: 0.05,
+    // How long the pose may break before the timer pauses (ms). Shorter
+    // breaks, such as a frame or two of lost landmarks, count as held time.
+    breakGraceTime: 400,
+    // How long a paused hold waits for the same foot to be raised again
+    // before it is ended (ms)
+    maxPauseTime: 5000,
+    // Sway (standard deviation of the hip/shoulder midpoints, as a fraction of
+    // torso length) at which the balance score drops to 0
+    maxSway: 0.08,
+    // Number of recent samples used for the balance score
+    swayWindow: 90
+};
+
+const SIDES = ['left', 'right'];
+
+const isVisible = (point, minVisibility) =>
+    point && point[3] >= minVisibility && (point[0] !== 0 || point[1] !== 0);
+
+const midpoint = (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+
+// Work out which foot is raised, or null if both are on the ground.
+// Image y grows downwards, so the raised ankle has the smaller y.
+function getRaisedSide(frame, settings) {
+    const leftAnkle = frame[27];
+    const rightAnkle = frame[28];
+
+    if (!isVisible(leftAnkle, settings.minVisibility) ||
+        !isVisible(rightAnkle, settings.minVisibility)) {
+        return null;
+    }
+
+    const difference = rightAnkle[1] - leftAnkle[1];
+    if (Math.abs(difference) < settings.raisedFootThreshold) return null;
+
+    return difference > 0 ? 'left' : 'right';
+}
+
+// Hip and shoulder midpoints used to measure sway, or null if not visible
+function getBalanceSample(frame, settings) {
+    const points = [frame[11], frame[12], frame[23], frame[24]];
+    if (!points.every(point => isVisible(point, settings.minVisibility))) {
+        return null;
+    }
+
+    const shoulders = midpoint(frame[11], frame[12]);
+    const hips = midpoint(frame[23], frame[24]);
+    const torsoLength = Math.hypot(shoulders[0] - hips[0], shoulders[1] - hips[1]);
+
+    if (torsoLength < 0.0001) return null;
+
+    return { shoulders, hips, torsoLength };
+}
+
+function standardDeviation(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    return Math.sqrt(variance);
+}
+
+// Balance score from 0 (unstable) to 100 (perfectly still)
+function computeBalanceScore(samples, settings) {
+    if (samples.length < 2) return null;
+
+    const torsoLength = samples.reduce((sum, sample) => sum + sample.torsoLength, 0) / samples.length;
+    const sway = (pick) => Math.hypot(
+        standardDeviation(samples.map(sample => sample[pick][0])),
+        standardDeviation(samples.map(sample => sample[pick][1]))
+    );
+
+    // Average the hip and shoulder sway, relative to the user's torso length
+    const relativeSway = (sway('hips') + sway('shoulders')) / 2 / torsoLength;
+    const score = 100 * (1 - relativeSway / settings.maxSway);
+
+    return Math.round(Math.max(0, Math.min(100, score)));
+}
+
+// Create a hold timer that times continuous holds, pauses when the pose
+// breaks and keeps the longest hold for each raised foot. A paused hold
+// resumes when the same foot is raised again within maxPauseTime; the time
+// spent paused does not count towards it.
+export function createHoldTimer(initialSettings = HOLD_SETTINGS) {
+    let settings = initialSettings;
+    let current = null;   // { side, duration, lastValidTime, paused, samples }
+    let best = {};
+
+    const reset = () => {
+        current = null;
+        best = {};
+        SIDES.forEach(side => {
+            best[side] = { duration: 0, balanceScore: null };
+        });
+    };
+
+    reset();
+
+    // End the running hold and return it as { side, duration, balanceScore }
+    const endHold = () => {
+        if (!current) return null;
+
+        const { duration } = current;
+        const balanceScore = computeBalanceScore(current.samples, settings);
+        if (duration > best[current.side].duration) {
+            best[current.side] = { duration, balanceScore };
+        }
+        const completed = { side: current.side, duration, balanceScore };
+        current = null;
+        return completed;
+    };
+
+    // Held time runs up to the last frame with the foot raised, so it does
+    // not jump back when a break turns into a pause
+    const getState = () => ({
+        holding: current !== null,
+        paused: current ? current.paused : false,
+        side: current ? current.side : null,
+        duration: current ? current.duration : 0,
+        balanceScore: current ? computeBalanceScore(current.samples, settings) : null,
+        best: {
+            left: { ...best.left },
+            right: { ...best.right }
+        }
+    });
+
+    // Feed one frame. Only frames where `exercise` is a held pose advance
+    // the timer; anything else ends the running hold. The returned state's
+    // completedHold is the hold that ended on this frame, if any.
+    //
+    // A frame without a raised foot within breakGraceTime of the last one
+    // with it counts as held; after that the hold is paused, and after
+    // maxPauseTime more it is ended. Raising the other foot ends it too.
+    const update = (exercise, frame, timestampMs) => {
+        if (exercise !== 'TreePose' || !frame) {
+            const completedHold = endHold();
+            return { ...getState(), completedHold };
+        }
+
+        const side = getRaisedSide(frame, settings);
+        let completedHold = null;
+
+        const brokenFor = current ? timestampMs - current.lastValidTime : 0;
+
+        if (current && brokenFor > settings.breakGraceTime + settings.maxPauseTime) {
+            // Not resumed in time
+            completedHold = endHold();
+        } else if (side && current && side !== current.side) {
+            // Switched feet: the previous hold is over
+            completedHold = endHold();
+        }
+
+        if (side) {
+            if (!current) {
+                current = { side, duration: 0, lastValidTime: timestampMs, paused: false, samples: [] };
+            } else if (current.paused || brokenFor > settings.breakGraceTime) {
+                // Resume: the time spent paused is not held time
+                current.paused = false;
+            } else {
+                current.duration += brokenFor;
+            }
+            current.lastValidTime = timestampMs;
+
+            const sample = getBalanceSample(frame, settings);
+            if (sample) {
+                current.samples.push(sample);
+                if (current.samples.length > settings.swayWindow) {
+                    current.samples.shift();
+                }
+            }
+        } else if (current && brokenFor > settings.breakGraceTime) {
+            // Pose broken for longer than the grace period
+            current.paused = true;
+        }
+
+        return { ...getState(), completedHold };
+    };
+
+    // Change the settings; a hold in progress carries on
+    const setSettings = (nextSettings) => {
+        settings = nextSettings;
+    };
+
+    return {
+        update,
+        reset,
+        getState,
+        setSettings
+    };
+}
@@ -0,0 +1,144 @@
+import { describe, expect, it } from 'vitest';
+import { createHoldTimer, HOLD_SETTINGS } from './holdTimer';
+
+// A standing frame with shoulders and hips at fixed points, shifted
+// sideways by `sway`. `raised` lifts the left or right ankle off the ground.
+function holdFrame(raised = null, sway = 0) {
+    const frame = Array.from({ length: 33 }, () => [0.5, 0.5, 0, 1]);
+    frame[11] = [0.4 + sway, 0.3, 0, 1];
+    frame[12] = [0.6 + sway, 0.3, 0, 1];
+    frame[23] = [0.4 + sway, 0.6, 0, 1];
+    frame[24] = [0.6 + sway, 0.6, 0, 1];
+    frame[27] = [0.4, raised === 'left' ? 0.8 : 0.9, 0, 1];
+    frame[28] = [0.6, raised === 'right' ? 0.8 : 0.9, 0, 1];
+    return frame;
+}
+
+// Feed TreePose frames from `from` to `to` ms, every 100 ms
+function hold(timer, raised, from, to) {
+    let state = null;
+    for (let time = from; time <= to; time += 100) {
+        state = timer.update('TreePose', holdFrame(raised), time);
+    }
+    return state;
+}
+
+describe('createHoldTimer', () => {
+    it('times a hold from the first to the latest frame with a raised foot', () => {
+        const timer = createHoldTimer();
+
+        const state = hold(timer, 'left', 0, 2000);
+
+        expect(state).toMatchObject({ holding: true, paused: false, side: 'left', duration: 2000, completedHold: null });
+    });
+
+    it('needs a foot raised by more than raisedFootThreshold', () => {
+        const timer = createHoldTimer({ ...HOLD_SETTINGS, raisedFootThreshold: 0.15 });
+
+        expect(hold(timer, 'left', 0, 500).holding).toBe(false);
+    });
+
+    it('counts breaks within breakGraceTime as held', () => {
+        const timer = createHoldTimer();
+
+        hold(timer, 'left', 0, 1000);
+        timer.update('TreePose', holdFrame(), 1300);
+        const state = hold(timer, 'left', 1400, 2000);
+
+        expect(state).toMatchObject({ paused: false, duration: 2000 });
+    });
+
+    it('pauses after breakGraceTime and resumes without the paused time', () => {
+        const timer = createHoldTimer();
+
+        hold(timer, 'left', 0, 1000);
+        const paused = timer.update('TreePose', holdFrame(), 1500);
+        expect(paused).toMatchObject({ holding: true, paused: true, duration: 1000, completedHold: null });
+
+        const resumed = hold(timer, 'left', 3000, 3500);
+        expect(resumed).toMatchObject({ holding: true, paused: false, duration: 1500 });
+    });
+
+    it('ends a paused hold after maxPauseTime', () => {
+        const timer = createHoldTimer();
+        const { breakGraceTime, maxPauseTime } = HOLD_SETTINGS;
+
+        hold(timer, 'left', 0, 1000);
+        timer.update('TreePose', holdFrame(), 1500);
+        const state = timer.update('TreePose', holdFrame(), 1000 + breakGraceTime + maxPauseTime + 1);
+
+        expect(state.holding).toBe(false);
+        expect(state.completedHold).toMatchObject({ side: 'left', duration: 1000 });
+    });
+
+    it('starts a new hold when the foot comes back after maxPauseTime', () => {
+        const timer = createHoldTimer();
+
+        hold(timer, 'left', 0, 1000);
+        const state = timer.update('TreePose', holdFrame('left'), 10000);
+
+        expect(state.completedHold).toMatchObject({ side: 'left', duration: 1000 });
+        expect(state).toMatchObject({ holding: true, side: 'left', duration: 0 });
+    });
+
+    it('ends the hold when the other foot is raised, even while paused', () => {
+        const timer = createHoldTimer();
+
+        hold(timer, 'left', 0, 1000);
+        timer.update('TreePose', holdFrame(), 1500);
+        const state = timer.update('TreePose', holdFrame('right'), 1600);
+
+        expect(state.completedHold).toMatchObject({ side: 'left', duration: 1000 });
+        expect(state).toMatchObject({ holding: true, side: 'right', duration: 0 });
+    });
+
+    it('ends the hold when the exercise is no longer a held pose', () => {
+        const timer = createHoldTimer();
+
+        hold(timer, 'right', 0, 800);
+        const state = timer.update('Squat', holdFrame('right'), 900);
+
+        expect(state.holding).toBe(false);
+        expect(state.completedHold).toMatchObject({ side: 'right', duration: 800 });
+    });
+
+    it('keeps the longest hold for each foot', () => {
+        const timer = createHoldTimer();
+
+        hold(timer, 'left', 0, 2000);
+        hold(timer, 'right', 2100, 2600);
+        hold(timer, 'left', 2700, 3200);
+        timer.update(null, null, 3300);
+
+        const { best } = timer.getState();
+        expect(best.left.duration).toBe(2000);
+        expect(best.right.duration).toBe(500);
+    });
+
+    it('scores a still hold 100 and a swaying one lower', () => {
+        const still = createHoldTimer();
+        const swaying = createHoldTimer();
+
+        hold(still, 'left', 0, 1000);
+        for (let time = 0; time <= 1000; time += 100) {
+            swaying.update('TreePose', holdFrame('left', (time / 100) % 2 === 0 ? 0 : 0.02), time);
+        }
+
+        expect(still.getState().balanceScore).toBe(100);
+        expect(swaying.getState().balanceScore).toBeLessThan(100);
+        expect(swaying.getState().balanceScore).toBeGreaterThanOrEqual(0);
+    });
+
+    it('forgets holds and bests on reset', () => {
+        const timer = createHoldTimer();
+        hold(timer, 'left', 0, 1000);
+
+        timer.reset();
+
+        expect(timer.getState()).toMatchObject({
+            holding: false,
+            duration: 0,
+            best: { left: { duration: 0, balanceScore: null }, right: { duration: 0, balanceScore: null } }
+        });
+    });
+});
@@ -0,0 +1,266 @@
+// Input sources for the Detection loop. Every source exposes:
+//
+//   kind            - 'camera' | 'video' | 'images'
+//   isLive          - true when the source cannot be paused or seeked
+//   element         - the <video> or <img> element handed to detectForVideo
+//   start()         - Promise resolving once the first frame can be read
+//   stop()          - release the stream, object URLs and timers
+//   isReady()       - true when the current frame can be passed to MediaPipe
+//   getTimestamp()  - timestamp (ms) of the current frame. Media sources use
+//                     media time so repeated runs over a clip line up.
+//   getDimensions() - { width, height } of the frame
+//
+// Media (non-live) sources also expose play(), pause(), isPaused(),
+// seek(ms), step(frames), getCurrentTime() and getDuration(), all in ms.
+
+export const DEFAULT_FRAME_RATE = 30;
+
+// Frame rate used to step through files whose real frame rate is unknown
+const frameDuration = (fps) => 1000 / (fps || DEFAULT_FRAME_RATE);
+
+// Live webcam through getUserMedia. `constraints` are video constraints,
+// see cameraConstraints in cameraSettings.js.
+export function createCameraSource(videoElement, constraints = {
+    width: { ideal: 480 },
+    height: { ideal: 480 },
+    frameRate: { ideal: 30 }
+}) {
+    let stream = null;
+    let stopped = false;
+
+    const attachStream = (newStream) => new Promise((resolve, reject) => {
+        stream = newStream;
+        videoElement.srcObject = stream;
+        videoElement.removeAttribute('src');
+        videoElement.onloadedmetadata = () => {
+            videoElement.play().then(resolve).catch(reject);
+        };
+    });
+
+    // Ask for less each time a request fails: the chosen camera in any
+    // mode, then any camera
+    const fallbacks = [constraints];
+    if (constraints && constraints.deviceId) {
+        fallbacks.push({ deviceId: constraints.deviceId });
+    }
+    fallbacks.push(true);
+
+    const start = async () => {
+        stopped = false;
+        let lastError = null;
+        for (const video of fallbacks) {
+            let newStream;
+            try {
+                newStream = await navigator.mediaDevices.getUserMedia({ video });
+            } catch (error) {
+                console.error("Error accessing webcam:", error);
+                lastError = error;
+                continue;
+            }
+            // Switched to another camera or source while waiting for this one
+            if (stopped) {
+                newStream.getTracks().forEach(track => track.stop());
+                return;
+            }
+            await attachStream(newStream);
+            return;
+        }
+        throw lastError;
+    };
+
+    const stop = () => {
+        stopped = true;
+        if (stream) {
+            stream.getTracks().forEach(track => track.stop());
+            stream = null;
+        }
+        videoElement.onloadedmetadata = null;
+        videoElement.srcObject = null;
+    };
+
+    return {
+        kind: 'camera',
+        isLive: true,
+        element: videoElement,
+        start,
+        stop,
+        isReady: () => videoElement.readyState === 4 &&
+            videoElement.videoWidth > 0 && videoElement.videoHeight > 0,
+        getTimestamp: () => performance.now(),
+        getDimensions: () => ({ width: videoElement.videoWidth, height: videoElement.videoHeight }),
+        // Whether the stream is still delivering frames
+        isStreamLive: () => Boolean(stream) &&
+            stream.getTracks().length > 0 && stream.getTracks()[0].readyState === 'live'
+    };
+}
+
+// Uploaded MP4/WebM clip played through the <video> element
+export function createVideoFileSource(videoElement, file, fps = DEFAULT_FRAME_RATE) {
+    let objectUrl = null;
+
+    const start = () => new Promise((resolve, reject) => {
+        objectUrl = URL.createObjectURL(file);
+        videoElement.srcObject = null;
+        videoElement.onloadedmetadata = () => {
+            videoElement.pause();
+            videoElement.currentTime = 0;
+            resolve();
+        };
+        videoElement.onerror = () => reject(new Error(`Could not load video file ${file.name}`));
+        videoElement.src = objectUrl;
+    });
+
+    const stop = () => {
+        videoElement.pause();
+        videoElement.onloadedmetadata = null;
+        videoElement.onerror = null;
+        videoElement.removeAttribute('src');
+        videoElement.load();
+        if (objectUrl) {
+            URL.revokeObjectURL(objectUrl);
+            objectUrl = null;
+        }
+    };
+
+    const seek = (ms) => {
+        const duration = videoElement.duration * 1000 || 0;
+        videoElement.currentTime = Math.max(0, Math.min(duration, ms)) / 1000;
+    };
+
+    return {
+        kind: 'video',
+        isLive: false,
+        element: videoElement,
+        start,
+        stop,
+        // readyState >= 2 means the current frame is decoded and not mid-seek
+        isReady: () => videoElement.readyState >= 2 && !videoElement.seeking &&
+            videoElement.videoWidth > 0,
+        getTimestamp: () => Math.round(videoElement.currentTime * 1000),
+        getDimensions: () => ({ width: videoElement.videoWidth, height: videoElement.videoHeight }),
+        play: () => videoElement.play(),
+        pause: () => videoElement.pause(),
+        isPaused: () => videoElement.paused || videoElement.ended,
+        seek,
+        step: (frames) => {
+            videoElement.pause();
+            seek(videoElement.currentTime * 1000 + frames * frameDuration(fps));
+        },
+        getCurrentTime: () => videoElement.currentTime * 1000,
+        getDuration: () => (videoElement.duration || 0) * 1000
+    };
+}
+
+// Folder (or multi-selection) of still frames shown through an <img> element.
+// Frames are ordered by file name and spaced 1/fps apart in media time.
+export function createImageSequenceSource(imageElement, files, fps = DEFAULT_FRAME_RATE) {
+    const frames = Array.from(files)
+        .filter(file => file.type.startsWith('image/'))
+        .sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(
+            b.webkitRelativePath || b.name, undefined, { numeric: true }
+        ));
+
+    let index = 0;
+    let loadedIndex = -1;
+    let objectUrl = null;
+    let playTimer = null;
+
+    const loadFrame = async (frameIndex) => {
+        index = Math.max(0, Math.min(frames.length - 1, frameIndex));
+        const requestedIndex = index;
+        const url = URL.createObjectURL(frames[requestedIndex]);
+
+        imageElement.src = url;
+        try {
+            await imageElement.decode();
+        } catch (error) {
+            throw new Error(`Could not read image "${frames[requestedIndex].name}" (${error.message})`);
+        } finally {
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+            objectUrl = url;
+        }
+
+        // Ignore loads overtaken by a later seek
+        if (requestedIndex === index) loadedIndex = requestedIndex;
+    };
+
+    const pause = () => {
+        if (playTimer) {
+            clearInterval(playTimer);
+            playTimer = null;
+        }
+    };
+
+    // Show a frame for playback or the transport controls. An unreadable
+    // image is reported and stops playback; stepping past it still works.
+    const showFrame = (frameIndex) => loadFrame(frameIndex).catch(error => {
+        console.warn(error.message);
+        pause();
+    });
+
+    const play = () => {
+        if (playTimer) return;
+        if (index >= frames.length - 1) showFrame(0);
+
+        playTimer = setInterval(() => {
+            // Wait for the previous frame before advancing
+            if (loadedIndex !== index) return;
+            if (index >= frames.length - 1) {
+                pause();
+                return;
+            }
+            showFrame(index + 1);
+        }, frameDuration(fps));
+    };
+
+    const start = async () => {
+        if (frames.length === 0) {
+            throw new Error("No image files found in the selection");
+        }
+        await loadFrame(0);
+    };
+
+    const stop = () => {
+        pause();
+        imageElement.removeAttribute('src');
+        if (objectUrl) {
+            URL.revokeObjectURL(objectUrl);
+            objectUrl = null;
+        }
+    };
+
+    return {
+        kind: 'images',
+        isLive: false,
+        element: imageElement,
+        start,
+        stop,
+        isReady: () => loadedIndex === index && imageElement.naturalWidth > 0,
+        getTimestamp: () => Math.round(index * frameDuration(fps)),
+        getDimensions: () => ({ width: imageElement.naturalWidth, height: imageElement.naturalHeight }),
+        play,
+        pause,
+        isPaused: () => playTimer === null,
+        seek: (ms) => showFrame(Math.round(ms / frameDuration(fps))),
+        step: (count) => {
+            pause();
+            return showFrame(index + count);
+        },
+        getCurrentTime: () => index * frameDuration(fps),
+        getDuration: () => Math.max(0, frames.length - 1) * frameDuration(fps)
+    };
+}
+
+// Build the source described by an input descriptor:
+//   { type: 'camera', constraints } | { type: 'video', file } | { type: 'images', files, fps }
+export function createInputSource(descriptor, { videoElement, imageElement }) {
+    switch (descriptor && descriptor.type) {
+        case 'video':
+            return createVideoFileSource(videoElement, descriptor.file, descriptor.fps);
+        case 'images':
+            return createImageSequenceSource(imageElement, descriptor.files, descriptor.fps);
+        case 'camera':
+        default:
+            return createCameraSource(videoElement, descriptor && descriptor.constraints);
+    }
+}
@@ -0,0 +1,50 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createImageSequenceSource } from './inputSources';
+
+// <img> stand-in whose decode() fails for the file names in `broken`
+function createFakeImage(files, broken) {
+    const image = {
+        src: '',
+        naturalWidth: 0,
+        naturalHeight: 0,
+        decode: vi.fn(() => {
+            const file = files.find(entry => image.src === entry.url);
+            if (broken.includes(file.name)) return Promise.reject(new Error('EncodingError'));
+            image.naturalWidth = 640;
+            image.naturalHeight = 480;
+            return Promise.resolve();
+        }),
+        removeAttribute: () => {}
+    };
+    return image;
+}
+
+describe('createImageSequenceSource', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('reports an unreadable frame and stops playback', async () => {
+        vi.useFakeTimers();
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const files = ['1.png', '2.png', '3.png'].map(name => ({ name, type: 'image/png', url: `blob:${name}` }));
+        vi.spyOn(URL, 'createObjectURL').mockImplementation(file => file.url);
+        vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+        const image = createFakeImage(files, ['2.png']);
+        const source = createImageSequenceSource(image, files, 10);
+
+        await source.start();
+        source.play();
+        await vi.advanceTimersByTimeAsync(500);
+
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('2.png'));
+        expect(source.isPaused()).toBe(true);
+        expect(source.isReady()).toBe(false);
+
+        // Stepping past the broken frame carries on
+        await source.step(1);
+        expect(image.src).toBe('blob:3.png');
+        expect(source.isReady()).toBe(true);
+    });
+});
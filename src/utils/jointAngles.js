@@ -0,0 +1,74 @@
+// Joint angle helpers shared by the classifier input (buildModelInput in
+// utils/features.js) and the rep counter. Frames are arrays of 33 keypoints
+// in [x, y, z, visibility] form, as produced by landmarksToKeypoints in
+// utils/features.js.
+
+// Indices of the joints used for angle calculation (MediaPipe POSE_LANDMARKS)
+export const ANGLE_JOINTS = {
+    leftElbow: [11, 13, 15],   // left_shoulder, left_elbow, left_wrist
+    rightElbow: [12, 14, 16],  // right_shoulder, right_elbow, right_wrist
+    leftKnee: [23, 25, 27],    // left_hip, left_knee, left_ankle
+    rightKnee: [24, 26, 28]    // right_hip, right_knee, right_ankle
+};
+
+// Order of the angles returned by computeJointAngles
+export const ANGLE_INDEX = {
+    leftElbow: 0,
+    rightElbow: 1,
+    leftKnee: 2,
+    rightKnee: 3
+};
+
+// Calculate the angle at b (in degrees) between the segments b->a and b->c.
+// Returns 0 if any point is missing or has low visibility.
+export function calculateAngle(a, b, c) {
+    if (!a || !b || !c ||
+        a[0] === 0 || b[0] === 0 || c[0] === 0 ||
+        a[3] < 0.5 || b[3] < 0.5 || c[3] < 0.5) {
+        return 0;
+    }
+
+    return angleBetween(
+        [a[0] - b[0], a[1] - b[1], a[2] - b[2]],
+        [c[0] - b[0], c[1] - b[1], c[2] - b[2]]
+    );
+}
+
+// Angle (in whole degrees) between two 3D vectors, or 0 if either is too short
+export function angleBetween(vector1, vector2) {
+    const magnitude1 = Math.sqrt(vector1[0]**2 + vector1[1]**2 + vector1[2]**2);
+    const magnitude2 = Math.sqrt(vector2[0]**2 + vector2[1]**2 + vector2[2]**2);
+
+    // Prevent division by zero
+    if (magnitude1 < 0.0001 || magnitude2 < 0.0001) {
+        return 0;
+    }
+
+    const dotProduct = vector1[0] * vector2[0] + vector1[1] * vector2[1] + vector1[2] * vector2[2];
+
+    // Ensure the value is in valid range for acos
+    const cosine = Math.max(-1, Math.min(1, dotProduct / (magnitude1 * magnitude2)));
+
+    return Math.round(Math.acos(cosine) * (180 / Math.PI));
+}
+
+// Compute [leftElbow, rightElbow, leftKnee, rightKnee] angles for one frame
+export function computeJointAngles(frame) {
+    try {
+        if (!frame || frame.length < 33) {
+            return [0, 0, 0, 0]; // Default angles if frame is invalid
+        }
+
+        const angleFor = ([a, b, c]) => calculateAngle(frame[a], frame[b], frame[c]);
+
+        return [
+            angleFor(ANGLE_JOINTS.leftElbow),
+            angleFor(ANGLE_JOINTS.rightElbow),
+            angleFor(ANGLE_JOINTS.leftKnee),
+            angleFor(ANGLE_JOINTS.rightKnee)
+        ];
+    } catch (error) {
+        console.error("Error computing joint angles:", error);
+        return [0, 0, 0, 0];
+    }
+}
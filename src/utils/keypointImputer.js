@@ -0,0 +1,174 @@
+// Fills in joints that briefly drop out instead of leaving them zeroed, so
+// one hidden wrist does not zero an angle (see calculateAngle) for the whole
+// classifier window. Frames are arrays of 33 keypoints in
+// [x, y, z, visibility] form, as produced by landmarksToKeypoints.
+//
+// A missing joint is filled, in order of preference, from:
+//   1. its own last position, moved along with its parent joint (for gaps
+//      up to maxGapTime). Once the joint is seen again, the frames of the
+//      gap are revised in place by interpolating between the positions
+//      either side of it, so classifier windows built later see the
+//      interpolated values.
+//   2. its counterpart on the other side of the body, shifted by the
+//      offset between the two sides' shoulders or hips, for limbs during
+//      exercises both sides perform alike (mirrorExercises).
+// Otherwise it stays zeroed.
+//
+// Imputed keypoints are [x, y, z, imputedVisibility, KEYPOINT_IMPUTED]:
+// the model sees the reduced visibility (the fifth entry is not part of
+// the model input), and rules can use isImputed() to ignore guesses.
+
+import { NUM_LANDMARKS } from './landmarks';
+
+export const IMPUTATION_SETTINGS = {
+    enabled: true,
+    // Keypoints below this visibility, or zeroed, count as missing
+    minVisibility: 0.5,
+    // Longest gap filled from the joint's own position (ms)
+    maxGapTime: 600,
+    // Fill limbs from the other side of the body where that makes sense
+    mirror: true,
+    // Exercises (CLASS_NAMES entries) symmetric enough for mirroring
+    mirrorExercises: ['Squat', 'Push-Up'],
+    // Visibility given to imputed keypoints
+    imputedVisibility: 0.5
+};
+
+// Fifth keypoint entry of imputed keypoints
+export const KEYPOINT_IMPUTED = 1;
+
+export const isImputed = (point) => Boolean(point) && point[4] === KEYPOINT_IMPUTED;
+
+// Joint each joint moves with while it is hidden (null: moves on its own).
+// Shoulders and hips follow the opposite shoulder or hip.
+const PARENT_JOINT = [
+    null, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,   // nose and face
+    12, 11, 11, 12, 13, 14,               // shoulders, elbows, wrists
+    15, 16, 15, 16, 15, 16,               // pinkies, index fingers, thumbs
+    24, 23, 23, 24, 25, 26,               // hips, knees, ankles
+    27, 28, 27, 28                        // heels, foot indices
+];
+
+// Limb joints that can be mirrored, with the joint on the same side that
+// anchors the limb to the torso
+const MIRROR_ANCHOR = {};
+[13, 15, 17, 19, 21].forEach(index => {
+    MIRROR_ANCHOR[index] = 11;
+    MIRROR_ANCHOR[index + 1] = 12;
+});
+[25, 27, 29, 31].forEach(index => {
+    MIRROR_ANCHOR[index] = 23;
+    MIRROR_ANCHOR[index + 1] = 24;
+});
+
+// Left limb joints have odd indices and their right counterpart follows
+const counterpart = (index) => (index % 2 === 1 ? index + 1 : index - 1);
+
+const imputedPoint = ([x, y, z], settings) => [x, y, z, settings.imputedVisibility, KEYPOINT_IMPUTED];
+
+// Create an imputer for one person. update(keypoints, timestampMs, exercise)
+// returns the frame with missing joints filled in; exercise is the current
+// class (or null) and decides whether mirroring is used.
+export function createKeypointImputer(initialSettings = IMPUTATION_SETTINGS) {
+    let settings = initialSettings;
+    // Per joint: { point, timestampMs, parent } when last observed
+    let lastObserved = new Array(NUM_LANDMARKS).fill(null);
+    // Frames returned within the last maxGapTime: { frame, timestampMs }
+    let history = [];
+
+    const reset = () => {
+        lastObserved = new Array(NUM_LANDMARKS).fill(null);
+        history = [];
+    };
+
+    const isObserved = (point) =>
+        Boolean(point) && point[3] >= settings.minVisibility && (point[0] !== 0 || point[1] !== 0);
+
+    // Own last position, moved by how far the parent joint has moved since
+    const fromLastPosition = (frame, index, timestampMs) => {
+        const last = lastObserved[index];
+        if (!last || timestampMs - last.timestampMs > settings.maxGapTime) return null;
+
+        const parentIndex = PARENT_JOINT[index];
+        const parent = parentIndex === null ? null : frame[parentIndex];
+        if (last.parent && isObserved(parent)) {
+            return last.point.map((value, axis) => value + parent[axis] - last.parent[axis]);
+        }
+        return last.point;
+    };
+
+    const fromCounterpart = (frame, index, exercise) => {
+        if (!settings.mirror || !settings.mirrorExercises.includes(exercise)) return null;
+
+        const anchor = MIRROR_ANCHOR[index];
+        if (anchor === undefined) return null;
+
+        const other = frame[counterpart(index)];
+        const otherAnchor = frame[counterpart(anchor)];
+        if (!isObserved(other) || !isObserved(frame[anchor]) || !isObserved(otherAnchor)) return null;
+
+        return [0, 1, 2].map(axis => other[axis] + frame[anchor][axis] - otherAnchor[axis]);
+    };
+
+    // The joint is back: replace the guesses made during its gap with a
+    // straight line between the positions either side of it
+    const interpolateGap = (index, point, timestampMs) => {
+        const last = lastObserved[index];
+        if (!last || timestampMs - last.timestampMs > settings.maxGapTime) return;
+
+        const span = timestampMs - last.timestampMs;
+        history.forEach(entry => {
+            if (entry.timestampMs <= last.timestampMs || !isImputed(entry.frame[index])) return;
+            const fraction = span > 0 ? (entry.timestampMs - last.timestampMs) / span : 1;
+            entry.frame[index] = imputedPoint(
+                last.point.map((value, axis) => value + (point[axis] - value) * fraction),
+                settings
+            );
+        });
+    };
+
+    const update = (keypoints, timestampMs, exercise = null) => {
+        if (!settings.enabled || !keypoints) return keypoints;
+
+        const frame = keypoints.slice();
+
+        for (let index = 0; index < NUM_LANDMARKS; index++) {
+            const point = keypoints[index];
+
+            if (isObserved(point)) {
+                interpolateGap(index, point, timestampMs);
+
+                const parentIndex = PARENT_JOINT[index];
+                const parent = parentIndex === null ? null : keypoints[parentIndex];
+                lastObserved[index] = {
+                    point: point.slice(0, 3),
+                    timestampMs,
+                    parent: isObserved(parent) ? parent.slice(0, 3) : null
+                };
+                continue;
+            }
+
+            const filled = fromLastPosition(keypoints, index, timestampMs) ||
+                fromCounterpart(keypoints, index, exercise);
+            if (filled) {
+                frame[index] = imputedPoint(filled, settings);
+            }
+        }
+
+        history.push({ frame, timestampMs });
+        history = history.filter(entry => timestampMs - entry.timestampMs <= settings.maxGapTime);
+
+        return frame;
+    };
+
+    // Change the settings; the recent history is kept
+    const setSettings = (nextSettings) => {
+        settings = nextSettings;
+    };
+
+    return {
+        update,
+        reset,
+        setSettings
+    };
+}
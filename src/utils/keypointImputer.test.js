@@ -0,0 +1,114 @@
+import { describe, expect, it } from 'vitest';
+import { createKeypointImputer, IMPUTATION_SETTINGS, isImputed, KEYPOINT_IMPUTED } from './keypointImputer';
+
+const HIDDEN = [0, 0, 0, 0];
+
+// Keypoints of a person standing at horizontal offset `shift`, with the
+// given joints overridden
+function keypoints(shift = 0, overrides = {}) {
+    const frame = Array.from({ length: 33 }, (_, index) => [0.5 + shift, 0.1 + index * 0.02, 0, 0.9]);
+    Object.entries(overrides).forEach(([index, point]) => {
+        frame[index] = point;
+    });
+    return frame;
+}
+
+describe('createKeypointImputer', () => {
+    it('leaves fully visible frames unchanged', () => {
+        const imputer = createKeypointImputer();
+        const frame = keypoints();
+
+        expect(imputer.update(frame, 0)).toEqual(frame);
+    });
+
+    it('fills a hidden joint from its last position, moved with its parent', () => {
+        const imputer = createKeypointImputer();
+        imputer.update(keypoints(), 0);
+
+        // Everything moved right by 0.1; the left wrist (15) is hidden
+        const frame = imputer.update(keypoints(0.1, { 15: HIDDEN }), 100);
+
+        const wrist = keypoints()[15];
+        expect(frame[15][0]).toBeCloseTo(wrist[0] + 0.1, 10);
+        expect(frame[15][1]).toBeCloseTo(wrist[1], 10);
+        expect(frame[15].slice(3)).toEqual([IMPUTATION_SETTINGS.imputedVisibility, KEYPOINT_IMPUTED]);
+        expect(isImputed(frame[15])).toBe(true);
+    });
+
+    it('counts low-visibility joints as missing', () => {
+        const imputer = createKeypointImputer();
+        imputer.update(keypoints(), 0);
+
+        const frame = imputer.update(keypoints(0, { 15: [0.9, 0.9, 0, 0.4] }), 100);
+
+        expect(frame[15].slice(0, 2)).toEqual(keypoints()[15].slice(0, 2));
+        expect(isImputed(frame[15])).toBe(true);
+    });
+
+    it('leaves joints hidden for longer than maxGapTime zeroed', () => {
+        const imputer = createKeypointImputer();
+        imputer.update(keypoints(), 0);
+
+        const frame = imputer.update(keypoints(0, { 15: HIDDEN }), IMPUTATION_SETTINGS.maxGapTime + 1);
+
+        expect(frame[15]).toEqual(HIDDEN);
+    });
+
+    it('interpolates the frames of a gap once the joint is back', () => {
+        const imputer = createKeypointImputer();
+        const start = keypoints();
+        imputer.update(start, 0);
+        const during = imputer.update(keypoints(0, { 15: HIDDEN }), 100);
+
+        // The wrist reappears 0.2 further right, 200 ms after it was last seen
+        const end = keypoints(0, { 15: [start[15][0] + 0.2, start[15][1], 0, 0.9] });
+        imputer.update(end, 200);
+
+        // The frame handed out during the gap is revised in place
+        expect(during[15][0]).toBeCloseTo(start[15][0] + 0.1, 10);
+        expect(isImputed(during[15])).toBe(true);
+    });
+
+    it('mirrors a limb from the other side during symmetric exercises', () => {
+        const imputer = createKeypointImputer();
+        // Left knee (25) never seen; the right knee (26) and both hips are
+        const frame = imputer.update(keypoints(0, { 25: HIDDEN }), 0, 'Squat');
+
+        const source = keypoints();
+        // Right knee shifted by the offset from the right hip to the left hip
+        expect(frame[25][0]).toBeCloseTo(source[26][0] + source[23][0] - source[24][0], 10);
+        expect(frame[25][1]).toBeCloseTo(source[26][1] + source[23][1] - source[24][1], 10);
+        expect(isImputed(frame[25])).toBe(true);
+    });
+
+    it('does not mirror during other exercises or with mirroring off', () => {
+        const lunges = createKeypointImputer();
+        const noMirror = createKeypointImputer({ ...IMPUTATION_SETTINGS, mirror: false });
+
+        expect(lunges.update(keypoints(0, { 25: HIDDEN }), 0, 'Lunges')[25]).toEqual(HIDDEN);
+        expect(noMirror.update(keypoints(0, { 25: HIDDEN }), 0, 'Squat')[25]).toEqual(HIDDEN);
+    });
+
+    it('does not mirror joints outside the limbs', () => {
+        const imputer = createKeypointImputer();
+
+        expect(imputer.update(keypoints(0, { 0: HIDDEN }), 0, 'Squat')[0]).toEqual(HIDDEN);
+    });
+
+    it('returns the frame untouched when disabled', () => {
+        const imputer = createKeypointImputer({ ...IMPUTATION_SETTINGS, enabled: false });
+        imputer.update(keypoints(), 0);
+        const frame = keypoints(0, { 15: HIDDEN });
+
+        expect(imputer.update(frame, 100)).toBe(frame);
+    });
+
+    it('forgets last positions on reset', () => {
+        const imputer = createKeypointImputer();
+        imputer.update(keypoints(), 0);
+
+        imputer.reset();
+
+        expect(imputer.update(keypoints(0, { 15: HIDDEN }), 100)[15]).toEqual(HIDDEN);
+    });
+});
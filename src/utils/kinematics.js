@@ -0,0 +1,99 @@
+// Joint angles measured on MediaPipe world landmarks, which are in metres
+// around the hips, so they are not skewed by the video's aspect ratio or by
+// the image z being on a different scale from x and y. Frames are arrays of
+// 33 keypoints in [x, y, z, visibility] form, as produced by
+// landmarksToKeypoints from either the world or the image landmarks.
+//
+// Image landmarks can still be used (ANGLE_SOURCES.IMAGE) to compare with
+// the original 2D angles, and are used for frames without world landmarks.
+
+import { angleBetween } from './jointAngles';
+
+export const ANGLE_SOURCES = {
+    WORLD: 'world',
+    IMAGE: 'image'
+};
+
+export const KINEMATICS_SETTINGS = {
+    angleSource: ANGLE_SOURCES.WORLD
+};
+
+// Angles measured at the middle joint of each triple (MediaPipe POSE_LANDMARKS)
+export const KINEMATIC_JOINTS = {
+    leftKnee: [23, 25, 27],      // left_hip, left_knee, left_ankle
+    rightKnee: [24, 26, 28],     // right_hip, right_knee, right_ankle
+    leftHip: [11, 23, 25],       // left_shoulder, left_hip, left_knee
+    rightHip: [12, 24, 26],      // right_shoulder, right_hip, right_knee
+    leftElbow: [11, 13, 15],     // left_shoulder, left_elbow, left_wrist
+    rightElbow: [12, 14, 16],    // right_shoulder, right_elbow, right_wrist
+    leftShoulder: [13, 11, 23],  // left_elbow, left_shoulder, left_hip
+    rightShoulder: [14, 12, 24], // right_elbow, right_shoulder, right_hip
+    leftAnkle: [25, 27, 31],     // left_knee, left_ankle, left_foot_index
+    rightAnkle: [26, 28, 32]     // right_knee, right_ankle, right_foot_index
+};
+
+// Landmarks the trunk lean is measured from: both shoulders and both hips
+export const TRUNK_JOINTS = [11, 12, 23, 24];
+
+// Every value returned by computeKinematics, with the landmarks it rests on
+export const KINEMATIC_DEPENDENCIES = { ...KINEMATIC_JOINTS, trunkLean: TRUNK_JOINTS };
+
+const MIN_VISIBILITY = 0.5;
+
+// Zeroed keypoints (see landmarksToKeypoints) and low-visibility ones are
+// missing. Unlike calculateAngle, x = 0 alone is a valid world position.
+const isPresent = (point) => Boolean(point) && point[3] >= MIN_VISIBILITY &&
+    (point[0] !== 0 || point[1] !== 0 || point[2] !== 0);
+
+const jointAngle = (frame, [a, b, c]) => {
+    const [pointA, pointB, pointC] = [frame[a], frame[b], frame[c]];
+    if (!isPresent(pointA) || !isPresent(pointB) || !isPresent(pointC)) return 0;
+
+    return angleBetween(
+        [pointA[0] - pointB[0], pointA[1] - pointB[1], pointA[2] - pointB[2]],
+        [pointC[0] - pointB[0], pointC[1] - pointB[1], pointC[2] - pointB[2]]
+    );
+};
+
+// Midpoint of whichever of the two keypoints are present, or null
+const midpoint = (frame, left, right) => {
+    const points = [frame[left], frame[right]].filter(isPresent);
+    if (points.length === 0) return null;
+    return [0, 1, 2].map(axis => points.reduce((sum, point) => sum + point[axis], 0) / points.length);
+};
+
+// Angle between the hip-to-shoulder line and straight up. y points down in
+// both landmark spaces; world "up" is relative to the camera, so a tilted
+// camera adds its tilt to the lean.
+const trunkLean = (frame) => {
+    const shoulders = midpoint(frame, 11, 12);
+    const hips = midpoint(frame, 23, 24);
+    if (!shoulders || !hips) return 0;
+
+    return angleBetween(
+        [shoulders[0] - hips[0], shoulders[1] - hips[1], shoulders[2] - hips[2]],
+        [0, -1, 0]
+    );
+};
+
+// Named joint angles of one frame, in whole degrees:
+// { leftKnee, rightKnee, leftHip, ..., rightAnkle, trunkLean }.
+// An angle is 0 when one of its landmarks is missing.
+export function computeKinematics(frame) {
+    const kinematics = { trunkLean: 0 };
+    Object.keys(KINEMATIC_JOINTS).forEach(name => {
+        kinematics[name] = 0;
+    });
+    if (!frame || frame.length < 33) return kinematics;
+
+    Object.entries(KINEMATIC_JOINTS).forEach(([name, joints]) => {
+        kinematics[name] = jointAngle(frame, joints);
+    });
+    kinematics.trunkLean = trunkLean(frame);
+    return kinematics;
+}
+
+// Keypoint frame the angles are measured on: the world keypoints when
+// `source` is WORLD and the frame has them, otherwise the image keypoints
+export const angleFrame = (imageKeypoints, worldKeypoints, source) =>
+    (source === ANGLE_SOURCES.WORLD && worldKeypoints ? worldKeypoints : imageKeypoints);
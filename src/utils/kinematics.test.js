@@ -0,0 +1,96 @@
+import { describe, expect, it } from 'vitest';
+import { ANGLE_SOURCES, angleFrame, computeKinematics, KINEMATIC_JOINTS } from './kinematics';
+
+// World keypoints (metres around the hips, y down) of someone standing
+// straight with arms hanging, with the given joints overridden
+function standing(overrides = {}) {
+    const frame = Array.from({ length: 33 }, () => [0, -0.6, 0, 1]);
+    const sides = [[0.15, 11, 13, 15, 23, 25, 27, 31], [-0.15, 12, 14, 16, 24, 26, 28, 32]];
+    sides.forEach(([x, shoulder, elbow, wrist, hip, knee, ankle, foot]) => {
+        frame[shoulder] = [x, -0.5, 0, 1];
+        frame[elbow] = [x, -0.25, 0, 1];
+        frame[wrist] = [x, 0, 0, 1];
+        frame[hip] = [x, 0, 0, 1];
+        frame[knee] = [x, 0.45, 0, 1];
+        frame[ankle] = [x, 0.9, 0, 1];
+        frame[foot] = [x, 0.9, -0.15, 1];
+    });
+    Object.entries(overrides).forEach(([index, point]) => {
+        frame[index] = point;
+    });
+    return frame;
+}
+
+describe('computeKinematics', () => {
+    it('measures a straight standing pose', () => {
+        const angles = computeKinematics(standing());
+
+        expect(angles).toMatchObject({
+            leftKnee: 180, rightKnee: 180,
+            leftHip: 180, rightHip: 180,
+            leftElbow: 180, rightElbow: 180,
+            leftAnkle: 90, rightAnkle: 90,
+            trunkLean: 0
+        });
+        // Arms hang alongside the torso
+        expect(angles.leftShoulder).toBe(0);
+    });
+
+    it('measures a knee bent to a right angle', () => {
+        // Shin pointing straight back from the knee
+        const angles = computeKinematics(standing({ 27: [0.15, 0.45, 0.45, 1] }));
+
+        expect(angles.leftKnee).toBe(90);
+        expect(angles.rightKnee).toBe(180);
+    });
+
+    it('measures the trunk lean from the shoulder and hip midpoints', () => {
+        // Shoulders 0.5 forward of the hips and 0.5 above them: 45 degrees
+        const angles = computeKinematics(standing({ 11: [0.15, -0.5, -0.5, 1], 12: [-0.15, -0.5, -0.5, 1] }));
+
+        expect(angles.trunkLean).toBe(45);
+    });
+
+    it('uses the side that is visible when the other is hidden', () => {
+        const angles = computeKinematics(standing({ 12: [0, 0, 0, 0], 24: [-0.15, 0, 0, 0.2] }));
+
+        expect(angles.trunkLean).toBe(0);
+        expect(angles.rightHip).toBe(0);
+        expect(angles.rightShoulder).toBe(0);
+    });
+
+    it('gives 0 for angles with a missing or low-visibility landmark', () => {
+        const angles = computeKinematics(standing({ 25: [0, 0, 0, 0], 28: [-0.15, 0.9, 0, 0.4] }));
+
+        expect(angles.leftKnee).toBe(0);
+        expect(angles.leftHip).toBe(0);
+        expect(angles.rightKnee).toBe(0);
+        expect(angles.rightAnkle).toBe(0);
+        expect(angles.leftElbow).toBe(180);
+    });
+
+    it('accepts world positions with x = 0', () => {
+        // A leg straight below the hips' centre line is still present
+        const angles = computeKinematics(standing({ 23: [0, 0.1, 0, 1], 25: [0, 0.45, 0, 1], 27: [0, 0.9, 0, 1] }));
+
+        expect(angles.leftKnee).toBe(180);
+    });
+
+    it('gives every angle as 0 for an empty or short frame', () => {
+        const zeros = { trunkLean: 0, ...Object.fromEntries(Object.keys(KINEMATIC_JOINTS).map(name => [name, 0])) };
+
+        expect(computeKinematics(null)).toEqual(zeros);
+        expect(computeKinematics([])).toEqual(zeros);
+    });
+});
+
+describe('angleFrame', () => {
+    const image = [[0.5, 0.5, 0, 1]];
+    const world = [[0, 0, 0, 1]];
+
+    it('picks the world keypoints when asked and available', () => {
+        expect(angleFrame(image, world, ANGLE_SOURCES.WORLD)).toBe(world);
+        expect(angleFrame(image, null, ANGLE_SOURCES.WORLD)).toBe(image);
+        expect(angleFrame(image, world, ANGLE_SOURCES.IMAGE)).toBe(image);
+    });
+});
@@ -0,0 +1,137 @@
+// Temporal smoothing of pose landmarks with a One Euro filter per
+// coordinate (Casiez et al., CHI 2012). Slow movement is smoothed heavily
+// to remove jitter; fast movement raises the cutoff so the skeleton does
+// not lag behind.
+
+export const LANDMARK_FILTER_SETTINGS = {
+    enabled: true,
+    // Cutoff frequency (Hz) when still. Lower removes more jitter but lags more.
+    minCutoff: 1.5,
+    // How quickly the cutoff rises with speed (per normalised unit per second).
+    // Higher follows fast movement more closely.
+    beta: 10,
+    // Cutoff frequency (Hz) for the speed estimate
+    derivativeCutoff: 1,
+    // Also draw the unfiltered skeleton, faintly, for comparison
+    showRaw: false
+};
+
+// Filters of people not seen for this long are dropped
+const STALE_FILTER_TIME = 5000;
+
+const smoothingFactor = (elapsedSeconds, cutoff) => {
+    const r = 2 * Math.PI * cutoff * elapsedSeconds;
+    return r / (r + 1);
+};
+
+// One Euro filter for a single value. filter(value, timestampMs, settings)
+// returns the smoothed value.
+export function createOneEuroFilter() {
+    let previousValue = null;
+    let previousDerivative = 0;
+    let previousTime = null;
+
+    const filter = (value, timestampMs, settings) => {
+        if (previousValue === null) {
+            previousValue = value;
+            previousTime = timestampMs;
+            return value;
+        }
+
+        const elapsedSeconds = (timestampMs - previousTime) / 1000;
+        if (elapsedSeconds <= 0) return previousValue;
+
+        const derivative = (value - previousValue) / elapsedSeconds;
+        const derivativeAlpha = smoothingFactor(elapsedSeconds, settings.derivativeCutoff);
+        const smoothedDerivative = derivativeAlpha * derivative + (1 - derivativeAlpha) * previousDerivative;
+
+        const cutoff = settings.minCutoff + settings.beta * Math.abs(smoothedDerivative);
+        const alpha = smoothingFactor(elapsedSeconds, cutoff);
+        const smoothed = alpha * value + (1 - alpha) * previousValue;
+
+        previousValue = smoothed;
+        previousDerivative = smoothedDerivative;
+        previousTime = timestampMs;
+        return smoothed;
+    };
+
+    return { filter };
+}
+
+// Create the landmark filter stage. apply(results, timestampMs) takes
+// detectForVideo results (with trackIds, see poseTracker.js) and returns
+// them with landmarks and worldLandmarks smoothed per person, plus the
+// detector's own landmarks as unfilteredLandmarks. Visibility is passed
+// through unchanged.
+export function createLandmarkFilter(initialSettings = LANDMARK_FILTER_SETTINGS) {
+    let settings = initialSettings;
+    // `${kind}:${trackId}` -> { filters, lastSeen }
+    const poses = new Map();
+
+    const reset = () => {
+        poses.clear();
+    };
+
+    const filterPose = (key, landmarks, timestampMs) => {
+        let pose = poses.get(key);
+        if (!pose) {
+            pose = {
+                filters: landmarks.map(() => ({
+                    x: createOneEuroFilter(),
+                    y: createOneEuroFilter(),
+                    z: createOneEuroFilter()
+                })),
+                lastSeen: timestampMs
+            };
+            poses.set(key, pose);
+        }
+        pose.lastSeen = timestampMs;
+
+        return landmarks.map((landmark, index) => {
+            const filters = pose.filters[index];
+            if (!landmark || !filters) return landmark;
+            return {
+                ...landmark,
+                x: filters.x.filter(landmark.x, timestampMs, settings),
+                y: filters.y.filter(landmark.y, timestampMs, settings),
+                z: filters.z.filter(landmark.z, timestampMs, settings)
+            };
+        });
+    };
+
+    const apply = (results, timestampMs) => {
+        if (!settings.enabled || !results || !results.landmarks) {
+            return { ...results, unfilteredLandmarks: results && results.landmarks };
+        }
+
+        const trackIds = results.trackIds || results.landmarks.map((_, index) => index + 1);
+
+        poses.forEach((pose, key) => {
+            if (timestampMs - pose.lastSeen > STALE_FILTER_TIME) poses.delete(key);
+        });
+
+        return {
+            ...results,
+            unfilteredLandmarks: results.landmarks,
+            landmarks: results.landmarks.map((landmarks, index) =>
+                filterPose(`image:${trackIds[index]}`, landmarks, timestampMs)
+            ),
+            worldLandmarks: (results.worldLandmarks || []).map((landmarks, index) =>
+                filterPose(`world:${trackIds[index]}`, landmarks, timestampMs)
+            )
+        };
+    };
+
+    // Change the parameters without losing the filter state. Switching the
+    // filter off drops its state so switching it back on starts afresh.
+    const setSettings = (nextSettings) => {
+        settings = nextSettings;
+        if (!settings.enabled) reset();
+    };
+
+    return {
+        apply,
+        reset,
+        setSettings
+    };
+}
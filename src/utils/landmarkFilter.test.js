@@ -0,0 +1,115 @@
+import { describe, expect, it } from 'vitest';
+import { createLandmarkFilter, createOneEuroFilter, LANDMARK_FILTER_SETTINGS } from './landmarkFilter';
+
+// Landmarks of one pose, every landmark at (x, 0.5)
+const pose = (x) => Array.from({ length: 33 }, () => ({ x, y: 0.5, z: 0, visibility: 0.9 }));
+
+// detectForVideo-like results of person 1 with every landmark at (x, 0.5)
+const results = (x) => ({ landmarks: [pose(x)], worldLandmarks: [pose(x)], trackIds: [1] });
+
+describe('createOneEuroFilter', () => {
+    it('passes the first value through', () => {
+        const { filter } = createOneEuroFilter();
+
+        expect(filter(0.3, 0, LANDMARK_FILTER_SETTINGS)).toBe(0.3);
+    });
+
+    it('keeps the previous value when time does not advance', () => {
+        const { filter } = createOneEuroFilter();
+        filter(0.3, 100, LANDMARK_FILTER_SETTINGS);
+
+        expect(filter(0.9, 100, LANDMARK_FILTER_SETTINGS)).toBe(0.3);
+    });
+
+    it('smooths a jump part of the way with the One Euro formula', () => {
+        const { filter } = createOneEuroFilter();
+        const settings = { ...LANDMARK_FILTER_SETTINGS, minCutoff: 1, beta: 0, derivativeCutoff: 1 };
+        filter(0, 0, settings);
+
+        // 100 ms at a 1 Hz cutoff: r = 2π · 0.1, alpha = r / (r + 1)
+        const r = 2 * Math.PI * 0.1;
+        expect(filter(1, 100, settings)).toBeCloseTo(r / (r + 1), 10);
+    });
+
+    it('follows fast movement more closely with a higher beta', () => {
+        const slow = createOneEuroFilter();
+        const fast = createOneEuroFilter();
+        const settings = (beta) => ({ ...LANDMARK_FILTER_SETTINGS, minCutoff: 1, beta });
+        slow.filter(0, 0, settings(0));
+        fast.filter(0, 0, settings(50));
+
+        expect(fast.filter(1, 33, settings(50))).toBeGreaterThan(slow.filter(1, 33, settings(0)));
+    });
+
+    it('settles on a value held still', () => {
+        const { filter } = createOneEuroFilter();
+        filter(0, 0, LANDMARK_FILTER_SETTINGS);
+
+        let value = 0;
+        for (let time = 33; time < 3000; time += 33) {
+            value = filter(0.6, time, LANDMARK_FILTER_SETTINGS);
+        }
+
+        expect(value).toBeCloseTo(0.6, 4);
+    });
+});
+
+describe('createLandmarkFilter', () => {
+    it('smooths image and world landmarks and keeps the detector output', () => {
+        const filter = createLandmarkFilter();
+        filter.apply(results(0.4), 0);
+
+        const output = filter.apply(results(0.6), 33);
+
+        expect(output.landmarks[0][0].x).toBeGreaterThan(0.4);
+        expect(output.landmarks[0][0].x).toBeLessThan(0.6);
+        expect(output.worldLandmarks[0][0].x).toBeCloseTo(output.landmarks[0][0].x, 10);
+        expect(output.unfilteredLandmarks[0][0].x).toBe(0.6);
+        expect(output.landmarks[0][0].visibility).toBe(0.9);
+        expect(output.trackIds).toEqual([1]);
+    });
+
+    it('keeps a filter per track, whatever order the poses come in', () => {
+        const filter = createLandmarkFilter();
+        filter.apply({ landmarks: [pose(0.2), pose(0.8)], trackIds: [1, 2] }, 0);
+
+        // Same people, listed the other way round and standing still
+        const output = filter.apply({ landmarks: [pose(0.8), pose(0.2)], trackIds: [2, 1] }, 33);
+
+        expect(output.landmarks[0][0].x).toBeCloseTo(0.8, 10);
+        expect(output.landmarks[1][0].x).toBeCloseTo(0.2, 10);
+    });
+
+    it('passes results through untouched when disabled', () => {
+        const filter = createLandmarkFilter({ ...LANDMARK_FILTER_SETTINGS, enabled: false });
+        filter.apply(results(0.4), 0);
+
+        const output = filter.apply(results(0.6), 33);
+
+        expect(output.landmarks[0][0].x).toBe(0.6);
+        expect(output.unfilteredLandmarks).toBe(output.landmarks);
+    });
+
+    it('starts afresh after being switched off and on', () => {
+        const filter = createLandmarkFilter();
+        filter.apply(results(0.4), 0);
+
+        filter.setSettings({ ...LANDMARK_FILTER_SETTINGS, enabled: false });
+        filter.setSettings(LANDMARK_FILTER_SETTINGS);
+
+        expect(filter.apply(results(0.6), 33).landmarks[0][0].x).toBe(0.6);
+    });
+
+    it('drops the state of people not seen for a while', () => {
+        const filter = createLandmarkFilter();
+        filter.apply(results(0.4), 0);
+
+        expect(filter.apply(results(0.6), 10000).landmarks[0][0].x).toBe(0.6);
+    });
+
+    it('copes with results without landmarks', () => {
+        const filter = createLandmarkFilter();
+
+        expect(filter.apply({ landmarks: null }, 0)).toEqual({ landmarks: null, unfilteredLandmarks: null });
+    });
+});
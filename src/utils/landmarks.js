@@ -0,0 +1,37 @@
+// Helpers for MediaPipe pose landmarks ({ x, y, z, visibility } objects)
+
+export const NUM_LANDMARKS = 33;
+
+// Minimum visibility for Detection to pass a landmark on; anything less is zeroed
+export const MIN_LANDMARK_VISIBILITY = 0.5;
+
+// Options Detection gives the PoseLandmarker, and the visibility below
+// which it zeroes a landmark (see fillMissingLandmarks)
+export const DETECTION_SETTINGS = {
+    minPoseDetectionConfidence: 0.2,
+    minPosePresenceConfidence: 0.2,
+    minTrackingConfidence: 0.2,
+    minLandmarkVisibility: MIN_LANDMARK_VISIBILITY
+};
+
+// Build a fixed-size set of 33 landmarks, zeroing the ones that are missing
+// or below `minVisibility`
+export function fillMissingLandmarks(landmarks, minVisibility = MIN_LANDMARK_VISIBILITY) {
+    // Create a fixed-size array for all 33 landmarks, initialized to zeros
+    const completeSet = Array(NUM_LANDMARKS).fill().map(() => ({ x: 0, y: 0, z: 0, visibility: 0 }));
+
+    // Fill in actual landmarks with good visibility
+    for (let i = 0; i < landmarks.length && i < NUM_LANDMARKS; i++) {
+        const landmark = landmarks[i];
+        if (landmark && landmark.visibility > minVisibility) {
+            completeSet[i] = {
+                x: landmark.x || 0,
+                y: landmark.y || 0,
+                z: landmark.z || 0,
+                visibility: landmark.visibility
+            };
+        }
+    }
+
+    return completeSet;
+}
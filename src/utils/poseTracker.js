@@ -0,0 +1,160 @@
+// Gives each detected person a stable track ID across frames. MediaPipe
+// returns the poses of a frame in no particular order, so poses are matched
+// to the tracks of earlier frames by where each track is expected to be.
+
+import { NUM_LANDMARKS } from './landmarks';
+
+export const TRACKING_SETTINGS = {
+    // Most people detected at once (PoseLandmarker numPoses)
+    maxPoses: 4,
+    // Largest match cost accepted, roughly in torso lengths between a pose
+    // and where its track was expected to be
+    maxMatchCost: 1.5,
+    // Weight of the difference in body size in the match cost
+    sizeWeight: 1,
+    // How long a track that lost its person is kept, so someone briefly
+    // leaving the frame or hidden behind someone else keeps their ID
+    maxMissingTime: 2000,
+    // Weight of the newest movement in the velocity estimate
+    velocitySmoothing: 0.5,
+    // Longest gap the velocity is extrapolated over
+    maxPredictionTime: 500,
+    minVisibility: 0.5
+};
+
+// Skeleton colour of each track, cycled by track ID
+export const TRACK_COLORS = ['#00E676', '#2979FF', '#FF9100', '#D500F9', '#FFEA00', '#00E5FF'];
+
+export const trackColor = (trackId) => TRACK_COLORS[(trackId - 1) % TRACK_COLORS.length];
+
+// Shoulders and hips, used for a pose's position and size
+const TORSO = { leftShoulder: 11, rightShoulder: 12, leftHip: 23, rightHip: 24 };
+
+const MIN_SIZE = 0.05;
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+// Position (torso centre) and size (torso length) of one pose, in
+// normalised image coordinates. Falls back to the bounding box of all
+// landmarks when the torso is not visible.
+function describePose(landmarks, minVisibility) {
+    const visible = (index) => landmarks[index] && (landmarks[index].visibility || 0) >= minVisibility;
+
+    if ([TORSO.leftShoulder, TORSO.rightShoulder, TORSO.leftHip, TORSO.rightHip].every(visible)) {
+        const shoulders = midpoint(landmarks[TORSO.leftShoulder], landmarks[TORSO.rightShoulder]);
+        const hips = midpoint(landmarks[TORSO.leftHip], landmarks[TORSO.rightHip]);
+        return {
+            centre: midpoint(shoulders, hips),
+            size: Math.max(Math.hypot(shoulders.x - hips.x, shoulders.y - hips.y), MIN_SIZE)
+        };
+    }
+
+    const points = landmarks.slice(0, NUM_LANDMARKS).filter(Boolean);
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    return {
+        centre: { x: (Math.min(...xs) + Math.max(...xs)) / 2, y: (Math.min(...ys) + Math.max(...ys)) / 2 },
+        // A torso is about a third of the body's height
+        size: Math.max((Math.max(...ys) - Math.min(...ys)) / 3, MIN_SIZE)
+    };
+}
+
+// Create a tracker. update(poses, timestampMs) takes the landmark lists of
+// one frame and returns the track ID of each pose, in the same order.
+export function createPoseTracker(initialSettings = TRACKING_SETTINGS) {
+    let settings = initialSettings;
+    // { id, centre, velocity (per ms), size, lastSeen }
+    let tracks = [];
+    let nextId = 1;
+
+    const reset = () => {
+        tracks = [];
+        nextId = 1;
+    };
+
+    const predictCentre = (track, timestampMs) => {
+        const elapsed = Math.min(timestampMs - track.lastSeen, settings.maxPredictionTime);
+        return {
+            x: track.centre.x + track.velocity.x * elapsed,
+            y: track.centre.y + track.velocity.y * elapsed
+        };
+    };
+
+    const matchCost = (track, pose, timestampMs) => {
+        const predicted = predictCentre(track, timestampMs);
+        const scale = Math.max(track.size, pose.size);
+        const distance = Math.hypot(pose.centre.x - predicted.x, pose.centre.y - predicted.y) / scale;
+        const sizeChange = Math.abs(Math.log(pose.size / track.size));
+        return distance + settings.sizeWeight * sizeChange;
+    };
+
+    const updateTrack = (track, pose, timestampMs) => {
+        const elapsed = timestampMs - track.lastSeen;
+        if (elapsed > 0) {
+            const alpha = settings.velocitySmoothing;
+            track.velocity = {
+                x: alpha * (pose.centre.x - track.centre.x) / elapsed + (1 - alpha) * track.velocity.x,
+                y: alpha * (pose.centre.y - track.centre.y) / elapsed + (1 - alpha) * track.velocity.y
+            };
+        }
+        track.centre = pose.centre;
+        track.size = pose.size;
+        track.lastSeen = timestampMs;
+    };
+
+    const update = (poses, timestampMs) => {
+        // Forget people who have been gone too long
+        tracks = tracks.filter(track => timestampMs - track.lastSeen <= settings.maxMissingTime);
+
+        const descriptions = (poses || []).map(landmarks => describePose(landmarks, settings.minVisibility));
+
+        // Greedy matching, cheapest pairs first. With a handful of people
+        // this picks the same pairs as an optimal assignment in practice.
+        const pairs = [];
+        tracks.forEach(track => {
+            descriptions.forEach((pose, poseIndex) => {
+                const cost = matchCost(track, pose, timestampMs);
+                if (cost <= settings.maxMatchCost) {
+                    pairs.push({ track, poseIndex, cost });
+                }
+            });
+        });
+        pairs.sort((a, b) => a.cost - b.cost);
+
+        const trackIds = new Array(descriptions.length).fill(null);
+        const matchedTracks = new Set();
+        pairs.forEach(({ track, poseIndex }) => {
+            if (matchedTracks.has(track) || trackIds[poseIndex] !== null) return;
+            matchedTracks.add(track);
+            trackIds[poseIndex] = track.id;
+            updateTrack(track, descriptions[poseIndex], timestampMs);
+        });
+
+        // Anyone left over is a new person
+        descriptions.forEach((pose, poseIndex) => {
+            if (trackIds[poseIndex] !== null) return;
+            const track = {
+                id: nextId++,
+                centre: pose.centre,
+                velocity: { x: 0, y: 0 },
+                size: pose.size,
+                lastSeen: timestampMs
+            };
+            tracks.push(track);
+            trackIds[poseIndex] = track.id;
+        });
+
+        return trackIds;
+    };
+
+    // Retune matching without dropping the tracks, so people keep their IDs
+    const setSettings = (nextSettings) => {
+        settings = nextSettings;
+    };
+
+    return {
+        update,
+        reset,
+        setSettings
+    };
+}
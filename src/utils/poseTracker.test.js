@@ -0,0 +1,114 @@
+import { describe, expect, it } from 'vitest';
+import { createPoseTracker, trackColor, TRACK_COLORS, TRACKING_SETTINGS } from './poseTracker';
+
+// Landmarks of a person whose torso (0.2 long) is centred on (x, y), scaled
+// by `scale`. Every landmark sits on the torso so only the torso matters.
+function person(x, y, scale = 1, visibility = 1) {
+    const landmarks = Array.from({ length: 33 }, () => ({ x, y, z: 0, visibility }));
+    const half = 0.1 * scale;
+    landmarks[11] = { x: x - 0.05, y: y - half, z: 0, visibility };
+    landmarks[12] = { x: x + 0.05, y: y - half, z: 0, visibility };
+    landmarks[23] = { x: x - 0.05, y: y + half, z: 0, visibility };
+    landmarks[24] = { x: x + 0.05, y: y + half, z: 0, visibility };
+    return landmarks;
+}
+
+describe('createPoseTracker', () => {
+    it('gives new people new IDs in order', () => {
+        const tracker = createPoseTracker();
+
+        expect(tracker.update([person(0.2, 0.5), person(0.8, 0.5)], 0)).toEqual([1, 2]);
+    });
+
+    it('keeps IDs when the poses come back in a different order', () => {
+        const tracker = createPoseTracker();
+        tracker.update([person(0.2, 0.5), person(0.8, 0.5)], 0);
+
+        expect(tracker.update([person(0.79, 0.5), person(0.21, 0.5)], 33)).toEqual([2, 1]);
+    });
+
+    it('follows people as they move', () => {
+        const tracker = createPoseTracker();
+        tracker.update([person(0.2, 0.5), person(0.8, 0.5)], 0);
+
+        let ids = null;
+        for (let frame = 1; frame <= 20; frame++) {
+            ids = tracker.update([person(0.2 + frame * 0.02, 0.5), person(0.8 - frame * 0.02, 0.5)], frame * 33);
+        }
+
+        expect(ids).toEqual([1, 2]);
+    });
+
+    it('keeps IDs apart when two people cross, using their velocity', () => {
+        const tracker = createPoseTracker();
+        const ids = [];
+
+        // Walk towards each other 0.05 per frame and pass at x = 0.5
+        for (let frame = 0; frame <= 8; frame++) {
+            const offset = 0.2 - frame * 0.05;
+            ids.push(tracker.update([person(0.5 - offset, 0.5), person(0.5 + offset, 0.5)], frame * 33));
+        }
+
+        expect(ids[0]).toEqual([1, 2]);
+        expect(ids[8]).toEqual([1, 2]);
+    });
+
+    it('tells people apart by body size', () => {
+        const tracker = createPoseTracker();
+        tracker.update([person(0.5, 0.5, 1), person(0.5, 0.5, 2.5)], 0);
+
+        expect(tracker.update([person(0.5, 0.5, 2.5), person(0.5, 0.5, 1)], 33)).toEqual([2, 1]);
+    });
+
+    it('keeps the ID of someone who leaves briefly', () => {
+        const tracker = createPoseTracker();
+        tracker.update([person(0.3, 0.5)], 0);
+        tracker.update([], 1000);
+
+        expect(tracker.update([person(0.3, 0.5)], 1500)).toEqual([1]);
+    });
+
+    it('gives a new ID to someone gone longer than maxMissingTime', () => {
+        const tracker = createPoseTracker();
+        tracker.update([person(0.3, 0.5)], 0);
+
+        expect(tracker.update([person(0.3, 0.5)], TRACKING_SETTINGS.maxMissingTime + 1)).toEqual([2]);
+    });
+
+    it('gives a new ID to a pose too far from every track', () => {
+        const tracker = createPoseTracker();
+        tracker.update([person(0.1, 0.5)], 0);
+
+        expect(tracker.update([person(0.9, 0.5)], 33)).toEqual([2]);
+    });
+
+    it('falls back to the bounding box when the torso is hidden', () => {
+        const tracker = createPoseTracker();
+        tracker.update([person(0.3, 0.5)], 0);
+
+        expect(tracker.update([person(0.31, 0.5, 1, 0.2)], 33)).toEqual([1]);
+    });
+
+    it('starts the IDs again after reset', () => {
+        const tracker = createPoseTracker();
+        tracker.update([person(0.3, 0.5), person(0.7, 0.5)], 0);
+
+        tracker.reset();
+
+        expect(tracker.update([person(0.7, 0.5)], 33)).toEqual([1]);
+    });
+
+    it('handles frames without poses', () => {
+        const tracker = createPoseTracker();
+
+        expect(tracker.update(null, 0)).toEqual([]);
+        expect(tracker.update([], 33)).toEqual([]);
+    });
+});
+
+describe('trackColor', () => {
+    it('cycles through the colours by track ID', () => {
+        expect(trackColor(1)).toBe(TRACK_COLORS[0]);
+        expect(trackColor(TRACK_COLORS.length + 1)).toBe(TRACK_COLORS[0]);
+    });
+});
@@ -0,0 +1,121 @@
+// Temporal smoothing of classifier output across sliding windows, with
+// hysteresis so the displayed exercise does not flicker between classes.
+
+import { CLASS_NAMES } from './exercises';
+
+export const SMOOTHING_METHODS = {
+    EXPONENTIAL: 'exponential',
+    MOVING_AVERAGE: 'movingAverage'
+};
+
+export const SMOOTHING_SETTINGS = {
+    // Frames between predictions once the window is full. The window slides
+    // by this many frames instead of being emptied after every prediction.
+    stride: 10,
+    method: SMOOTHING_METHODS.EXPONENTIAL,
+    // Weight of the newest window for exponential smoothing
+    alpha: 0.4,
+    // Number of windows averaged for moving-average smoothing
+    windowCount: 5,
+    // Smoothed confidence needed before the first exercise is shown
+    minConfidence: 0.4,
+    // Smoothed confidence a different class needs to be considered for a switch
+    switchConfidence: 0.6,
+    // Consecutive windows that class must lead before the display switches
+    switchWindows: 3
+};
+
+const argMax = (values) => values.indexOf(Math.max(...values));
+
+// Create a smoother. update(probabilities) takes one window's class
+// probabilities (CLASS_NAMES order) and returns
+//   { probabilities, exercise, confidence, switched }
+// where `probabilities` are smoothed, `exercise` is the stable class to
+// display (or null) and `confidence` its smoothed probability.
+export function createPredictionSmoother(initialSettings = SMOOTHING_SETTINGS) {
+    let settings = initialSettings;
+    let smoothed = null;
+    let history = [];
+    let currentIndex = null;
+    let candidateIndex = null;
+    let candidateWindows = 0;
+
+    const reset = () => {
+        smoothed = null;
+        history = [];
+        currentIndex = null;
+        candidateIndex = null;
+        candidateWindows = 0;
+    };
+
+    const smooth = (probabilities) => {
+        if (settings.method === SMOOTHING_METHODS.MOVING_AVERAGE) {
+            history.push(probabilities);
+            if (history.length > settings.windowCount) history.shift();
+            return probabilities.map((_, classIndex) =>
+                history.reduce((sum, window) => sum + window[classIndex], 0) / history.length
+            );
+        }
+
+        if (!smoothed) return [...probabilities];
+        return probabilities.map((p, classIndex) =>
+            settings.alpha * p + (1 - settings.alpha) * smoothed[classIndex]
+        );
+    };
+
+    const update = (probabilities) => {
+        smoothed = smooth(Array.from(probabilities));
+
+        const topIndex = argMax(smoothed);
+        const topConfidence = smoothed[topIndex];
+        let switched = false;
+
+        if (currentIndex === null) {
+            // Nothing shown yet: show the first confident class straight away
+            if (topConfidence > settings.minConfidence) {
+                currentIndex = topIndex;
+                switched = true;
+            }
+        } else if (topIndex !== currentIndex && topConfidence > settings.switchConfidence) {
+            // A different class leads: switch after enough consecutive windows
+            if (topIndex === candidateIndex) {
+                candidateWindows++;
+            } else {
+                candidateIndex = topIndex;
+                candidateWindows = 1;
+            }
+
+            if (candidateWindows >= settings.switchWindows) {
+                currentIndex = topIndex;
+                switched = true;
+            }
+        } else {
+            // Current class still leads, or the challenger is not confident enough
+            candidateIndex = null;
+            candidateWindows = 0;
+        }
+
+        if (switched) {
+            candidateIndex = null;
+            candidateWindows = 0;
+        }
+
+        return {
+            probabilities: smoothed,
+            exercise: currentIndex === null ? null : CLASS_NAMES[currentIndex],
+            confidence: currentIndex === null ? 0 : smoothed[currentIndex],
+            switched
+        };
+    };
+
+    // Change the settings without losing the smoothed probabilities or the shown class
+    const setSettings = (nextSettings) => {
+        settings = nextSettings;
+    };
+
+    return {
+        update,
+        reset,
+        setSettings
+    };
+}
@@ -0,0 +1,100 @@
+import { describe, expect, it } from 'vitest';
+import { createPredictionSmoother, SMOOTHING_METHODS, SMOOTHING_SETTINGS } from './predictionSmoother';
+
+// Class probabilities in CLASS_NAMES order: TreePose, Lunges, Push-Up, Squat
+const SQUAT = [0, 0, 0, 1];
+const LUNGES = [0, 1, 0, 0];
+const UNSURE = [0.25, 0.25, 0.25, 0.25];
+
+// No smoothing, so each window's probabilities are used as they are
+const UNSMOOTHED = { ...SMOOTHING_SETTINGS, alpha: 1 };
+
+const feed = (smoother, windows) => windows.map(probabilities => smoother.update(probabilities));
+
+describe('createPredictionSmoother smoothing', () => {
+    it('blends each window into the previous ones with weight alpha', () => {
+        const smoother = createPredictionSmoother({ ...SMOOTHING_SETTINGS, alpha: 0.4 });
+
+        const [first, second] = feed(smoother, [SQUAT, LUNGES]);
+
+        expect(first.probabilities).toEqual(SQUAT);
+        expect(second.probabilities[1]).toBeCloseTo(0.4, 10);
+        expect(second.probabilities[3]).toBeCloseTo(0.6, 10);
+    });
+
+    it('averages the last windowCount windows', () => {
+        const smoother = createPredictionSmoother({
+            ...SMOOTHING_SETTINGS,
+            method: SMOOTHING_METHODS.MOVING_AVERAGE,
+            windowCount: 2
+        });
+
+        const results = feed(smoother, [SQUAT, SQUAT, LUNGES, LUNGES]);
+
+        expect(results[2].probabilities).toEqual([0, 0.5, 0, 0.5]);
+        expect(results[3].probabilities).toEqual(LUNGES);
+    });
+
+    it('accepts typed arrays', () => {
+        const smoother = createPredictionSmoother();
+
+        expect(smoother.update(Float32Array.from(SQUAT)).exercise).toBe('Squat');
+    });
+});
+
+describe('createPredictionSmoother hysteresis', () => {
+    it('shows nothing until a class is above minConfidence', () => {
+        const smoother = createPredictionSmoother(UNSMOOTHED);
+
+        const [unsure, sure] = feed(smoother, [UNSURE, SQUAT]);
+
+        expect(unsure).toMatchObject({ exercise: null, confidence: 0, switched: false });
+        expect(sure).toMatchObject({ exercise: 'Squat', confidence: 1, switched: true });
+    });
+
+    it('switches only after switchWindows consecutive windows led by the new class', () => {
+        const smoother = createPredictionSmoother(UNSMOOTHED);
+
+        const results = feed(smoother, [SQUAT, LUNGES, LUNGES, LUNGES]);
+
+        expect(results.map(result => result.exercise)).toEqual(['Squat', 'Squat', 'Squat', 'Lunges']);
+        expect(results.map(result => result.switched)).toEqual([true, false, false, true]);
+    });
+
+    it('starts counting again when the challenger loses the lead', () => {
+        const smoother = createPredictionSmoother(UNSMOOTHED);
+
+        const results = feed(smoother, [SQUAT, LUNGES, LUNGES, SQUAT, LUNGES, LUNGES]);
+
+        expect(results.every(result => result.exercise === 'Squat')).toBe(true);
+    });
+
+    it('ignores a leading class below switchConfidence', () => {
+        const smoother = createPredictionSmoother(UNSMOOTHED);
+        const weakLunges = [0.1, 0.55, 0, 0.35];
+
+        const results = feed(smoother, [SQUAT, weakLunges, weakLunges, weakLunges, weakLunges]);
+
+        expect(results[4].exercise).toBe('Squat');
+        // The shown class keeps its own (lower) smoothed confidence
+        expect(results[4].confidence).toBeCloseTo(0.35, 10);
+    });
+
+    it('forgets the shown class on reset', () => {
+        const smoother = createPredictionSmoother(UNSMOOTHED);
+        smoother.update(SQUAT);
+
+        smoother.reset();
+
+        expect(smoother.update(LUNGES)).toMatchObject({ exercise: 'Lunges', switched: true });
+    });
+
+    it('keeps the shown class when the settings change', () => {
+        const smoother = createPredictionSmoother(UNSMOOTHED);
+        smoother.update(SQUAT);
+
+        smoother.setSettings({ ...UNSMOOTHED, switchWindows: 1 });
+
+        expect(smoother.update(LUNGES)).toMatchObject({ exercise: 'Lunges', switched: true });
+    });
+});
@@ -0,0 +1,155 @@
+import { REP_EXERCISES } from './exercises';
+
+// Phases of a single repetition
+export const PHASES = {
+    TOP: 'top',
+    DESCENT: 'descent',
+    BOTTOM: 'bottom',
+    ASCENT: 'ascent'
+};
+
+// Angle thresholds (degrees) for each exercise's state machine.
+// `angles` lists the computeKinematics entries that drive the machine and
+// `combine` how to reduce them to one value when more than one is visible.
+export const REP_SETTINGS = {
+    Squat: {
+        angles: ['leftKnee', 'rightKnee'],
+        combine: 'average',
+        topAngle: 160,     // Standing with knees almost straight
+        bottomAngle: 100,  // Thighs close to parallel
+        hysteresis: 10,    // Degrees needed to leave top/bottom
+        minRepTime: 800    // Ignore reps faster than this (ms)
+    },
+    Lunges: {
+        angles: ['leftKnee', 'rightKnee'],
+        combine: 'min',    // Follow whichever knee bends the most
+        topAngle: 155,
+        bottomAngle: 110,
+        hysteresis: 10,
+        minRepTime: 800
+    },
+    'Push-Up': {
+        angles: ['leftElbow', 'rightElbow'],
+        combine: 'average',
+        topAngle: 150,     // Arms extended
+        bottomAngle: 95,   // Chest near the floor
+        hysteresis: 10,
+        minRepTime: 600
+    }
+};
+
+// Reduce the configured joint angles to the single angle that drives the
+// state machine. Angles of 0 are treated as missing (low visibility).
+function getDrivingAngle(angles, settings) {
+    const values = settings.angles
+        .map(name => angles[name])
+        .filter(angle => angle > 0);
+
+    if (values.length === 0) return null;
+
+    if (settings.combine === 'min') {
+        return Math.min(...values);
+    }
+    return values.reduce((sum, angle) => sum + angle, 0) / values.length;
+}
+
+// Advance one exercise's machine by a single frame. Returns true when a
+// repetition has just been completed.
+function stepMachine(machine, angle, settings, timestampMs) {
+    const { topAngle, bottomAngle, hysteresis, minRepTime } = settings;
+
+    switch (machine.phase) {
+        case null:
+            // Wait for the user to reach the top before counting anything
+            if (angle >= topAngle) machine.phase = PHASES.TOP;
+            break;
+        case PHASES.TOP:
+            if (angle < topAngle - hysteresis) machine.phase = PHASES.DESCENT;
+            break;
+        case PHASES.DESCENT:
+            if (angle <= bottomAngle) {
+                machine.phase = PHASES.BOTTOM;
+            } else if (angle >= topAngle) {
+                // Went back up without reaching depth: not a rep
+                machine.phase = PHASES.TOP;
+            }
+            break;
+        case PHASES.BOTTOM:
+            if (angle > bottomAngle + hysteresis) machine.phase = PHASES.ASCENT;
+            break;
+        case PHASES.ASCENT:
+            if (angle >= topAngle) {
+                machine.phase = PHASES.TOP;
+                if (timestampMs - machine.lastRepTime >= minRepTime) {
+                    machine.count++;
+                    machine.lastRepTime = timestampMs;
+                    return true;
+                }
+            } else if (angle <= bottomAngle) {
+                machine.phase = PHASES.BOTTOM;
+            }
+            break;
+        default:
+            machine.phase = null;
+    }
+    return false;
+}
+
+// Create a rep counter holding one phase state machine per rep exercise.
+// Only the machine for the exercise currently reported by the classifier is
+// advanced; switching exercise restarts that machine's phase but keeps its count.
+export function createRepCounter(initialSettings = REP_SETTINGS) {
+    let settings = initialSettings;
+    const machines = {};
+    let activeExercise = null;
+
+    const resetMachines = () => {
+        REP_EXERCISES.forEach(exercise => {
+            machines[exercise] = { phase: null, count: 0, lastRepTime: -Infinity };
+        });
+        activeExercise = null;
+    };
+
+    resetMachines();
+
+    const getCounts = () => {
+        const counts = {};
+        REP_EXERCISES.forEach(exercise => {
+            counts[exercise] = machines[exercise].count;
+        });
+        return counts;
+    };
+
+    // Feed one frame of joint angles (from computeKinematics) for the given exercise
+    const update = (exercise, angles, timestampMs) => {
+        const exerciseSettings = settings[exercise];
+
+        if (exercise !== activeExercise) {
+            activeExercise = exercise;
+            if (machines[exercise]) machines[exercise].phase = null;
+        }
+
+        if (!exerciseSettings || !machines[exercise]) {
+            return { exercise, phase: null, count: 0, repCompleted: false };
+        }
+
+        const machine = machines[exercise];
+        const angle = getDrivingAngle(angles, exerciseSettings);
+        const repCompleted = angle !== null &&
+            stepMachine(machine, angle, exerciseSettings, timestampMs);
+
+        return { exercise, phase: machine.phase, count: machine.count, repCompleted };
+    };
+
+    // Change the thresholds; counts and phases carry on
+    const setSettings = (nextSettings) => {
+        settings = nextSettings;
+    };
+
+    return {
+        update,
+        getCounts,
+        reset: resetMachines,
+        setSettings
+    };
+}
@@ -0,0 +1,162 @@
+import { describe, expect, it } from 'vitest';
+import { createRepCounter, PHASES, REP_SETTINGS } from './repCounter';
+
+// Knee angles as computeKinematics reports them, both knees alike
+const knees = (angle) => ({ leftKnee: angle, rightKnee: angle });
+
+// Feed a sequence of knee angles as squat frames `interval` ms apart,
+// starting at `startTime`; returns the result of every frame
+function feedSquat(counter, angles, startTime = 0, interval = 100) {
+    return angles.map((angle, index) => counter.update('Squat', knees(angle), startTime + index * interval));
+}
+
+// One full squat: standing, down past the bottom and back up
+const SQUAT_REP = [170, 140, 95, 120, 170];
+
+describe('createRepCounter phases', () => {
+    it('goes through top, descent, bottom and ascent for one rep', () => {
+        const counter = createRepCounter();
+
+        const results = feedSquat(counter, SQUAT_REP);
+
+        expect(results.map(result => result.phase)).toEqual([
+            PHASES.TOP, PHASES.DESCENT, PHASES.BOTTOM, PHASES.ASCENT, PHASES.TOP
+        ]);
+        expect(results.map(result => result.repCompleted)).toEqual([false, false, false, false, true]);
+        expect(counter.getCounts().Squat).toBe(1);
+    });
+
+    it('counts nothing until the top has been reached', () => {
+        const counter = createRepCounter();
+
+        // Starts half-way down: the first bottom-and-up is not a rep
+        const results = feedSquat(counter, [120, 95, 170]);
+
+        expect(results[0].phase).toBeNull();
+        expect(results[2].repCompleted).toBe(false);
+        expect(counter.getCounts().Squat).toBe(0);
+    });
+
+    it('does not count going back up without reaching the bottom', () => {
+        const counter = createRepCounter();
+
+        const results = feedSquat(counter, [170, 130, 110, 165]);
+
+        expect(results.map(result => result.phase)).toEqual([
+            PHASES.TOP, PHASES.DESCENT, PHASES.DESCENT, PHASES.TOP
+        ]);
+        expect(counter.getCounts().Squat).toBe(0);
+    });
+
+    it('returns to the bottom when the ascent turns back down', () => {
+        const counter = createRepCounter();
+
+        const results = feedSquat(counter, [170, 140, 95, 120, 98, 170]);
+
+        expect(results[4].phase).toBe(PHASES.BOTTOM);
+        // One phase per frame: leaving the bottom again is an ascent
+        expect(results[5].phase).toBe(PHASES.ASCENT);
+        expect(counter.getCounts().Squat).toBe(0);
+    });
+});
+
+describe('createRepCounter hysteresis', () => {
+    it('stays at the top for small dips under the top angle', () => {
+        const counter = createRepCounter();
+        const { topAngle, hysteresis } = REP_SETTINGS.Squat;
+
+        const results = feedSquat(counter, [topAngle, topAngle - hysteresis, topAngle - hysteresis - 1]);
+
+        expect(results.map(result => result.phase)).toEqual([PHASES.TOP, PHASES.TOP, PHASES.DESCENT]);
+    });
+
+    it('stays at the bottom until the angle rises past the hysteresis', () => {
+        const counter = createRepCounter();
+        const { bottomAngle, hysteresis } = REP_SETTINGS.Squat;
+
+        const results = feedSquat(counter, [170, 140, bottomAngle, bottomAngle + hysteresis, bottomAngle + hysteresis + 1]);
+
+        expect(results.map(result => result.phase).slice(2)).toEqual([PHASES.BOTTOM, PHASES.BOTTOM, PHASES.ASCENT]);
+    });
+});
+
+describe('createRepCounter timing and angles', () => {
+    it('ignores reps completed faster than minRepTime', () => {
+        const counter = createRepCounter();
+
+        // The second rep ends 400 ms after the first, the third 900 ms after it
+        feedSquat(counter, SQUAT_REP, 0);
+        feedSquat(counter, SQUAT_REP.slice(1), 500);
+        expect(counter.getCounts().Squat).toBe(1);
+
+        feedSquat(counter, SQUAT_REP.slice(1), 1000);
+        expect(counter.getCounts().Squat).toBe(2);
+    });
+
+    it('treats angles of 0 as missing', () => {
+        const counter = createRepCounter();
+
+        feedSquat(counter, [170, 140]);
+        const result = counter.update('Squat', knees(0), 200);
+
+        expect(result.phase).toBe(PHASES.DESCENT);
+        expect(result.repCompleted).toBe(false);
+    });
+
+    it('averages both knees for squats and follows the lower knee for lunges', () => {
+        const counter = createRepCounter();
+
+        // Average 100: the bottom of a squat
+        counter.update('Squat', { leftKnee: 170, rightKnee: 170 }, 0);
+        counter.update('Squat', { leftKnee: 140, rightKnee: 140 }, 100);
+        expect(counter.update('Squat', { leftKnee: 80, rightKnee: 120 }, 200).phase).toBe(PHASES.BOTTOM);
+
+        // Lunges use the smaller angle: 105 is past their 110 bottom
+        counter.update('Lunges', { leftKnee: 170, rightKnee: 170 }, 300);
+        counter.update('Lunges', { leftKnee: 140, rightKnee: 160 }, 400);
+        expect(counter.update('Lunges', { leftKnee: 105, rightKnee: 160 }, 500).phase).toBe(PHASES.BOTTOM);
+    });
+});
+
+describe('createRepCounter exercises', () => {
+    it('keeps each exercise count but restarts the phase on a switch', () => {
+        const counter = createRepCounter();
+
+        feedSquat(counter, SQUAT_REP);
+        counter.update('Push-Up', { leftElbow: 160, rightElbow: 160 }, 600);
+        const result = counter.update('Squat', knees(120), 700);
+
+        expect(result.phase).toBeNull();
+        expect(result.count).toBe(1);
+        expect(counter.getCounts()).toEqual({ Squat: 1, Lunges: 0, 'Push-Up': 0 });
+    });
+
+    it('reports no phase or count for exercises without a machine', () => {
+        const counter = createRepCounter();
+
+        expect(counter.update('TreePose', knees(170), 0)).toEqual({
+            exercise: 'TreePose', phase: null, count: 0, repCompleted: false
+        });
+    });
+
+    it('applies new thresholds without losing counts', () => {
+        const counter = createRepCounter();
+        feedSquat(counter, SQUAT_REP);
+
+        counter.setSettings({ ...REP_SETTINGS, Squat: { ...REP_SETTINGS.Squat, bottomAngle: 80 } });
+        const results = feedSquat(counter, [140, 95], 1000);
+
+        expect(results[1].phase).toBe(PHASES.DESCENT);
+        expect(counter.getCounts().Squat).toBe(1);
+    });
+
+    it('clears counts and phases on reset', () => {
+        const counter = createRepCounter();
+        feedSquat(counter, SQUAT_REP);
+
+        counter.reset();
+
+        expect(counter.getCounts().Squat).toBe(0);
+        expect(counter.update('Squat', knees(120), 1000).phase).toBeNull();
+    });
+});
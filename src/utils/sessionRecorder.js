@@ -0,0 +1,169 @@
+// Landmark session recording.
+//
+// File format (version 1): newline-delimited JSON, optionally gzip
+// compressed (.ndjson.gz). The first line is a header, every following line
+// is one frame emitted by Detection.
+//
+// Header:
+//   {
+//     "format": "exercise-detection-session",
+//     "version": 1,
+//     "startedAt": "2025-01-01T10:00:00.000Z",  // wall-clock start (ISO 8601)
+//     "source": "camera",                       // camera | video | images
+//     "classNames": ["TreePose", "Lunges", "Push-Up", "Squat"],
+//     "landmarkFields": ["x", "y", "z", "visibility"]
+//   }
+//
+// Frame:
+//   {
+//     "t": 33.3,           // ms since the first frame (media time for recorded sources)
+//     "lm": [x, y, z, v, ...],   // 33 image landmarks, flattened, see below
+//     "wlm": [x, y, z, v, ...],  // 33 world landmarks in metres, or null
+//     "c": [p0, p1, p2, p3]      // latest classifier probabilities (classNames order), or null
+//   }
+//
+// The image landmarks are the ones the pipeline received: smoothed when
+// landmark smoothing is on (see landmarkFilter.js), before low-visibility
+// landmarks are zero-filled. Replaying them therefore gives the same
+// results as the live session. Files recorded before smoothing existed
+// hold the raw landmarks instead; the fields are the same, so they are
+// read the same way.
+//
+// Coordinates are rounded to 4 decimals and probabilities to 3 to keep long
+// sessions small. Only the first detected pose is recorded.
+
+import { CLASS_NAMES } from './exercises';
+
+export const SESSION_FORMAT = 'exercise-detection-session';
+export const SESSION_FORMAT_VERSION = 1;
+
+// Frames are joined into one Blob part per chunk to keep memory use flat
+const FRAMES_PER_CHUNK = 300;
+
+const round = (value, decimals) => {
+    const factor = 10 ** decimals;
+    return Math.round((value || 0) * factor) / factor;
+};
+
+// Flatten landmarks to [x, y, z, visibility, ...]
+export function flattenLandmarks(landmarks) {
+    if (!landmarks) return null;
+
+    const flat = [];
+    landmarks.forEach(landmark => {
+        flat.push(
+            round(landmark.x, 4),
+            round(landmark.y, 4),
+            round(landmark.z, 4),
+            round(landmark.visibility, 4)
+        );
+    });
+    return flat;
+}
+
+// Inverse of flattenLandmarks
+export function unflattenLandmarks(flat) {
+    if (!flat) return null;
+
+    const landmarks = [];
+    for (let i = 0; i + 3 < flat.length; i += 4) {
+        landmarks.push({ x: flat[i], y: flat[i + 1], z: flat[i + 2], visibility: flat[i + 3] });
+    }
+    return landmarks;
+}
+
+// Create a recorder that captures every frame Detection emits
+export function createSessionRecorder() {
+    let recording = false;
+    let chunks = [];
+    let pendingLines = [];
+    let frameCount = 0;
+    let firstTimestamp = null;
+    let startedAt = null;
+
+    const flushLines = () => {
+        if (pendingLines.length === 0) return;
+        chunks.push(new Blob([pendingLines.join('')], { type: 'application/x-ndjson' }));
+        pendingLines = [];
+    };
+
+    const start = ({ source = 'camera' } = {}) => {
+        chunks = [];
+        pendingLines = [];
+        frameCount = 0;
+        firstTimestamp = null;
+        startedAt = new Date();
+        recording = true;
+
+        const header = {
+            format: SESSION_FORMAT,
+            version: SESSION_FORMAT_VERSION,
+            startedAt: startedAt.toISOString(),
+            source,
+            classNames: CLASS_NAMES,
+            landmarkFields: ['x', 'y', 'z', 'visibility']
+        };
+        pendingLines.push(JSON.stringify(header) + '\n');
+    };
+
+    // Add one Detection result. `probabilities` is the classifier output in
+    // effect at this frame, or null if there has been no prediction yet.
+    const addFrame = (result, probabilities) => {
+        if (!recording || !result || !result.landmarks || result.landmarks.length === 0) return;
+
+        const timestampMs = result.timestampMs !== undefined ? result.timestampMs : performance.now();
+        if (firstTimestamp === null) firstTimestamp = timestampMs;
+
+        const landmarks = (result.rawLandmarks || result.landmarks)[0];
+        const worldLandmarks = result.worldLandmarks && result.worldLandmarks[0];
+
+        const frame = {
+            t: round(timestampMs - firstTimestamp, 1),
+            lm: flattenLandmarks(landmarks),
+            wlm: flattenLandmarks(worldLandmarks),
+            c: probabilities ? Array.from(probabilities, p => round(p, 3)) : null
+        };
+
+        pendingLines.push(JSON.stringify(frame) + '\n');
+        frameCount++;
+        if (pendingLines.length >= FRAMES_PER_CHUNK) flushLines();
+    };
+
+    // Stop recording and return the session file as a Blob, gzip compressed
+    // when the browser supports CompressionStream
+    const stop = async () => {
+        recording = false;
+        flushLines();
+
+        const blob = new Blob(chunks, { type: 'application/x-ndjson' });
+        chunks = [];
+
+        if (typeof CompressionStream === 'undefined') {
+            return { blob, extension: 'ndjson' };
+        }
+
+        const compressed = await new Response(
+            blob.stream().pipeThrough(new CompressionStream('gzip'))
+        ).blob();
+        return { blob: new Blob([compressed], { type: 'application/gzip' }), extension: 'ndjson.gz' };
+    };
+
+    return {
+        start,
+        stop,
+        addFrame,
+        isRecording: () => recording,
+        getFrameCount: () => frameCount,
+        getStartedAt: () => startedAt
+    };
+}
+
+// Save a Blob through a temporary download link
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
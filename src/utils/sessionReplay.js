@@ -0,0 +1,122 @@
+// Replays recorded landmark sessions (see sessionRecorder.js for the file
+// format) through the same callback Detection calls for live frames. No
+// camera or MediaPipe is involved, so a given file always produces the same
+// frames in the same order.
+
+import { SESSION_FORMAT, SESSION_FORMAT_VERSION, unflattenLandmarks } from './sessionRecorder';
+import { DETECTION_SETTINGS, fillMissingLandmarks } from './landmarks';
+
+export const REPLAY_SPEEDS = {
+    REALTIME: 'realtime',
+    FAST: 'fast'
+};
+
+// In fast mode, yield to the browser every this many frames so the UI updates
+const FAST_FRAMES_PER_YIELD = 25;
+
+const isGzip = (bytes) => bytes.length > 1 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+
+// Read a session File/Blob, decompressing gzip files, and return its text
+async function readSessionText(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    if (!isGzip(bytes)) {
+        return new TextDecoder().decode(bytes);
+    }
+
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error("This browser cannot read compressed sessions");
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).text();
+}
+
+// Parse a session file into { header, frames }. Throws on unknown formats.
+export async function parseSessionFile(file) {
+    const text = await readSessionText(file);
+    const lines = text.split('\n').filter(line => line.trim() !== '');
+
+    if (lines.length === 0) {
+        throw new Error("Session file is empty");
+    }
+
+    const header = JSON.parse(lines[0]);
+    if (header.format !== SESSION_FORMAT) {
+        throw new Error(`Not a session recording (format "${header.format}")`);
+    }
+    if (header.version > SESSION_FORMAT_VERSION) {
+        throw new Error(`Session format version ${header.version} is newer than supported version ${SESSION_FORMAT_VERSION}`);
+    }
+
+    const frames = lines.slice(1).map(line => JSON.parse(line));
+    return { header, frames };
+}
+
+// Rebuild the result object Detection would have emitted for a recorded
+// frame, zero-filling landmarks with the given detection settings
+export function frameToResult(frame, detectionSettings = DETECTION_SETTINGS) {
+    const rawLandmarks = unflattenLandmarks(frame.lm);
+    const worldLandmarks = unflattenLandmarks(frame.wlm);
+
+    return {
+        timestampMs: frame.t,
+        sourceKind: 'replay',
+        rawLandmarks: [rawLandmarks],
+        landmarks: [fillMissingLandmarks(rawLandmarks, detectionSettings.minLandmarkVisibility)],
+        worldLandmarks: worldLandmarks ? [worldLandmarks] : []
+    };
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Create a replayer for parsed session frames.
+//   onFrame(result)    - pipeline entry point; may return a promise of the
+//                        class probabilities when the frame triggered a prediction
+//   onProgress(index)  - called after each frame
+//   getDetectionSettings() - detection settings in effect (see frameToResult),
+//                        read on every frame so changes apply mid-replay
+// run() resolves with the predictions made, as [{ t, probabilities }].
+export function createSessionReplayer(frames, {
+    onFrame,
+    onProgress,
+    getDetectionSettings = () => DETECTION_SETTINGS,
+    speed = REPLAY_SPEEDS.REALTIME
+}) {
+    let stopped = false;
+
+    const run = async () => {
+        const predictions = [];
+        const startTime = performance.now();
+        const firstTimestamp = frames.length > 0 ? frames[0].t : 0;
+
+        for (let index = 0; index < frames.length && !stopped; index++) {
+            const frame = frames[index];
+
+            if (speed === REPLAY_SPEEDS.REALTIME) {
+                // Wait until this frame's time relative to the start
+                const delay = (frame.t - firstTimestamp) - (performance.now() - startTime);
+                if (delay > 0) await wait(delay);
+            } else if (index % FAST_FRAMES_PER_YIELD === 0) {
+                await wait(0);
+            }
+            if (stopped) break;
+
+            // Each frame is fully processed (including any prediction) before
+            // the next one, so results do not depend on timing
+            const probabilities = await onFrame(frameToResult(frame, getDetectionSettings()));
+            if (probabilities) {
+                predictions.push({ t: frame.t, probabilities });
+            }
+
+            if (onProgress) onProgress(index + 1);
+        }
+
+        return predictions;
+    };
+
+    return {
+        run,
+        stop: () => {
+            stopped = true;
+        }
+    };
+}
@@ -4,4 +4,21 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: [
+      // The package's default ESM entry imports a file it does not ship;
+      // the flat ESM bundle is self-contained and loads its wasm from
+      // the path given to setWasmPath (see src/config/assets.js)
+      {
+        find: /^@tensorflow\/tfjs-tflite$/,
+        replacement: '@tensorflow/tfjs-tflite/dist/tf-tflite.fesm.js',
+      },
+    ],
+  },
+  worker: {
+    // The classifier worker is built as a classic worker, so tfjs-tflite
+    // can load its wasm glue with importScripts (see
+    // src/classifiers/classifier.worker.js)
+    format: 'iife',
+  },
 })